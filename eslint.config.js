@@ -13,7 +13,21 @@ export default [
         console: 'readonly',
         alert: 'readonly',
         requestAnimationFrame: 'readonly',
+        performance: 'readonly', // Timing of the camera animations in scene.js
         fetch: 'readonly',
+        Event: 'readonly',
+        Option: 'readonly',
+        Blob: 'readonly',
+        URL: 'readonly',
+        AbortController: 'readonly',
+        indexedDB: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        TextDecoder: 'readonly',
+        DecompressionStream: 'readonly',
+        Response: 'readonly',
+        DataTransfer: 'readonly',
+        navigator: 'readonly',
         // Library globals
         L: 'readonly', // Leaflet
         THREE: 'readonly', // Three.js - although we should import it properly
@@ -22,5 +36,15 @@ export default [
     rules: {
       'no-undef': 'error',
     }
+  },
+  {
+    // The command-line converter and maintenance scripts run in Node
+    files: ['src/cli/**/*.js', 'bin/**/*.js', 'scripts/**/*.js'],
+    languageOptions: {
+      globals: {
+        process: 'readonly',
+        Buffer: 'readonly',
+      },
+    },
   }
 ]; 
\ No newline at end of file
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Derive approximate SPCS83 zone boundaries into public/boundaries, the copy
+ * the app falls back to with no network, for when the official boundaries
+ * cannot be fetched with fetch-boundaries. Usage:
+ *
+ *   npm run derive-boundaries
+ *
+ * Most zones are defined by the counties they cover. Each zone is the merged
+ * outline of the counties named in its EPSG area of use (epsg-index), drawn
+ * from the Census 1:10,000,000 county boundaries (us-atlas). Counties the
+ * EPSG text leaves out, such as Virginia's independent cities, join the zone
+ * most of their neighbors are in. Alaska's zones are cut from the state
+ * outline along their meridians and parallel, Hawaii's are its islands, and
+ * Kentucky One and Guam are the whole state or territory. Louisiana Offshore
+ * covers only water, so it has no boundary here.
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { feature, merge, neighbors } from 'topojson-client';
+import { BUNDLED_ZONES_URL } from '../src/components/boundarySources.js';
+import { listZoneParameters } from '../src/math/spcs.js';
+
+const require = createRequire(import.meta.url);
+const epsg = require('epsg-index/all.json');
+const atlas = require('us-atlas/counties-10m.json');
+
+const target = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', BUNDLED_ZONES_URL);
+
+// Decimal places kept in coordinates; the county boundaries are quantized
+// to a few hundred meters, so more would only add bytes
+const PRECISION = 4;
+
+// Counties the EPSG areas of use name differently from the Census
+const COUNTY_ALIASES = {
+  '12:dade': 'miami-dade',
+  '38:mountrial': 'mountrail',
+  '46:shannon': 'oglala lakota'
+};
+
+// Zones cut from the state outline by longitude and latitude ranges
+const ALASKA_ZONES = {
+  5001: [[-141, 0, -90, 90]],
+  5002: [[-144, -141, -90, 90]],
+  5003: [[-148, -144, -90, 90]],
+  5004: [[-152, -148, -90, 90]],
+  5005: [[-156, -152, -90, 90]],
+  5006: [[-160, -156, -90, 90]],
+  5007: [[-164, -160, -90, 90]],
+  5008: [[-168, -164, 54.5, 90]],
+  5009: [[-180, -168, 54.5, 90]],
+  // The Aleutians, which cross the antimeridian
+  5010: [[-180, -164, -90, 54.5], [0, 180, -90, 90]]
+};
+
+// Hawaii's zones by county, with Niihau cut from Kauai County at 160°W
+const HAWAII_ZONES = {
+  5101: { counties: ['15001'] },
+  5102: { counties: ['15009', '15005'] },
+  5103: { counties: ['15003'] },
+  5104: { counties: ['15007'], clip: [-160, 0, -90, 90] },
+  5105: { counties: ['15007'], clip: [-180, -160, -90, 90] }
+};
+
+// Zones covering a whole state or territory
+const STATE_ZONES = { 1600: '21', 5400: '66' };
+
+// Zones with no land to draw
+const OFFSHORE_ZONES = ['1703'];
+
+const states = atlas.objects.states.geometries;
+const counties = atlas.objects.counties.geometries;
+
+// Comparable form of a county name: "St. Mary's" and "Saint Marys" agree
+function normalizeName(name) {
+  return name.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^saint /, 'st ')
+    .replace(/[.'\s-]/g, '');
+}
+
+// EPSG CRS name of an SPCS83 zone
+function epsgName(zone) {
+  const roman = zone.name.match(/^California ([IVX]+)$/);
+  if (roman) {
+    return `NAD83 / California zone ${['I', 'II', 'III', 'IV', 'V', 'VI'].indexOf(roman[1]) + 1}`;
+  }
+  if (zone.name === 'Kentucky One') return 'NAD83 / Kentucky Single Zone';
+  return `NAD83 / ${zone.name.replace(/^(Alaska|Hawaii) (\d+)$/, '$1 zone $2')}`;
+}
+
+// The state or territory a zone is in, by the longest name its own starts with
+function findState(zone) {
+  return states
+    .filter(state => zone.name.startsWith(state.properties.name))
+    .sort((a, b) => b.properties.name.length - a.properties.name.length)[0];
+}
+
+// Counties named in a zone's EPSG area of use, as { name, clip } where clip
+// is the latitude range of a county split between zones
+function listAreaCounties(zone) {
+  const name = epsgName(zone).toLowerCase();
+  const crs = Object.values(epsg).find(record => record.name && record.name.toLowerCase() === name);
+  if (!crs) {
+    throw new Error(`No EPSG CRS named ${epsgName(zone)}`);
+  }
+
+  const list = crs.area.match(/counties(?: of)?:? (.*)$/);
+  if (!list) {
+    throw new Error(`The EPSG area of ${zone.name} names no counties`);
+  }
+
+  return list[1].replace(/\.$/, '').split(';').map(entry => {
+    const split = entry.trim().match(/^(.*) (north|south) of approximately (\d+)°(\d+)'N$/);
+    if (!split) return { name: entry.trim(), clip: null };
+    const latitude = Number(split[3]) + Number(split[4]) / 60;
+    return { name: split[1], clip: split[2] === 'north' ? [-180, 180, latitude, 90] : [-180, 180, -90, latitude] };
+  });
+}
+
+// Clip a ring to a longitude and latitude rectangle (Sutherland-Hodgman)
+function clipRing(ring, [west, east, south, north]) {
+  const edges = [
+    [point => point[0] >= west, (a, b) => crossing(a, b, 0, west)],
+    [point => point[0] <= east, (a, b) => crossing(a, b, 0, east)],
+    [point => point[1] >= south, (a, b) => crossing(a, b, 1, south)],
+    [point => point[1] <= north, (a, b) => crossing(a, b, 1, north)]
+  ];
+
+  let points = ring.slice(0, -1);
+  for (const [inside, intersect] of edges) {
+    const input = points;
+    points = [];
+    input.forEach((point, i) => {
+      const previous = input[(i + input.length - 1) % input.length];
+      if (inside(point)) {
+        if (!inside(previous)) points.push(intersect(previous, point));
+        points.push(point);
+      } else if (inside(previous)) {
+        points.push(intersect(previous, point));
+      }
+    });
+  }
+  return points.length >= 3 ? [...points, points[0]] : null;
+}
+
+// Where the segment from a to b crosses a line of constant longitude (axis
+// 0) or latitude (axis 1)
+function crossing(a, b, axis, value) {
+  const t = (value - a[axis]) / (b[axis] - a[axis]);
+  const point = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+  point[axis] = value;
+  return point;
+}
+
+// Polygons of a GeoJSON geometry
+function polygonsOf(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+// Polygons of a geometry clipped to a rectangle, dropping those outside it
+function clipPolygons(geometry, rectangle) {
+  return polygonsOf(geometry).flatMap(([outer, ...holes]) => {
+    const clipped = clipRing(outer, rectangle);
+    if (!clipped) return [];
+    return [[clipped, ...holes.map(hole => clipRing(hole, rectangle)).filter(Boolean)]];
+  });
+}
+
+// Assign every county named in an EPSG area of use to its zones, returning
+// the county geometries and clip rectangles of each zone keyed by FIPS code
+function assignCounties(zones) {
+  const assigned = new Map(zones.map(zone => [zone.fips, []]));
+  const zoneOfCounty = new Map();
+  const named = new Set();
+
+  for (const zone of zones) {
+    const state = findState(zone);
+    const stateCounties = counties.filter(county => county.id.startsWith(state.id));
+    for (const { name, clip } of listAreaCounties(zone)) {
+      const key = `${state.id}:${normalizeName(name)}`;
+      const wanted = normalizeName(COUNTY_ALIASES[key] || name);
+      const matches = stateCounties.filter(county => normalizeName(county.properties.name) === wanted);
+      if (matches.length === 0) {
+        throw new Error(`No ${state.properties.name} county named ${name} for ${zone.name}`);
+      }
+      // A name can be both a county and an independent city; both are taken
+      matches.forEach(county => {
+        assigned.get(zone.fips).push({ county, clip });
+        named.add(county.id);
+        if (!clip) zoneOfCounty.set(county.id, zone.fips);
+      });
+    }
+  }
+
+  // Counties left out join the zone of most of their neighbors in the same
+  // state, if all of those neighbors are in a zone; counties of zones not in
+  // the database, such as New York Long Island, have unassigned neighbors
+  const zoneStates = new Set(zones.map(zone => findState(zone).id));
+  const adjacent = neighbors(counties);
+  counties.forEach((county, index) => {
+    if (named.has(county.id) || !zoneStates.has(county.id.slice(0, 2))) return;
+
+    const around = adjacent[index]
+      .map(neighbor => counties[neighbor])
+      .filter(neighbor => neighbor.id.startsWith(county.id.slice(0, 2)));
+    if (around.length === 0 || !around.every(neighbor => zoneOfCounty.has(neighbor.id))) return;
+
+    const votes = {};
+    around.forEach(neighbor => {
+      const fips = zoneOfCounty.get(neighbor.id);
+      votes[fips] = (votes[fips] || 0) + 1;
+    });
+    const [fips] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+    assigned.get(fips).push({ county, clip: null });
+  });
+
+  return assigned;
+}
+
+// Round coordinates to PRECISION decimal places
+function roundPolygons(polygons) {
+  const factor = 10 ** PRECISION;
+  return polygons.map(polygon => polygon.map(ring => ring.map(([lon, lat]) => [
+    Math.round(lon * factor) / factor,
+    Math.round(lat * factor) / factor
+  ])));
+}
+
+// Boundary polygons of one zone
+function zonePolygons(zone, assigned) {
+  if (ALASKA_ZONES[zone.fips]) {
+    const alaska = feature(atlas, states.find(state => state.id === '02')).geometry;
+    return ALASKA_ZONES[zone.fips].flatMap(rectangle => clipPolygons(alaska, rectangle));
+  }
+
+  if (HAWAII_ZONES[zone.fips]) {
+    const { counties: ids, clip } = HAWAII_ZONES[zone.fips];
+    const geometry = merge(atlas, counties.filter(county => ids.includes(county.id)));
+    return clip ? clipPolygons(geometry, clip) : polygonsOf(geometry);
+  }
+
+  if (STATE_ZONES[zone.fips]) {
+    return polygonsOf(feature(atlas, states.find(state => state.id === STATE_ZONES[zone.fips])).geometry);
+  }
+
+  const entries = assigned.get(zone.fips);
+  const whole = entries.filter(entry => !entry.clip).map(entry => entry.county);
+  const split = entries.filter(entry => entry.clip)
+    .flatMap(({ county, clip }) => clipPolygons(feature(atlas, county).geometry, clip));
+  return [...polygonsOf(merge(atlas, whole)), ...split];
+}
+
+// FeatureCollection of the SPCS83 zones with land, in zone code order
+function deriveBoundaries() {
+  const zones = listZoneParameters('NAD83').filter(zone => !OFFSHORE_ZONES.includes(zone.fips));
+  const assigned = assignCounties(zones.filter(zone =>
+    !ALASKA_ZONES[zone.fips] && !HAWAII_ZONES[zone.fips] && !STATE_ZONES[zone.fips]));
+
+  const features = zones.map(zone => ({
+    type: 'Feature',
+    properties: { ZONENAME: zone.name, FIPSZONE: zone.fips },
+    geometry: { type: 'MultiPolygon', coordinates: roundPolygons(zonePolygons(zone, assigned)) }
+  }));
+
+  return { type: 'FeatureCollection', features };
+}
+
+const data = deriveBoundaries();
+await mkdir(dirname(target), { recursive: true });
+await writeFile(target, JSON.stringify(data));
+console.log(`Saved ${data.features.length} derived zone boundaries to ${target}`);
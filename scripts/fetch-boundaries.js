@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+/**
+ * Download the SPCS zone boundaries into public/boundaries so the app can
+ * fall back to them with no network. Usage:
+ *
+ *   npm run fetch-boundaries [-- <url>]
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BUNDLED_ZONES_URL, SPCS_ZONES_URL, loadSPCSZones } from '../src/components/boundarySources.js';
+
+const url = process.argv[2] || SPCS_ZONES_URL;
+const target = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', BUNDLED_ZONES_URL);
+
+loadSPCSZones(url)
+  .then(async data => {
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, JSON.stringify(data));
+    console.log(`Saved ${data.features.length} zone boundaries to ${target}`);
+  })
+  .catch(error => {
+    console.error(`Could not fetch zone boundaries from ${url}: ${error.message}`);
+    process.exitCode = 1;
+  });
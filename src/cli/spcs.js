@@ -0,0 +1,317 @@
+/**
+ * Command-line converter
+ *
+ * Runs the conversions of the web application from a terminal, on the same
+ * zone database and projection engines:
+ *
+ *   spcs convert --zone 0202 --to grid 33.4,-112.0
+ *   spcs convert --zone 0202 --to geographic --input points.csv --format json
+ *   spcs zones --state Arizona
+ *   spcs verify tests/fixtures/proj4CrossCheck.json
+ *
+ * Coordinates are given as arguments, or read as CSV from files or stdin.
+ * Input files are handled like the batch converter's: columns are matched by
+ * their header names, and a file without a header row lists latitude,
+ * longitude[, height] (or easting, northing[, height]) in that order.
+ * The verify command checks the conversions against tables of test points
+ * (see conformance.js).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { convertBatch, formatBatchResults, formatCsv, guessColumnMapping, parseCsv } from '../math/batchConversion.js';
+import { CONFORMANCE_TOLERANCE, formatConformanceReport, parseTestPoints, verifyTestPoints } from '../math/conformance.js';
+import { getDatumEllipsoid } from '../math/ellipsoids.js';
+import { getSPCSZoneParameters, getZoneLayer, getZoneState, listZoneParameters, ZONE_LAYERS } from '../math/spcs.js';
+import { LEGISLATED_UNIT, getLegislatedUnit, getLinearUnit } from '../math/units.js';
+
+export const USAGE = `Usage:
+  spcs convert --zone <code> --to grid|geographic [options] [coordinates...]
+  spcs zones [--state <name or code>] [--layer <layer>] [options]
+  spcs verify [--tolerance <mm>] [options] [files...]
+
+Convert options:
+  -z, --zone <code>     SPCS zone (e.g. 0202) or UTM zone (e.g. UTM12N);
+                        optional when the input has a zone column
+  -t, --to <target>     grid: latitude,longitude[,height] to easting,northing
+                        geographic: easting,northing[,height] to latitude,longitude
+  -u, --unit <unit>     Unit of eastings and northings: meters, feet_us,
+                        feet_intl or legislated (default)
+  -i, --input <file>    Read CSV from a file (repeatable); without
+                        coordinates or files, CSV is read from stdin
+
+Verify options:
+  --tolerance <mm>      Largest forward, inverse and round-trip error
+                        allowed, in millimeters (default 1)
+  -i, --input <file>    Read test points (JSON or CSV) from a file
+                        (repeatable); without files, from stdin
+
+Common options:
+  -d, --datum <datum>   NAD83 (default), NAD27 or NATRF2022
+  -f, --format <format> csv (default) or json
+  -h, --help            Show this help
+
+Put -- before coordinates that start with a minus sign.
+`;
+
+const OPTIONS = {
+  zone: { type: 'string', short: 'z' },
+  to: { type: 'string', short: 't' },
+  unit: { type: 'string', short: 'u', default: LEGISLATED_UNIT },
+  input: { type: 'string', short: 'i', multiple: true },
+  datum: { type: 'string', short: 'd', default: 'NAD83' },
+  format: { type: 'string', short: 'f', default: 'csv' },
+  state: { type: 'string', short: 's' },
+  layer: { type: 'string', short: 'l' },
+  tolerance: { type: 'string', default: String(CONFORMANCE_TOLERANCE * 1000) },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Conversion direction for each --to target
+const TARGETS = { grid: 'forward', geographic: 'inverse' };
+
+const FORMATS = ['csv', 'json'];
+
+/**
+ * Run the command line
+ * @param {Array<string>} args - Arguments after the program name
+ * @param {Object} [io] - { readFile, readStdin, stdout, stderr }; defaults
+ *   to the file system and the process streams
+ * @returns {Promise<number>} Exit code: 0 on success, 1 if any point failed
+ *   to convert, 2 for usage errors
+ */
+export async function runCli(args, io = processIo()) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    io.stderr(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals: [command, ...operands] } = parsed;
+  if (values.help || !command) {
+    io.stdout(USAGE);
+    return 0;
+  }
+
+  try {
+    getDatumEllipsoid(values.datum);
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`Unknown output format: ${values.format}`);
+    }
+
+    if (command === 'convert') return await convertCommand(values, operands, io);
+    if (command === 'zones') return zonesCommand(values, io);
+    if (command === 'verify') return await verifyCommand(values, operands, io);
+    throw new Error(`Unknown command: ${command}`);
+  } catch (error) {
+    io.stderr(`${error.message}\n`);
+    return 2;
+  }
+}
+
+/**
+ * Convert coordinates given as arguments, in files or on stdin
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} operands - Coordinate arguments
+ * @param {Object} io - Input and output functions
+ * @returns {Promise<number>} Exit code
+ */
+async function convertCommand(values, operands, io) {
+  const direction = TARGETS[values.to];
+  if (!direction) {
+    throw new Error('Choose --to grid or --to geographic');
+  }
+  if (values.unit !== LEGISLATED_UNIT) {
+    getLinearUnit(values.unit);
+  }
+  if (values.zone && !getSPCSZoneParameters(values.zone, values.datum)) {
+    throw new Error(`Unknown zone for --zone: ${values.zone} (list the ${values.datum} zones with spcs zones)`);
+  }
+
+  let input;
+  if (operands.length > 0) {
+    input = readArguments(operands, direction);
+  } else {
+    const texts = values.input
+      ? await Promise.all(values.input.map(path => io.readFile(path)))
+      : [await io.readStdin()];
+    input = texts.map(text => readTable(text, direction)).reduce(mergeTables);
+  }
+
+  if (!values.zone && input.mapping.zone === null) {
+    throw new Error('Give a zone with --zone or a zone column in the input');
+  }
+
+  const results = convertBatch(input.rows, input.mapping, {
+    direction,
+    zone: values.zone,
+    datum: values.datum,
+    unit: values.unit
+  });
+
+  io.stdout(values.format === 'json'
+    ? `${JSON.stringify(results, null, 2)}\n`
+    : formatBatchResults(input.headers, input.rows, results, direction));
+
+  const failed = results.filter(result => result.error).length;
+  if (failed > 0) {
+    io.stderr(`${failed} of ${results.length} points could not be converted\n`);
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * List the zones of a datum
+ * @param {Object} values - Parsed options
+ * @param {Object} io - Input and output functions
+ * @returns {number} Exit code
+ */
+function zonesCommand(values, io) {
+  if (values.layer && !ZONE_LAYERS[values.layer]) {
+    throw new Error(`Unknown zone layer: ${values.layer} (use ${Object.keys(ZONE_LAYERS).join(', ')})`);
+  }
+
+  // A state is given by its SPCS code, or by name, matching the start of the zone names
+  const byCode = values.state !== undefined && /^\d{1,2}$/.test(values.state);
+  const stateName = values.state !== undefined && !byCode ? values.state.trim().toLowerCase() : null;
+
+  const zones = listZoneParameters(values.datum, { state: byCode ? values.state : undefined, layer: values.layer })
+    .filter(zone => !stateName || `${zone.name.toLowerCase()} `.startsWith(`${stateName} `));
+
+  if (zones.length === 0) {
+    throw new Error(`No ${values.datum} zones found${values.state ? ` for ${values.state}` : ''}`);
+  }
+
+  if (values.format === 'json') {
+    io.stdout(`${JSON.stringify(zones, null, 2)}\n`);
+  } else {
+    io.stdout(formatCsv(
+      ['zone', 'name', 'state', 'layer', 'projection', 'unit'],
+      zones.map(zone => [
+        zone.fips,
+        zone.name,
+        getZoneState(zone),
+        getZoneLayer(zone),
+        zone.projectionType,
+        getLegislatedUnit(zone.fips, values.datum)
+      ])
+    ));
+  }
+  return 0;
+}
+
+/**
+ * Check the conversions against tables of test points
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} operands - Test point files
+ * @param {Object} io - Input and output functions
+ * @returns {Promise<number>} Exit code: 1 if any point is out of tolerance
+ */
+async function verifyCommand(values, operands, io) {
+  const tolerance = Number(values.tolerance);
+  if (!(tolerance > 0)) {
+    throw new Error(`Invalid tolerance: ${values.tolerance}`);
+  }
+
+  const paths = [...operands, ...(values.input || [])];
+  const texts = paths.length > 0
+    ? await Promise.all(paths.map(path => io.readFile(path)))
+    : [await io.readStdin()];
+  const points = texts.flatMap(text => parseTestPoints(text, { datum: values.datum }));
+  if (points.length === 0) {
+    throw new Error('No test points found');
+  }
+
+  const report = verifyTestPoints(points, { tolerance: tolerance / 1000 });
+  io.stdout(values.format === 'json'
+    ? `${JSON.stringify(report, null, 2)}\n`
+    : formatConformanceReport(report));
+
+  const worst = field => (Math.max(...report.zones.map(zone => zone[field])) * 1000).toFixed(3);
+  const failed = report.points.filter(point => !point.passed).length;
+  io.stderr(`${points.length} points in ${report.zones.length} zones; worst forward ${worst('forward')} mm, ` +
+    `inverse ${worst('inverse')} mm, round trip ${worst('roundTrip')} mm\n`);
+  if (failed > 0) {
+    io.stderr(`${failed} of ${points.length} points exceed ${tolerance} mm\n`);
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Read coordinates given as arguments, one point per argument
+ * @param {Array<string>} operands - Coordinate arguments
+ * @param {string} direction - 'forward' or 'inverse'
+ * @returns {Object} { headers, rows, mapping }, as from readTable
+ */
+function readArguments(operands, direction) {
+  const expected = direction === 'forward' ? 'latitude,longitude[,height]' : 'easting,northing[,height]';
+  operands.forEach(operand => {
+    const values = operand.split(',');
+    if (values.length < 2 || values.length > 3 ||
+        !values.every(value => value.trim() !== '' && Number.isFinite(Number(value)))) {
+      throw new Error(`Invalid coordinates: ${operand} (give ${expected}; put -- before negative values)`);
+    }
+  });
+  return readTable(operands.join('\n'), direction);
+}
+
+/**
+ * Parse CSV input into a table with a column mapping. Input whose first row
+ * is all numbers has no header row; its columns are taken in order.
+ * @param {string} text - CSV text
+ * @param {string} direction - 'forward' or 'inverse'
+ * @returns {Object} { headers, rows, mapping }
+ */
+function readTable(text, direction) {
+  const { headers, rows } = parseCsv(text);
+
+  if (headers.every(header => header !== '' && Number.isFinite(Number(header)))) {
+    const columns = direction === 'forward' ? ['lat', 'lon', 'height'] : ['easting', 'northing', 'height'];
+    const mapping = guessColumnMapping([]);
+    columns.forEach((field, index) => {
+      mapping[field] = index;
+    });
+
+    const allRows = [headers, ...rows];
+    const width = Math.min(columns.length, Math.max(...allRows.map(row => row.length)));
+    return { headers: columns.slice(0, width), rows: allRows, mapping };
+  }
+
+  return { headers, rows, mapping: guessColumnMapping(headers) };
+}
+
+/**
+ * Append one input table to another; both must have the same header row
+ * @param {Object} first - Table from readTable
+ * @param {Object} second - Table from readTable
+ * @returns {Object} Combined table
+ */
+function mergeTables(first, second) {
+  if (first.headers.join(',') !== second.headers.join(',')) {
+    throw new Error('Input files must have the same columns');
+  }
+  return { ...first, rows: [...first.rows, ...second.rows] };
+}
+
+/**
+ * Input and output on the file system and the process streams
+ * @returns {Object} { readFile, readStdin, stdout, stderr }
+ */
+function processIo() {
+  return {
+    readFile: path => readFile(path, 'utf8'),
+    readStdin: async () => {
+      const chunks = [];
+      for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString('utf8');
+    },
+    stdout: text => process.stdout.write(text),
+    stderr: text => process.stderr.write(text)
+  };
+}
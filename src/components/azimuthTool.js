@@ -0,0 +1,149 @@
+import L from 'leaflet';
+import { geodeticToGridAzimuth, gridToGeodeticAzimuth, lineAzimuths } from '../math/azimuthReduction.js';
+import { geodesicPath } from '../math/geodesic.js';
+import { parseLatLon } from '../math/coordinates.js';
+import { toGeographic } from '../math/spcs.js';
+import { convertLength, formatLength, resolveDisplayUnit } from '../math/units.js';
+
+// Points along the drawn geodesic and chord
+const LINE_SEGMENTS = 64;
+
+/**
+ * Set up the azimuth reduction panel. A line is given by two points, or by
+ * its start, an azimuth (geodetic or grid) and a length; its geodetic and
+ * grid azimuths, convergence and arc-to-chord correction are reported for
+ * the chosen zone, and the geodesic and grid chord are drawn on the map.
+ * @param {L.Map} map - Leaflet map the line is drawn on
+ * @param {Object} sources - { getZones, getVisibleZones, getDatum }
+ */
+export function initAzimuthTool(map, { getZones, getVisibleZones, getDatum }) {
+  const panel = document.getElementById('azimuth-tool');
+  const modeSelect = document.getElementById('azimuth-mode');
+  const zoneSelect = document.getElementById('azimuth-zone');
+  const fromInput = document.getElementById('azimuth-from-input');
+  const toInput = document.getElementById('azimuth-to-input');
+  const azimuthInput = document.getElementById('azimuth-value-input');
+  const lengthInput = document.getElementById('azimuth-length-input');
+  const computeBtn = document.getElementById('azimuth-compute-btn');
+  const results = document.getElementById('azimuth-results');
+  
+  // The geodesic and chord of the last line
+  const lineLayer = L.layerGroup().addTo(map);
+  
+  // List the zones once the panel is opened, preferring a visible one
+  panel.addEventListener('toggle', () => {
+    if (!panel.open) return;
+    
+    const selected = zoneSelect.value;
+    zoneSelect.innerHTML = '';
+    getZones()
+      .filter(zone => zone.spcsParams)
+      .forEach(zone => zoneSelect.appendChild(new Option(zone.name, zone.spcsParams.fips)));
+    
+    const [visible] = getVisibleZones().filter(zone => zone.spcsParams);
+    zoneSelect.value = selected || (visible ? visible.spcsParams.fips : '');
+    if (!zoneSelect.value && zoneSelect.options.length > 0) zoneSelect.selectedIndex = 0;
+  });
+  
+  // Two points need the end point; an azimuth needs its value and the line length
+  function updateInputs() {
+    const twoPoints = modeSelect.value === 'points';
+    toInput.classList.toggle('d-none', !twoPoints);
+    azimuthInput.classList.toggle('d-none', twoPoints);
+    lengthInput.classList.toggle('d-none', twoPoints);
+    lengthInput.placeholder = modeSelect.value === 'grid' ? 'Grid length (m)' : 'Geodesic length (m)';
+  }
+  
+  modeSelect.addEventListener('change', updateInputs);
+  updateInputs();
+  
+  computeBtn.addEventListener('click', () => {
+    const zone = zoneSelect.value;
+    const from = parseLatLon(fromInput.value);
+    if (!zone) {
+      results.textContent = 'Load the zones and choose one';
+      return;
+    }
+    if (!from) {
+      results.textContent = 'Enter the start point as lat,lon';
+      return;
+    }
+    
+    const datum = getDatum();
+    let line;
+    try {
+      if (modeSelect.value === 'points') {
+        const to = parseLatLon(toInput.value);
+        if (!to) {
+          results.textContent = 'Enter the end point as lat,lon';
+          return;
+        }
+        line = lineAzimuths(...from, ...to, zone, datum);
+      } else {
+        const azimuth = parseFloat(azimuthInput.value);
+        const length = parseFloat(lengthInput.value);
+        if (isNaN(azimuth) || isNaN(length) || length <= 0) {
+          results.textContent = 'Enter the azimuth in degrees and a positive length in meters';
+          return;
+        }
+        line = modeSelect.value === 'geodetic'
+          ? geodeticToGridAzimuth(...from, azimuth, length, zone, datum)
+          : gridToGeodeticAzimuth(...from, azimuth, length, zone, datum);
+      }
+    } catch (error) {
+      results.textContent = error.message;
+      return;
+    }
+    
+    showResults(line);
+    drawLine(line, zone, datum);
+  });
+  
+  // Show the azimuths and lengths, lengths in the zone's display unit
+  function showResults(line) {
+    const unit = resolveDisplayUnit(zoneSelect.value, getDatum());
+    const length = meters => formatLength(convertLength(meters, 'meters', unit), unit);
+    
+    results.innerHTML = `
+      <table class="table table-sm small mb-0">
+        <tbody>
+          <tr><td>Geodetic azimuth (α)</td><td>${line.geodeticAzimuth.toFixed(6)}°</td></tr>
+          <tr><td>Convergence (γ)</td><td>${line.convergence.toFixed(6)}°</td></tr>
+          <tr><td>Projected geodesic (T = α − γ)</td><td>${line.projectedAzimuth.toFixed(6)}°</td></tr>
+          <tr><td>Arc-to-chord (δ = t − T)</td><td>${(line.arcToChord * 3600).toFixed(2)}″</td></tr>
+          <tr><td>Grid azimuth (t)</td><td>${line.gridAzimuth.toFixed(6)}°</td></tr>
+          <tr><td>Geodesic length</td><td>${length(line.geodesicDistance)}</td></tr>
+          <tr><td>Grid length</td><td>${length(line.gridDistance)}</td></tr>
+        </tbody>
+      </table>
+    `;
+  }
+  
+  // Draw the geodesic, and the grid chord carried back to the map through the zone's inverse
+  function drawLine(line, zone, datum) {
+    lineLayer.clearLayers();
+    
+    const start = toGeographic(line.start.easting, line.start.northing, zone, datum);
+    const end = toGeographic(line.end.easting, line.end.northing, zone, datum);
+    const chord = [];
+    for (let i = 0; i <= LINE_SEGMENTS; i++) {
+      const fraction = i / LINE_SEGMENTS;
+      const point = toGeographic(
+        line.start.easting + (line.end.easting - line.start.easting) * fraction,
+        line.start.northing + (line.end.northing - line.start.northing) * fraction,
+        zone,
+        datum
+      );
+      chord.push([point.lat, point.lon]);
+    }
+    
+    L.polyline(geodesicPath(start.lat, start.lon, end.lat, end.lon, LINE_SEGMENTS, datum), { color: '#cc3366', weight: 3 })
+      .bindTooltip('Geodesic')
+      .addTo(lineLayer);
+    L.polyline(chord, { color: '#3366cc', weight: 2, dashArray: '6 4' })
+      .bindTooltip('Grid chord')
+      .addTo(lineLayer);
+    
+    map.fitBounds(L.latLngBounds(chord), { padding: [50, 50], maxZoom: 14 });
+  }
+}
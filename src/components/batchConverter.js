@@ -0,0 +1,204 @@
+import L from 'leaflet';
+import {
+  BATCH_FIELDS,
+  convertBatch,
+  formatBatchResults,
+  guessColumnMapping,
+  parseCsv
+} from '../math/batchConversion.js';
+import { formatLength, getDisplayUnit } from '../math/units.js';
+import { escapeHtml } from './mapUtils.js';
+
+// Labels of the mappable fields in the column mapping form
+const FIELD_LABELS = {
+  id: 'Point ID',
+  lat: 'Latitude',
+  lon: 'Longitude',
+  height: 'Ellipsoid height (m)',
+  easting: 'Easting',
+  northing: 'Northing',
+  zone: 'Zone'
+};
+
+// convertBatch errors reworded for the mapping form and zone select
+const PANEL_MESSAGES = {
+  'No latitude/longitude columns given': 'Map the latitude and longitude columns to convert forward',
+  'No easting/northing columns given': 'Map the easting and northing columns to convert inverse',
+  'No zone given for an inverse conversion': 'Choose a zone or map a zone column to convert inverse'
+};
+
+/**
+ * Set up the batch CSV converter panel
+ * @param {L.Map} map - Leaflet map the converted points are plotted on
+ * @param {Object} sources - { getZones, getDatum } returning the processed
+ *   zones and the selected datum at conversion time
+ */
+export function initBatchConverter(map, { getZones, getDatum }) {
+  const panel = document.getElementById('batch-converter');
+  const fileInput = document.getElementById('batch-file-input');
+  const mappingContainer = document.getElementById('batch-mapping');
+  const directionSelect = document.getElementById('batch-direction');
+  const zoneSelect = document.getElementById('batch-zone');
+  const convertBtn = document.getElementById('batch-convert-btn');
+  const downloadBtn = document.getElementById('batch-download-btn');
+  const status = document.getElementById('batch-status');
+  
+  // Parsed input, the last results and the layer of plotted points
+  let csv = null;
+  let fileName = 'points.csv';
+  let output = null;
+  const pointLayer = L.layerGroup().addTo(map);
+  
+  // List the zones once the panel is opened, by which time they have loaded
+  panel.addEventListener('toggle', () => {
+    if (!panel.open) return;
+    
+    const selected = zoneSelect.value;
+    zoneSelect.innerHTML = `
+      <option value="auto-SPCS">Auto-detect SPCS zone</option>
+      <option value="auto-UTM">Auto-detect UTM zone</option>
+    `;
+    getZones()
+      .filter(zone => zone.spcsParams)
+      .forEach(zone => zoneSelect.appendChild(new Option(zone.name, zone.spcsParams.fips)));
+    
+    // Keep the previous choice if that zone is still listed
+    zoneSelect.value = selected;
+    if (!zoneSelect.value) zoneSelect.value = 'auto-SPCS';
+  });
+  
+  // Build a column select for each field, preselected from the header names
+  function showColumnMapping(headers) {
+    const guess = guessColumnMapping(headers);
+    mappingContainer.innerHTML = '';
+    
+    BATCH_FIELDS.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'input-group input-group-sm mb-1';
+      
+      const label = document.createElement('label');
+      label.className = 'input-group-text';
+      label.htmlFor = `batch-column-${field}`;
+      label.textContent = FIELD_LABELS[field];
+      
+      const select = document.createElement('select');
+      select.className = 'form-select';
+      select.id = `batch-column-${field}`;
+      select.dataset.field = field;
+      select.appendChild(new Option('(none)', ''));
+      headers.forEach((header, index) => select.appendChild(new Option(header, String(index))));
+      select.value = guess[field] === null ? '' : String(guess[field]);
+      
+      group.appendChild(label);
+      group.appendChild(select);
+      mappingContainer.appendChild(group);
+    });
+  }
+  
+  // Read the column mapping back from the form
+  function readColumnMapping() {
+    const mapping = {};
+    mappingContainer.querySelectorAll('select').forEach(select => {
+      mapping[select.dataset.field] = select.value === '' ? null : Number(select.value);
+    });
+    return mapping;
+  }
+  
+  fileInput.addEventListener('change', () => {
+    const [file] = fileInput.files;
+    if (!file) return;
+    
+    file.text()
+      .then(text => {
+        csv = parseCsv(text);
+        fileName = file.name;
+        output = null;
+        downloadBtn.disabled = true;
+        showColumnMapping(csv.headers);
+        convertBtn.disabled = false;
+        status.textContent = `${file.name}: ${csv.rows.length} rows, ${csv.headers.length} columns`;
+      })
+      .catch(error => {
+        console.error('Failed to read CSV file:', error);
+        csv = null;
+        convertBtn.disabled = true;
+        status.textContent = `Failed to read ${file.name}: ${error.message}`;
+      });
+  });
+  
+  convertBtn.addEventListener('click', () => {
+    if (!csv) return;
+    
+    const direction = directionSelect.value;
+    const zoneChoice = zoneSelect.value;
+    const autoSource = zoneChoice.startsWith('auto-') ? zoneChoice.slice(5) : null;
+    
+    const mapping = readColumnMapping();
+    if (direction === 'inverse' && autoSource && mapping.zone === null) {
+      status.textContent = PANEL_MESSAGES['No zone given for an inverse conversion'];
+      return;
+    }
+    
+    let results;
+    try {
+      results = convertBatch(csv.rows, mapping, {
+        direction,
+        zone: autoSource ? 'auto' : zoneChoice,
+        zones: getZones().filter(zone => zone.source === autoSource),
+        datum: getDatum(),
+        unit: getDisplayUnit()
+      });
+    } catch (error) {
+      status.textContent = PANEL_MESSAGES[error.message] || error.message;
+      return;
+    }
+    
+    output = formatBatchResults(csv.headers, csv.rows, results, direction);
+    downloadBtn.disabled = false;
+    
+    const failed = results.filter(result => result.error);
+    status.textContent = `Converted ${results.length - failed.length} of ${results.length} rows` +
+      (failed.length ? ` (${failed.length} failed, see the error column)` : '');
+    
+    plotResults(results.filter(result => !result.error));
+  });
+  
+  // Show the converted points on the map with their values in a popup
+  function plotResults(results) {
+    pointLayer.clearLayers();
+    
+    results.forEach(result => {
+      L.circleMarker([result.lat, result.lon], { radius: 5, color: '#8833ff', weight: 2 })
+        .bindPopup(`
+          <div class="zone-popup">
+            <h4>${escapeHtml(result.id)}</h4>
+            <p><strong>Lat, Lon:</strong> ${result.lat.toFixed(8)}, ${result.lon.toFixed(8)}</p>
+            <p><strong>Zone:</strong> ${escapeHtml(result.zone)}</p>
+            <p><strong>Easting:</strong> ${formatLength(result.easting, result.unit)}</p>
+            <p><strong>Northing:</strong> ${formatLength(result.northing, result.unit)}</p>
+            <p><strong>Scale Factor (k):</strong> ${result.scaleFactor.toFixed(8)}</p>
+            <p><strong>Convergence (γ):</strong> ${result.convergence.toFixed(6)}°</p>
+          </div>
+        `)
+        .addTo(pointLayer);
+    });
+    
+    if (results.length > 0) {
+      map.fitBounds(L.latLngBounds(results.map(result => [result.lat, result.lon])), {
+        padding: [50, 50],
+        maxZoom: 14
+      });
+    }
+  }
+  
+  downloadBtn.addEventListener('click', () => {
+    if (!output) return;
+    
+    const url = URL.createObjectURL(new Blob([output], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName.replace(/\.[^.]*$/, '') + '_converted.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * Where the zone boundary GeoJSON comes from. Boundaries are fetched from the
+ * online source, cached in IndexedDB when that succeeds, and a copy bundled
+ * with the app is the last resort, so the zone list still loads offline.
+ * Nothing here touches the DOM or Leaflet, so the fetch script can use it.
+ */
+
+export const SPCS_ZONES_URL = 'https://opendata.arcgis.com/datasets/23178a639bdc4d658816b3ea8ee6c3ae_0.geojson';
+
+// Served from public/boundaries; see scripts/fetch-boundaries.js
+export const BUNDLED_ZONES_URL = '/boundaries/spcs-zones.geojson';
+
+// Sources tried in order until one returns boundaries
+export const BOUNDARY_SOURCES = ['remote', 'cache', 'bundled'];
+
+// How long to wait for the online source to answer before falling back
+const REMOTE_TIMEOUT_MS = 15000;
+
+const CACHE_DB_NAME = 'spcs-visualization';
+const CACHE_STORE = 'boundaries';
+
+/**
+ * Fetch zone boundaries from a URL
+ * @param {string} [url=SPCS_ZONES_URL] - GeoJSON URL
+ * @param {Object} [options] - { timeout } in milliseconds before the request
+ *   is abandoned if no response has arrived; 0 waits indefinitely
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export async function loadSPCSZones(url = SPCS_ZONES_URL, { timeout = 0 } = {}) {
+  const controller = timeout > 0 ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+  let response;
+  try {
+    response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`No response from ${url} within ${timeout / 1000} s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    throw new Error('Failed to load SPCS zones');
+  }
+  return checkBoundaries(await response.json());
+}
+
+/**
+ * Load zone boundaries from the first source that succeeds
+ * @param {Object} [options]
+ * @param {string[]} [options.sources=BOUNDARY_SOURCES] - Sources to try in
+ *   order: 'remote', 'cache' and 'bundled'
+ * @param {string} [options.remoteUrl=SPCS_ZONES_URL] - Online GeoJSON URL
+ * @param {string} [options.bundledUrl=BUNDLED_ZONES_URL] - Bundled GeoJSON URL
+ * @param {Object|null} [options.cache] - Boundary cache from
+ *   createBoundaryCache; boundaries fetched online are saved to it
+ * @param {number} [options.timeout=REMOTE_TIMEOUT_MS] - Online request timeout in milliseconds
+ * @returns {Promise<Object>} { data, source, savedAt, failures }: the
+ *   FeatureCollection, the source it came from, when a cached copy was saved
+ *   (null otherwise) and the { source, error } of each source tried before it
+ */
+export async function loadZoneBoundaries({
+  sources = BOUNDARY_SOURCES,
+  remoteUrl = SPCS_ZONES_URL,
+  bundledUrl = BUNDLED_ZONES_URL,
+  cache = null,
+  timeout = REMOTE_TIMEOUT_MS
+} = {}) {
+  const failures = [];
+
+  for (const source of sources) {
+    try {
+      if (source === 'remote') {
+        const data = await loadSPCSZones(remoteUrl, { timeout });
+        if (cache) {
+          // A failed save only costs the offline copy
+          await cache.set(remoteUrl, { data, savedAt: new Date().toISOString() })
+            .catch(error => console.warn('Could not cache zone boundaries:', error));
+        }
+        return { data, source, savedAt: null, failures };
+      }
+
+      if (source === 'cache') {
+        const entry = cache ? await cache.get(remoteUrl) : null;
+        if (!entry) {
+          throw new Error('No cached boundaries');
+        }
+        return { data: checkBoundaries(entry.data), source, savedAt: entry.savedAt, failures };
+      }
+
+      if (source === 'bundled') {
+        const data = await loadSPCSZones(bundledUrl);
+        return { data, source, savedAt: null, failures };
+      }
+
+      throw new Error(`Unknown boundary source: ${source}`);
+    } catch (error) {
+      failures.push({ source, error });
+    }
+  }
+
+  const reasons = failures.map(({ source, error }) => `${source}: ${error.message}`).join('; ');
+  throw new Error(`No zone boundary source succeeded (${reasons || 'no sources configured'})`);
+}
+
+/**
+ * Boundary source settings from build-time environment variables
+ * (VITE_BOUNDARY_SOURCES as a comma-separated list, VITE_BOUNDARY_URL and
+ * VITE_BUNDLED_BOUNDARY_URL), falling back to the defaults
+ * @param {Object} [env={}] - Environment, e.g. import.meta.env
+ * @returns {Object} { sources, remoteUrl, bundledUrl } for loadZoneBoundaries
+ */
+export function boundaryConfig(env = {}) {
+  const sources = env.VITE_BOUNDARY_SOURCES
+    ? env.VITE_BOUNDARY_SOURCES.split(',').map(source => source.trim()).filter(Boolean)
+    : BOUNDARY_SOURCES;
+
+  const unknown = sources.filter(source => !BOUNDARY_SOURCES.includes(source));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown boundary source: ${unknown.join(', ')}`);
+  }
+
+  return {
+    sources,
+    remoteUrl: env.VITE_BOUNDARY_URL || SPCS_ZONES_URL,
+    bundledUrl: env.VITE_BUNDLED_BOUNDARY_URL || BUNDLED_ZONES_URL
+  };
+}
+
+/**
+ * IndexedDB store for fetched boundaries, keyed by source URL
+ * @param {string} [dbName] - Database name
+ * @returns {Object|null} { get(key), set(key, value) } returning promises,
+ *   or null where IndexedDB is unavailable
+ */
+export function createBoundaryCache(dbName = CACHE_DB_NAME) {
+  if (typeof indexedDB === 'undefined') return null;
+
+  let opening = null;
+  const open = () => {
+    opening = opening || new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return opening;
+  };
+
+  const run = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+    const request = action(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+
+  return {
+    get: key => run('readonly', store => store.get(key)).then(value => value ?? null),
+    set: (key, value) => run('readwrite', store => store.put(value, key))
+  };
+}
+
+/**
+ * Check that parsed boundaries hold a features array, as a GeoJSON
+ * FeatureCollection does
+ * @param {Object} data - Parsed GeoJSON
+ * @returns {Object} The same data
+ */
+function checkBoundaries(data) {
+  if (!data || !Array.isArray(data.features)) {
+    throw new Error('Zone boundaries are not a GeoJSON FeatureCollection');
+  }
+  return data;
+}
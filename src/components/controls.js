@@ -1,15 +1,72 @@
-import { loadSPCSZones, processZoneData } from '../math/spcs.js';
-import { createZoneLayer, createZonePopup } from './map.js';
-import { zoomToVisibleZones } from './mapUtils.js';
+import {
+  ZONE_LAYERS,
+  applyDatum,
+  createSpcs2022Boundaries,
+  getBundledZoneIssues,
+  getSPCSZoneParameters,
+  getZoneLayer,
+  listZoneParameters,
+  registerZoneParameters
+} from '../math/spcs.js';
+import { findUnknownBoundaryZones, formatZoneIssue } from '../math/zoneValidation.js';
+import { boundaryConfig, createBoundaryCache, loadZoneBoundaries } from './boundarySources.js';
+import { processZoneData } from './zoneBoundaries.js';
+import { getDatumEllipsoid } from '../math/ellipsoids.js';
+import {
+  createDatumShift,
+  isAsciiGridName,
+  loadDatumShift,
+  parseNadconGrid,
+  positionOnDatum
+} from '../math/datumShift.js';
+import { detectZones } from '../math/zoneDetection.js';
+import { createUtmZoneFeatures } from '../math/utm.js';
+import { createZoneLayer, createPointPopup } from './map.js';
+import { escapeHtml, zoomToVisibleZones } from './mapUtils.js';
+import { initBatchConverter } from './batchConverter.js';
+import { initDistanceTool } from './distanceTool.js';
+import { initAzimuthTool } from './azimuthTool.js';
+import { initZoneImporter } from './zoneImporter.js';
+import { createScaleHeatmap } from './scaleHeatmap.js';
+import { createConvergenceField } from './convergenceField.js';
+import { createGridLines } from './gridLines.js';
+import { initZoneView } from './zoneView.js';
+import { initPointInspector } from './pointInspector.js';
+import { combinedFactor, ellipsoidHeightFromOrthometric, groundToGrid } from '../math/combinedFactor.js';
+import { LEGISLATED_UNIT, convertLength, formatLength, getLinearUnit, resolveDisplayUnit, setDisplayUnit } from '../math/units.js';
 import { visualizeProjection } from '../visualization/projections.js';
 import { orbitToLongitude, orbitToLatLong } from '../visualization/scene.js';
+import { createPointMarker } from '../visualization/markers.js';
+import { createZoneOutline, removeZoneOutline } from '../visualization/zoneOutline.js';
 import * as THREE from 'three';
 
-export function initControls(map, scene, camera, controls) {
+export function initControls(map, scene, camera, controls, ellipsoid) {
   const coordInput = document.getElementById('coord-input');
+  const inputDatum = document.getElementById('input-datum');
+  const shiftGridControls = document.getElementById('shift-grid-controls');
+  const shiftGridInput = document.getElementById('shift-grid-input');
+  const shiftGridStatus = document.getElementById('shift-grid-status');
   const projectBtn = document.getElementById('project-btn');
+  const unitSelect = document.getElementById('unit-select');
+  const datumSelect = document.getElementById('datum-select');
+  const spcs2022Input = document.getElementById('spcs2022-input');
+  const spcs2022Status = document.getElementById('spcs2022-status');
+  const heightType = document.getElementById('height-type');
+  const heightInput = document.getElementById('height-input');
+  const geoidInput = document.getElementById('geoid-input');
+  const groundGridCalculator = document.getElementById('ground-grid-calculator');
+  const groundDistanceLabel = document.getElementById('ground-distance-label');
+  const groundDistanceInput = document.getElementById('ground-distance-input');
+  const groundGridResults = document.getElementById('ground-grid-results');
   const spcsToggle = document.getElementById('spcs-toggle');
+  const boundaryStatus = document.getElementById('boundary-status');
+  const zoneValidation = document.getElementById('zone-validation');
+  const zoneValidationSummary = document.getElementById('zone-validation-summary');
+  const zoneValidationList = document.getElementById('zone-validation-list');
   const toggleAllContainer = document.getElementById('toggle-all-container');
+  const heatmapToggle = document.getElementById('heatmap-toggle');
+  const convergenceToggle = document.getElementById('convergence-toggle');
+  const gridIntervalSelect = document.getElementById('grid-interval');
   
   // Store zone data and layers
   const zoneData = {
@@ -18,48 +75,516 @@ export function initControls(map, scene, camera, controls) {
     visible: new Set()
   };
   
+  // SPCS zone boundaries as loaded, checked for zones without parameter records
+  let spcsBoundaries = { type: 'FeatureCollection', features: [] };
+  // Lists SPCS2022 zones not yet in the zone list, once it is built
+  let listSpcs2022Zones = () => {};
+  
   // Create a projection map to store references to 3D objects by zone index
   // This ensures each zone's 3D visualization can be individually tracked and removed
   // without affecting other zones' visualizations
   const projectionObjects = {};
   
+  // Datum used for zone parameters, computations and the 3D ellipsoid
+  let currentDatum = datumSelect.value;
+  
+  // NAD27 → NAD83 shift grids; the bundled sample is loaded until the user picks a pair
+  let datumShift = null;
+  
+  // Zones detected at the last projected coordinate, highlighted on the map and globe
+  let detectedZones = [];
+  const zoneOutlines = {};
+  
+  // Scale factor heatmaps of the visible zones, while the heatmap switch is on
+  const scaleHeatmap = createScaleHeatmap(map);
+  
+  // Grid convergence arrows of the visible zones, while the convergence switch is on
+  const convergenceField = createConvergenceField(map);
+  
+  // Easting/northing grid lines of the visible zones, unless the grid is off
+  const gridLines = createGridLines(map);
+  
+  // Last projected coordinate and its combined factors, one entry per visible zone
+  let lastProjection = null;
+  let projectedFactors = [];
+  
+  // Batch conversion reads the zones and datum when it runs
+  initBatchConverter(map, {
+    getZones: () => zoneData.zones,
+    getDatum: () => currentDatum
+  });
+  
+  const getVisibleZones = () => Array.from(zoneData.visible)
+    .map(idx => zoneData.zones[idx])
+    .filter(zone => zone.spcsParams);
+  
+  // Distances are compared in the zones visible when the comparison runs
+  initDistanceTool(map, {
+    getActiveZones: getVisibleZones,
+    getDatum: () => currentDatum
+  });
+  
+  // Azimuths are reduced in a zone chosen in the panel, a visible one by default
+  initAzimuthTool(map, {
+    getZones: () => zoneData.zones,
+    getVisibleZones,
+    getDatum: () => currentDatum
+  });
+  
+  // The 2D map can be drawn in the grid of one visible zone
+  const zoneView = initZoneView(map, { getVisibleZones });
+  
+  // Clicking the map inspects the point in every loaded zone containing it
+  initPointInspector(map, { getZones: () => zoneData.zones, getShift: () => datumShift });
+  
+  // Show the geoid separation input only for orthometric heights
+  heightType.addEventListener('change', () => {
+    geoidInput.classList.toggle('d-none', heightType.value !== 'orthometric');
+  });
+  
+  // Reduce the entered ground distance to grid for each zone. The distance is
+  // entered in the display unit; each result is shown in its zone's display unit.
+  function updateGroundToGrid() {
+    const inputUnit = resolveDisplayUnit();
+    groundDistanceLabel.textContent = `Ground distance (${getLinearUnit(inputUnit).abbreviation}):`;
+    
+    const groundDistance = parseFloat(groundDistanceInput.value);
+    
+    if (isNaN(groundDistance)) {
+      groundGridResults.innerHTML = '';
+      return;
+    }
+    
+    groundGridResults.innerHTML = projectedFactors.map(({ zone, factors }) => {
+      const unit = resolveDisplayUnit(zone.spcsParams.fips);
+      const gridDistance = convertLength(groundToGrid(groundDistance, factors.combinedFactor), inputUnit, unit);
+      return `
+        <div><strong>${escapeHtml(zone.name)}:</strong> ${formatLength(gridDistance, unit)} grid
+          (CF ${factors.combinedFactor.toFixed(8)})</div>
+      `;
+    }).join('');
+  }
+  
+  groundDistanceInput.addEventListener('input', updateGroundToGrid);
+  
+  // Compute the combined factors of the last projected coordinate in each visible zone
+  function updateProjectedFactors() {
+    projectedFactors = [];
+    
+    if (lastProjection && lastProjection.ellipsoidHeight !== null) {
+      const { lat, lon, ellipsoidHeight } = lastProjection;
+      Array.from(zoneData.visible).forEach(idx => {
+        const zone = zoneData.zones[idx];
+        if (!zone.spcsParams) return;
+        try {
+          projectedFactors.push({
+            zone,
+            factors: combinedFactor(lat, lon, ellipsoidHeight, zone.spcsParams.fips, zone.datum)
+          });
+        } catch (error) {
+          console.warn(`Error computing combined factor for zone ${zone.name}:`, error);
+        }
+      });
+    }
+    
+    groundGridCalculator.classList.toggle('d-none', projectedFactors.length === 0);
+    updateGroundToGrid();
+  }
+  
+  // Remove a zone's 3D projection surface from the scene
+  // Returns false when the zone had no visualization
+  function removeProjectionObject(idx) {
+    const projection = projectionObjects[idx];
+    if (!projection || !projection.cylinderGroup) return false;
+    
+    scene.remove(projection.cylinderGroup);
+    // Dispose of geometries and materials to prevent memory leaks
+    projection.cylinderGroup.traverse((object) => {
+      if (object instanceof THREE.Mesh || object instanceof THREE.Line) {
+        object.geometry.dispose();
+        object.material.dispose();
+      }
+    });
+    // Remove the reference to avoid memory leaks
+    delete projectionObjects[idx];
+    return true;
+  }
+  
+  // Show or hide a zone's heatmap, convergence arrows and grid lines as the
+  // controls are set; the zone's fill is dropped while its heatmap is shown
+  function setZoneOverlays(idx, visible) {
+    const zone = zoneData.zones[idx];
+    const layer = zoneData.layers[idx];
+    if (visible && heatmapToggle.checked && zone.spcsParams) {
+      scaleHeatmap.show(zone);
+      if (layer) layer.setStyle({ fillOpacity: 0 });
+    } else {
+      scaleHeatmap.hide(zone);
+      if (layer) layer.setStyle({ fillOpacity: 0.2 });
+    }
+    
+    if (visible && convergenceToggle.checked && zone.spcsParams) {
+      convergenceField.show(zone);
+    } else {
+      convergenceField.hide(zone);
+    }
+    
+    if (visible && gridIntervalSelect.value !== 'off' && zone.spcsParams) {
+      gridLines.show(zone);
+    } else {
+      gridLines.hide(zone);
+    }
+  }
+  
+  heatmapToggle.addEventListener('change', () => {
+    zoneData.visible.forEach(idx => setZoneOverlays(idx, true));
+  });
+  
+  convergenceToggle.addEventListener('change', () => {
+    zoneData.visible.forEach(idx => setZoneOverlays(idx, true));
+  });
+  
+  // The interval chosen is the finest drawn; zoomed out, the grid coarsens
+  gridIntervalSelect.addEventListener('change', () => {
+    const interval = Number(gridIntervalSelect.value);
+    gridLines.setMinimumInterval(Number.isFinite(interval) ? interval : 0);
+    zoneData.visible.forEach(idx => setZoneOverlays(idx, true));
+  });
+  
+  // Fixed intervals are in the display unit; with the legislated unit, each
+  // zone draws them in its own unit, so 1,000 is feet in one zone and meters
+  // in another
+  function updateGridIntervalLabels() {
+    const legislated = unitSelect.value === LEGISLATED_UNIT;
+    Array.from(gridIntervalSelect.options).forEach(option => {
+      const interval = Number(option.value);
+      if (!Number.isFinite(interval)) return;
+      option.textContent = `Every ${interval.toLocaleString('en-US')} or more` +
+        (legislated ? ", in each zone's unit" : '');
+    });
+    gridIntervalSelect.title = legislated
+      ? "Finest interval between grid lines, in each zone's legislated unit"
+      : 'Finest interval between grid lines, in the display unit';
+  }
+  updateGridIntervalLabels();
+  
+  // Remove a detected zone's highlight from the map and globe
+  function removeZoneHighlight(idx) {
+    const layer = zoneData.layers[idx];
+    if (layer) layer.setStyle({ color: '#000', weight: 2 });
+    
+    if (zoneOutlines[idx]) {
+      removeZoneOutline(scene, zoneOutlines[idx]);
+      delete zoneOutlines[idx];
+    }
+  }
+  
+  // Remove the highlights of the previously detected zones
+  function clearDetectedZones() {
+    detectedZones.forEach(({ index }) => removeZoneHighlight(index));
+    detectedZones = [];
+  }
+  
+  // Select and highlight the zones containing (or near) a coordinate. Only
+  // SPCS zones are turned on; UTM and imported zones are highlighted if the
+  // user already shows them, and otherwise only listed in the point popup
+  function highlightDetectedZones(lat, lon) {
+    clearDetectedZones();
+    detectedZones = detectZones(zoneData.zones, lat, lon);
+    
+    detectedZones.forEach(({ index, zone, contains }) => {
+      const layer = zoneData.layers[index];
+      if (!layer) return;
+      if (zone.source !== 'SPCS' && !zoneData.visible.has(index)) return;
+      
+      // Add the zone to the selection through its checkbox so the list, map
+      // and 3D view stay in sync
+      const checkbox = document.getElementById(`zone-${index}`);
+      if (checkbox && !checkbox.checked) {
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change'));
+      }
+      
+      const color = contains ? '#ffcc00' : '#ff8833';
+      layer.setStyle({ color, weight: 4 });
+      layer.bringToFront();
+      zoneOutlines[index] = createZoneOutline(
+        scene,
+        zone,
+        ellipsoid ? ellipsoid.ellipsoid : undefined,
+        contains ? 0xffcc00 : 0xff8833
+      );
+    });
+  }
+  
+  // Switch zone parameters, computations and the 3D ellipsoid to another
+  // datum; NAD27 zones need shift grids for NAD83 input
+  datumSelect.addEventListener('change', () => {
+    currentDatum = datumSelect.value;
+    refreshZoneParameters();
+    updateShiftGridControls();
+  });
+  
+  // Look up the parameters of the listed zones for the current datum, and
+  // rebuild the projection surfaces of the visible zones with them
+  function refreshZoneParameters() {
+    applyDatum(zoneData.zones, currentDatum);
+    scaleHeatmap.refresh();
+    convergenceField.refresh();
+    gridLines.refresh();
+    zoneData.visible.forEach(idx => setZoneOverlays(idx, true));
+    zoneView.update();
+    
+    if (ellipsoid) {
+      ellipsoid.setEllipsoid(getDatumEllipsoid(currentDatum));
+    }
+    
+    zoneData.visible.forEach(idx => {
+      removeProjectionObject(idx);
+      try {
+        const projectionObject = visualizeProjection(scene, zoneData.zones[idx]);
+        if (projectionObject) {
+          projectionObjects[idx] = projectionObject;
+        }
+      } catch (error) {
+        console.error(`Error visualizing projection for zone ${zoneData.zones[idx].name}:`, error);
+      }
+    });
+    
+    updateProjectedFactors();
+    showZoneValidation();
+  }
+  
+  // List problems of the zone database: records that fail validation, and
+  // boundaries without a record on the current datum. SPCS2022 replaces the
+  // SPCS83 zones rather than redefining them, so on NATRF2022 none has one
+  function showZoneValidation() {
+    const issues = [
+      ...getBundledZoneIssues(),
+      ...(currentDatum === 'NATRF2022' ? [] : findUnknownBoundaryZones(spcsBoundaries, code => getSPCSZoneParameters(code, currentDatum))
+        .map(issue => ({ datum: currentDatum, ...issue })))
+    ];
+    
+    zoneValidation.classList.toggle('d-none', issues.length === 0);
+    zoneValidationSummary.textContent = `Zone database: ${issues.length} ${issues.length === 1 ? 'problem' : 'problems'}`;
+    zoneValidationList.innerHTML = '';
+    issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.textContent = formatZoneIssue(issue);
+      zoneValidationList.appendChild(item);
+    });
+  }
+  
+  if (getBundledZoneIssues().length > 0) {
+    console.warn('Zone database problems:', getBundledZoneIssues().map(formatZoneIssue));
+  }
+  
+  // Load SPCS2022 zone definitions; zone popups then compare each SPCS83 zone
+  // with the SPCS2022 zones that replace it
+  spcs2022Input.addEventListener('change', () => {
+    const [file] = spcs2022Input.files;
+    if (!file) return;
+    
+    file.text()
+      .then(text => {
+        const catalog = JSON.parse(text);
+        // Accept the database shape ({ NATRF2022: { zones } }) or just the zones
+        const zones = catalog.NATRF2022 ? catalog.NATRF2022.zones : (catalog.zones || catalog);
+        const count = registerZoneParameters('NATRF2022', zones);
+        
+        const layerCounts = Object.keys(ZONE_LAYERS)
+          .map(layer => [layer, listZoneParameters('NATRF2022').filter(zone => getZoneLayer(zone) === layer).length])
+          .filter(([, layerCount]) => layerCount > 0)
+          .map(([layer, layerCount]) => `${ZONE_LAYERS[layer]}: ${layerCount}`);
+        spcs2022Status.textContent = `${file.name}: ${count} zones loaded (${layerCounts.join(', ')})`;
+        listSpcs2022Zones();
+        refreshZoneParameters();
+      })
+      .catch(error => {
+        console.error('Failed to load SPCS2022 zones:', error);
+        spcs2022Status.textContent = `Failed to load SPCS2022 zones: ${error.message}`;
+      });
+  });
+  
+  // Describe the loaded grid pair
+  function showShiftGridStatus(source) {
+    const { latGrid } = datumShift;
+    const latMax = latGrid.latMin + (latGrid.rows - 1) * latGrid.latInterval;
+    const lonMax = latGrid.lonMin + (latGrid.columns - 1) * latGrid.lonInterval;
+    shiftGridStatus.textContent = `${source}: ${latGrid.latMin}° to ${latMax}° N, ` +
+      `${latGrid.lonMin}° to ${lonMax}° E (${latGrid.ident})`;
+  }
+  
+  // NAD27 input, or a NAD83 input projected into NAD27 zones, needs shift
+  // grids; load the bundled sample the first time
+  function updateShiftGridControls() {
+    const needsShift = inputDatum.value === 'NAD27' || currentDatum === 'NAD27';
+    shiftGridControls.classList.toggle('d-none', !needsShift);
+    
+    if (needsShift && !datumShift) {
+      shiftGridStatus.textContent = 'Loading sample grid...';
+      loadDatumShift('/grids/sample.laa', '/grids/sample.loa')
+        .then(shift => {
+          // A user-selected pair may have arrived first
+          if (datumShift) return;
+          datumShift = shift;
+          showShiftGridStatus('Bundled sample grid');
+        })
+        .catch(error => {
+          console.error('Failed to load datum shift grid:', error);
+          shiftGridStatus.textContent = `Failed to load sample grid: ${error.message}`;
+        });
+    }
+  }
+  
+  inputDatum.addEventListener('change', updateShiftGridControls);
+  
+  // Read a latitude/longitude grid pair chosen from local files
+  shiftGridInput.addEventListener('change', () => {
+    const files = Array.from(shiftGridInput.files);
+    const latFile = files.find(file => /\.la[as]$/i.test(file.name));
+    const lonFile = files.find(file => /\.lo[as]$/i.test(file.name));
+    
+    if (!latFile || !lonFile) {
+      shiftGridStatus.textContent = 'Select both a latitude (.las/.laa) and a longitude (.los/.loa) grid';
+      return;
+    }
+    
+    const readGrid = file => (isAsciiGridName(file.name) ? file.text() : file.arrayBuffer())
+      .then(parseNadconGrid);
+    
+    Promise.all([readGrid(latFile), readGrid(lonFile)])
+      .then(([latGrid, lonGrid]) => {
+        datumShift = createDatumShift(latGrid, lonGrid);
+        showShiftGridStatus(`${latFile.name} / ${lonFile.name}`);
+      })
+      .catch(error => {
+        console.error('Failed to read datum shift grid:', error);
+        shiftGridStatus.textContent = `Failed to read grids: ${error.message}`;
+      });
+  });
+  
+  // Popups are built when opened, so they pick up the new unit automatically
+  unitSelect.addEventListener('change', () => {
+    setDisplayUnit(unitSelect.value);
+    updateGroundToGrid();
+    updateGridIntervalLabels();
+    gridLines.refresh();
+    zoneView.update();
+  });
+  
   // Handle coordinate projection
   projectBtn.addEventListener('click', () => {
     const coord = coordInput.value;
-    const [lat, lon] = coord.split(',').map(Number);
+    const [enteredLat, enteredLon] = coord.split(',').map(Number);
     
-    if (isNaN(lat) || isNaN(lon)) {
+    if (isNaN(enteredLat) || isNaN(enteredLon)) {
       alert('Invalid coordinate format! Please use lat,lon');
       return;
     }
     
+    // With shift grids the point is known on both datums; zones use their own
+    let lat;
+    let lon;
+    let shiftDetails;
+    try {
+      ({ lat, lon, shiftDetails } = positionOnDatum(enteredLat, enteredLon, inputDatum.value, currentDatum, datumShift));
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    
+    // Height is optional; an orthometric height also needs the geoid separation
+    let ellipsoidHeight = null;
+    if (heightInput.value.trim() !== '') {
+      const height = parseFloat(heightInput.value);
+      if (isNaN(height)) {
+        alert('Invalid height! Please enter a number in meters');
+        return;
+      }
+      
+      if (heightType.value === 'orthometric') {
+        const geoidSeparation = parseFloat(geoidInput.value);
+        if (isNaN(geoidSeparation)) {
+          alert('Please enter the geoid separation N to convert the orthometric height');
+          return;
+        }
+        ellipsoidHeight = ellipsoidHeightFromOrthometric(height, geoidSeparation);
+      } else {
+        ellipsoidHeight = height;
+      }
+    }
+    
+    // Find and select the zones at the coordinate, then evaluate it in every
+    // zone shown on the map, detected zones first
+    highlightDetectedZones(lat, lon);
+    const matches = detectedZones;
+    const detectedIndices = new Set(matches.map(match => match.index));
+    const visibleZones = [
+      ...matches.map(match => match.zone),
+      ...Array.from(zoneData.visible)
+        .filter(idx => !detectedIndices.has(idx))
+        .map(idx => zoneData.zones[idx])
+    ];
+    
+    // Keep the combined factors for the ground-to-grid calculator
+    lastProjection = { lat, lon, ellipsoidHeight };
+    updateProjectedFactors();
+    
     // Add marker to map
     L.marker([lat, lon])
       .addTo(map)
-      .bindPopup(`GPS: ${lat.toFixed(5)}, ${lon.toFixed(5)}`)
+      .bindPopup(() => createPointPopup(lat, lon, visibleZones, ellipsoidHeight, shiftDetails, matches))
       .openPopup();
     
+    // Draw the shift vector from the NAD27 to the NAD83 position
+    if (shiftDetails) {
+      const { nad27, nad83 } = shiftDetails;
+      L.circleMarker([nad27.lat, nad27.lon], { radius: 4, color: '#ff8833' }).addTo(map);
+      L.polyline([[nad27.lat, nad27.lon], [nad83.lat, nad83.lon]], { color: '#ff8833', weight: 2 }).addTo(map);
+    }
+    
     // Center map on coordinate
     map.flyTo([lat, lon], 10);
     
-    // TODO: Add 3D visualization
+    // Place the point at its geodetic position on the datum ellipsoid
+    createPointMarker(scene, lat, lon, ellipsoidHeight || 0, ellipsoid ? ellipsoid.ellipsoid : undefined);
+    orbitToLatLong(controls, camera, lat, lon);
   });
   
   // Show loading status
   spcsToggle.innerHTML = 'Loading SPCS zones...';
   
-  // Load SPCS zones
-  loadSPCSZones()
+  // Load SPCS zones from the first boundary source that answers. With none,
+  // the generated UTM zones are still listed
+  loadZoneBoundaries({ ...boundaryConfig(import.meta.env), cache: createBoundaryCache() })
+    .then(boundaries => {
+      showBoundaryStatus(boundaries);
+      return boundaries.data;
+    }, error => {
+      console.error('Failed to load SPCS zones:', error);
+      boundaryStatus.className = 'small text-danger mb-2';
+      boundaryStatus.textContent = `${error.message}. Only UTM zones are listed.`;
+      return { type: 'FeatureCollection', features: [] };
+    })
     .then(data => {
       console.log('Loaded SPCS data:', data);
+      spcsBoundaries = data;
+      showZoneValidation();
       
       // Process the zone data
-      zoneData.zones = processZoneData(data);
+      zoneData.zones = processZoneData(data, currentDatum);
       console.log('Processed zones:', zoneData.zones);
       
       // Sort zones by name
       zoneData.zones.sort((a, b) => a.name.localeCompare(b.name));
       
+      // SPCS2022 zones follow, drawn with the outlines of the zones they replace
+      zoneData.zones.push(...processZoneData(createSpcs2022Boundaries(data), currentDatum));
+      
+      // UTM zones follow the SPCS zones in the list, in zone order
+      zoneData.zones.push(...processZoneData(createUtmZoneFeatures(), currentDatum));
+      
       // Create toggle UI
       spcsToggle.innerHTML = '';
       
@@ -89,7 +614,45 @@ export function initControls(map, scene, camera, controls) {
       }
       
       // Add zone checkboxes
-      zoneData.zones.forEach((zone, idx) => {
+      zoneData.zones.forEach(addZoneToggle);
+      
+      // Imported boundaries join the end of the list and are shown at once
+      initZoneImporter(map.getContainer(), {
+        getDatum: () => currentDatum,
+        addZones: features => {
+          const zones = processZoneData(features, currentDatum);
+          zones.forEach(zone => {
+            const idx = zoneData.zones.push(zone) - 1;
+            addZoneToggle(zone, idx);
+            const checkbox = document.getElementById(`zone-${idx}`);
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change'));
+          });
+          return zones;
+        },
+        refreshZones: refreshZoneParameters
+      });
+      
+      // SPCS2022 zones of a loaded catalog join the end of the list
+      listSpcs2022Zones = () => {
+        const listed = new Set(zoneData.zones.filter(zone => zone.source === 'SPCS2022').map(zone => zone.fipsZone));
+        const features = createSpcs2022Boundaries(spcsBoundaries).features
+          .filter(feature => !listed.has(feature.properties.FIPSZONE));
+        processZoneData({ type: 'FeatureCollection', features }, currentDatum).forEach(zone => {
+          addZoneToggle(zone, zoneData.zones.push(zone) - 1);
+        });
+      };
+      
+      // Checkbox, map layer and 3D view of one zone
+      function addZoneToggle(zone, idx) {
+        // Heading where the UTM or imported zones start
+        if (zone.source !== 'SPCS' && (idx === 0 || zoneData.zones[idx - 1].source !== zone.source)) {
+          const heading = document.createElement('h6');
+          heading.className = 'mt-3';
+          heading.textContent = `${zone.source} Zones`;
+          spcsToggle.appendChild(heading);
+        }
+        
         const div = document.createElement('div');
         div.className = 'form-check';
         
@@ -108,9 +671,9 @@ export function initControls(map, scene, camera, controls) {
         spcsToggle.appendChild(div);
         
         try {
-          // Create layer for this zone (but don't add to map yet)
+          // Create layer for this zone (but don't add to map yet); clicks on
+          // it reach the map's point inspector
           const layer = createZoneLayer(zone);
-          layer.bindPopup(() => createZonePopup(zone));
           zoneData.layers[idx] = layer;
           
           // Add toggle event handler
@@ -119,6 +682,7 @@ export function initControls(map, scene, camera, controls) {
               // Add zone to map
               layer.addTo(map);
               zoneData.visible.add(idx);
+              setZoneOverlays(idx, true);
               
               try {
                 // Call the projection visualization function when zone is selected
@@ -203,26 +767,13 @@ export function initControls(map, scene, camera, controls) {
               // Remove zone from map
               map.removeLayer(layer);
               zoneData.visible.delete(idx);
+              setZoneOverlays(idx, false);
+              removeZoneHighlight(idx);
               
               try {
                 // Remove the projection visualization for this specific zone only
                 // using the stored reference from when it was created
-                const projection = projectionObjects[idx];
-                if (projection && projection.cylinderGroup) {
-                  scene.remove(projection.cylinderGroup);
-                  // Dispose of geometries and materials to prevent memory leaks
-                  projection.cylinderGroup.traverse((object) => {
-                    if (object instanceof THREE.Mesh) {
-                      object.geometry.dispose();
-                      object.material.dispose();
-                    } else if (object instanceof THREE.Line) {
-                      object.geometry.dispose();
-                      object.material.dispose();
-                    }
-                  });
-                  // Remove the reference to avoid memory leaks
-                  delete projectionObjects[idx];
-                } else {
+                if (!removeProjectionObject(idx)) {
                   console.warn(`No projection visualization found for zone index: ${idx}`);
                 }
               } catch (error) {
@@ -232,6 +783,7 @@ export function initControls(map, scene, camera, controls) {
             
             // Update "Toggle All" checkbox state
             updateToggleAllState();
+            zoneView.update();
             
             // Zoom to all visible zones
             zoomToVisibleZones(map, zoneData.zones, zoneData.visible);
@@ -241,7 +793,7 @@ export function initControls(map, scene, camera, controls) {
           label.style.color = 'red';
           label.title = 'Error: ' + error.message;
         }
-      });
+      }
       
       // Add "Toggle All" handler
       toggleAllCheckbox.addEventListener('change', (e) => {
@@ -258,24 +810,11 @@ export function initControls(map, scene, camera, controls) {
             // Remove zone from map
             map.removeLayer(zoneData.layers[idx]);
             zoneData.visible.delete(idx);
+            setZoneOverlays(idx, false);
+            removeZoneHighlight(idx);
             
             // Remove projection visualization for this zone
-            const projection = projectionObjects[idx];
-            if (projection && projection.cylinderGroup) {
-              scene.remove(projection.cylinderGroup);
-              // Dispose of geometries and materials to prevent memory leaks
-              projection.cylinderGroup.traverse((object) => {
-                if (object instanceof THREE.Mesh) {
-                  object.geometry.dispose();
-                  object.material.dispose();
-                } else if (object instanceof THREE.Line) {
-                  object.geometry.dispose();
-                  object.material.dispose();
-                }
-              });
-              // Remove the reference
-              delete projectionObjects[idx];
-            }
+            removeProjectionObject(idx);
           }
         });
         
@@ -285,6 +824,7 @@ export function initControls(map, scene, camera, controls) {
         
         // Update the toggle button's disabled state
         updateToggleAllState();
+        zoneView.update();
         
         // Zoom to all visible zones after clearing
         zoomToVisibleZones(map, zoneData.zones, zoneData.visible);
@@ -313,4 +853,17 @@ export function initControls(map, scene, camera, controls) {
       console.error('Failed to load SPCS zones:', error);
       spcsToggle.innerHTML = `<div class="alert alert-danger">Failed to load SPCS zones: ${error.message}</div>`;
     });
+  
+  // Say which boundary source the zone list came from, and why earlier ones were passed over
+  function showBoundaryStatus({ source, savedAt, failures }) {
+    let described = 'online';
+    if (source === 'cache') described = `cached copy from ${new Date(savedAt).toLocaleString()}`;
+    if (source === 'bundled') described = 'copy bundled with the app';
+    const skipped = failures.map(({ source: failed }) => failed === 'remote' ? 'online source' : failed).join(', ');
+    
+    boundaryStatus.className = `small mb-2 ${failures.length > 0 ? 'text-warning' : 'text-muted'}`;
+    boundaryStatus.textContent = `Zone boundaries: ${described}` +
+      (failures.length > 0 ? ` (${skipped} unavailable)` : '');
+    boundaryStatus.title = failures.map(({ source: failed, error }) => `${failed}: ${error.message}`).join('\n');
+  }
 } 
\ No newline at end of file
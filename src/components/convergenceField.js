@@ -0,0 +1,122 @@
+import L from 'leaflet';
+import { gridConvergence } from '../math/spcs.js';
+import { pointInGeometry } from '../math/zoneDetection.js';
+import {
+  CONVERGENCE_ARROW_LENGTHS,
+  arrowLattice,
+  arrowStyle,
+  formatConvergence,
+  zoneConvergenceExtent
+} from '../math/convergenceField.js';
+import { escapeHtml } from './mapUtils.js';
+
+/**
+ * Create the grid convergence arrow overlay. Each zone shown gets a layer of
+ * arrows pointing to grid north across the part of the zone in view, rebuilt
+ * whenever the map is zoomed or panned so the arrows keep their spacing on
+ * screen. Hovering an arrow gives γ at its position.
+ * @param {L.Map} map - Leaflet map
+ * @returns {Object} { show(zone), hide(zone), refresh() }; refresh
+ *   recomputes every arrow after the zones' parameters change
+ */
+export function createConvergenceField(map) {
+  // Arrow layer and largest |γ| in degrees of each zone shown
+  const fields = new Map();
+  
+  // Arrows of one zone at the current view
+  function drawArrows(zone, field) {
+    field.layer.clearLayers();
+    const zoom = map.getZoom();
+    
+    // The view, cut down to the zone's bounding box
+    const view = map.getPixelBounds();
+    const box = L.bounds(map.project(zone.bounds.getNorthWest(), zoom), map.project(zone.bounds.getSouthEast(), zoom));
+    if (!view.intersects(box)) return;
+    const min = L.point(Math.max(view.min.x, box.min.x), Math.max(view.min.y, box.min.y));
+    const max = L.point(Math.min(view.max.x, box.max.x), Math.min(view.max.y, box.max.y));
+    
+    arrowLattice(min, max).forEach(({ x, y }) => {
+      const { lat, lng } = map.unproject([x, y], zoom);
+      if (!pointInGeometry(lat, lng, zone.originalFeature.geometry)) return;
+      
+      let gamma;
+      try {
+        gamma = gridConvergence(lat, lng, zone.spcsParams.fips, zone.datum || 'NAD83');
+      } catch (error) {
+        return;
+      }
+      if (!Number.isFinite(gamma)) return;
+      
+      // True north is straight up on the web map but turned in a zone's grid view
+      const north = map.project([lat + 0.001, lng], zoom).subtract([x, y]);
+      const trueNorth = Math.atan2(north.x, -north.y) * 180 / Math.PI;
+      
+      L.marker([lat, lng], { icon: arrowIcon(gamma, field.extent, trueNorth), keyboard: false })
+        .bindTooltip(`<strong>${escapeHtml(zone.name)}</strong><br>${formatConvergence(gamma)}`, { direction: 'top' })
+        .addTo(field.layer);
+    });
+  }
+  
+  function redraw() {
+    fields.forEach((field, zone) => drawArrows(zone, field));
+  }
+  
+  function show(zone) {
+    if (fields.has(zone) || !zone.spcsParams || !zone.originalFeature) return;
+    if (fields.size === 0) map.on('zoomend moveend', redraw);
+    const field = { layer: L.layerGroup().addTo(map), extent: zoneConvergenceExtent(zone) };
+    fields.set(zone, field);
+    drawArrows(zone, field);
+  }
+  
+  function hide(zone) {
+    const field = fields.get(zone);
+    if (!field) return;
+    map.removeLayer(field.layer);
+    fields.delete(zone);
+    if (fields.size === 0) map.off('zoomend moveend', redraw);
+  }
+  
+  function refresh() {
+    Array.from(fields.entries()).forEach(([zone, field]) => {
+      // A zone may have no parameters on the new datum
+      if (!zone.spcsParams) {
+        hide(zone);
+        return;
+      }
+      field.extent = zoneConvergenceExtent(zone);
+      drawArrows(zone, field);
+    });
+  }
+  
+  return { show, hide, refresh };
+}
+
+/**
+ * Marker icon of one arrow: grid north in the arrow's color, turned by γ from
+ * a gray true north tick
+ * @param {number} gamma - Convergence in degrees
+ * @param {number} extent - Largest |γ| in the zone, in degrees
+ * @param {number} trueNorth - Direction of true north on screen, in degrees
+ *   clockwise from up
+ * @returns {L.DivIcon}
+ */
+function arrowIcon(gamma, extent, trueNorth) {
+  const { length, color } = arrowStyle(gamma, extent);
+  const size = CONVERGENCE_ARROW_LENGTHS.max + 8;
+  const center = size / 2;
+  const [tail, tip] = [center + length / 2, center - length / 2];
+  
+  return L.divIcon({
+    className: 'convergence-arrow',
+    iconSize: [size, size],
+    html: `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+      <line x1="${center}" y1="${tail}" x2="${center}" y2="${tip}" stroke="#999" stroke-width="1" stroke-dasharray="2 2"
+        transform="rotate(${trueNorth} ${center} ${center})"/>
+      <g transform="rotate(${trueNorth + gamma} ${center} ${center})" stroke="${color}" fill="${color}">
+        <line x1="${center}" y1="${tail}" x2="${center}" y2="${tip + 4}" stroke-width="2"/>
+        <path d="M${center} ${tip} l-4 7 h8 z" stroke="none"/>
+      </g>
+    </svg>`
+  });
+}
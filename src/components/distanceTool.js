@@ -0,0 +1,80 @@
+import L from 'leaflet';
+import { geodesicInverse, geodesicPath } from '../math/geodesic.js';
+import { parseLatLon } from '../math/coordinates.js';
+import { compareDistances } from '../math/distanceComparison.js';
+import { convertLength, formatLength, resolveDisplayUnit } from '../math/units.js';
+import { escapeHtml } from './mapUtils.js';
+
+/**
+ * Set up the compare-distances panel. The geodesic between two points is
+ * compared with the grid and ground distances in each visible zone.
+ * @param {L.Map} map - Leaflet map the geodesic is drawn on
+ * @param {Object} sources - { getActiveZones, getDatum } returning the
+ *   visible zones and the selected datum when the comparison runs
+ */
+export function initDistanceTool(map, { getActiveZones, getDatum }) {
+  const fromInput = document.getElementById('distance-from-input');
+  const toInput = document.getElementById('distance-to-input');
+  const heightInput = document.getElementById('distance-height-input');
+  const compareBtn = document.getElementById('distance-compare-btn');
+  const results = document.getElementById('distance-results');
+  
+  // The last compared line, drawn on the map
+  let line = null;
+  
+  compareBtn.addEventListener('click', () => {
+    const from = parseLatLon(fromInput.value);
+    const to = parseLatLon(toInput.value);
+    if (!from || !to) {
+      results.textContent = 'Enter both points as lat,lon';
+      return;
+    }
+    
+    const height = heightInput.value.trim() === '' ? 0 : parseFloat(heightInput.value);
+    if (isNaN(height)) {
+      results.textContent = 'Invalid ellipsoid height';
+      return;
+    }
+    
+    const datum = getDatum();
+    const geodesic = geodesicInverse(...from, ...to, datum);
+    const unit = resolveDisplayUnit();
+    
+    const rows = getActiveZones().map(zone => {
+      const zoneUnit = resolveDisplayUnit(zone.spcsParams.fips, datum);
+      try {
+        const comparison = compareDistances(...from, ...to, zone.spcsParams.fips, { datum, ellipsoidHeight: height });
+        return `
+          <tr>
+            <td>${escapeHtml(zone.name)}</td>
+            <td>${formatLength(convertLength(comparison.grid, 'meters', zoneUnit), zoneUnit)}</td>
+            <td>${formatLength(convertLength(comparison.ground, 'meters', zoneUnit), zoneUnit)}</td>
+            <td>${comparison.combinedFactor.toFixed(8)}</td>
+          </tr>
+        `;
+      } catch (error) {
+        console.warn(`Error comparing distances in zone ${zone.name}:`, error);
+        return `<tr><td>${escapeHtml(zone.name)}</td><td colspan="3">${escapeHtml(error.message)}</td></tr>`;
+      }
+    });
+    
+    results.innerHTML = `
+      <div><strong>Geodesic (${datum} ellipsoid):</strong>
+        ${formatLength(convertLength(geodesic.distance, 'meters', unit), unit)}</div>
+      <div><strong>Azimuth:</strong> ${geodesic.azimuth1.toFixed(6)}°
+        (back ${geodesic.backAzimuth.toFixed(6)}°)</div>
+      ${rows.length === 0
+        ? '<div class="text-muted">Show a zone to compare its grid and ground distances</div>'
+        : `<table class="table table-sm small mb-0">
+            <thead><tr><th>Zone</th><th>Grid</th><th>Ground</th><th>CF</th></tr></thead>
+            <tbody>${rows.join('')}</tbody>
+          </table>`}
+    `;
+    
+    if (line) map.removeLayer(line);
+    line = L.polyline(geodesicPath(...from, ...to, 64, datum), { color: '#cc3366', weight: 3 })
+      .bindTooltip(formatLength(convertLength(geodesic.distance, 'meters', unit), unit))
+      .addTo(map);
+    map.fitBounds(line.getBounds(), { padding: [50, 50], maxZoom: 14 });
+  });
+}
@@ -0,0 +1,124 @@
+import L from 'leaflet';
+import { convertLength, resolveDisplayUnit } from '../math/units.js';
+import {
+  formatGridValue,
+  gridInterval,
+  gridLinePath,
+  gridLines,
+  projectRings
+} from '../math/gridLines.js';
+
+// Points along each side of the view when it is projected onto a zone's grid
+const VIEW_EDGE_POINTS = 8;
+
+/**
+ * Create the easting/northing grid overlay. Each zone shown gets lines of
+ * constant easting and northing in the display unit, cut to the zone boundary
+ * and the view and labeled with their values where they enter the view. The
+ * lines are rebuilt whenever the map is zoomed or panned, at an interval wide
+ * enough to keep them apart on screen.
+ * @param {L.Map} map - Leaflet map
+ * @returns {Object} { show(zone), hide(zone), refresh(), setMinimumInterval(interval) };
+ *   refresh redraws every grid after the zones' parameters or the display
+ *   unit change, and the minimum interval (0 for none) is in the display unit,
+ *   or in each zone's own unit when the display unit is the legislated one
+ */
+export function createGridLines(map) {
+  // Line layer, grid unit and projected boundary of each zone shown
+  const grids = new Map();
+  let minimumInterval = 0;
+  
+  // Ground length of a pixel at the center of the view, in meters
+  function metersPerPixel() {
+    const center = map.getSize().divideBy(2);
+    return map.distance(map.containerPointToLatLng(center), map.containerPointToLatLng(center.add([100, 0]))) / 100;
+  }
+  
+  // Lines of one zone at the current view
+  function drawLines(zone, grid) {
+    grid.layer.clearLayers();
+    
+    // The view, cut down to the zone's bounding box, as a ring on the grid
+    const view = map.getBounds();
+    if (!view.intersects(zone.bounds)) return;
+    const south = Math.max(view.getSouth(), zone.bounds.getSouth());
+    const north = Math.min(view.getNorth(), zone.bounds.getNorth());
+    const west = Math.max(view.getWest(), zone.bounds.getWest());
+    const east = Math.min(view.getEast(), zone.bounds.getEast());
+    const edge = (from, to) => Array.from({ length: VIEW_EDGE_POINTS }, (_, i) => [
+      from[0] + (to[0] - from[0]) * i / VIEW_EDGE_POINTS,
+      from[1] + (to[1] - from[1]) * i / VIEW_EDGE_POINTS
+    ]);
+    const corners = [[west, south], [east, south], [east, north], [west, north]];
+    const ring = corners.flatMap((corner, i) => edge(corner, corners[(i + 1) % 4]));
+    const clipRings = projectRings({ type: 'Polygon', coordinates: [ring] }, zone, grid.unit);
+    
+    // A map with no size yet has no scale to fit the interval to
+    const unitsPerPixel = convertLength(metersPerPixel(), 'meters', grid.unit);
+    if (!(unitsPerPixel > 0)) return;
+    const interval = gridInterval(unitsPerPixel, minimumInterval);
+    gridLines(grid.rings, interval, clipRings).forEach(line => {
+      line.segments.forEach(segment => {
+        const path = gridLinePath(zone, grid.unit, line, segment, interval);
+        L.polyline(path, { color: '#555', weight: 1, opacity: 0.8, interactive: false }).addTo(grid.layer);
+        
+        // Easting labels sit at the south end of their line, northing labels at the west end
+        L.marker(path[0], {
+          icon: L.divIcon({
+            className: `grid-line-label grid-line-label-${line.axis}`,
+            html: `<span>${formatGridValue(line, grid.unit)}</span>`,
+            iconSize: null
+          }),
+          interactive: false,
+          keyboard: false
+        }).addTo(grid.layer);
+      });
+    });
+  }
+  
+  // Project a zone's boundary onto its grid in the display unit
+  function prepare(zone, grid) {
+    grid.unit = resolveDisplayUnit(zone.spcsParams.fips, zone.datum || 'NAD83');
+    grid.rings = projectRings(zone.originalFeature.geometry, zone, grid.unit);
+  }
+  
+  function redraw() {
+    grids.forEach((grid, zone) => drawLines(zone, grid));
+  }
+  
+  function show(zone) {
+    if (grids.has(zone) || !zone.spcsParams || !zone.originalFeature) return;
+    if (grids.size === 0) map.on('zoomend moveend', redraw);
+    const grid = { layer: L.layerGroup().addTo(map) };
+    prepare(zone, grid);
+    grids.set(zone, grid);
+    drawLines(zone, grid);
+  }
+  
+  function hide(zone) {
+    const grid = grids.get(zone);
+    if (!grid) return;
+    map.removeLayer(grid.layer);
+    grids.delete(zone);
+    if (grids.size === 0) map.off('zoomend moveend', redraw);
+  }
+  
+  function refresh() {
+    Array.from(grids.entries()).forEach(([zone, grid]) => {
+      // A zone may have no parameters on the new datum
+      if (!zone.spcsParams) {
+        hide(zone);
+        return;
+      }
+      prepare(zone, grid);
+      drawLines(zone, grid);
+    });
+  }
+  
+  function setMinimumInterval(interval) {
+    minimumInterval = interval;
+    redraw();
+  }
+  
+  return { show, hide, refresh, setMinimumInterval };
+}
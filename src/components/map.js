@@ -1,4 +1,18 @@
-import { formatDDMMSS } from '../math/spcs.js';
+import {
+  ZONE_LAYERS,
+  formatDDMMSS,
+  getSkewAzimuth,
+  getSuccessorZones,
+  getZoneLayer,
+  toGrid,
+  pointScaleFactor,
+  gridConvergence
+} from '../math/spcs.js';
+import { compareZoneDistortion } from '../math/zoneComparison.js';
+import { elevationFactor } from '../math/combinedFactor.js';
+import { shiftVector } from '../math/datumShift.js';
+import { convertLength, formatLength, getLegislatedUnit, getLinearUnit, resolveDisplayUnit } from '../math/units.js';
+import { escapeHtml } from './mapUtils.js';
 
 export function initMap(containerId) {
   // Initialize map centered on the US
@@ -68,39 +82,271 @@ export function createZoneLayer(zone) {
   });
 }
 
-// Create popup content for an SPCS zone
-export function createZonePopup(zone) {
+/**
+ * Create HTML describing a geodetic position in an SPCS zone: its grid
+ * coordinates, point scale factor k and grid convergence γ. When an
+ * ellipsoid height is given the elevation and combined factors are added.
+ * @param {Object} zone - Processed SPCS zone (must carry spcsParams)
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number|null} [ellipsoidHeight=null] - Ellipsoid height h in meters
+ * @returns {string} HTML fragment
+ */
+export function createPointDetails(zone, lat, lon, ellipsoidHeight = null) {
+  if (!zone.spcsParams) {
+    return `<p class="text-muted">No ${zone.datum || 'NAD83'} projection parameters available for ${escapeHtml(zone.name || 'this zone')}</p>`;
+  }
+  
+  try {
+    const fips = zone.spcsParams.fips;
+    const datum = zone.datum || 'NAD83';
+    const grid = toGrid(lat, lon, fips, datum);
+    const k = pointScaleFactor(lat, lon, fips, datum);
+    const gamma = gridConvergence(lat, lon, fips, datum);
+    const unit = resolveDisplayUnit(fips, datum);
+    
+    let details = `
+      <p><strong>Easting:</strong> ${formatLength(convertLength(grid.easting, grid.units, unit), unit)}</p>
+      <p><strong>Northing:</strong> ${formatLength(convertLength(grid.northing, grid.units, unit), unit)}</p>
+      <p><strong>Scale Factor (k):</strong> ${k.toFixed(8)} (${((k - 1) * 1e6).toFixed(1)} ppm)</p>
+      <p><strong>Convergence (γ):</strong> ${gamma.toFixed(6)}°</p>
+    `;
+    
+    if (ellipsoidHeight !== null) {
+      const ef = elevationFactor(lat, ellipsoidHeight, datum);
+      const cf = k * ef;
+      details += `
+        <p><strong>Ellipsoid Height (h):</strong> ${formatLength(convertLength(ellipsoidHeight, 'meters', unit), unit)}</p>
+        <p><strong>Elevation Factor:</strong> ${ef.toFixed(8)}</p>
+        <p><strong>Combined Factor:</strong> ${cf.toFixed(8)} (${((cf - 1) * 1e6).toFixed(1)} ppm)</p>
+      `;
+    }
+    
+    return details;
+  } catch (error) {
+    console.warn(`Error computing grid values for zone ${zone.name}:`, error);
+    return `<p class="text-danger">Unable to compute grid values: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Create HTML describing a NAD27 → NAD83 datum shift: both positions, the
+ * shift in arc seconds and as a ground vector
+ * @param {Object} datumShift - { nad27: {lat, lon}, nad83: {lat, lon}, latShift, lonShift }
+ *   with shifts in arc seconds, north/east positive
+ * @returns {string} HTML fragment
+ */
+export function createShiftDetails({ nad27, nad83, latShift, lonShift }) {
+  const vector = shiftVector(nad27.lat, latShift, lonShift);
+  const unit = resolveDisplayUnit();
+  const length = meters => formatLength(convertLength(meters, 'meters', unit), unit);
+  
+  return `
+    <p><strong>NAD27:</strong> ${nad27.lat.toFixed(8)}, ${nad27.lon.toFixed(8)}</p>
+    <p><strong>NAD83:</strong> ${nad83.lat.toFixed(8)}, ${nad83.lon.toFixed(8)}</p>
+    <p><strong>Shift:</strong> Δφ ${latShift.toFixed(5)}″, Δλ ${lonShift.toFixed(5)}″</p>
+    <p><strong>Shift Vector:</strong> ${length(vector.north)} N, ${length(vector.east)} E
+      (${length(vector.distance)} at ${vector.azimuth.toFixed(2)}°)</p>
+  `;
+}
+
+/**
+ * Create HTML comparing an SPCS83 zone's distortion at a point with each
+ * SPCS2022 zone that replaces it
+ * @param {Object} zone - Processed SPCS zone on NAD83
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @returns {string} HTML fragment, empty when no SPCS2022 zones are loaded for the zone
+ */
+export function createDistortionComparison(zone, lat, lon) {
+  if (!zone.spcsParams || zone.datum !== 'NAD83') return '';
+  
+  const fips = zone.spcsParams.fips;
+  const successors = getSuccessorZones(fips);
+  if (successors.length === 0) return '';
+  
+  const ppm = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} ppm`;
+  const rows = successors.map(successor => {
+    try {
+      const { zone: current, predecessor, reduction } = compareZoneDistortion(lat, lon, successor.fips, fips);
+      return `
+        <p><strong>${escapeHtml(successor.name)}</strong> (${ZONE_LAYERS[getZoneLayer(successor)]}):
+          ${ppm(current.distortion)} vs ${ppm(predecessor.distortion)},
+          ${Math.abs(reduction).toFixed(1)} ppm ${reduction >= 0 ? 'less' : 'more'}</p>
+      `;
+    } catch (error) {
+      console.warn(`Error comparing zone ${successor.name}:`, error);
+      return `<p class="text-danger">${escapeHtml(successor.name)}: ${escapeHtml(error.message)}</p>`;
+    }
+  });
+  
+  return `
+    <div class="spcs-params">
+      <h5>SPCS2022 vs SPCS83</h5>
+      ${rows.join('')}
+    </div>
+  `;
+}
+
+/**
+ * Create a table of a point's grid coordinates in SPCS and UTM zones side by
+ * side, so field crews switching between the two can compare them at a glance
+ * @param {Array} zones - Processed zones to evaluate the point in
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @returns {string} HTML table, empty unless the zones include both sources
+ */
+export function createCoordinateComparison(zones, lat, lon) {
+  const sources = new Set(zones.map(zone => zone.source));
+  if (!sources.has('SPCS') || !sources.has('UTM')) return '';
+  
+  const rows = zones.filter(zone => zone.spcsParams).map(zone => {
+    try {
+      const fips = zone.spcsParams.fips;
+      const datum = zone.datum || 'NAD83';
+      const grid = toGrid(lat, lon, fips, datum);
+      const unit = resolveDisplayUnit(fips, datum);
+      const length = value => formatLength(convertLength(value, grid.units, unit), unit);
+      return `
+        <tr>
+          <td>${escapeHtml(zone.name)}</td>
+          <td>${length(grid.easting)}</td>
+          <td>${length(grid.northing)}</td>
+          <td>${pointScaleFactor(lat, lon, fips, datum).toFixed(8)}</td>
+        </tr>
+      `;
+    } catch (error) {
+      console.warn(`Error computing grid values for zone ${zone.name}:`, error);
+      return `<tr><td>${escapeHtml(zone.name)}</td><td colspan="3" class="text-danger">${escapeHtml(error.message)}</td></tr>`;
+    }
+  });
+  
+  return `
+    <div class="spcs-params">
+      <h5>SPCS and UTM</h5>
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Zone</th><th>Easting</th><th>Northing</th><th>k</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Describe how a detected zone relates to a point
+ * @param {Object} match - Match from detectZones
+ * @returns {string} HTML fragment
+ */
+export function createDetectionLabel(match) {
+  if (match.contains) {
+    return '<span class="badge bg-success">contains point</span>';
+  }
+  
+  const unit = resolveDisplayUnit();
+  const distance = formatLength(convertLength(match.distance, 'meters', unit), unit, 0);
+  return `<span class="badge bg-warning text-dark">${distance} outside boundary</span>`;
+}
+
+/**
+ * Create popup content for a projected coordinate, listing its grid values
+ * in each of the given zones
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Array} zones - Processed SPCS zones to evaluate the point in
+ * @param {number|null} [ellipsoidHeight=null] - Ellipsoid height h in meters
+ * @param {Object|null} [datumShift=null] - NAD27 → NAD83 shift of the point,
+ *   as { nad27, nad83, latShift, lonShift } (see createShiftDetails)
+ * @param {Array} [matches=[]] - Zones found by detectZones; matching zones
+ *   are labelled as containing the point or near its boundary
+ * @returns {string} HTML content
+ */
+export function createPointPopup(lat, lon, zones = [], ellipsoidHeight = null, datumShift = null, matches = []) {
+  let content = `
+    <div class="zone-popup">
+      <h4>GPS: ${lat.toFixed(5)}, ${lon.toFixed(5)}</h4>
+  `;
+  
+  if (datumShift) {
+    content += `
+      <div class="spcs-params">
+        <h5>NAD27 → NAD83</h5>
+        ${createShiftDetails(datumShift)}
+      </div>
+    `;
+  }
+  
+  if (zones.length === 0) {
+    content += '<p class="text-muted">Select an SPCS zone to see grid coordinates, scale factor and convergence.</p>';
+  }
+  
+  content += createCoordinateComparison(zones, lat, lon);
+  
+  if (zones.length > 0 && matches.length === 0) {
+    content += '<p class="text-muted">The point is not within any loaded zone boundary.</p>';
+  }
+  
+  zones.forEach(zone => {
+    const match = matches.find(m => m.zone === zone);
+    content += `
+      <div class="spcs-params">
+        <h5>${escapeHtml(zone.name)} ${match ? createDetectionLabel(match) : ''}</h5>
+        ${createPointDetails(zone, lat, lon, ellipsoidHeight)}
+      </div>
+    `;
+  });
+  
+  content += '</div>';
+  return content;
+}
+
+// Central scale factor of a zone record: SPCS83 and SPCS27 zones define it as
+// 1 - 1/denominator, SPCS2022 zones as a decimal that may exceed 1
+function createScaleFactorLine(params) {
+  if (params.scaleFactorDenominator) {
+    const scaleFactor = 1 - (1 / params.scaleFactorDenominator);
+    return `<p><strong>Scale Factor:</strong> ${scaleFactor.toFixed(6)} (1 - 1/${escapeHtml(params.scaleFactorDenominator)})</p>`;
+  }
+  
+  if (typeof params.scaleFactor === 'number') {
+    return `<p><strong>Scale Factor:</strong> ${params.scaleFactor}</p>`;
+  }
+  return '';
+}
+
+// Create popup content for an SPCS zone, optionally with values at a clicked point
+export function createZonePopup(zone, latlng = null) {
   // Format the zone information as HTML
   let content = `
     <div class="zone-popup">
-      <h4>${zone.name || 'Unnamed Zone'}</h4>
+      <h4>${escapeHtml(zone.name || 'Unnamed Zone')}</h4>
   `;
   
   // Basic zone information
   if (zone.zoneCode) {
-    content += `<p><strong>Zone Code:</strong> ${zone.zoneCode}</p>`;
+    content += `<p><strong>Zone Code:</strong> ${escapeHtml(zone.zoneCode)}</p>`;
   }
   
   if (zone.fipsZone) {
-    content += `<p><strong>FIPS Zone:</strong> ${zone.fipsZone}</p>`;
+    content += `<p><strong>FIPS Zone:</strong> ${escapeHtml(zone.fipsZone)}</p>`;
   }
   
   if (zone.objectId) {
-    content += `<p><strong>Object ID:</strong> ${zone.objectId}</p>`;
+    content += `<p><strong>Object ID:</strong> ${escapeHtml(zone.objectId)}</p>`;
   }
   
   if (zone.squareMiles) {
-    content += `<p><strong>Area:</strong> ${zone.squareMiles.toLocaleString()} sq. miles</p>`;
+    content += `<p><strong>Area:</strong> ${escapeHtml(zone.squareMiles.toLocaleString())} sq. miles</p>`;
   }
   
   // Check if we have SPCS parameters from our database
   if (zone.spcsParams) {
     const params = zone.spcsParams;
+    const datum = zone.datum || 'NAD83';
     
     // Add a header for the parameters section
     content += `
       <div class="spcs-params">
-        <h5>SPCS Zone Parameters (NAD83)</h5>
+        <h5>SPCS Zone Parameters (${datum})</h5>
     `;
     
     // Add projection type
@@ -111,7 +357,7 @@ export function createZonePopup(zone) {
         params.projectionType === 'OM' ? 'Oblique Mercator' :
         params.projectionType;
       
-      content += `<p><strong>Projection:</strong> ${projectionName}</p>`;
+      content += `<p><strong>Projection:</strong> ${escapeHtml(projectionName)}</p>`;
     }
     
     // Add parameters based on projection type
@@ -119,57 +365,88 @@ export function createZonePopup(zone) {
       if (params.projectionType === 'TM') {
         // Transverse Mercator parameters
         if (params.params.centralMeridian) {
-          content += `<p><strong>Central Meridian:</strong> ${formatDDMMSS(params.params.centralMeridian)}</p>`;
+          content += `<p><strong>Central Meridian:</strong> ${escapeHtml(formatDDMMSS(params.params.centralMeridian))}</p>`;
         }
         
         if (params.params.latitudeOfOrigin) {
-          content += `<p><strong>Latitude of Origin:</strong> ${formatDDMMSS(params.params.latitudeOfOrigin)}</p>`;
+          content += `<p><strong>Latitude of Origin:</strong> ${escapeHtml(formatDDMMSS(params.params.latitudeOfOrigin))}</p>`;
         }
         
-        if (params.params.scaleFactorDenominator) {
-          const scaleFactor = 1 - (1 / params.params.scaleFactorDenominator);
-          content += `<p><strong>Scale Factor:</strong> ${scaleFactor.toFixed(6)} (1 - 1/${params.params.scaleFactorDenominator})</p>`;
-        }
+        content += createScaleFactorLine(params.params);
       } else if (params.projectionType === 'LCC') {
         // Lambert Conformal Conic parameters
         if (params.params.longitudeOfOrigin) {
-          content += `<p><strong>Longitude of Origin:</strong> ${formatDDMMSS(params.params.longitudeOfOrigin)}</p>`;
+          content += `<p><strong>Longitude of Origin:</strong> ${escapeHtml(formatDDMMSS(params.params.longitudeOfOrigin))}</p>`;
         }
         
         if (params.params.latitudeOfOrigin) {
-          content += `<p><strong>Latitude of Origin:</strong> ${formatDDMMSS(params.params.latitudeOfOrigin)}</p>`;
+          content += `<p><strong>Latitude of Origin:</strong> ${escapeHtml(formatDDMMSS(params.params.latitudeOfOrigin))}</p>`;
         }
         
         if (params.params.standardParallel1) {
-          content += `<p><strong>Standard Parallel 1:</strong> ${formatDDMMSS(params.params.standardParallel1)}</p>`;
+          content += `<p><strong>Standard Parallel 1:</strong> ${escapeHtml(formatDDMMSS(params.params.standardParallel1))}</p>`;
         }
         
         if (params.params.standardParallel2) {
-          content += `<p><strong>Standard Parallel 2:</strong> ${formatDDMMSS(params.params.standardParallel2)}</p>`;
+          content += `<p><strong>Standard Parallel 2:</strong> ${escapeHtml(formatDDMMSS(params.params.standardParallel2))}</p>`;
         }
         
-        if (params.params.scaleFactorDenominator) {
-          const scaleFactor = 1 - (1 / params.params.scaleFactorDenominator);
-          content += `<p><strong>Scale Factor:</strong> ${scaleFactor.toFixed(6)} (1 - 1/${params.params.scaleFactorDenominator})</p>`;
+        if (params.params.ellipsoidScaleFactor) {
+          content += `<p><strong>Ellipsoid Scale Factor:</strong> ${escapeHtml(params.params.ellipsoidScaleFactor)}</p>`;
         }
+        
+        content += createScaleFactorLine(params.params);
       } else if (params.projectionType === 'OM') {
-        // Oblique Mercator parameters
-        content += `<p><strong>Note:</strong> Special projection used for Alaska Zone 1</p>`;
+        // Hotine Oblique Mercator parameters
+        if (params.params.centralMeridian) {
+          content += `<p><strong>Longitude of Center:</strong> ${escapeHtml(formatDDMMSS(params.params.centralMeridian))}</p>`;
+        }
+        
+        if (params.params.latitudeOfOrigin) {
+          content += `<p><strong>Latitude of Center:</strong> ${escapeHtml(formatDDMMSS(params.params.latitudeOfOrigin))}</p>`;
+        }
+        
+        const skewAzimuth = getSkewAzimuth(params.params);
+        if (skewAzimuth !== null) {
+          content += `<p><strong>Skew Azimuth:</strong> ${skewAzimuth.toFixed(6)}° (tan⁻¹ ${escapeHtml(params.params.skewAzimuthTangent)})</p>`;
+        }
+        
+        content += createScaleFactorLine(params.params);
       }
       
-      // Common parameters for all projections
+      // Common parameters for all projections, shown in the display unit
+      const unit = resolveDisplayUnit(params.fips, datum);
+      
       if (params.params.falseEasting) {
-        content += `<p><strong>False Easting:</strong> ${params.params.falseEasting.toLocaleString()} ${params.params.units}</p>`;
+        const falseEasting = convertLength(params.params.falseEasting, params.params.units, unit);
+        content += `<p><strong>False Easting:</strong> ${formatLength(falseEasting, unit)}</p>`;
       }
       
       if (params.params.falseNorthing) {
-        content += `<p><strong>False Northing:</strong> ${params.params.falseNorthing.toLocaleString()} ${params.params.units}</p>`;
+        const falseNorthing = convertLength(params.params.falseNorthing, params.params.units, unit);
+        content += `<p><strong>False Northing:</strong> ${formatLength(falseNorthing, unit)}</p>`;
       }
+      
+      content += `<p><strong>Legislated Unit:</strong> ${getLinearUnit(getLegislatedUnit(params.fips, datum)).name}</p>`;
     }
     
     content += '</div>';
+    
+    // Point values at the clicked location
+    if (latlng) {
+      content += `
+        <div class="spcs-params">
+          <h5>At ${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}</h5>
+          ${createPointDetails(zone, latlng.lat, latlng.lng)}
+        </div>
+        ${createDistortionComparison(zone, latlng.lat, latlng.lng)}
+      `;
+    }
   } else {
     // Fall back to the original parameters if database parameters are not available
+    if (zone.datum && zone.datum !== 'NAD83') {
+      content += `<p class="text-muted">This boundary has no ${zone.datum} zone; showing the boundary dataset's parameters.</p>`;
+    }
     
     // Add projection information if available
     if (zone.projection) {
@@ -192,11 +469,11 @@ export function createZonePopup(zone) {
     }
     
     if (zone.falseEasting !== undefined) {
-      content += `<p><strong>False Easting:</strong> ${zone.falseEasting.toLocaleString()} meters</p>`;
+      content += `<p><strong>False Easting:</strong> ${escapeHtml(zone.falseEasting.toLocaleString())} meters</p>`;
     }
     
     if (zone.falseNorthing !== undefined) {
-      content += `<p><strong>False Northing:</strong> ${zone.falseNorthing.toLocaleString()} meters</p>`;
+      content += `<p><strong>False Northing:</strong> ${escapeHtml(zone.falseNorthing.toLocaleString())} meters</p>`;
     }
     
     if (zone.standardParallel1 !== undefined) {
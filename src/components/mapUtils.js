@@ -53,4 +53,16 @@ export function zoomToVisibleZones(map, zones, visibleIndices) {
       animate: true      // Animate the transition
     });
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Escapes text for use in HTML built as a string. Zone names, codes and
+ * parameters may come from files the user imports, so they must not be
+ * interpreted as markup.
+ * @param {*} text - Text to escape; other values are converted to strings
+ * @returns {string} Text with &, <, >, " and ' replaced by entities
+ */
+export function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
\ No newline at end of file
@@ -0,0 +1,143 @@
+import L from 'leaflet';
+import { formatDMS, normalizeLongitude } from '../math/coordinates.js';
+import { inspectPoint } from '../math/pointInspection.js';
+import { formatLength } from '../math/units.js';
+import { createZonePopup } from './map.js';
+import { escapeHtml } from './mapUtils.js';
+
+// How long a copy button shows the outcome of a copy, in milliseconds
+const COPY_FEEDBACK_MS = 1500;
+
+// Table row of a value and a button copying it
+function valueRow(label, text, copy) {
+  return `
+    <tr>
+      <th scope="row">${label}</th>
+      <td>${text}</td>
+      <td><button type="button" class="btn btn-sm btn-outline-secondary point-inspector-copy" data-copy="${copy}" title="Copy ${label.toLowerCase()}">Copy</button></td>
+    </tr>
+  `;
+}
+
+// Angle in degrees, minutes and seconds with its hemisphere
+function formatHemisphere(angle, positive, negative) {
+  return `${formatDMS(angle, 4)} ${angle < 0 ? negative : positive}`;
+}
+
+// Grid values of the point in one zone, or why there are none
+function zoneSection(result) {
+  const { index, zone } = result;
+  const datum = zone.datum || 'NAD83';
+  const title = zone.spcsParams ? `${zone.name} (${zone.spcsParams.fips}, ${datum})` : zone.name;
+  
+  let rows = `<p class="text-muted">${escapeHtml(result.error)}</p>`;
+  if (!result.error) {
+    const { unit, easting, northing, scaleFactor, convergence } = result;
+    rows = `
+      <table class="table table-sm point-inspector-values">
+        <tbody>
+          ${valueRow('Easting', formatLength(easting, unit), easting.toFixed(3))}
+          ${valueRow('Northing', formatLength(northing, unit), northing.toFixed(3))}
+          ${valueRow('Scale factor (k)', `${scaleFactor.toFixed(8)} (${((scaleFactor - 1) * 1e6).toFixed(1)} ppm)`, scaleFactor.toFixed(8))}
+          ${valueRow('Convergence (γ)', `${convergence.toFixed(6)}°`, convergence.toFixed(6))}
+        </tbody>
+      </table>
+    `;
+  }
+  
+  return `
+    <div class="spcs-params">
+      <h5>${escapeHtml(title)}</h5>
+      ${rows}
+      <button type="button" class="btn btn-sm btn-link p-0" data-zone="${index}">Zone parameters</button>
+    </div>
+  `;
+}
+
+/**
+ * Build the inspector's content for a point
+ * @param {Array} zones - Processed zones from processZoneData
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object|null} [shift=null] - Datum shift for NAD27 zones
+ * @returns {HTMLElement} Popup content; its buttons are wired by initPointInspector
+ */
+export function createPointInspector(zones, lat, lon, shift = null) {
+  const results = inspectPoint(zones, lat, lon, shift);
+  
+  let zoneContent = results.map(zoneSection).join('');
+  if (zones.length === 0) {
+    zoneContent = '<p class="text-muted">Load the SPCS zones to see grid coordinates, scale factor and convergence.</p>';
+  } else if (results.length === 0) {
+    zoneContent = '<p class="text-muted">The point is not within any loaded zone boundary.</p>';
+  }
+  
+  const element = document.createElement('div');
+  element.className = 'zone-popup point-inspector';
+  element.innerHTML = `
+    <h4>${lat.toFixed(5)}, ${lon.toFixed(5)}</h4>
+    <table class="table table-sm point-inspector-values">
+      <tbody>
+        ${valueRow('Latitude', `${lat.toFixed(7)}°`, lat.toFixed(7))}
+        ${valueRow('Longitude', `${lon.toFixed(7)}°`, lon.toFixed(7))}
+        ${valueRow('Latitude (DMS)', formatHemisphere(lat, 'N', 'S'), formatHemisphere(lat, 'N', 'S'))}
+        ${valueRow('Longitude (DMS)', formatHemisphere(lon, 'E', 'W'), formatHemisphere(lon, 'E', 'W'))}
+      </tbody>
+    </table>
+    ${zoneContent}
+  `;
+  return element;
+}
+
+/**
+ * Set up the point inspector: clicking anywhere on the 2D map opens a popup
+ * with the point's latitude and longitude and, for each loaded zone whose
+ * boundary contains it, its easting and northing in the zone's legislated
+ * unit, point scale factor and convergence. Each value has a button copying
+ * it to the clipboard, and each zone a button opening its parameters.
+ * @param {L.Map} map - Leaflet map
+ * @param {Object} sources - { getZones, getShift }; getShift returns the
+ *   loaded NAD27 datum shift or null
+ */
+export function initPointInspector(map, { getZones, getShift = () => null }) {
+  async function copyValue(button) {
+    try {
+      await navigator.clipboard.writeText(button.dataset.copy);
+      button.textContent = 'Copied';
+    } catch (error) {
+      // The clipboard is only available to secure pages, and may be refused
+      console.warn('Could not copy to the clipboard:', error);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, COPY_FEEDBACK_MS);
+  }
+  
+  map.on('click', (e) => {
+    const zones = getZones();
+    const lat = e.latlng.lat;
+    const lon = normalizeLongitude(e.latlng.lng);
+    const content = createPointInspector(zones, lat, lon, getShift());
+    
+    content.addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button) return;
+      
+      if (button.dataset.zone !== undefined) {
+        const zone = zones[Number(button.dataset.zone)];
+        L.popup()
+          .setLatLng(e.latlng)
+          .setContent(createZonePopup(zone, L.latLng(lat, lon)))
+          .openOn(map);
+      } else {
+        copyValue(button);
+      }
+    });
+    
+    L.popup({ maxWidth: 360 })
+      .setLatLng(e.latlng)
+      .setContent(content)
+      .openOn(map);
+  });
+}
@@ -0,0 +1,137 @@
+import L from 'leaflet';
+import { pointScaleFactor } from '../math/spcs.js';
+import {
+  HEATMAP_RAMP,
+  heatmapRange,
+  renderScaleHeatmap,
+  zoneDistortionExtent
+} from '../math/scaleHeatmap.js';
+
+/**
+ * Create the scale factor heatmap overlay. Each zone shown gets a canvas
+ * tile layer coloring the inside of its boundary by point scale factor; all
+ * zones share one color range, the smallest round range covering the
+ * distortion of every zone shown, explained by a legend on the map.
+ * @param {L.Map} map - Leaflet map
+ * @returns {Object} { show(zone), hide(zone), refresh() }; refresh
+ *   redraws every heatmap after the zones' parameters change
+ */
+export function createScaleHeatmap(map) {
+  // Heatmap layer and largest distortion in ppm of each zone shown
+  const heatmaps = new Map();
+  let range = heatmapRange(0);
+  
+  const legend = L.control({ position: 'bottomright' });
+  legend.onAdd = () => L.DomUtil.create('div', 'scale-heatmap-legend');
+  
+  // Pick the shared range and redraw the heatmaps drawn with another one
+  function updateRange() {
+    const extent = Math.max(0, ...Array.from(heatmaps.values()).map(heatmap => heatmap.extent));
+    const newRange = heatmapRange(extent);
+    if (newRange !== range) {
+      range = newRange;
+      heatmaps.forEach(heatmap => heatmap.layer.redraw());
+    }
+    
+    if (heatmaps.size === 0) {
+      legend.remove();
+      return;
+    }
+    if (!legend.getContainer() || !legend.getContainer().parentNode) {
+      legend.addTo(map);
+    }
+    const stops = HEATMAP_RAMP.map(([r, g, b], i) => `rgb(${r}, ${g}, ${b}) ${i * 100 / (HEATMAP_RAMP.length - 1)}%`);
+    legend.getContainer().innerHTML = `
+      <div><strong>Scale factor</strong> (ppm)</div>
+      <div class="scale-heatmap-ramp" style="background: linear-gradient(to right, ${stops.join(', ')})"></div>
+      <div class="scale-heatmap-labels"><span>−${range}</span><span>0 (k = 1)</span><span>+${range}</span></div>
+    `;
+  }
+  
+  function show(zone) {
+    if (heatmaps.has(zone) || !zone.spcsParams) return;
+    const layer = createHeatmapLayer(zone, () => range);
+    heatmaps.set(zone, { layer, extent: zoneDistortionExtent(zone) });
+    layer.addTo(map);
+    updateRange();
+  }
+  
+  function hide(zone) {
+    const heatmap = heatmaps.get(zone);
+    if (!heatmap) return;
+    map.removeLayer(heatmap.layer);
+    heatmaps.delete(zone);
+    updateRange();
+  }
+  
+  function refresh() {
+    Array.from(heatmaps.entries()).forEach(([zone, heatmap]) => {
+      // A zone may have no parameters on the new datum
+      if (!zone.spcsParams) {
+        hide(zone);
+        return;
+      }
+      heatmap.extent = zoneDistortionExtent(zone);
+      heatmap.layer.redraw();
+    });
+    updateRange();
+  }
+  
+  return { show, hide, refresh };
+}
+
+/**
+ * Canvas tile layer of one zone's heatmap, clipped to the zone boundary
+ * @param {Object} zone - Processed zone with spcsParams and originalFeature
+ * @param {Function} getRange - Returns the current color range in ppm
+ * @returns {L.GridLayer}
+ */
+function createHeatmapLayer(zone, getRange) {
+  const geometry = zone.originalFeature.geometry;
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  
+  const HeatmapLayer = L.GridLayer.extend({
+    createTile(coords) {
+      const map = this._map;
+      const size = this.getTileSize();
+      const origin = coords.scaleBy(size);
+      const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+      tile.width = size.x;
+      tile.height = size.y;
+      
+      // Color the whole tile, then copy it through the boundary as a clip path
+      const image = document.createElement('canvas');
+      image.width = size.x;
+      image.height = size.y;
+      const imageContext = image.getContext('2d');
+      const pixels = imageContext.createImageData(size.x, size.y);
+      renderScaleHeatmap(pixels.data, size.x, size.y, (x, y) => {
+        const { lat, lng } = map.unproject(origin.add([x, y]), coords.z);
+        return pointScaleFactor(lat, lng, zone.spcsParams.fips, zone.datum || 'NAD83');
+      }, { range: getRange() });
+      imageContext.putImageData(pixels, 0, 0);
+      
+      const context = tile.getContext('2d');
+      context.beginPath();
+      polygons.flat().forEach(ring => {
+        ring.forEach(([lon, lat], i) => {
+          const { x, y } = map.project([lat, lon], coords.z).subtract(origin);
+          if (i === 0) context.moveTo(x, y);
+          else context.lineTo(x, y);
+        });
+        context.closePath();
+      });
+      context.clip('evenodd');
+      context.drawImage(image, 0, 0);
+      
+      return tile;
+    }
+  });
+  
+  // Above the base map and below the zone outlines
+  return new HeatmapLayer({
+    bounds: zone.bounds,
+    opacity: 0.75,
+    zIndex: 10
+  });
+}
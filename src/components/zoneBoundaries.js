@@ -0,0 +1,94 @@
+/**
+ * Zone boundaries for the map. Processed zones carry Leaflet bounds, so this
+ * lives outside src/math, whose modules load in Node without a DOM.
+ */
+
+import L from 'leaflet';
+import { getSPCSZoneParameters } from '../math/spcs.js';
+
+/**
+ * Build zone objects from the boundary GeoJSON, attaching each zone's
+ * parameters for the requested datum, or for the datum a boundary names in
+ * its DATUM property (SPCS2022 zones exist on NATRF2022 only)
+ * @param {Object} data - GeoJSON FeatureCollection of zone boundaries
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Array} Processed zones
+ */
+export function processZoneData(data, datum = 'NAD83') {
+  return data.features.map(feature => {
+    const props = feature.properties;
+    let bounds;
+    
+    // Handle different geometry types for bounds creation
+    if (feature.geometry.type === 'Polygon') {
+      // For Polygon, use the first ring of coordinates
+      const coords = feature.geometry.coordinates[0];
+      bounds = L.latLngBounds(
+        coords.map(([lng, lat]) => [lat, lng])
+      );
+    } 
+    else if (feature.geometry.type === 'MultiPolygon') {
+      // For MultiPolygon, create bounds from all polygons
+      bounds = null;
+      
+      // Process each polygon in the MultiPolygon
+      feature.geometry.coordinates.forEach(polygon => {
+        // Use the first ring of each polygon (outer ring)
+        const coords = polygon[0];
+        const polygonBounds = L.latLngBounds(
+          coords.map(([lng, lat]) => [lat, lng])
+        );
+        
+        if (!bounds) {
+          // Initialize bounds with the first polygon
+          bounds = polygonBounds;
+        } else {
+          // Extend bounds with each additional polygon
+          bounds.extend(polygonBounds);
+        }
+      });
+    }
+    else {
+      console.warn(`Unsupported geometry type: ${feature.geometry.type} for zone ${props.ZONENAME}`);
+      // Create an empty bounds as fallback
+      bounds = L.latLngBounds([]);
+    }
+    
+    // Get detailed zone parameters from our database
+    const zoneDatum = props.DATUM || datum;
+    const zoneParams = getSPCSZoneParameters(props.FIPSZONE, zoneDatum);
+    
+    return {
+      // Basic zone information; boundaries not marked otherwise are SPCS zones
+      source: props.ZONESOURCE || 'SPCS',
+      name: props.ZONENAME,
+      zoneCode: props.ZONE,
+      fipsZone: props.FIPSZONE,
+      objectId: props.OBJECTID,
+      squareMiles: props.SQMI,
+      colorMap: props.COLORMAP,
+      
+      // Traditional SPCS parameters (from external dataset)
+      projection: props.PROJECTION,
+      centralMeridian: props.CENTRAL_MERIDIAN,
+      latitudeOfOrigin: props.LATITUDE_OF_ORIGIN,
+      scaleFactor: props.SCALE_FACTOR,
+      falseEasting: props.FALSE_EASTING,
+      falseNorthing: props.FALSE_NORTHING,
+      standardParallel1: props.STANDARD_PARALLEL_1,
+      standardParallel2: props.STANDARD_PARALLEL_2,
+      
+      // Our detailed zone parameters
+      datum: zoneDatum,
+      fixedDatum: props.DATUM || null,
+      spcsParams: zoneParams,
+      
+      // Keep original data and bounds
+      bounds,
+      originalFeature: feature,
+      
+      // Store all original properties for future reference
+      allProperties: props
+    };
+  });
+}
@@ -0,0 +1,84 @@
+import { readZoneFile } from '../math/zoneImport.js';
+import { registerZoneParameters } from '../math/spcs.js';
+
+/**
+ * Set up the zone import panel. Boundaries (GeoJSON or zipped shapefiles) and
+ * zone definitions (JSON in the shape of spcsZoneParameters.json) can be
+ * chosen in the panel or dropped on the map. Definitions are registered
+ * before boundaries are added, so boundaries dropped with their definitions
+ * pick them up.
+ * @param {HTMLElement} dropTarget - Element files can be dropped on
+ * @param {Object} handlers - { getDatum, addZones, refreshZones }: the
+ *   selected datum, a function adding a FeatureCollection of boundaries to
+ *   the zone list and returning the processed zones, and a function looking
+ *   up the parameters of the listed zones again after definitions change
+ */
+export function initZoneImporter(dropTarget, { getDatum, addZones, refreshZones }) {
+  const panel = document.getElementById('zone-import');
+  const fileInput = document.getElementById('zone-import-input');
+  const status = document.getElementById('zone-import-status');
+
+  fileInput.addEventListener('change', () => {
+    importFiles(Array.from(fileInput.files));
+    fileInput.value = '';
+  });
+
+  // Only drags carrying files are taken; the map keeps its own drag handling
+  const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+  dropTarget.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  dropTarget.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    panel.open = true;
+    importFiles(Array.from(e.dataTransfer.files));
+  });
+
+  async function importFiles(files) {
+    if (files.length === 0) return;
+    status.textContent = 'Importing...';
+
+    const datum = getDatum();
+    const imports = await Promise.all(files.map(file => file.arrayBuffer()
+      .then(buffer => readZoneFile(file.name, buffer, { datum }))
+      .then(result => ({ file, result }), error => ({ file, error }))));
+
+    // Register every file's definitions first
+    imports.forEach(entry => {
+      if (!entry.result || !entry.result.definitions) return;
+      try {
+        const counts = Object.entries(entry.result.definitions)
+          .map(([zoneDatum, records]) => `${registerZoneParameters(zoneDatum, records)} ${zoneDatum}`);
+        entry.message = `${counts.join(', ')} zone definitions`;
+      } catch (error) {
+        entry.error = error;
+      }
+    });
+    if (imports.some(entry => entry.message)) {
+      refreshZones();
+    }
+
+    imports.forEach(entry => {
+      if (!entry.result || !entry.result.features) return;
+      const zones = addZones(entry.result.features);
+      const defined = zones.filter(zone => zone.spcsParams).length;
+      entry.message = `${zones.length} boundaries, ${defined} with zone definitions` +
+        (entry.result.skipped > 0 ? `; ${entry.result.skipped} features without polygons skipped` : '');
+    });
+
+    // One line per file; names are user text, so no markup
+    status.textContent = '';
+    imports.forEach(({ file, message, error }) => {
+      if (error) console.error(`Failed to import ${file.name}:`, error);
+      const line = document.createElement('div');
+      line.className = error ? 'text-danger' : '';
+      line.textContent = `${file.name}: ${error ? error.message : message}`;
+      status.appendChild(line);
+    });
+  }
+}
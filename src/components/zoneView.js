@@ -0,0 +1,211 @@
+import L from 'leaflet';
+import { toGeographic, toGrid } from '../math/spcs.js';
+import { gridInterval } from '../math/gridLines.js';
+import { convertLength, getLinearUnit, metersPerUnit, resolveDisplayUnit } from '../math/units.js';
+import { escapeHtml } from './mapUtils.js';
+
+// Ground length of a pixel at zoom 0 in zone view, in meters; each zoom level
+// halves it, so zoom levels read about the same as on the web map
+export const ZONE_VIEW_RESOLUTION = 131072;
+
+// Graticule intervals in degrees, and the most lines wanted across the view
+const GRATICULE_INTERVALS = [0.01, 0.02, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10];
+const GRATICULE_MAX_LINES = 8;
+
+// Points along each graticule line
+const GRATICULE_POINTS = 32;
+
+/**
+ * Leaflet CRS drawing the map in a zone's grid coordinates: projected points
+ * are the zone's easting and northing in meters, so grid north is up and one
+ * pixel is the same grid length everywhere at a zoom level
+ * @param {Object} zone - Processed zone with spcsParams and datum
+ * @returns {L.CRS}
+ */
+export function createZoneCRS(zone) {
+  const fips = zone.spcsParams.fips;
+  const datum = zone.datum || 'NAD83';
+  const toMeters = metersPerUnit(zone.spcsParams.params.units);
+  
+  const projection = {
+    project(latlng) {
+      const { easting, northing } = toGrid(latlng.lat, latlng.lng, fips, datum);
+      return L.point(easting * toMeters, northing * toMeters);
+    },
+    unproject(point) {
+      const { lat, lon } = toGeographic(point.x / toMeters, point.y / toMeters, fips, datum);
+      return L.latLng(lat, lon);
+    }
+  };
+  
+  // Distances stay on the ellipsoid, as on the web map
+  return L.extend({}, L.CRS.Earth, {
+    code: `SPCS:${fips}`,
+    projection,
+    transformation: new L.Transformation(1, 0, -1, 0),
+    scale: zoom => 2 ** zoom / ZONE_VIEW_RESOLUTION,
+    zoom: scale => Math.log2(scale * ZONE_VIEW_RESOLUTION),
+    infinite: true
+  });
+}
+
+/**
+ * Set up the zone view: the 2D map can be switched from the web map to a
+ * plan of one visible zone in its own grid coordinates, with the base tiles
+ * taken off, a latitude/longitude graticule and easting/northing axes
+ * along the edges of the map.
+ * @param {L.Map} map - Leaflet map
+ * @param {Object} sources - { getVisibleZones }
+ * @returns {Object} { update() }, to call when the visible zones, the datum
+ *   or the display unit change
+ */
+export function initZoneView(map, { getVisibleZones }) {
+  const zoneSelect = document.getElementById('zone-view');
+  const axes = L.DomUtil.create('div', 'zone-view-axes');
+  const graticule = L.layerGroup();
+  
+  // Zone shown and the parameters its CRS was built from, and the web map
+  // view and tile layers to restore
+  let current = null;
+  let builtParams = null;
+  let webView = null;
+  let tileLayers = [];
+  
+  // Easting and northing at a point of the map container, in meters
+  function gridAt(containerPoint) {
+    const crs = map.options.crs;
+    const layerPoint = map.containerPointToLayerPoint(containerPoint);
+    return crs.transformation.untransform(layerPoint.add(map.getPixelOrigin()), crs.scale(map.getZoom()));
+  }
+  
+  function drawAxes() {
+    const unit = resolveDisplayUnit(current.spcsParams.fips, current.datum || 'NAD83');
+    const size = map.getSize();
+    const [topLeft, bottomRight] = [gridAt(L.point(0, 0)), gridAt(size)].map(point => L.point(
+      convertLength(point.x, 'meters', unit),
+      convertLength(point.y, 'meters', unit)
+    ));
+    const unitsPerPixel = (bottomRight.x - topLeft.x) / size.x;
+    if (!(unitsPerPixel > 0)) return;
+    const interval = gridInterval(unitsPerPixel);
+    
+    // Values at multiples of the interval between two edges
+    const ticks = (from, to) => {
+      const values = [];
+      for (let k = Math.ceil(Math.min(from, to) / interval); k * interval <= Math.max(from, to); k++) {
+        values.push(k * interval);
+      }
+      return values;
+    };
+    
+    const eastings = ticks(topLeft.x, bottomRight.x).map(value => {
+      const x = (value - topLeft.x) / unitsPerPixel;
+      return `<span class="zone-view-axis-easting" style="left: ${x.toFixed(1)}px">${value.toLocaleString()}</span>`;
+    });
+    const northings = ticks(bottomRight.y, topLeft.y).map(value => {
+      const y = (topLeft.y - value) / unitsPerPixel;
+      return `<span class="zone-view-axis-northing" style="top: ${y.toFixed(1)}px">${value.toLocaleString()}</span>`;
+    });
+    const { abbreviation } = getLinearUnit(unit);
+    axes.innerHTML = `
+      <span class="zone-view-axis-title">${escapeHtml(current.name)} (${escapeHtml(current.spcsParams.fips)}, ${current.datum || 'NAD83'}): easting and northing in ${abbreviation}</span>
+      ${eastings.join('')}${northings.join('')}
+    `;
+  }
+  
+  // Meridians and parallels across the view at a round interval
+  function drawGraticule() {
+    graticule.clearLayers();
+    
+    // The view's corners may not bound it in latitude and longitude once the
+    // grid is turned from true north, so it is padded
+    const view = map.getBounds().pad(0.2);
+    const span = Math.max(view.getNorth() - view.getSouth(), view.getEast() - view.getWest());
+    const interval = GRATICULE_INTERVALS.find(value => span / value <= GRATICULE_MAX_LINES) ??
+      GRATICULE_INTERVALS[GRATICULE_INTERVALS.length - 1];
+    const [south, north] = [Math.max(view.getSouth(), -89.9), Math.min(view.getNorth(), 89.9)];
+    const [west, east] = [view.getWest(), view.getEast()];
+    const along = (from, to) => Array.from({ length: GRATICULE_POINTS + 1 }, (_, i) => from + (to - from) * i / GRATICULE_POINTS);
+    const style = { color: '#8899aa', weight: 1, dashArray: '4 4', interactive: false };
+    
+    for (let k = Math.ceil(west / interval); k * interval <= east; k++) {
+      L.polyline(along(south, north).map(lat => [lat, k * interval]), style).addTo(graticule);
+    }
+    for (let k = Math.ceil(south / interval); k * interval <= north; k++) {
+      L.polyline(along(west, east).map(lon => [k * interval, lon]), style).addTo(graticule);
+    }
+  }
+  
+  function redraw() {
+    drawAxes();
+    drawGraticule();
+  }
+  
+  // Switch the map to a zone's grid, fitted to the zone
+  function enter(zone) {
+    if (!current) {
+      webView = { center: map.getCenter(), zoom: map.getZoom() };
+      tileLayers = [];
+      map.eachLayer(layer => {
+        if (layer instanceof L.TileLayer) tileLayers.push(layer);
+      });
+      tileLayers.forEach(layer => map.removeLayer(layer));
+      L.DomUtil.addClass(map.getContainer(), 'zone-view');
+      map.getContainer().appendChild(axes);
+      graticule.addTo(map);
+      map.on('move zoom viewreset resize', drawAxes);
+      map.on('moveend', drawGraticule);
+    }
+    
+    current = zone;
+    builtParams = zone.spcsParams;
+    map.options.crs = createZoneCRS(zone);
+    map.setView(zone.bounds.getCenter(), map.getBoundsZoom(zone.bounds), { reset: true });
+    redraw();
+  }
+  
+  // Back to the web map where it was left
+  function exit() {
+    if (!current) return;
+    current = null;
+    builtParams = null;
+    map.off('move zoom viewreset resize', drawAxes);
+    map.off('moveend', drawGraticule);
+    graticule.clearLayers();
+    map.removeLayer(graticule);
+    axes.remove();
+    L.DomUtil.removeClass(map.getContainer(), 'zone-view');
+    
+    map.options.crs = L.CRS.EPSG3857;
+    map.setView(webView.center, webView.zoom, { reset: true });
+    tileLayers.forEach(layer => layer.addTo(map));
+  }
+  
+  // Options are keyed by position in the visible zones, since zones from
+  // different sources or datums can share a code
+  zoneSelect.addEventListener('change', () => {
+    const zone = zoneSelect.value === '' ? null : getVisibleZones()[Number(zoneSelect.value)];
+    if (zone) enter(zone);
+    else exit();
+  });
+  
+  function update() {
+    const zones = getVisibleZones();
+    zoneSelect.innerHTML = '';
+    zoneSelect.appendChild(new Option('Web map (Web Mercator)', ''));
+    zones.forEach((zone, index) => zoneSelect.appendChild(new Option(zone.name, String(index))));
+    
+    // The zone's parameters change with the datum; a hidden zone ends the view
+    if (current && !zones.includes(current)) {
+      exit();
+    } else if (current && current.spcsParams !== builtParams) {
+      enter(current);
+    } else if (current) {
+      drawAxes();
+    }
+    zoneSelect.value = current ? String(zones.indexOf(current)) : '';
+  }
+  
+  update();
+  return { update };
+}
@@ -9,10 +9,10 @@ async function init() {
   const map = initMap('map');
   
   // Initialize Three.js scene
-  const { scene, camera, renderer, controls } = initScene('three-container');
+  const { scene, camera, renderer, controls, ellipsoid } = initScene('three-container');
   
   // Initialize UI controls
-  initControls(map, scene, camera, controls);
+  initControls(map, scene, camera, controls, ellipsoid);
   
   // Animation loop
   function animate() {
@@ -0,0 +1,128 @@
+/**
+ * Reduction between geodetic and grid azimuths
+ *
+ * A line leaves its first point at geodetic azimuth α. On the grid the
+ * projected geodesic is a curve, leaving the point at T = α − γ, where γ is
+ * the grid convergence there. The straight chord between the grid
+ * coordinates, whose direction is the grid azimuth t, differs from T by the
+ * arc-to-chord (second-term) correction δ = t − T, so
+ *
+ *   t = α − γ + δ   and   α = t + γ − δ
+ *
+ * δ grows with the length of the line and its distance from the zone's
+ * central meridian (TM) or standard parallels (Lambert). It is computed here
+ * rigorously from the projected coordinates and the geodesic rather than
+ * from the usual truncated series.
+ */
+
+import { geodesicDirect, geodesicInverse } from './geodesic.js';
+import { getZoneProjection, gridConvergence, toGeographic, toGrid } from './spcs.js';
+import { convertLength } from './units.js';
+
+/**
+ * Azimuths of the line between two points in a zone
+ * @param {number} lat1 - Latitude of the first point in decimal degrees
+ * @param {number} lon1 - Longitude of the first point in decimal degrees
+ * @param {number} lat2 - Latitude of the second point in decimal degrees
+ * @param {number} lon2 - Longitude of the second point in decimal degrees
+ * @param {string|number} zone - Zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} { geodeticAzimuth, convergence, projectedAzimuth,
+ *   gridAzimuth, arcToChord, geodesicDistance, gridDistance, start, end }:
+ *   α, γ, T, t and δ in decimal degrees (azimuths in [0, 360)), the
+ *   geodesic and chord lengths in meters, and the grid coordinates of the
+ *   ends in the zone's units
+ */
+export function lineAzimuths(lat1, lon1, lat2, lon2, zone, datum = 'NAD83') {
+  const geodesic = geodesicInverse(lat1, lon1, lat2, lon2, datum);
+  if (geodesic.distance === 0) {
+    throw new Error('The two points coincide, so the line has no azimuth');
+  }
+
+  const convergence = gridConvergence(lat1, lon1, zone, datum);
+  const start = toGrid(lat1, lon1, zone, datum);
+  const end = toGrid(lat2, lon2, zone, datum);
+  const dE = end.easting - start.easting;
+  const dN = end.northing - start.northing;
+
+  const projectedAzimuth = normalizeAzimuth(geodesic.azimuth1 - convergence);
+  const gridAzimuth = normalizeAzimuth(Math.atan2(dE, dN) * 180 / Math.PI);
+
+  return {
+    geodeticAzimuth: geodesic.azimuth1,
+    convergence,
+    projectedAzimuth,
+    gridAzimuth,
+    arcToChord: angleDifference(projectedAzimuth, gridAzimuth),
+    geodesicDistance: geodesic.distance,
+    gridDistance: convertLength(Math.hypot(dE, dN), start.units, 'meters'),
+    start,
+    end
+  };
+}
+
+/**
+ * Reduce a geodetic azimuth to the grid for a line of known length
+ * @param {number} lat - Latitude of the start in decimal degrees
+ * @param {number} lon - Longitude of the start in decimal degrees
+ * @param {number} azimuth - Geodetic azimuth α in decimal degrees
+ * @param {number} distance - Geodesic length of the line in meters
+ * @param {string|number} zone - Zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} lineAzimuths of the line, with its end point as { lat, lon }
+ */
+export function geodeticToGridAzimuth(lat, lon, azimuth, distance, zone, datum = 'NAD83') {
+  const end = geodesicDirect(lat, lon, azimuth, distance, datum);
+  return {
+    ...lineAzimuths(lat, lon, end.lat, end.lon, zone, datum),
+    endPoint: { lat: end.lat, lon: end.lon }
+  };
+}
+
+/**
+ * Reduce a grid azimuth to the ellipsoid for a line of known grid length
+ * @param {number} lat - Latitude of the start in decimal degrees
+ * @param {number} lon - Longitude of the start in decimal degrees
+ * @param {number} azimuth - Grid azimuth t in decimal degrees
+ * @param {number} gridDistance - Grid length of the line in meters
+ * @param {string|number} zone - Zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} lineAzimuths of the line, with its end point as { lat, lon }
+ */
+export function gridToGeodeticAzimuth(lat, lon, azimuth, gridDistance, zone, datum = 'NAD83') {
+  const start = toGrid(lat, lon, zone, datum);
+  const length = convertLength(gridDistance, 'meters', getZoneProjection(zone, datum).units);
+  const radians = azimuth * Math.PI / 180;
+  const end = toGeographic(
+    start.easting + length * Math.sin(radians),
+    start.northing + length * Math.cos(radians),
+    zone,
+    datum
+  );
+
+  return {
+    ...lineAzimuths(lat, lon, end.lat, end.lon, zone, datum),
+    endPoint: { lat: end.lat, lon: end.lon }
+  };
+}
+
+/**
+ * Signed difference b − a between two azimuths, in (−180, 180]
+ * @param {number} a - Azimuth in decimal degrees
+ * @param {number} b - Azimuth in decimal degrees
+ * @returns {number} Difference in decimal degrees
+ */
+function angleDifference(a, b) {
+  const difference = normalizeAzimuth(b - a);
+  return difference > 180 ? difference - 360 : difference;
+}
+
+/**
+ * Reduce an azimuth to [0, 360)
+ * @param {number} azimuth - Azimuth in decimal degrees
+ * @returns {number}
+ */
+function normalizeAzimuth(azimuth) {
+  const normalized = azimuth % 360;
+  return normalized < 0 ? normalized + 360 : normalized + 0;
+}
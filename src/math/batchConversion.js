@@ -0,0 +1,301 @@
+/**
+ * Batch coordinate conversion for CSV files
+ *
+ * A file is parsed into a header row and data rows, the user maps its columns
+ * to the fields below, and every row is converted forward (latitude/longitude
+ * to easting/northing) or inverse (easting/northing to latitude/longitude).
+ * Each row is converted on its own, so a bad row is reported in an error
+ * column instead of stopping the batch. Everything runs in the browser.
+ *
+ * A column mapping has the shape (each value a column index, or null):
+ * { id, lat, lon, height, easting, northing, zone }
+ */
+
+import { getZoneProjection, gridConvergence, pointScaleFactor, toGeographic, toGrid } from './spcs.js';
+import { elevationFactor } from './combinedFactor.js';
+import { LEGISLATED_UNIT, convertLength, getLegislatedUnit } from './units.js';
+import { detectZones } from './zoneDetection.js';
+
+export const BATCH_FIELDS = ['id', 'lat', 'lon', 'height', 'easting', 'northing', 'zone'];
+
+// Header names recognised for each field, matched case-insensitively
+const FIELD_PATTERNS = {
+  id: /^(id|name|point|pt|station)$/i,
+  lat: /^(lat|latitude|phi)$/i,
+  lon: /^(lon|long|lng|longitude|lambda)$/i,
+  height: /^(h|height|elev|elevation|ellipsoid[ _]?height)$/i,
+  easting: /^(e|x|east|easting)$/i,
+  northing: /^(n|y|north|northing)$/i,
+  zone: /^(zone|fips|spcs[ _]?zone)$/i
+};
+
+/**
+ * Parse CSV text. Quoted fields may contain delimiters, quotes ("") and line
+ * breaks. The delimiter is a comma unless the header line has more
+ * semicolons or tabs. Blank lines are skipped.
+ * @param {string} text - File contents
+ * @returns {Object} { headers, rows } with each row an array of strings
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonBlank = records.filter(row => row.some(value => value.trim() !== ''));
+  if (nonBlank.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+
+  return {
+    headers: nonBlank[0].map(header => header.trim()),
+    rows: nonBlank.slice(1)
+  };
+}
+
+/**
+ * Format rows as CSV, quoting fields that need it
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} rows - Data rows; null and undefined become empty fields
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function formatCsv(headers, rows) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Guess the column mapping from the header names
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Column mapping; unrecognised fields are null
+ */
+export function guessColumnMapping(headers) {
+  const mapping = {};
+  BATCH_FIELDS.forEach(field => {
+    const index = headers.findIndex(header => FIELD_PATTERNS[field].test(header.trim()));
+    mapping[field] = index === -1 ? null : index;
+  });
+  return mapping;
+}
+
+/**
+ * Convert every row
+ * @param {Array<Array>} rows - Data rows from parseCsv
+ * @param {Object} mapping - Column mapping
+ * @param {Object} options
+ * @param {string} [options.direction='forward'] - 'forward' or 'inverse'
+ * @param {string} [options.zone='auto'] - Zone code, or 'auto' to use the
+ *   zone containing each point (forward only). A mapped zone column overrides
+ *   it for rows that give a zone.
+ * @param {Array} [options.zones=[]] - Processed zones searched by 'auto'
+ * @param {string} [options.datum='NAD83'] - Datum key
+ * @param {string} [options.unit=LEGISLATED_UNIT] - Unit of eastings and
+ *   northings, in and out; LEGISLATED_UNIT uses each zone's legislated unit
+ * @returns {Array<Object>} One result per row: { id, lat, lon, height, zone,
+ *   easting, northing, unit, scaleFactor, convergence, combinedFactor, error }
+ */
+export function convertBatch(rows, mapping, options = {}) {
+  const {
+    direction = 'forward',
+    zone = 'auto',
+    zones = [],
+    datum = 'NAD83',
+    unit = LEGISLATED_UNIT
+  } = options;
+
+  if (direction !== 'forward' && direction !== 'inverse') {
+    throw new Error(`Unknown conversion direction: ${direction}`);
+  }
+  if (direction === 'forward' && (mapping.lat === null || mapping.lon === null)) {
+    throw new Error('No latitude/longitude columns given');
+  }
+  if (direction === 'inverse' && (mapping.easting === null || mapping.northing === null)) {
+    throw new Error('No easting/northing columns given');
+  }
+
+  const value = (row, field) => (mapping[field] === null || mapping[field] === undefined
+    ? ''
+    : (row[mapping[field]] || '').trim());
+  const number = (row, field) => {
+    const text = value(row, field);
+    if (text === '') return null;
+    const parsed = Number(text);
+    if (!Number.isFinite(parsed)) {
+      throw new Error(`Invalid ${field}: ${text}`);
+    }
+    return parsed;
+  };
+
+  return rows.map((row, index) => {
+    const result = { id: value(row, 'id') || String(index + 1), error: null };
+
+    try {
+      result.height = number(row, 'height');
+      const rowZone = value(row, 'zone');
+
+      if (direction === 'forward') {
+        result.lat = requireNumber(number(row, 'lat'), 'latitude');
+        result.lon = requireNumber(number(row, 'lon'), 'longitude');
+        result.zone = rowZone || (zone === 'auto' ? autoZone(zones, result.lat, result.lon) : zone);
+
+        const grid = toGrid(result.lat, result.lon, result.zone, datum);
+        result.unit = resolveUnit(unit, result.zone, datum);
+        result.easting = convertLength(grid.easting, grid.units, result.unit);
+        result.northing = convertLength(grid.northing, grid.units, result.unit);
+      } else {
+        result.zone = rowZone || zone;
+        if (result.zone === 'auto') {
+          throw new Error('No zone given for an inverse conversion');
+        }
+
+        result.unit = resolveUnit(unit, result.zone, datum);
+        result.easting = requireNumber(number(row, 'easting'), 'easting');
+        result.northing = requireNumber(number(row, 'northing'), 'northing');
+
+        // toGeographic takes the units the zone is defined in
+        const zoneUnit = getZoneProjection(result.zone, datum).units;
+        const { lat, lon } = toGeographic(
+          convertLength(result.easting, result.unit, zoneUnit),
+          convertLength(result.northing, result.unit, zoneUnit),
+          result.zone,
+          datum
+        );
+        result.lat = lat;
+        result.lon = lon;
+      }
+
+      result.scaleFactor = pointScaleFactor(result.lat, result.lon, result.zone, datum);
+      result.convergence = gridConvergence(result.lat, result.lon, result.zone, datum);
+      result.combinedFactor = result.height === null
+        ? null
+        : result.scaleFactor * elevationFactor(result.lat, result.height, datum);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Build the output CSV: the original columns followed by the computed ones
+ * @param {Array<string>} headers - Header row of the input
+ * @param {Array<Array>} rows - Data rows of the input
+ * @param {Array<Object>} results - Results from convertBatch, in row order
+ * @param {string} [direction='forward'] - Direction the rows were converted in
+ * @returns {string} CSV text
+ */
+export function formatBatchResults(headers, rows, results, direction = 'forward') {
+  const fixed = (number, digits) => (number === null || number === undefined ? '' : number.toFixed(digits));
+  const computedHeaders = direction === 'forward'
+    ? ['zone', 'easting', 'northing', 'unit']
+    : ['zone', 'latitude', 'longitude'];
+
+  const outputRows = rows.map((row, index) => {
+    const result = results[index];
+    const computed = direction === 'forward'
+      ? [result.zone, fixed(result.easting, 4), fixed(result.northing, 4), result.unit]
+      : [result.zone, fixed(result.lat, 9), fixed(result.lon, 9)];
+
+    // Pad short rows so the computed columns line up
+    const original = headers.map((header, column) => row[column] || '');
+    return [
+      ...original,
+      ...computed,
+      fixed(result.scaleFactor, 9),
+      fixed(result.convergence, 8),
+      fixed(result.combinedFactor, 9),
+      result.error || ''
+    ];
+  });
+
+  return formatCsv(
+    [...headers, ...computedHeaders, 'scale_factor', 'convergence_deg', 'combined_factor', 'error'],
+    outputRows
+  );
+}
+
+/**
+ * Zone for a point: the first containing zone, or else the nearest within
+ * the detection distance
+ * @param {Array} zones - Processed zones
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @returns {string} Zone code
+ */
+function autoZone(zones, lat, lon) {
+  const match = detectZones(zones, lat, lon).find(candidate => candidate.zone.spcsParams);
+  if (!match) {
+    throw new Error('No zone found for this point');
+  }
+  return match.zone.spcsParams.fips;
+}
+
+/**
+ * Resolve the unit option for a zone
+ * @param {string} unit - Unit key or LEGISLATED_UNIT
+ * @param {string} zone - Zone code
+ * @param {string} datum - Datum key
+ * @returns {string} Unit key
+ */
+function resolveUnit(unit, zone, datum) {
+  return unit === LEGISLATED_UNIT ? getLegislatedUnit(zone, datum) : unit;
+}
+
+/**
+ * Require a value that may be missing from a row
+ * @param {number|null} number - Parsed value
+ * @param {string} name - Field name for the error message
+ * @returns {number}
+ */
+function requireNumber(number, name) {
+  if (number === null) {
+    throw new Error(`Missing ${name}`);
+  }
+  return number;
+}
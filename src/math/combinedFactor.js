@@ -0,0 +1,84 @@
+/**
+ * Grid-to-ground reduction factors
+ *
+ * A measured (ground) distance is reduced to the ellipsoid by the elevation
+ * factor and then to the grid by the point scale factor. Their product is the
+ * combined factor: grid distance = ground distance × combined factor.
+ */
+
+import { getDatumEllipsoid } from './ellipsoids.js';
+import { pointScaleFactor } from './spcs.js';
+
+/**
+ * Gaussian mean radius of curvature, sqrt(M·N), at a latitude
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {Object} ellipsoid - Reference ellipsoid
+ * @returns {number} Radius in meters
+ */
+export function gaussianMeanRadius(lat, ellipsoid) {
+  const { a, e2 } = ellipsoid;
+  const sinPhi = Math.sin(lat * Math.PI / 180);
+  return (a * Math.sqrt(1 - e2)) / (1 - e2 * sinPhi * sinPhi);
+}
+
+/**
+ * Ellipsoid height from an orthometric height and geoid separation (h = H + N)
+ * @param {number} orthometricHeight - Orthometric height H in meters
+ * @param {number} geoidSeparation - Geoid height N in meters (negative across most of the US)
+ * @returns {number} Ellipsoid height h in meters
+ */
+export function ellipsoidHeightFromOrthometric(orthometricHeight, geoidSeparation) {
+  return orthometricHeight + geoidSeparation;
+}
+
+/**
+ * Elevation factor R / (R + h) reducing a ground distance to the ellipsoid
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} ellipsoidHeight - Ellipsoid height h in meters
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {number} Elevation factor
+ */
+export function elevationFactor(lat, ellipsoidHeight, datum = 'NAD83') {
+  const radius = gaussianMeanRadius(lat, getDatumEllipsoid(datum));
+  return radius / (radius + ellipsoidHeight);
+}
+
+/**
+ * Scale, elevation and combined factors at a point in a zone
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number} ellipsoidHeight - Ellipsoid height h in meters
+ * @param {string|number} zone - FIPS zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} { scaleFactor, elevationFactor, combinedFactor }
+ */
+export function combinedFactor(lat, lon, ellipsoidHeight, zone, datum = 'NAD83') {
+  const k = pointScaleFactor(lat, lon, zone, datum);
+  const ef = elevationFactor(lat, ellipsoidHeight, datum);
+
+  return {
+    scaleFactor: k,
+    elevationFactor: ef,
+    combinedFactor: k * ef
+  };
+}
+
+/**
+ * Reduce a horizontal ground distance to a grid distance
+ * @param {number} groundDistance - Measured horizontal distance
+ * @param {number} factor - Combined factor
+ * @returns {number} Grid distance in the same units
+ */
+export function groundToGrid(groundDistance, factor) {
+  return groundDistance * factor;
+}
+
+/**
+ * Expand a grid distance to a horizontal ground distance
+ * @param {number} gridDistance - Grid distance
+ * @param {number} factor - Combined factor
+ * @returns {number} Ground distance in the same units
+ */
+export function gridToGround(gridDistance, factor) {
+  return gridDistance / factor;
+}
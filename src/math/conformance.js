@@ -0,0 +1,171 @@
+/**
+ * Conformance checks of the zone conversions against tables of test points
+ *
+ * Each test point gives a geodetic position and the grid coordinates a
+ * reference implementation (NCAT, an NGS datasheet, PROJ) computed for it in
+ * one zone. Every point is converted both ways:
+ *
+ *   forward     toGrid(lat, lon) against the reference easting and northing
+ *   inverse     toGeographic(easting, northing) against the reference position,
+ *               measured along the ellipsoid
+ *   round trip  closure of geographic → grid → geographic and
+ *               grid → geographic → grid, with no reference involved
+ *
+ * All three are reported in meters, per point and as the worst case per zone.
+ */
+
+import { formatCsv, parseCsv } from './batchConversion.js';
+import { geodesicInverse } from './geodesic.js';
+import { toGeographic, toGrid } from './spcs.js';
+import { convertLength, getLinearUnit } from './units.js';
+
+// One millimeter
+export const CONFORMANCE_TOLERANCE = 0.001;
+
+const NUMERIC_FIELDS = ['lat', 'lon', 'easting', 'northing'];
+
+/**
+ * Parse a table of test points
+ * @param {string} text - JSON (an array of points, or { metadata, points })
+ *   or CSV with columns zone, datum, lat, lon, easting, northing, unit and
+ *   optionally id
+ * @param {Object} [defaults] - { datum, unit } of points that omit them;
+ *   NAD83 and meters by default
+ * @returns {Array<Object>} Points as { id, zone, datum, lat, lon, easting, northing, unit }
+ */
+export function parseTestPoints(text, { datum = 'NAD83', unit = 'meters' } = {}) {
+  const source = text.replace(/^\uFEFF/, '').trim();
+
+  let records;
+  if (source.startsWith('{') || source.startsWith('[')) {
+    const json = JSON.parse(source);
+    records = Array.isArray(json) ? json : json.points;
+    if (!Array.isArray(records)) {
+      throw new Error('Test point JSON must be an array of points or have a "points" array');
+    }
+  } else {
+    const { headers, rows } = parseCsv(source);
+    const columns = headers.map(header => header.trim().toLowerCase());
+    records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+  }
+
+  return records.map((record, index) => {
+    const id = record.id !== undefined && record.id !== '' ? String(record.id) : String(index + 1);
+    if (record.zone === undefined || record.zone === '') {
+      throw new Error(`Test point ${id} has no zone`);
+    }
+
+    const point = {
+      id,
+      zone: String(record.zone).trim(),
+      datum: record.datum || datum,
+      unit: record.unit || unit
+    };
+    NUMERIC_FIELDS.forEach(field => {
+      point[field] = Number(record[field]);
+      if (record[field] === undefined || record[field] === '' || !Number.isFinite(point[field])) {
+        throw new Error(`Test point ${id} has an invalid ${field}`);
+      }
+    });
+    getLinearUnit(point.unit);
+
+    return point;
+  });
+}
+
+/**
+ * Check the conversions against test points
+ * @param {Array<Object>} points - Points from parseTestPoints
+ * @param {Object} [options] - { tolerance } in meters for each check
+ * @returns {Object} { tolerance, passed, points, zones }: per point its
+ *   forward, inverse and roundTrip errors in meters (or the error message of a
+ *   point that could not be converted) and whether it passed; per zone, in the
+ *   order first seen, the number of points and failures and the worst errors
+ */
+export function verifyTestPoints(points, { tolerance = CONFORMANCE_TOLERANCE } = {}) {
+  const results = points.map(point => {
+    try {
+      const errors = checkPoint(point);
+      const passed = errors.forward <= tolerance && errors.inverse <= tolerance && errors.roundTrip <= tolerance;
+      return { ...point, ...errors, passed };
+    } catch (error) {
+      return { ...point, error: error.message, passed: false };
+    }
+  });
+
+  const zones = new Map();
+  results.forEach(result => {
+    const key = `${result.datum} ${result.zone}`;
+    const zone = zones.get(key) || {
+      zone: result.zone, datum: result.datum, points: 0, failures: 0, forward: 0, inverse: 0, roundTrip: 0, errors: []
+    };
+    zone.points++;
+    if (!result.passed) zone.failures++;
+    if (result.error) {
+      zone.errors.push(`${result.id}: ${result.error}`);
+    } else {
+      zone.forward = Math.max(zone.forward, result.forward);
+      zone.inverse = Math.max(zone.inverse, result.inverse);
+      zone.roundTrip = Math.max(zone.roundTrip, result.roundTrip);
+    }
+    zones.set(key, zone);
+  });
+
+  return {
+    tolerance,
+    passed: results.every(result => result.passed),
+    points: results,
+    zones: Array.from(zones.values()).map(zone => ({ ...zone, passed: zone.failures === 0 }))
+  };
+}
+
+/**
+ * Per-zone conformance report as CSV, errors in millimeters
+ * @param {Object} report - Result of verifyTestPoints
+ * @returns {string} CSV text
+ */
+export function formatConformanceReport(report) {
+  const millimeters = meters => (meters * 1000).toFixed(3);
+  const status = zone => {
+    if (zone.errors.length > 0) return zone.errors.join('; ');
+    return zone.passed ? 'ok' : `${zone.failures} over tolerance`;
+  };
+
+  return formatCsv(
+    ['zone', 'datum', 'points', 'forward_mm', 'inverse_mm', 'round_trip_mm', 'status'],
+    report.zones.map(zone => [
+      zone.zone,
+      zone.datum,
+      zone.points,
+      millimeters(zone.forward),
+      millimeters(zone.inverse),
+      millimeters(zone.roundTrip),
+      status(zone)
+    ])
+  );
+}
+
+/**
+ * Forward, inverse and round-trip errors of one test point
+ * @param {Object} point - Test point
+ * @returns {Object} { forward, inverse, roundTrip } in meters
+ */
+function checkPoint({ zone, datum, lat, lon, easting, northing, unit }) {
+  const grid = toGrid(lat, lon, zone, datum);
+  const referenceEasting = convertLength(easting, unit, grid.units);
+  const referenceNorthing = convertLength(northing, unit, grid.units);
+  const gridDistance = (e1, n1, e2, n2) => convertLength(Math.hypot(e2 - e1, n2 - n1), grid.units, 'meters');
+  const groundDistance = position => geodesicInverse(lat, lon, position.lat, position.lon, datum).distance;
+
+  const geographic = toGeographic(referenceEasting, referenceNorthing, zone, datum);
+  const regrid = toGrid(geographic.lat, geographic.lon, zone, datum);
+
+  return {
+    forward: gridDistance(grid.easting, grid.northing, referenceEasting, referenceNorthing),
+    inverse: groundDistance(geographic),
+    roundTrip: Math.max(
+      groundDistance(toGeographic(grid.easting, grid.northing, zone, datum)),
+      gridDistance(regrid.easting, regrid.northing, referenceEasting, referenceNorthing)
+    )
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Grid convergence arrow fields
+ *
+ * Arrows are laid out on a lattice of screen pixels so they keep the same
+ * spacing at every zoom level. Each arrow points to grid north, turned from
+ * true north (straight up on the map) by the convergence angle γ: clockwise
+ * when γ is positive, where grid north lies east of true north. Convergence
+ * reaches only a few degrees in most zones, too little to see in the turn
+ * alone, so arrow length grows with |γ| relative to the largest convergence
+ * in the zone and color gives its sign.
+ */
+
+import { formatDMS } from './coordinates.js';
+import { gridConvergence } from './spcs.js';
+import { samplePointsInGeometry } from './zoneDetection.js';
+
+// Pixels between arrows
+export const CONVERGENCE_ARROW_SPACING = 64;
+
+// Shortest and longest arrows in pixels, at γ = 0 and at the zone's largest |γ|
+export const CONVERGENCE_ARROW_LENGTHS = { min: 14, max: 40 };
+
+// Arrow colors by the side of true north grid north lies on (ColorBrewer RdBu ends)
+export const CONVERGENCE_COLORS = { east: '#b2182b', west: '#2166ac', none: '#444444' };
+
+// Convergence treated as zero, in degrees (well below the 0.000001° shown)
+const ZERO_CONVERGENCE = 5e-7;
+
+/**
+ * Largest convergence of a zone over its boundary, from a lattice of points
+ * across the boundary's extent
+ * @param {Object} zone - Processed zone with spcsParams, datum and originalFeature
+ * @param {number} [samples=24] - Lattice points along each side of the extent
+ * @returns {number} Largest |γ| in degrees at lattice points inside the
+ *   boundary, or 0 for a zone without parameters or boundary
+ */
+export function zoneConvergenceExtent(zone, samples = 24) {
+  const geometry = zone.originalFeature && zone.originalFeature.geometry;
+  if (!zone.spcsParams || !geometry) return 0;
+
+  return samplePointsInGeometry(geometry, samples).reduce((extent, { lat, lon }) => {
+    const gamma = gridConvergence(lat, lon, zone.spcsParams.fips, zone.datum || 'NAD83');
+    return Math.max(extent, Math.abs(gamma));
+  }, 0);
+}
+
+/**
+ * Arrow positions within a pixel rectangle. Positions sit at the centers of a
+ * grid of `spacing`-pixel cells anchored at the pixel origin, so arrows stay
+ * put while the map is panned.
+ * @param {Object} min - { x, y } of the rectangle's top left corner
+ * @param {Object} max - { x, y } of the rectangle's bottom right corner
+ * @param {number} [spacing=CONVERGENCE_ARROW_SPACING] - Pixels between arrows
+ * @returns {Array<Object>} Positions as { x, y }, row by row
+ */
+export function arrowLattice(min, max, spacing = CONVERGENCE_ARROW_SPACING) {
+  const first = value => (Math.ceil(value / spacing - 0.5) + 0.5) * spacing;
+  const positions = [];
+
+  for (let y = first(min.y); y <= max.y; y += spacing) {
+    for (let x = first(min.x); x <= max.x; x += spacing) {
+      positions.push({ x, y });
+    }
+  }
+  return positions;
+}
+
+/**
+ * Length and color of the arrow for a convergence
+ * @param {number} gamma - Convergence in degrees
+ * @param {number} extent - Largest |γ| in the zone, in degrees
+ * @param {Object} [lengths=CONVERGENCE_ARROW_LENGTHS] - { min, max } in pixels
+ * @returns {Object} { length, color }
+ */
+export function arrowStyle(gamma, extent, lengths = CONVERGENCE_ARROW_LENGTHS) {
+  const share = extent > 0 ? Math.min(Math.abs(gamma) / extent, 1) : 0;
+  return {
+    length: lengths.min + (lengths.max - lengths.min) * share,
+    color: CONVERGENCE_COLORS[convergenceSide(gamma)]
+  };
+}
+
+/**
+ * Describe a convergence angle for a tooltip
+ * @param {number} gamma - Convergence in degrees
+ * @returns {string} e.g. "γ = −1.234567° (1°14′04.44″), grid north west of true north"
+ */
+export function formatConvergence(gamma) {
+  const side = convergenceSide(gamma);
+  if (side === 'none') return 'γ = 0.000000°, grid north along true north';
+
+  const sign = side === 'east' ? '+' : '−';
+  return `γ = ${sign}${Math.abs(gamma).toFixed(6)}° (${formatDMS(Math.abs(gamma))}), grid north ${side} of true north`;
+}
+
+/**
+ * Side of true north grid north lies on
+ * @param {number} gamma - Convergence in degrees
+ * @returns {string} 'east', 'west' or 'none'
+ */
+function convergenceSide(gamma) {
+  if (Math.abs(gamma) < ZERO_CONVERGENCE) return 'none';
+  return gamma > 0 ? 'east' : 'west';
+}
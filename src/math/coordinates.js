@@ -1,3 +1,5 @@
+import { ELLIPSOIDS } from './ellipsoids.js';
+
 /**
  * Converts latitude and longitude to 3D point on a sphere
  * @param {number} lat - Latitude in degrees
@@ -14,4 +16,130 @@ export function latLonToPoint(lat, lon, radius) {
   const z = radius * Math.cos(latRad) * Math.cos(lonRad);
   
   return { x, y, z };
-} 
\ No newline at end of file
+}
+
+/**
+ * Wraps a longitude (or longitude difference) into the range [-180, 180)
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} Normalized longitude in degrees
+ */
+export function normalizeLongitude(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Parses a coordinate entered as "lat,lon"
+ * @param {string} text - Entered text
+ * @returns {Array<number>|null} [lat, lon] in degrees, or null if the entry is invalid
+ */
+export function parseLatLon(text) {
+  const parts = text.split(',');
+  if (parts.length !== 2 || parts.some(part => part.trim() === '')) return null;
+
+  const [lat, lon] = parts.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90) return null;
+  return [lat, lon];
+}
+
+/**
+ * Formats an angle in degrees, minutes and seconds
+ * @param {number} angle - Angle in decimal degrees; the sign is dropped
+ * @param {number} [decimals=2] - Decimal places of the seconds
+ * @returns {string} e.g. "1°14′04.44″"
+ */
+export function formatDMS(angle, decimals = 2) {
+  // Round once in units of the last decimal so 59.999″ carries into the minutes
+  const perSecond = 10 ** decimals;
+  const units = Math.round(Math.abs(angle) * 3600 * perSecond);
+  const degrees = Math.floor(units / (3600 * perSecond));
+  const minutes = Math.floor((units % (3600 * perSecond)) / (60 * perSecond));
+  const seconds = (units % (60 * perSecond)) / perSecond;
+  const secondsWidth = decimals > 0 ? decimals + 3 : 2;
+  return `${degrees}°${String(minutes).padStart(2, '0')}′${seconds.toFixed(decimals).padStart(secondsWidth, '0')}″`;
+}
+
+/**
+ * Converts geodetic coordinates to Earth-Centered, Earth-Fixed (ECEF) coordinates
+ *
+ * ECEF axes follow the geodetic convention: +X through (0°, 0°), +Y through
+ * (0°, 90°E) and +Z through the North Pole.
+ * @param {number} lat - Geodetic latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} [height=0] - Ellipsoid height in meters
+ * @param {Object} [ellipsoid=ELLIPSOIDS.GRS80] - Reference ellipsoid
+ * @returns {Object} Point with x, y, z in meters
+ */
+export function geodeticToECEF(lat, lon, height = 0, ellipsoid = ELLIPSOIDS.GRS80) {
+  const { a, e2 } = ellipsoid;
+  const latRad = (lat * Math.PI) / 180;
+  const lonRad = (lon * Math.PI) / 180;
+  const sinLat = Math.sin(latRad);
+  const cosLat = Math.cos(latRad);
+  
+  // Prime vertical radius of curvature
+  const N = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+  
+  return {
+    x: (N + height) * cosLat * Math.cos(lonRad),
+    y: (N + height) * cosLat * Math.sin(lonRad),
+    z: (N * (1 - e2) + height) * sinLat
+  };
+}
+
+/**
+ * Converts ECEF coordinates to geodetic coordinates
+ * @param {number} x - ECEF X in meters
+ * @param {number} y - ECEF Y in meters
+ * @param {number} z - ECEF Z in meters
+ * @param {Object} [ellipsoid=ELLIPSOIDS.GRS80] - Reference ellipsoid
+ * @returns {Object} Point with lat, lon (degrees) and height (meters)
+ */
+export function ecefToGeodetic(x, y, z, ellipsoid = ELLIPSOIDS.GRS80) {
+  const { a, e2 } = ellipsoid;
+  const p = Math.hypot(x, y);
+  const lon = Math.atan2(y, x);
+  
+  // Iterate latitude; starts from the height-free solution and converges
+  // to sub-micrometre in a handful of steps for any terrestrial height
+  let lat = Math.atan2(z, p * (1 - e2));
+  for (let i = 0; i < 10; i++) {
+    const sinLat = Math.sin(lat);
+    const N = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+    const next = Math.atan2(z + e2 * N * sinLat, p);
+    const delta = Math.abs(next - lat);
+    lat = next;
+    if (delta < 1e-15) break;
+  }
+  
+  const sinLat = Math.sin(lat);
+  const height = p * Math.cos(lat) + z * sinLat - a * Math.sqrt(1 - e2 * sinLat * sinLat);
+  
+  return {
+    lat: (lat * 180) / Math.PI,
+    lon: (lon * 180) / Math.PI,
+    height
+  };
+}
+
+/**
+ * Maps ECEF axes onto the Three.js scene axes used by this application
+ * (+X toward 90°E, +Y toward the North Pole, +Z toward the Prime Meridian)
+ * @param {Object} ecef - Point with ECEF x, y, z
+ * @returns {Object} Point with scene x, y, z
+ */
+export function ecefToScene(ecef) {
+  return { x: ecef.y, y: ecef.z, z: ecef.x };
+}
+
+/**
+ * Converts geodetic coordinates directly to a 3D scene position on (or above)
+ * the reference ellipsoid
+ * @param {number} lat - Geodetic latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} [height=0] - Ellipsoid height in meters
+ * @param {Object} [ellipsoid=ELLIPSOIDS.GRS80] - Reference ellipsoid
+ * @returns {Object} Point with scene x, y, z
+ */
+export function geodeticToScene(lat, lon, height = 0, ellipsoid = ELLIPSOIDS.GRS80) {
+  return ecefToScene(geodeticToECEF(lat, lon, height, ellipsoid));
+}
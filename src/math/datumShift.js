@@ -0,0 +1,332 @@
+/**
+ * NAD27 ↔ NAD83 datum transformation from NADCON-style shift grids
+ *
+ * A NADCON transformation uses two grids over the same area: one of latitude
+ * shifts (.las/.laa) and one of longitude shifts (.los/.loa), both in arc
+ * seconds and bilinearly interpolated at the point. NADCON stores longitudes
+ * and longitude shifts positive west; this module converts to east-positive
+ * degrees so the rest of the application never sees that convention.
+ *
+ * Both the binary (.las/.los) and ASCII (.laa/.loa) file layouts are read.
+ * A grid object has the shape:
+ * {
+ *   ident,         // header text
+ *   columns,       // number of longitude nodes
+ *   rows,          // number of latitude nodes
+ *   lonMin,        // longitude of the first column, decimal degrees east
+ *   latMin,        // latitude of the first row, decimal degrees
+ *   lonInterval,   // node spacing, decimal degrees
+ *   latInterval,   // node spacing, decimal degrees
+ *   values         // Float32Array of shifts in arc seconds, row by row from the south
+ * }
+ */
+
+import { ELLIPSOIDS } from './ellipsoids.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Binary header: 56-character ident, 8-character program name, then
+// three int32 (nc, nr, nz) and five float32 (xmin, dx, ymin, dy, angle)
+const IDENT_LENGTH = 56;
+const HEADER_LENGTH = 96;
+
+/**
+ * Parse a NADCON shift grid
+ * @param {ArrayBuffer|string} data - Binary file contents, or ASCII file text
+ * @returns {Object} Grid object
+ */
+export function parseNadconGrid(data) {
+  const grid = typeof data === 'string' ? parseAsciiGrid(data) : parseBinaryGrid(data);
+
+  if (grid.values.length !== grid.columns * grid.rows) {
+    throw new Error(`NADCON grid has ${grid.values.length} values, expected ${grid.columns * grid.rows}`);
+  }
+
+  return grid;
+}
+
+/**
+ * Parse the binary layout: fixed-length little-endian records of
+ * (columns + 1) 4-byte words, the header first, then one record per row
+ * with a leading 4-byte row word before the values
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} Grid object
+ */
+function parseBinaryGrid(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < HEADER_LENGTH) {
+    throw new Error('NADCON grid file is too short');
+  }
+
+  const ident = String.fromCharCode(...new Uint8Array(buffer, 0, IDENT_LENGTH)).trim();
+  const columns = view.getInt32(64, true);
+  const rows = view.getInt32(68, true);
+  const recordLength = (columns + 1) * 4;
+
+  // The header occupies the first record, so a record must be able to hold it
+  if (columns <= 0 || rows <= 0 || recordLength < HEADER_LENGTH || buffer.byteLength < recordLength * (rows + 1)) {
+    throw new Error('Invalid NADCON grid header');
+  }
+
+  const values = new Float32Array(columns * rows);
+  for (let row = 0; row < rows; row++) {
+    const offset = (row + 1) * recordLength + 4;
+    for (let col = 0; col < columns; col++) {
+      values[row * columns + col] = view.getFloat32(offset + col * 4, true);
+    }
+  }
+
+  return {
+    ident,
+    columns,
+    rows,
+    lonMin: view.getFloat32(76, true),
+    lonInterval: view.getFloat32(80, true),
+    latMin: view.getFloat32(84, true),
+    latInterval: view.getFloat32(88, true),
+    values
+  };
+}
+
+/**
+ * Parse the ASCII layout: an ident line, a line with
+ * "nc nr nz xmin dx ymin dy angle", then the values row by row
+ * @param {string} text - File contents
+ * @returns {Object} Grid object
+ */
+function parseAsciiGrid(text) {
+  const lines = text.split(/\r?\n/);
+  const header = (lines[1] || '').trim().split(/\s+/).map(Number);
+
+  if (header.length < 7 || header.some(isNaN)) {
+    throw new Error('Invalid NADCON grid header');
+  }
+
+  const [columns, rows, , lonMin, lonInterval, latMin, latInterval] = header;
+  const tokens = lines.slice(2).join(' ').trim().split(/\s+/).filter(Boolean);
+
+  return {
+    ident: lines[0].trim(),
+    columns,
+    rows,
+    lonMin,
+    lonInterval,
+    latMin,
+    latInterval,
+    values: Float32Array.from(tokens, Number)
+  };
+}
+
+/**
+ * Bilinearly interpolate a grid at a position
+ * @param {Object} grid - Grid object
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees (east positive)
+ * @returns {number} Interpolated shift in arc seconds
+ */
+export function interpolateGrid(grid, lat, lon) {
+  const { columns, rows, lonMin, latMin, lonInterval, latInterval, values } = grid;
+  const x = (lon - lonMin) / lonInterval;
+  const y = (lat - latMin) / latInterval;
+
+  // Allow a hair of round-off on the outer edges
+  const tolerance = 1e-9;
+  if (x < -tolerance || y < -tolerance || x > columns - 1 + tolerance || y > rows - 1 + tolerance) {
+    throw new Error(`Position ${lat}, ${lon} is outside the datum shift grid`);
+  }
+
+  // Cell containing the point; points on the last row/column use the cell below/left
+  const col = Math.min(Math.max(Math.floor(x), 0), columns - 2);
+  const row = Math.min(Math.max(Math.floor(y), 0), rows - 2);
+  const dx = x - col;
+  const dy = y - row;
+
+  const southWest = values[row * columns + col];
+  const southEast = values[row * columns + col + 1];
+  const northWest = values[(row + 1) * columns + col];
+  const northEast = values[(row + 1) * columns + col + 1];
+
+  return southWest +
+    (southEast - southWest) * dx +
+    (northWest - southWest) * dy +
+    (northEast - northWest - southEast + southWest) * dx * dy;
+}
+
+/**
+ * Pair a latitude grid and a longitude grid into a datum shift
+ * @param {Object} latGrid - Latitude shift grid (.las/.laa)
+ * @param {Object} lonGrid - Longitude shift grid (.los/.loa)
+ * @returns {Object} { latGrid, lonGrid }
+ */
+export function createDatumShift(latGrid, lonGrid) {
+  const sameLayout = ['columns', 'rows', 'lonMin', 'latMin', 'lonInterval', 'latInterval']
+    .every(key => latGrid[key] === lonGrid[key]);
+
+  if (!sameLayout) {
+    throw new Error('Latitude and longitude shift grids must cover the same nodes');
+  }
+
+  return { latGrid, lonGrid };
+}
+
+/**
+ * Shift at a position on the source datum
+ * @param {Object} shift - Datum shift from createDatumShift
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @returns {Object} { latShift, lonShift } in arc seconds, both north/east positive
+ */
+function shiftAt(shift, lat, lon) {
+  return {
+    latShift: interpolateGrid(shift.latGrid, lat, lon),
+    // NADCON longitude shifts are positive west
+    lonShift: -interpolateGrid(shift.lonGrid, lat, lon)
+  };
+}
+
+/**
+ * Transform a NAD27 position to NAD83
+ * @param {number} lat - NAD27 latitude in decimal degrees
+ * @param {number} lon - NAD27 longitude in decimal degrees
+ * @param {Object} shift - Datum shift from createDatumShift
+ * @returns {Object} { lat, lon, latShift, lonShift } with the NAD83 position
+ *   in decimal degrees and the applied shifts in arc seconds (north/east positive)
+ */
+export function nad27ToNad83(lat, lon, shift) {
+  const { latShift, lonShift } = shiftAt(shift, lat, lon);
+
+  return {
+    lat: lat + latShift / 3600,
+    lon: lon + lonShift / 3600,
+    latShift,
+    lonShift
+  };
+}
+
+/**
+ * Transform a NAD83 position to NAD27. The grids are indexed by NAD27
+ * position, so the inverse is found by iterating on the forward shift.
+ * @param {number} lat - NAD83 latitude in decimal degrees
+ * @param {number} lon - NAD83 longitude in decimal degrees
+ * @param {Object} shift - Datum shift from createDatumShift
+ * @returns {Object} { lat, lon, latShift, lonShift } with the NAD27 position
+ *   and the NAD27 → NAD83 shifts in arc seconds
+ */
+export function nad83ToNad27(lat, lon, shift) {
+  let nad27 = { lat, lon };
+  let latShift = 0;
+  let lonShift = 0;
+
+  for (let i = 0; i < 10; i++) {
+    ({ latShift, lonShift } = shiftAt(shift, nad27.lat, nad27.lon));
+    const next = { lat: lat - latShift / 3600, lon: lon - lonShift / 3600 };
+    const delta = Math.max(Math.abs(next.lat - nad27.lat), Math.abs(next.lon - nad27.lon));
+    nad27 = next;
+    if (delta < 1e-12) break;
+  }
+
+  return { ...nad27, latShift, lonShift };
+}
+
+/**
+ * Position of an entered point on the datum the zones are computed on. A
+ * NAD27 entry is always shifted so its NAD83 position can be shown; a NAD83
+ * entry is shifted only for NAD27 zones.
+ * @param {number} lat - Entered latitude in decimal degrees
+ * @param {number} lon - Entered longitude in decimal degrees
+ * @param {string} inputDatum - Datum of the entry, 'NAD83' or 'NAD27'
+ * @param {string} zoneDatum - Datum of the zones, 'NAD83' or 'NAD27'
+ * @param {Object|null} shift - Datum shift from createDatumShift, or null if
+ *   no grid is loaded
+ * @returns {Object} { lat, lon, shiftDetails } with the position on the zone
+ *   datum, and for a NAD27 entry { nad27, nad83, latShift, lonShift }
+ *   (otherwise null)
+ * @throws {Error} If a shift is needed and no grid is loaded, or the point is
+ *   outside the grid
+ */
+export function positionOnDatum(lat, lon, inputDatum, zoneDatum, shift) {
+  if (inputDatum === 'NAD27') {
+    if (!shift) {
+      throw new Error('The datum shift grid is not loaded yet');
+    }
+
+    const nad83 = nad27ToNad83(lat, lon, shift);
+    const shiftDetails = {
+      nad27: { lat, lon },
+      nad83: { lat: nad83.lat, lon: nad83.lon },
+      latShift: nad83.latShift,
+      lonShift: nad83.lonShift
+    };
+    const position = zoneDatum === 'NAD83' ? shiftDetails.nad83 : shiftDetails.nad27;
+    return { ...position, shiftDetails };
+  }
+
+  if (zoneDatum === 'NAD27') {
+    if (!shift) {
+      throw new Error('Load a NADCON grid pair to shift the NAD83 coordinate to the NAD27 zones');
+    }
+
+    const nad27 = nad83ToNad27(lat, lon, shift);
+    return { lat: nad27.lat, lon: nad27.lon, shiftDetails: null };
+  }
+
+  return { lat, lon, shiftDetails: null };
+}
+
+/**
+ * Express a latitude/longitude shift as a ground vector on GRS80
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} latShift - Latitude shift in arc seconds (north positive)
+ * @param {number} lonShift - Longitude shift in arc seconds (east positive)
+ * @returns {Object} { north, east, distance } in meters and azimuth in decimal
+ *   degrees clockwise from north
+ */
+export function shiftVector(lat, latShift, lonShift) {
+  const { a, e2 } = ELLIPSOIDS.GRS80;
+  const phi = lat * DEG_TO_RAD;
+  const w = Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+
+  // Meridional (M) and prime vertical (N) radii of curvature
+  const meridionalRadius = (a * (1 - e2)) / (w * w * w);
+  const primeVerticalRadius = a / w;
+
+  const north = meridionalRadius * (latShift / 3600) * DEG_TO_RAD;
+  const east = primeVerticalRadius * Math.cos(phi) * (lonShift / 3600) * DEG_TO_RAD;
+
+  return {
+    north,
+    east,
+    distance: Math.hypot(north, east),
+    azimuth: (Math.atan2(east, north) * RAD_TO_DEG + 360) % 360
+  };
+}
+
+/**
+ * Load a latitude/longitude grid pair from URLs. Files ending in .laa/.loa
+ * are read as ASCII, anything else as binary.
+ * @param {string} latUrl - URL of the latitude shift grid
+ * @param {string} lonUrl - URL of the longitude shift grid
+ * @returns {Promise<Object>} Datum shift from createDatumShift
+ */
+export async function loadDatumShift(latUrl, lonUrl) {
+  const [latGrid, lonGrid] = await Promise.all([latUrl, lonUrl].map(async url => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load datum shift grid ${url}`);
+    }
+    const data = isAsciiGridName(url) ? await response.text() : await response.arrayBuffer();
+    return parseNadconGrid(data);
+  }));
+
+  return createDatumShift(latGrid, lonGrid);
+}
+
+/**
+ * Whether a file name or URL refers to an ASCII NADCON grid
+ * @param {string} name - File name or URL
+ * @returns {boolean}
+ */
+export function isAsciiGridName(name) {
+  return /\.(laa|loa)$/i.test(name);
+}
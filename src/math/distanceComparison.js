@@ -0,0 +1,72 @@
+/**
+ * Compare the ellipsoid, grid and ground distances between two points
+ *
+ * The geodesic distance is measured on the datum ellipsoid. The grid
+ * distance is the straight line between the points' zone coordinates. The
+ * ground distance is the grid distance expanded by the combined factor of
+ * the line, which uses the line scale factor (k₁ + 4kₘ + k₂)/6 of its ends
+ * and midpoint and the elevation factor at the mean ellipsoid height.
+ * Comparing the ground distance with a measured one checks the reduction;
+ * comparing the grid distance with the geodesic shows the zone's distortion.
+ */
+
+import { geodesicDirect, geodesicInverse } from './geodesic.js';
+import { elevationFactor } from './combinedFactor.js';
+import { pointScaleFactor, toGrid } from './spcs.js';
+import { convertLength } from './units.js';
+
+/**
+ * Scale factor of a line in a zone by Simpson's rule over its ends and midpoint
+ * @param {number} lat1 - Latitude of the first point in decimal degrees
+ * @param {number} lon1 - Longitude of the first point in decimal degrees
+ * @param {number} lat2 - Latitude of the second point in decimal degrees
+ * @param {number} lon2 - Longitude of the second point in decimal degrees
+ * @param {string|number} zone - Zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {number} Line scale factor
+ */
+export function lineScaleFactor(lat1, lon1, lat2, lon2, zone, datum = 'NAD83') {
+  const { distance, azimuth1 } = geodesicInverse(lat1, lon1, lat2, lon2, datum);
+  const mid = geodesicDirect(lat1, lon1, azimuth1, distance / 2, datum);
+
+  return (pointScaleFactor(lat1, lon1, zone, datum) +
+    4 * pointScaleFactor(mid.lat, mid.lon, zone, datum) +
+    pointScaleFactor(lat2, lon2, zone, datum)) / 6;
+}
+
+/**
+ * Distances between two points on the ellipsoid, the grid and the ground
+ * @param {number} lat1 - Latitude of the first point in decimal degrees
+ * @param {number} lon1 - Longitude of the first point in decimal degrees
+ * @param {number} lat2 - Latitude of the second point in decimal degrees
+ * @param {number} lon2 - Longitude of the second point in decimal degrees
+ * @param {string|number} zone - Zone code
+ * @param {Object} [options] - { datum = 'NAD83', ellipsoidHeight = 0 }, the
+ *   height being the mean ellipsoid height of the line in meters
+ * @returns {Object} { geodesic, grid, ground, scaleFactor, elevationFactor,
+ *   combinedFactor, azimuth1, backAzimuth } with distances in meters and
+ *   the geodesic azimuths in decimal degrees
+ */
+export function compareDistances(lat1, lon1, lat2, lon2, zone, options = {}) {
+  const { datum = 'NAD83', ellipsoidHeight = 0 } = options;
+  const geodesic = geodesicInverse(lat1, lon1, lat2, lon2, datum);
+
+  const start = toGrid(lat1, lon1, zone, datum);
+  const end = toGrid(lat2, lon2, zone, datum);
+  const grid = convertLength(Math.hypot(end.easting - start.easting, end.northing - start.northing), start.units, 'meters');
+
+  const scaleFactor = lineScaleFactor(lat1, lon1, lat2, lon2, zone, datum);
+  const ef = elevationFactor((lat1 + lat2) / 2, ellipsoidHeight, datum);
+  const factor = scaleFactor * ef;
+
+  return {
+    geodesic: geodesic.distance,
+    grid,
+    ground: grid / factor,
+    scaleFactor,
+    elevationFactor: ef,
+    combinedFactor: factor,
+    azimuth1: geodesic.azimuth1,
+    backAzimuth: geodesic.backAzimuth
+  };
+}
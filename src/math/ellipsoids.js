@@ -0,0 +1,53 @@
+/**
+ * Reference ellipsoids used by the SPCS datums
+ *
+ * NAD83 and NATRF2022 are referenced to GRS80 and NAD27 to Clarke 1866.
+ * Each ellipsoid is described by its semi-major axis `a` (meters) and
+ * flattening `f`; the remaining constants are derived so every module works
+ * from the same values.
+ */
+
+export const ELLIPSOIDS = {
+  GRS80: createEllipsoid('GRS80', 6378137, 1 / 298.257222101),
+  // Clarke 1866 is defined by its semi-axes (a = 6378206.4 m, b = 6356583.8 m)
+  CLARKE1866: createEllipsoid('CLARKE1866', 6378206.4, 1 - 6356583.8 / 6378206.4)
+};
+
+// Ellipsoid associated with each supported datum
+const DATUM_ELLIPSOIDS = {
+  NAD83: 'GRS80',
+  NAD27: 'CLARKE1866',
+  NATRF2022: 'GRS80'
+};
+
+/**
+ * Build an ellipsoid description with its derived constants
+ * @param {string} name - Ellipsoid identifier
+ * @param {number} a - Semi-major axis in meters
+ * @param {number} f - Flattening
+ * @returns {Object} Ellipsoid with a, f, b, e2 (first eccentricity squared) and e
+ */
+function createEllipsoid(name, a, f) {
+  const e2 = f * (2 - f);
+  return Object.freeze({
+    name,
+    a,
+    f,
+    b: a * (1 - f),
+    e2,
+    e: Math.sqrt(e2)
+  });
+}
+
+/**
+ * Get the reference ellipsoid for a datum
+ * @param {string} [datum='NAD83'] - Datum key (NAD83, NAD27 or NATRF2022)
+ * @returns {Object} Ellipsoid description from ELLIPSOIDS
+ */
+export function getDatumEllipsoid(datum = 'NAD83') {
+  const ellipsoidName = DATUM_ELLIPSOIDS[datum];
+  if (!ellipsoidName) {
+    throw new Error(`Unsupported datum: ${datum}`);
+  }
+  return ELLIPSOIDS[ellipsoidName];
+}
@@ -0,0 +1,778 @@
+/**
+ * Geodesics on the datum ellipsoid
+ *
+ * Solves the inverse problem (distance and azimuths between two points) and
+ * the direct problem (the point at a distance and azimuth from another) with
+ * the algorithms of C. F. F. Karney, "Algorithms for geodesics", J. Geodesy
+ * 87, 43–55 (2013), following the GeographicLib implementation (MIT license)
+ * with series expanded to sixth order in the third flattening. Results are
+ * accurate to about 15 nm for any pair of points, including nearly
+ * antipodal ones where Vincenty's method fails to converge.
+ *
+ * Only the quantities needed here are computed (no area or geodesic scale),
+ * and the ellipsoids are assumed oblate with f below 0.01, as all the datum
+ * ellipsoids are. Azimuths are in decimal degrees clockwise from north,
+ * in the range [0, 360).
+ */
+
+import { getDatumEllipsoid } from './ellipsoids.js';
+
+const ORDER = 6;
+const DEGREE = Math.PI / 180;
+const TINY = Math.sqrt(Number.MIN_VALUE);
+const TOL0 = Number.EPSILON;
+const TOL1 = 200 * TOL0;
+const TOL2 = Math.sqrt(TOL0);
+const TOLB = TOL0;
+const XTHRESH = 1000 * TOL2;
+const MAXIT1 = 20;
+const MAXIT2 = MAXIT1 + 53 + 10;
+
+// Series constants derived from each ellipsoid, computed on first use
+const constantsCache = new WeakMap();
+
+/**
+ * Solve the inverse geodesic problem
+ * @param {number} lat1 - Latitude of the first point in decimal degrees
+ * @param {number} lon1 - Longitude of the first point in decimal degrees
+ * @param {number} lat2 - Latitude of the second point in decimal degrees
+ * @param {number} lon2 - Longitude of the second point in decimal degrees
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} { distance, azimuth1, azimuth2, backAzimuth }: the
+ *   distance in meters, the azimuth of the geodesic at each point (in the
+ *   direction of travel from the first point to the second) and the azimuth
+ *   from the second point back to the first
+ */
+export function geodesicInverse(lat1, lon1, lat2, lon2, datum = 'NAD83') {
+  const g = getConstants(getDatumEllipsoid(datum));
+  const { distance, salp1, calp1, salp2, calp2 } = solveInverse(g, lat1, lon1, lat2, lon2);
+  const azimuth2 = normalizeAzimuth(atan2d(salp2, calp2));
+
+  return {
+    distance,
+    azimuth1: normalizeAzimuth(atan2d(salp1, calp1)),
+    azimuth2,
+    backAzimuth: normalizeAzimuth(azimuth2 + 180)
+  };
+}
+
+/**
+ * Solve the direct geodesic problem
+ * @param {number} lat1 - Latitude of the start in decimal degrees
+ * @param {number} lon1 - Longitude of the start in decimal degrees
+ * @param {number} azimuth1 - Azimuth at the start in decimal degrees
+ * @param {number} distance - Distance along the geodesic in meters (may be negative)
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} { lat, lon, azimuth2, backAzimuth }: the end point, the
+ *   azimuth of the geodesic there and the azimuth back to the start
+ */
+export function geodesicDirect(lat1, lon1, azimuth1, distance, datum = 'NAD83') {
+  const g = getConstants(getDatumEllipsoid(datum));
+  const { lat, lon, salp2, calp2 } = solveDirect(g, lat1, lon1, azimuth1, distance);
+  const azimuth2 = normalizeAzimuth(atan2d(salp2, calp2));
+
+  return { lat, lon, azimuth2, backAzimuth: normalizeAzimuth(azimuth2 + 180) };
+}
+
+/**
+ * Points spaced along the geodesic between two points, e.g. for drawing it
+ * @param {number} lat1 - Latitude of the first point in decimal degrees
+ * @param {number} lon1 - Longitude of the first point in decimal degrees
+ * @param {number} lat2 - Latitude of the second point in decimal degrees
+ * @param {number} lon2 - Longitude of the second point in decimal degrees
+ * @param {number} [segments=64] - Number of equal segments
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Array<Array<number>>} segments + 1 [lat, lon] pairs, both ends included
+ */
+export function geodesicPath(lat1, lon1, lat2, lon2, segments = 64, datum = 'NAD83') {
+  const { distance, azimuth1 } = geodesicInverse(lat1, lon1, lat2, lon2, datum);
+  const points = [[lat1, lon1]];
+
+  for (let i = 1; i < segments; i++) {
+    const { lat, lon } = geodesicDirect(lat1, lon1, azimuth1, distance * i / segments, datum);
+    points.push([lat, lon]);
+  }
+  points.push([lat2, lon2]);
+
+  return points;
+}
+
+/**
+ * Constants of the series for an ellipsoid
+ * @param {Object} ellipsoid - Reference ellipsoid
+ * @returns {Object} Ellipsoid constants with the A3 and C3 coefficients
+ */
+function getConstants(ellipsoid) {
+  let g = constantsCache.get(ellipsoid);
+  if (g) return g;
+
+  const { a, f, b, e2 } = ellipsoid;
+  const f1 = 1 - f;
+  const n = f / (2 - f);
+  g = {
+    a,
+    b,
+    f,
+    f1,
+    ep2: e2 / (f1 * f1),
+    n,
+    etol2: 0.1 * TOL2 / Math.sqrt(Math.max(0.001, Math.abs(f)) * Math.min(1, 1 - f / 2) / 2),
+    A3x: a3Coefficients(n),
+    C3x: c3Coefficients(n)
+  };
+  constantsCache.set(ellipsoid, g);
+  return g;
+}
+
+/**
+ * Inverse problem, returning the sines and cosines of the azimuths
+ * @param {Object} g - Ellipsoid constants
+ * @param {number} lat1 - Latitude of the first point in decimal degrees
+ * @param {number} lon1 - Longitude of the first point in decimal degrees
+ * @param {number} lat2 - Latitude of the second point in decimal degrees
+ * @param {number} lon2 - Longitude of the second point in decimal degrees
+ * @returns {Object} { distance, salp1, calp1, salp2, calp2 }
+ */
+function solveInverse(g, lat1, lon1, lat2, lon2) {
+  // Reduce to the canonical configuration: 0 <= lon12 <= 180,
+  // lat1 <= 0 and |lat1| >= |lat2|
+  const difference = angleDifference(lon1, lon2);
+  let lon12 = difference.d;
+  let lonsign = lon12 >= 0 ? 1 : -1;
+  lon12 = lonsign * angleRound(lon12);
+  const lon12s = angleRound((180 - lon12) - lonsign * difference.e);
+  const lam12 = lon12 * DEGREE;
+
+  let slam12;
+  let clam12;
+  if (lon12 > 90) {
+    ({ s: slam12, c: clam12 } = sincosd(lon12s));
+    clam12 = -clam12;
+  } else {
+    ({ s: slam12, c: clam12 } = sincosd(lon12));
+  }
+
+  lat1 = angleRound(latFix(lat1));
+  lat2 = angleRound(latFix(lat2));
+  const swapp = Math.abs(lat1) < Math.abs(lat2) ? -1 : 1;
+  if (swapp < 0) {
+    lonsign *= -1;
+    [lat1, lat2] = [lat2, lat1];
+  }
+  const latsign = lat1 < 0 ? 1 : -1;
+  lat1 *= latsign;
+  lat2 *= latsign;
+
+  // Reduced latitudes
+  let { s: sbet1, c: cbet1 } = sincosd(lat1);
+  sbet1 *= g.f1;
+  [sbet1, cbet1] = normalize(sbet1, cbet1);
+  cbet1 = Math.max(TINY, cbet1);
+
+  let { s: sbet2, c: cbet2 } = sincosd(lat2);
+  sbet2 *= g.f1;
+  [sbet2, cbet2] = normalize(sbet2, cbet2);
+  cbet2 = Math.max(TINY, cbet2);
+
+  // Make the symmetric cases exactly symmetric
+  if (cbet1 < -sbet1) {
+    if (cbet2 === cbet1) sbet2 = sbet2 < 0 ? sbet1 : -sbet1;
+  } else if (Math.abs(sbet2) === -sbet1) {
+    cbet2 = cbet1;
+  }
+
+  const dn1 = Math.sqrt(1 + g.ep2 * sbet1 * sbet1);
+  const dn2 = Math.sqrt(1 + g.ep2 * sbet2 * sbet2);
+
+  let salp1;
+  let calp1;
+  let salp2;
+  let calp2;
+  let sig12;
+  let s12x;
+  let m12x;
+
+  // Geodesics along a meridian
+  let meridian = lat1 === -90 || slam12 === 0;
+  if (meridian) {
+    calp1 = clam12;
+    salp1 = slam12;
+    calp2 = 1;
+    salp2 = 0;
+
+    const ssig1 = sbet1;
+    const csig1 = calp1 * cbet1;
+    const ssig2 = sbet2;
+    const csig2 = calp2 * cbet2;
+    sig12 = Math.atan2(Math.max(0, csig1 * ssig2 - ssig1 * csig2), csig1 * csig2 + ssig1 * ssig2);
+
+    ({ s12b: s12x, m12b: m12x } = lengths(g.n, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2));
+    if (sig12 < 1 || m12x >= 0) {
+      if (sig12 < 3 * TINY || (sig12 < TOL0 && (s12x < 0 || m12x < 0))) {
+        sig12 = m12x = s12x = 0;
+      }
+      s12x *= g.b;
+    } else {
+      // A meridian is not the shortest path past the conjugate point
+      meridian = false;
+    }
+  }
+
+  if (!meridian && sbet1 === 0 && lon12s >= g.f * 180) {
+    // Geodesics along the equator
+    calp1 = calp2 = 0;
+    salp1 = salp2 = 1;
+    s12x = g.a * lam12;
+  } else if (!meridian) {
+    // General case: find the azimuth at the first point by Newton's method
+    const start = inverseStart(g, sbet1, cbet1, dn1, sbet2, cbet2, dn2, lam12, slam12, clam12);
+    sig12 = start.sig12;
+    salp1 = start.salp1;
+    calp1 = start.calp1;
+
+    if (sig12 >= 0) {
+      // Short lines are solved directly
+      salp2 = start.salp2;
+      calp2 = start.calp2;
+      s12x = sig12 * g.b * start.dnm;
+    } else {
+      let salp1a = TINY;
+      let calp1a = 1;
+      let salp1b = TINY;
+      let calp1b = -1;
+      let tripn = false;
+      let tripb = false;
+      let line;
+
+      for (let numit = 0; ; numit++) {
+        line = lambda12(g, sbet1, cbet1, dn1, sbet2, cbet2, dn2, salp1, calp1, slam12, clam12, numit < MAXIT1);
+        const v = line.lam12;
+        if (tripb || !(Math.abs(v) >= (tripn ? 8 : 1) * TOL0) || numit === MAXIT2) break;
+
+        // Keep the root bracketed
+        if (v > 0 && (numit < MAXIT1 || calp1 / salp1 > calp1b / salp1b)) {
+          salp1b = salp1;
+          calp1b = calp1;
+        } else if (v < 0 && (numit < MAXIT1 || calp1 / salp1 < calp1a / salp1a)) {
+          salp1a = salp1;
+          calp1a = calp1;
+        }
+
+        if (numit < MAXIT1 && line.dlam12 > 0) {
+          const dalp1 = -v / line.dlam12;
+          if (Math.abs(dalp1) < Math.PI) {
+            const sdalp1 = Math.sin(dalp1);
+            const cdalp1 = Math.cos(dalp1);
+            const nsalp1 = salp1 * cdalp1 + calp1 * sdalp1;
+            if (nsalp1 > 0) {
+              [salp1, calp1] = normalize(nsalp1, calp1 * cdalp1 - salp1 * sdalp1);
+              tripn = Math.abs(v) <= 16 * TOL0;
+              continue;
+            }
+          }
+        }
+
+        // Newton's method failed to stay in range; bisect the bracket instead
+        [salp1, calp1] = normalize((salp1a + salp1b) / 2, (calp1a + calp1b) / 2);
+        tripn = false;
+        tripb = Math.abs(salp1a - salp1) + (calp1a - calp1) < TOLB ||
+          Math.abs(salp1 - salp1b) + (calp1 - calp1b) < TOLB;
+      }
+
+      salp2 = line.salp2;
+      calp2 = line.calp2;
+      s12x = g.b * lengths(line.eps, line.sig12, line.ssig1, line.csig1, dn1, line.ssig2, line.csig2, dn2).s12b;
+    }
+  }
+
+  // Undo the canonical configuration
+  if (swapp < 0) {
+    [salp1, salp2] = [salp2, salp1];
+    [calp1, calp2] = [calp2, calp1];
+  }
+
+  return {
+    distance: 0 + s12x,  // Convert -0 to 0
+    salp1: salp1 * swapp * lonsign,
+    calp1: calp1 * swapp * latsign,
+    salp2: salp2 * swapp * lonsign,
+    calp2: calp2 * swapp * latsign
+  };
+}
+
+/**
+ * Direct problem, returning the sine and cosine of the final azimuth
+ * @param {Object} g - Ellipsoid constants
+ * @param {number} lat1 - Latitude of the start in decimal degrees
+ * @param {number} lon1 - Longitude of the start in decimal degrees
+ * @param {number} azi1 - Azimuth at the start in decimal degrees
+ * @param {number} s12 - Distance in meters
+ * @returns {Object} { lat, lon, salp2, calp2 }
+ */
+function solveDirect(g, lat1, lon1, azi1, s12) {
+  const { s: salp1, c: calp1 } = sincosd(angleRound(angleNormalize(azi1)));
+
+  let { s: sbet1, c: cbet1 } = sincosd(angleRound(latFix(lat1)));
+  sbet1 *= g.f1;
+  [sbet1, cbet1] = normalize(sbet1, cbet1);
+  cbet1 = Math.max(TINY, cbet1);
+
+  // Equatorial crossing of the great circle on the auxiliary sphere
+  const salp0 = salp1 * cbet1;
+  const calp0 = Math.hypot(calp1, salp1 * sbet1);
+  const somg1 = salp0 * sbet1;
+  const comg1 = sbet1 !== 0 || calp1 !== 0 ? cbet1 * calp1 : 1;
+  const [ssig1, csig1] = normalize(sbet1, comg1);
+
+  const k2 = calp0 * calp0 * g.ep2;
+  const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+
+  const A1m1 = a1m1f(eps);
+  const C1a = c1f(eps);
+  const C1pa = c1pf(eps);
+  const C3a = c3f(g, eps);
+  const A3c = -g.f * salp0 * a3f(g, eps);
+
+  const B11 = sinCosSeries(true, ssig1, csig1, C1a);
+  const stau1 = ssig1 * Math.cos(B11) + csig1 * Math.sin(B11);
+  const ctau1 = csig1 * Math.cos(B11) - ssig1 * Math.sin(B11);
+  const B31 = sinCosSeries(true, ssig1, csig1, C3a);
+
+  // Arc length on the auxiliary sphere from the distance
+  const tau12 = s12 / (g.b * (1 + A1m1));
+  const stau12 = Math.sin(tau12);
+  const ctau12 = Math.cos(tau12);
+  const B12 = -sinCosSeries(true, stau1 * ctau12 + ctau1 * stau12, ctau1 * ctau12 - stau1 * stau12, C1pa);
+  const sig12 = tau12 - (B12 - B11);
+  const ssig12 = Math.sin(sig12);
+  const csig12 = Math.cos(sig12);
+
+  const ssig2 = ssig1 * csig12 + csig1 * ssig12;
+  let csig2 = csig1 * csig12 - ssig1 * ssig12;
+  const sbet2 = calp0 * ssig2;
+  let cbet2 = Math.hypot(salp0, calp0 * csig2);
+  if (cbet2 === 0) {
+    // The geodesic ends at a pole
+    cbet2 = csig2 = TINY;
+  }
+
+  const somg2 = salp0 * ssig2;
+  const comg2 = csig2;
+  const omg12 = Math.atan2(somg2 * comg1 - comg2 * somg1, comg2 * comg1 + somg2 * somg1);
+  const lam12 = omg12 + A3c * (sig12 + (sinCosSeries(true, ssig2, csig2, C3a) - B31));
+
+  return {
+    lat: atan2d(sbet2, g.f1 * cbet2),
+    lon: angleNormalize(angleNormalize(lon1) + angleNormalize(lam12 / DEGREE)),
+    salp2: salp0,
+    calp2: calp0 * csig2
+  };
+}
+
+/**
+ * Starting azimuth for Newton's method, or the solution itself for short lines
+ * @returns {Object} { sig12, salp1, calp1, salp2, calp2, dnm }; sig12 is
+ *   negative unless the line was solved
+ */
+function inverseStart(g, sbet1, cbet1, dn1, sbet2, cbet2, dn2, lam12, slam12, clam12) {
+  const result = { sig12: -1 };
+  const sbet12 = sbet2 * cbet1 - cbet2 * sbet1;
+  const cbet12 = cbet2 * cbet1 + sbet2 * sbet1;
+  const sbet12a = sbet2 * cbet1 + cbet2 * sbet1;
+
+  const shortline = cbet12 >= 0 && sbet12 < 0.5 && cbet2 * lam12 < 0.5;
+  let somg12;
+  let comg12;
+  if (shortline) {
+    let sbetm2 = (sbet1 + sbet2) ** 2;
+    sbetm2 /= sbetm2 + (cbet1 + cbet2) ** 2;
+    result.dnm = Math.sqrt(1 + g.ep2 * sbetm2);
+    const omg12 = lam12 / (g.f1 * result.dnm);
+    somg12 = Math.sin(omg12);
+    comg12 = Math.cos(omg12);
+  } else {
+    somg12 = slam12;
+    comg12 = clam12;
+  }
+
+  result.salp1 = cbet2 * somg12;
+  result.calp1 = comg12 >= 0
+    ? sbet12 + cbet2 * sbet1 * somg12 * somg12 / (1 + comg12)
+    : sbet12a - cbet2 * sbet1 * somg12 * somg12 / (1 - comg12);
+
+  const ssig12 = Math.hypot(result.salp1, result.calp1);
+  const csig12 = sbet1 * sbet2 + cbet1 * cbet2 * comg12;
+
+  if (shortline && ssig12 < g.etol2) {
+    // Really short lines
+    [result.salp2, result.calp2] = normalize(
+      cbet1 * somg12,
+      sbet12 - cbet1 * sbet2 * (comg12 >= 0 ? somg12 * somg12 / (1 + comg12) : 1 - comg12)
+    );
+    result.sig12 = Math.atan2(ssig12, csig12);
+  } else if (Math.abs(g.n) > 0.1 || csig12 >= 0 || ssig12 >= 6 * Math.abs(g.n) * Math.PI * cbet1 * cbet1) {
+    // The spherical approximation is good enough
+  } else {
+    // Nearly antipodal points: solve the astroid problem
+    const lam12x = Math.atan2(-slam12, -clam12);
+    const k2 = sbet1 * sbet1 * g.ep2;
+    const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+    const lamscale = g.f * cbet1 * a3f(g, eps) * Math.PI;
+    const betscale = lamscale * cbet1;
+    const x = lam12x / lamscale;
+    const y = sbet12a / betscale;
+
+    if (y > -TOL1 && x > -1 - XTHRESH) {
+      result.salp1 = Math.min(1, -x);
+      result.calp1 = -Math.sqrt(1 - result.salp1 * result.salp1);
+    } else {
+      const k = astroid(x, y);
+      const omg12a = lamscale * (-x * k / (1 + k));
+      somg12 = Math.sin(omg12a);
+      comg12 = -Math.cos(omg12a);
+      result.salp1 = cbet2 * somg12;
+      result.calp1 = sbet12a - cbet2 * sbet1 * somg12 * somg12 / (1 - comg12);
+    }
+  }
+
+  if (!(result.salp1 <= 0)) {
+    [result.salp1, result.calp1] = normalize(result.salp1, result.calp1);
+  } else {
+    result.salp1 = 1;
+    result.calp1 = 0;
+  }
+  return result;
+}
+
+/**
+ * Longitude difference reached by the geodesic leaving the first point at
+ * azimuth alp1, less the target difference, with its derivative
+ * @returns {Object} { lam12, dlam12, sig12, ssig1, csig1, ssig2, csig2, salp2, calp2, eps }
+ */
+function lambda12(g, sbet1, cbet1, dn1, sbet2, cbet2, dn2, salp1, calp1, slam120, clam120, diffp) {
+  if (sbet1 === 0 && calp1 === 0) {
+    // Break the degeneracy of equatorial lines
+    calp1 = -TINY;
+  }
+
+  const salp0 = salp1 * cbet1;
+  const calp0 = Math.hypot(calp1, salp1 * sbet1);
+
+  const somg1 = salp0 * sbet1;
+  const comg1 = calp1 * cbet1;
+  const [ssig1, csig1] = normalize(sbet1, comg1);
+
+  const salp2 = cbet2 !== cbet1 ? salp0 / cbet2 : salp1;
+  const calp2 = cbet2 !== cbet1 || Math.abs(sbet2) !== -sbet1
+    ? Math.sqrt((calp1 * cbet1) ** 2 + (cbet1 < -sbet1
+      ? (cbet2 - cbet1) * (cbet1 + cbet2)
+      : (sbet1 - sbet2) * (sbet1 + sbet2))) / cbet2
+    : Math.abs(calp1);
+
+  const somg2 = salp0 * sbet2;
+  const comg2 = calp2 * cbet2;
+  const [ssig2, csig2] = normalize(sbet2, comg2);
+
+  const sig12 = Math.atan2(Math.max(0, csig1 * ssig2 - ssig1 * csig2), csig1 * csig2 + ssig1 * ssig2);
+  const somg12 = Math.max(0, comg1 * somg2 - somg1 * comg2);
+  const comg12 = comg1 * comg2 + somg1 * somg2;
+  const eta = Math.atan2(somg12 * clam120 - comg12 * slam120, comg12 * clam120 + somg12 * slam120);
+
+  const k2 = calp0 * calp0 * g.ep2;
+  const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+  const C3a = c3f(g, eps);
+  const B312 = sinCosSeries(true, ssig2, csig2, C3a) - sinCosSeries(true, ssig1, csig1, C3a);
+  const lam12 = eta - g.f * a3f(g, eps) * salp0 * (sig12 + B312);
+
+  let dlam12;
+  if (diffp) {
+    dlam12 = calp2 === 0
+      ? -2 * g.f1 * dn1 / sbet1
+      : lengths(eps, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2).m12b * g.f1 / (calp2 * cbet2);
+  }
+
+  return { lam12, dlam12, sig12, ssig1, csig1, ssig2, csig2, salp2, calp2, eps };
+}
+
+/**
+ * Distance and reduced length on the unit-minor-axis ellipsoid
+ * @returns {Object} { s12b, m12b }
+ */
+function lengths(eps, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2) {
+  const C1a = c1f(eps);
+  const C2a = c2f(eps);
+  const A1 = 1 + a1m1f(eps);
+  const A2 = 1 + a2m1f(eps);
+
+  const B1 = sinCosSeries(true, ssig2, csig2, C1a) - sinCosSeries(true, ssig1, csig1, C1a);
+  const B2 = sinCosSeries(true, ssig2, csig2, C2a) - sinCosSeries(true, ssig1, csig1, C2a);
+  const J12 = (A1 - A2) * sig12 + (A1 * B1 - A2 * B2);
+
+  return {
+    s12b: A1 * (sig12 + B1),
+    m12b: dn2 * (csig1 * ssig2) - dn1 * (ssig1 * csig2) - csig1 * csig2 * J12
+  };
+}
+
+/**
+ * Positive root k of k^4 + 2k^3 - (x^2 + y^2 - 1)k^2 - 2y^2 k - y^2 = 0
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function astroid(x, y) {
+  const p = x * x;
+  const q = y * y;
+  const r = (p + q - 1) / 6;
+  if (q === 0 && r <= 0) return 0;
+
+  const S = p * q / 4;
+  const r2 = r * r;
+  const r3 = r * r2;
+  const disc = S * (S + 2 * r3);
+  let u = r;
+  if (disc >= 0) {
+    let T3 = S + r3;
+    T3 += T3 < 0 ? -Math.sqrt(disc) : Math.sqrt(disc);
+    const T = Math.cbrt(T3);
+    u += T + (T !== 0 ? r2 / T : 0);
+  } else {
+    const ang = Math.atan2(Math.sqrt(-disc), -(S + r3));
+    u += 2 * r * Math.cos(ang / 3);
+  }
+
+  const v = Math.sqrt(u * u + q);
+  const uv = u < 0 ? q / (v - u) : u + v;
+  const w = (uv - q) / (2 * v);
+  return uv / (Math.sqrt(uv + w * w) + w);
+}
+
+// Series in eps = k^2 / (2(1 + sqrt(1 + k^2)) + k^2) for the distance integral
+// (A1, C1 and its reversion C1p), the reduced length (A2, C2) and the
+// longitude (A3, C3), as published with GeographicLib.
+
+function a1m1f(eps) {
+  const t = polyval(3, [1, 4, 64, 0, 256], 0, eps * eps) / 256;
+  return (t + eps) / (1 - eps);
+}
+
+function a2m1f(eps) {
+  const t = polyval(3, [-11, -28, -192, 0, 256], 0, eps * eps) / 256;
+  return (t - eps) / (1 + eps);
+}
+
+const C1_COEFFICIENTS = [-1, 6, -16, 32, -9, 64, -128, 2048, 9, -16, 768, 3, -5, 512, -7, 1280, -7, 2048];
+const C1P_COEFFICIENTS = [
+  205, -432, 768, 1536, 4005, -4736, 3840, 12288, -225, 116, 384,
+  -7173, 2695, 7680, 3467, 7680, 38081, 61440
+];
+const C2_COEFFICIENTS = [1, 2, 16, 32, 35, 64, 384, 2048, 15, 80, 768, 7, 35, 512, 63, 1280, 77, 2048];
+
+function c1f(eps) {
+  return fourierCoefficients(C1_COEFFICIENTS, eps);
+}
+
+function c1pf(eps) {
+  return fourierCoefficients(C1P_COEFFICIENTS, eps);
+}
+
+function c2f(eps) {
+  return fourierCoefficients(C2_COEFFICIENTS, eps);
+}
+
+/**
+ * Coefficients c[1..ORDER] of a Fourier series whose terms are even
+ * polynomials in eps times eps^l
+ * @param {Array<number>} coefficients - Numerators followed by the denominator, per term
+ * @param {number} eps
+ * @returns {Array<number>} Coefficients; c[0] is unused
+ */
+function fourierCoefficients(coefficients, eps) {
+  const c = [0];
+  const eps2 = eps * eps;
+  let d = eps;
+  let o = 0;
+  for (let l = 1; l <= ORDER; l++) {
+    const m = Math.floor((ORDER - l) / 2);
+    c[l] = d * polyval(m, coefficients, o, eps2) / coefficients[o + m + 1];
+    o += m + 2;
+    d *= eps;
+  }
+  return c;
+}
+
+function a3Coefficients(n) {
+  const coefficients = [-3, 128, -2, -3, 64, -1, -3, -1, 16, 3, -1, -2, 8, 1, -1, 2, 1, 1];
+  const A3x = [];
+  let o = 0;
+  for (let j = ORDER - 1; j >= 0; j--) {
+    const m = Math.min(ORDER - j - 1, j);
+    A3x.push(polyval(m, coefficients, o, n) / coefficients[o + m + 1]);
+    o += m + 2;
+  }
+  return A3x;
+}
+
+function c3Coefficients(n) {
+  const coefficients = [
+    3, 128, 2, 5, 128, -1, 3, 3, 64, -1, 0, 1, 8, -1, 1, 4,
+    5, 256, 1, 3, 128, -3, -2, 3, 64, 1, -3, 2, 32,
+    7, 512, -10, 9, 384, 5, -9, 5, 192,
+    7, 512, -14, 7, 512,
+    21, 2560
+  ];
+  const C3x = [];
+  let o = 0;
+  for (let l = 1; l < ORDER; l++) {
+    for (let j = ORDER - 1; j >= l; j--) {
+      const m = Math.min(ORDER - j - 1, j);
+      C3x.push(polyval(m, coefficients, o, n) / coefficients[o + m + 1]);
+      o += m + 2;
+    }
+  }
+  return C3x;
+}
+
+function a3f(g, eps) {
+  return polyval(ORDER - 1, g.A3x, 0, eps);
+}
+
+function c3f(g, eps) {
+  const c = [0];
+  let mult = 1;
+  let o = 0;
+  for (let l = 1; l < ORDER; l++) {
+    const m = ORDER - l - 1;
+    mult *= eps;
+    c[l] = mult * polyval(m, g.C3x, o, eps);
+    o += m + 1;
+  }
+  return c;
+}
+
+/**
+ * Evaluate a polynomial of degree N with coefficients p[s..s+N], highest first
+ */
+function polyval(N, p, s, x) {
+  let y = N < 0 ? 0 : p[s++];
+  while (--N >= 0) y = y * x + p[s++];
+  return y;
+}
+
+/**
+ * Sum of c[l] sin(2l x) (sinp) or c[l] cos((2l - 1) x) by Clenshaw summation
+ */
+function sinCosSeries(sinp, sinx, cosx, c) {
+  let k = c.length;
+  let n = k - (sinp ? 1 : 0);
+  const ar = 2 * (cosx - sinx) * (cosx + sinx);
+  let y0 = n & 1 ? c[--k] : 0;
+  let y1 = 0;
+  n = Math.floor(n / 2);
+  while (n--) {
+    y1 = ar * y0 - y1 + c[--k];
+    y0 = ar * y1 - y0 + c[--k];
+  }
+  return sinp ? 2 * sinx * cosx * y0 : cosx * (y0 - y1);
+}
+
+// Angle helpers that keep exact values exact (e.g. sin 30° = 0.5)
+
+function normalize(s, c) {
+  const r = Math.hypot(s, c);
+  return [s / r, c / r];
+}
+
+function latFix(lat) {
+  return Math.abs(lat) > 90 ? NaN : lat;
+}
+
+function remainder(x, y) {
+  x %= y;
+  return x < -y / 2 ? x + y : (x < y / 2 ? x : x - y);
+}
+
+function angleNormalize(x) {
+  const y = remainder(x, 360);
+  return Math.abs(y) === 180 ? (x < 0 ? -180 : 180) : y;
+}
+
+// Round tiny angles so that small differences do not underflow
+function angleRound(x) {
+  const z = 1 / 16;
+  const y = Math.abs(x);
+  const w = y < z ? z - (z - y) : y;
+  return x < 0 ? -w : w;
+}
+
+// Error-free sum: s + t equals u + v exactly
+function sum(u, v) {
+  const s = u + v;
+  let up = s - v;
+  let vpp = s - up;
+  up -= u;
+  vpp -= v;
+  return { s, t: s ? 0 - (up + vpp) : s };
+}
+
+// Difference y - x reduced to [-180, 180], with its rounding error e
+function angleDifference(x, y) {
+  let r = sum(remainder(-x, 360), remainder(y, 360));
+  r = sum(remainder(r.s, 360), r.t);
+  let d = r.s;
+  if (d === 0 || Math.abs(d) === 180) {
+    const sign = r.t === 0 ? y - x : -r.t;
+    d = sign < 0 ? -Math.abs(d) : Math.abs(d);
+  }
+  return { d, e: r.t };
+}
+
+function sincosd(x) {
+  let d = x % 360;
+  const q = Math.round(d / 90);
+  d -= 90 * q;
+  const r = d * DEGREE;
+  let s = Math.sin(r);
+  let c = Math.cos(r);
+  if (Math.abs(d) === 45) {
+    c = Math.sqrt(0.5);
+    s = r < 0 ? -c : c;
+  } else if (Math.abs(d) === 30) {
+    c = Math.sqrt(0.75);
+    s = r < 0 ? -0.5 : 0.5;
+  }
+
+  let sinx;
+  let cosx;
+  switch (q & 3) {
+    case 0: sinx = s; cosx = c; break;
+    case 1: sinx = c; cosx = -s; break;
+    case 2: sinx = -s; cosx = -c; break;
+    default: sinx = -c; cosx = s;
+  }
+  return { s: sinx === 0 ? (x < 0 || Object.is(x, -0) ? -0 : 0) : sinx, c: cosx + 0 };
+}
+
+function atan2d(y, x) {
+  let q = 0;
+  if (Math.abs(y) > Math.abs(x)) {
+    [x, y] = [y, x];
+    q = 2;
+  }
+  if (x < 0 || Object.is(x, -0)) {
+    x = -x;
+    q++;
+  }
+  let angle = Math.atan2(y, x) / DEGREE;
+  switch (q) {
+    case 1: angle = (y < 0 || Object.is(y, -0) ? -180 : 180) - angle; break;
+    case 2: angle = 90 - angle; break;
+    case 3: angle = -90 + angle; break;
+  }
+  return angle;
+}
+
+function normalizeAzimuth(azimuth) {
+  const normalized = azimuth % 360;
+  return normalized < 0 ? normalized + 360 : normalized + 0;
+}
@@ -0,0 +1,225 @@
+/**
+ * Easting and northing grid lines
+ *
+ * Lines of constant easting and northing are straight in grid coordinates,
+ * so they are cut there: the zone boundary is projected onto the grid and
+ * each line keeps the stretches inside it (even-odd rule, so holes and
+ * multi-part zones work), and inside the view when one is given. The kept
+ * stretches are mapped back to latitude and longitude a few points per
+ * interval, since they curve on the web map.
+ *
+ * Grid values are in any linear unit; each zone's own unit is used only to
+ * call the projection.
+ */
+
+import { toGeographic, toGrid } from './spcs.js';
+import { convertLength, formatLength } from './units.js';
+
+// Fewest pixels between neighboring lines
+export const GRID_MIN_SPACING = 100;
+
+// Multipliers of a power of ten used for intervals (10 reaching the next power)
+const INTERVAL_STEPS = [1, 2, 5, 10];
+
+// Longest boundary edge projected as a straight line, in degrees; longer
+// edges (UTM zones are bare rectangles) are split, since they curve on the grid
+const MAX_EDGE_DEGREES = 0.1;
+
+// Points mapped back to latitude and longitude per interval of line length,
+// and the most per stretch
+const POINTS_PER_INTERVAL = 4;
+const MAX_PATH_POINTS = 64;
+
+/**
+ * Interval between lines for a map scale: the smallest 1, 2 or 5 × 10ⁿ at
+ * least `minimum` that keeps lines `minSpacing` pixels apart. A power of ten
+ * as the minimum is always a factor of the result, so the lines chosen stay
+ * on the grid as the map is zoomed out.
+ * @param {number} unitsPerPixel - Ground length of one pixel, in the grid unit
+ * @param {number} [minimum=0] - Smallest interval wanted, in the grid unit
+ * @param {number} [minSpacing=GRID_MIN_SPACING] - Fewest pixels between lines
+ * @returns {number} Interval in the grid unit
+ */
+export function gridInterval(unitsPerPixel, minimum = 0, minSpacing = GRID_MIN_SPACING) {
+  const target = Math.max(unitsPerPixel * minSpacing, minimum);
+  if (!(target > 0) || !Number.isFinite(target)) {
+    throw new Error(`Cannot choose a grid interval for ${unitsPerPixel} units per pixel`);
+  }
+
+  // Allow for rounding in the logarithm and the powers of ten
+  const power = 10 ** Math.floor(Math.log10(target));
+  return INTERVAL_STEPS.map(multiplier => multiplier * power).find(value => value >= target * (1 - 1e-12));
+}
+
+/**
+ * Project the rings of a geometry onto a zone's grid
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon geometry
+ * @param {Object} zone - Processed zone with spcsParams and datum
+ * @param {string} unit - Unit key of the grid coordinates
+ * @returns {Array} Rings of [easting, northing] positions; positions the
+ *   projection cannot map are left out
+ */
+export function projectRings(geometry, zone, unit) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  return polygons.flat().map(ring => densifyRing(ring).flatMap(([lon, lat]) => {
+    try {
+      const { easting, northing, units } = toGrid(lat, lon, zone.spcsParams.fips, zone.datum || 'NAD83');
+      const position = [convertLength(easting, units, unit), convertLength(northing, units, unit)];
+      return position.every(Number.isFinite) ? [position] : [];
+    } catch (error) {
+      return [];
+    }
+  }));
+}
+
+/**
+ * Stretches of a line of constant easting or northing inside a set of rings
+ * @param {Array} rings - Rings of [easting, northing] positions
+ * @param {string} axis - 'easting' for a line of constant easting, 'northing'
+ *   for one of constant northing
+ * @param {number} value - Easting or northing of the line
+ * @returns {Array} [from, to] ranges of the other coordinate, in increasing order
+ */
+export function lineCrossings(rings, axis, value) {
+  const [along, across] = axis === 'easting' ? [0, 1] : [1, 0];
+  const crossings = [];
+
+  rings.forEach(ring => {
+    ring.forEach((start, i) => {
+      const end = ring[(i + 1) % ring.length];
+      if ((start[along] <= value) === (end[along] <= value)) return;
+      const t = (value - start[along]) / (end[along] - start[along]);
+      crossings.push(start[across] + (end[across] - start[across]) * t);
+    });
+  });
+
+  crossings.sort((a, b) => a - b);
+  const ranges = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    ranges.push([crossings[i], crossings[i + 1]]);
+  }
+  return ranges;
+}
+
+/**
+ * Grid lines at multiples of an interval, cut to a set of rings
+ * @param {Array} rings - Rings of [easting, northing] positions, e.g. a zone boundary
+ * @param {number} interval - Distance between lines, in the rings' unit
+ * @param {Array} [clipRings] - Further rings to cut the lines to, e.g. the view
+ * @returns {Array<Object>} Lines as { axis, value, segments }, where segments
+ *   are [from, to] ranges of the other coordinate; eastings first
+ */
+export function gridLines(rings, interval, clipRings) {
+  const box = ringsBounds(rings);
+  if (clipRings) {
+    const clip = ringsBounds(clipRings);
+    [box.minX, box.minY] = [Math.max(box.minX, clip.minX), Math.max(box.minY, clip.minY)];
+    [box.maxX, box.maxY] = [Math.min(box.maxX, clip.maxX), Math.min(box.maxY, clip.maxY)];
+  }
+
+  const lines = [];
+  [['easting', box.minX, box.maxX], ['northing', box.minY, box.maxY]].forEach(([axis, min, max]) => {
+    // Whole multiples, so values do not drift from the grid
+    for (let k = Math.ceil(min / interval); k * interval <= max; k++) {
+      const value = k * interval;
+      let segments = lineCrossings(rings, axis, value);
+      if (clipRings) {
+        segments = intersectRanges(segments, lineCrossings(clipRings, axis, value));
+      }
+      segments = segments.filter(([from, to]) => to > from);
+      if (segments.length > 0) lines.push({ axis, value, segments });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Latitude and longitude along a stretch of a grid line
+ * @param {Object} zone - Processed zone with spcsParams and datum
+ * @param {string} unit - Unit key of the grid coordinates
+ * @param {Object} line - { axis, value } of the line
+ * @param {Array} segment - [from, to] range of the other coordinate
+ * @param {number} interval - Distance between lines, which sets the point spacing
+ * @returns {Array} [lat, lon] positions from `from` to `to`
+ */
+export function gridLinePath(zone, unit, { axis, value }, [from, to], interval) {
+  const zoneUnit = zone.spcsParams.params.units;
+  const count = Math.min(MAX_PATH_POINTS, Math.max(1, Math.ceil((to - from) / interval * POINTS_PER_INTERVAL)));
+  const path = [];
+
+  for (let i = 0; i <= count; i++) {
+    const position = from + (to - from) * i / count;
+    const [easting, northing] = axis === 'easting' ? [value, position] : [position, value];
+    const { lat, lon } = toGeographic(
+      convertLength(easting, unit, zoneUnit),
+      convertLength(northing, unit, zoneUnit),
+      zone.spcsParams.fips,
+      zone.datum || 'NAD83'
+    );
+    path.push([lat, lon]);
+  }
+  return path;
+}
+
+/**
+ * Label of a grid line
+ * @param {Object} line - { axis, value } of the line
+ * @param {string} unit - Unit key of the value
+ * @returns {string} e.g. "E 210,000 m"
+ */
+export function formatGridValue({ axis, value }, unit) {
+  return `${axis === 'easting' ? 'E' : 'N'} ${formatLength(value, unit, 0)}`;
+}
+
+/**
+ * Split the long edges of a ring
+ * @param {Array} ring - Ring of [lon, lat] positions
+ * @returns {Array} Ring with no edge longer than MAX_EDGE_DEGREES
+ */
+function densifyRing(ring) {
+  return ring.flatMap((start, i) => {
+    const end = ring[i + 1];
+    if (!end) return [start];
+    const count = Math.ceil(Math.max(Math.abs(end[0] - start[0]), Math.abs(end[1] - start[1])) / MAX_EDGE_DEGREES);
+    return Array.from({ length: Math.max(count, 1) }, (_, j) => [
+      start[0] + (end[0] - start[0]) * j / count,
+      start[1] + (end[1] - start[1]) * j / count
+    ]);
+  });
+}
+
+/**
+ * Bounding box of a set of rings
+ * @param {Array} rings - Rings of [x, y] positions
+ * @returns {Object} { minX, minY, maxX, maxY }
+ */
+function ringsBounds(rings) {
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  rings.flat().forEach(([x, y]) => {
+    box.minX = Math.min(box.minX, x);
+    box.minY = Math.min(box.minY, y);
+    box.maxX = Math.max(box.maxX, x);
+    box.maxY = Math.max(box.maxY, y);
+  });
+  return box;
+}
+
+/**
+ * Overlap of two sorted lists of disjoint ranges
+ * @param {Array} a - [from, to] ranges in increasing order
+ * @param {Array} b - [from, to] ranges in increasing order
+ * @returns {Array} [from, to] ranges covered by both
+ */
+function intersectRanges(a, b) {
+  const overlap = [];
+  let [i, j] = [0, 0];
+  while (i < a.length && j < b.length) {
+    const from = Math.max(a[i][0], b[j][0]);
+    const to = Math.min(a[i][1], b[j][1]);
+    if (to > from) overlap.push([from, to]);
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return overlap;
+}
@@ -0,0 +1,174 @@
+/**
+ * Lambert Conformal Conic projection math
+ *
+ * Follows the ellipsoidal formulas of Snyder, "Map Projections - A Working
+ * Manual" (USGS PP 1395), pp. 107-109. With two standard parallels (SPCS27,
+ * SPCS83) the cone is fixed by the parallels, so the zone's scale factor is
+ * implied and not applied again. With one standard parallel (SPCS2022) the
+ * parallels are equal and `scaleFactor` is applied along that parallel.
+ *
+ * A projection definition has the shape:
+ * {
+ *   ellipsoid,          // from ellipsoids.js
+ *   centralMeridian,    // longitude of origin, decimal degrees, east positive
+ *   latitudeOfOrigin,   // decimal degrees
+ *   standardParallel1,  // decimal degrees
+ *   standardParallel2,  // decimal degrees, equal to standardParallel1 for one parallel
+ *   scaleFactor,        // used only with one standard parallel
+ *   ellipsoidScaleFactor, // optional, enlarges the ellipsoid (SPCS27 Michigan)
+ *   falseEasting,       // meters
+ *   falseNorthing       // meters
+ * }
+ */
+
+import { normalizeLongitude } from './coordinates.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Semi-major axis the cone is computed on. SPCS27 Michigan enlarges the
+ * Clarke 1866 ellipsoid by an `ellipsoidScaleFactor` (EPSG method 1051).
+ * @param {Object} projection - Projection definition
+ * @returns {number} Semi-major axis in meters
+ */
+function semiMajorAxis(projection) {
+  return projection.ellipsoid.a * (projection.ellipsoidScaleFactor || 1);
+}
+
+/**
+ * Snyder's m: radius of the parallel divided by a
+ * @param {number} phi - Latitude in radians
+ * @param {number} e - First eccentricity
+ * @returns {number}
+ */
+function mFunction(phi, e) {
+  const sinPhi = Math.sin(phi);
+  return Math.cos(phi) / Math.sqrt(1 - e * e * sinPhi * sinPhi);
+}
+
+/**
+ * Snyder's t: tangent of half the conformal colatitude
+ * @param {number} phi - Latitude in radians
+ * @param {number} e - First eccentricity
+ * @returns {number}
+ */
+function tFunction(phi, e) {
+  const eSinPhi = e * Math.sin(phi);
+  return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - eSinPhi) / (1 + eSinPhi), e / 2);
+}
+
+/**
+ * Compute the cone constants for a projection definition
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { n, F, rho0 } where n is the cone constant, F the
+ *   dimensionless mapping constant (ρ = a·F·tⁿ) and rho0 the mapping radius
+ *   of the latitude of origin in meters
+ */
+export function getLambertConstants(projection) {
+  const { ellipsoid, latitudeOfOrigin, standardParallel1, standardParallel2 } = projection;
+  const { e } = ellipsoid;
+  const a = semiMajorAxis(projection);
+
+  const phi0 = latitudeOfOrigin * DEG_TO_RAD;
+  const phi1 = standardParallel1 * DEG_TO_RAD;
+  const phi2 = standardParallel2 * DEG_TO_RAD;
+
+  const m1 = mFunction(phi1, e);
+  const m2 = mFunction(phi2, e);
+  const t0 = tFunction(phi0, e);
+  const t1 = tFunction(phi1, e);
+  const t2 = tFunction(phi2, e);
+
+  // With a single standard parallel the cone is tangent and n reduces to sin φ1;
+  // the scale factor on that parallel then scales every mapping radius
+  const singleParallel = Math.abs(phi1 - phi2) < 1e-12;
+  const n = singleParallel
+    ? Math.sin(phi1)
+    : (Math.log(m1) - Math.log(m2)) / (Math.log(t1) - Math.log(t2));
+  const k0 = singleParallel ? (projection.scaleFactor || 1) : 1;
+
+  const F = (k0 * m1) / (n * Math.pow(t1, n));
+  const rho0 = a * F * Math.pow(t0, n);
+
+  return { n, F, rho0 };
+}
+
+/**
+ * Project geodetic coordinates to Lambert Conformal Conic grid coordinates
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { easting, northing } in meters
+ */
+export function lambertConformalConicForward(lat, lon, projection) {
+  const { ellipsoid, centralMeridian, falseEasting, falseNorthing } = projection;
+  const { n, F, rho0 } = getLambertConstants(projection);
+
+  const rho = semiMajorAxis(projection) * F * Math.pow(tFunction(lat * DEG_TO_RAD, ellipsoid.e), n);
+  const theta = n * normalizeLongitude(lon - centralMeridian) * DEG_TO_RAD;
+
+  return {
+    easting: falseEasting + rho * Math.sin(theta),
+    northing: falseNorthing + rho0 - rho * Math.cos(theta)
+  };
+}
+
+/**
+ * Convert Lambert Conformal Conic grid coordinates back to geodetic coordinates
+ * @param {number} easting - Easting in meters
+ * @param {number} northing - Northing in meters
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { lat, lon } in decimal degrees
+ */
+export function lambertConformalConicInverse(easting, northing, projection) {
+  const { ellipsoid, centralMeridian, falseEasting, falseNorthing } = projection;
+  const { e } = ellipsoid;
+  const a = semiMajorAxis(projection);
+  const { n, F, rho0 } = getLambertConstants(projection);
+
+  const x = easting - falseEasting;
+  const dy = rho0 - (northing - falseNorthing);
+  const sign = Math.sign(n);
+
+  const rho = sign * Math.sqrt(x * x + dy * dy);
+  const theta = Math.atan2(sign * x, sign * dy);
+  const t = Math.pow(rho / (a * F), 1 / n);
+
+  // Iterate for latitude from the isometric function t
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let i = 0; i < 15; i++) {
+    const eSinPhi = e * Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - eSinPhi) / (1 + eSinPhi), e / 2));
+    const delta = Math.abs(next - phi);
+    phi = next;
+    if (delta < 1e-14) break;
+  }
+
+  return {
+    lat: phi * RAD_TO_DEG,
+    lon: normalizeLongitude(centralMeridian + (theta / n) * RAD_TO_DEG)
+  };
+}
+
+/**
+ * Point scale factor and grid convergence at a geodetic position
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { scaleFactor, convergence } with convergence in decimal
+ *   degrees, positive when grid north lies east of true north
+ */
+export function lambertConformalConicScaleAndConvergence(lat, lon, projection) {
+  const { ellipsoid, centralMeridian } = projection;
+  const { n, F } = getLambertConstants(projection);
+
+  const phi = lat * DEG_TO_RAD;
+  const rho = semiMajorAxis(projection) * F * Math.pow(tFunction(phi, ellipsoid.e), n);
+
+  return {
+    scaleFactor: (rho * n) / (ellipsoid.a * mFunction(phi, ellipsoid.e)),
+    convergence: n * normalizeLongitude(lon - centralMeridian)
+  };
+}
+
@@ -0,0 +1,172 @@
+/**
+ * Hotine Oblique Mercator projection math
+ *
+ * Implements the Hotine Oblique Mercator with grid coordinates measured from
+ * the natural origin (EPSG method 9812, "variant A"), following IOGP
+ * Guidance Note 7-2. This is the definition used by SPCS83 Alaska Zone 1.
+ *
+ * A projection definition has the shape:
+ * {
+ *   ellipsoid,           // from ellipsoids.js
+ *   centralMeridian,     // longitude of the projection centre, decimal degrees
+ *   latitudeOfOrigin,    // latitude of the projection centre, decimal degrees
+ *   skewAzimuth,         // azimuth of the initial line at the centre, decimal degrees
+ *   rectifiedGridAngle,  // optional, decimal degrees (defaults to skewAzimuth)
+ *   scaleFactor,         // scale factor on the initial line (k0)
+ *   falseEasting,        // meters
+ *   falseNorthing        // meters
+ * }
+ */
+
+import { normalizeLongitude } from './coordinates.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Isometric latitude function t (as used by the Lambert and Mercator formulas)
+ * @param {number} phi - Latitude in radians
+ * @param {number} e - First eccentricity
+ * @returns {number}
+ */
+function tFunction(phi, e) {
+  const eSinPhi = e * Math.sin(phi);
+  return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - eSinPhi) / (1 + eSinPhi), e / 2);
+}
+
+/**
+ * Compute the constants of the aposphere for a projection definition
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { A, B, H, gamma0, lambda0, gammaC } with angles in radians
+ */
+export function getObliqueMercatorConstants(projection) {
+  const { ellipsoid, centralMeridian, latitudeOfOrigin, skewAzimuth, scaleFactor } = projection;
+  const { a, e, e2 } = ellipsoid;
+  const rectifiedGridAngle = projection.rectifiedGridAngle !== undefined
+    ? projection.rectifiedGridAngle
+    : skewAzimuth;
+
+  const phiC = latitudeOfOrigin * DEG_TO_RAD;
+  const lambdaC = centralMeridian * DEG_TO_RAD;
+  const alphaC = skewAzimuth * DEG_TO_RAD;
+  const sinPhiC = Math.sin(phiC);
+  const cosPhiC = Math.cos(phiC);
+
+  const B = Math.sqrt(1 + (e2 * Math.pow(cosPhiC, 4)) / (1 - e2));
+  const A = (a * B * scaleFactor * Math.sqrt(1 - e2)) / (1 - e2 * sinPhiC * sinPhiC);
+  const t0 = tFunction(phiC, e);
+  const D = (B * Math.sqrt(1 - e2)) / (cosPhiC * Math.sqrt(1 - e2 * sinPhiC * sinPhiC));
+  const D2 = D * D < 1 ? 1 : D * D;
+  const F = D + Math.sqrt(D2 - 1) * (phiC < 0 ? -1 : 1);
+  const H = F * Math.pow(t0, B);
+  const G = (F - 1 / F) / 2;
+  const gamma0 = Math.asin(Math.sin(alphaC) / D);
+  const lambda0 = lambdaC - Math.asin(G * Math.tan(gamma0)) / B;
+
+  return { A, B, H, gamma0, lambda0, gammaC: rectifiedGridAngle * DEG_TO_RAD };
+}
+
+/**
+ * Project geodetic coordinates to Hotine Oblique Mercator grid coordinates
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { easting, northing } in meters
+ */
+export function obliqueMercatorForward(lat, lon, projection) {
+  const { ellipsoid, falseEasting, falseNorthing } = projection;
+  const { A, B, H, gamma0, lambda0, gammaC } = getObliqueMercatorConstants(projection);
+
+  const t = tFunction(lat * DEG_TO_RAD, ellipsoid.e);
+  const Q = H / Math.pow(t, B);
+  const S = (Q - 1 / Q) / 2;
+  const T = (Q + 1 / Q) / 2;
+  const dLambda = normalizeLongitude((lon * DEG_TO_RAD - lambda0) * RAD_TO_DEG) * DEG_TO_RAD;
+  const V = Math.sin(B * dLambda);
+  const U = (-V * Math.cos(gamma0) + S * Math.sin(gamma0)) / T;
+
+  // Coordinates on the skew (u along the initial line, v across it)
+  const v = (A * Math.log((1 - U) / (1 + U))) / (2 * B);
+  const u = (A * Math.atan2(S * Math.cos(gamma0) + V * Math.sin(gamma0), Math.cos(B * dLambda))) / B;
+
+  // Rotate from skew to rectified grid
+  return {
+    easting: falseEasting + v * Math.cos(gammaC) + u * Math.sin(gammaC),
+    northing: falseNorthing + u * Math.cos(gammaC) - v * Math.sin(gammaC)
+  };
+}
+
+/**
+ * Convert Hotine Oblique Mercator grid coordinates back to geodetic coordinates
+ * @param {number} easting - Easting in meters
+ * @param {number} northing - Northing in meters
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { lat, lon } in decimal degrees
+ */
+export function obliqueMercatorInverse(easting, northing, projection) {
+  const { ellipsoid, falseEasting, falseNorthing } = projection;
+  const { e } = ellipsoid;
+  const { A, B, H, gamma0, lambda0, gammaC } = getObliqueMercatorConstants(projection);
+
+  const dE = easting - falseEasting;
+  const dN = northing - falseNorthing;
+  const v = dE * Math.cos(gammaC) - dN * Math.sin(gammaC);
+  const u = dN * Math.cos(gammaC) + dE * Math.sin(gammaC);
+
+  const Q = Math.exp((-B * v) / A);
+  const S = (Q - 1 / Q) / 2;
+  const T = (Q + 1 / Q) / 2;
+  const V = Math.sin((B * u) / A);
+  const U = (V * Math.cos(gamma0) + S * Math.sin(gamma0)) / T;
+  const t = Math.pow(H / Math.sqrt((1 + U) / (1 - U)), 1 / B);
+
+  // Iterate for latitude from the isometric function t
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let i = 0; i < 15; i++) {
+    const eSinPhi = e * Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - eSinPhi) / (1 + eSinPhi), e / 2));
+    const delta = Math.abs(next - phi);
+    phi = next;
+    if (delta < 1e-14) break;
+  }
+
+  const lambda = lambda0 - Math.atan2(S * Math.cos(gamma0) - V * Math.sin(gamma0), Math.cos((B * u) / A)) / B;
+
+  return {
+    lat: phi * RAD_TO_DEG,
+    lon: normalizeLongitude(lambda * RAD_TO_DEG)
+  };
+}
+
+/**
+ * Point scale factor and grid convergence at a geodetic position.
+ * Both are taken from the image of a short meridian arc centred on the
+ * point (central differences over ±1e-5°), which for a conformal projection
+ * fixes the scale and rotation to better than 1e-9.
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { scaleFactor, convergence } with convergence in decimal
+ *   degrees, positive when grid north lies east of true north
+ */
+export function obliqueMercatorScaleAndConvergence(lat, lon, projection) {
+  const { a, e2 } = projection.ellipsoid;
+  const step = 1e-5;
+
+  const north = obliqueMercatorForward(lat + step, lon, projection);
+  const south = obliqueMercatorForward(lat - step, lon, projection);
+  const dE = north.easting - south.easting;
+  const dN = north.northing - south.northing;
+
+  // Length of the same arc on the ellipsoid (meridional radius of curvature)
+  const sinPhi = Math.sin(lat * DEG_TO_RAD);
+  const meridionalRadius = (a * (1 - e2)) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+  const arcLength = meridionalRadius * 2 * step * DEG_TO_RAD;
+
+  return {
+    scaleFactor: Math.hypot(dE, dN) / arcLength,
+    // True north points at grid azimuth -γ
+    convergence: -Math.atan2(dE, dN) * RAD_TO_DEG
+  };
+}
+
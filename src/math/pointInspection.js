@@ -0,0 +1,52 @@
+/**
+ * Values of a point in the zones that contain it, for the map's point
+ * inspector. Grid coordinates are given in each zone's legislated unit (see
+ * getLegislatedUnit), the unit its coordinates are published in, whatever
+ * unit the zone's parameters are defined in. Points are NAD83 positions, so
+ * they are shifted with the loaded NADCON grid before projecting NAD27 zones.
+ */
+
+import { positionOnDatum } from './datumShift.js';
+import { detectZones } from './zoneDetection.js';
+import { gridConvergence, pointScaleFactor, toGrid } from './spcs.js';
+import { convertLength, getLegislatedUnit } from './units.js';
+
+/**
+ * Evaluate a point in each zone whose boundary contains it
+ * @param {Array} zones - Processed zones from processZoneData
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object|null} [shift=null] - Datum shift from createDatumShift for
+ *   NAD27 zones, or null if no grid is loaded
+ * @returns {Array<Object>} One entry per containing zone, as { index, zone,
+ *   unit, easting, northing, scaleFactor, convergence } with the convergence
+ *   in degrees, or { index, zone, error } where the point cannot be evaluated
+ */
+export function inspectPoint(zones, lat, lon, shift = null) {
+  return detectZones(zones, lat, lon, 0)
+    .filter(match => match.contains)
+    .map(({ index, zone }) => {
+      const datum = zone.datum || 'NAD83';
+      if (!zone.spcsParams) {
+        return { index, zone, error: `No ${datum} projection parameters available` };
+      }
+
+      try {
+        const fips = zone.spcsParams.fips;
+        const position = positionOnDatum(lat, lon, 'NAD83', datum, shift);
+        const grid = toGrid(position.lat, position.lon, fips, datum);
+        const unit = getLegislatedUnit(fips, datum);
+        return {
+          index,
+          zone,
+          unit,
+          easting: convertLength(grid.easting, grid.units, unit),
+          northing: convertLength(grid.northing, grid.units, unit),
+          scaleFactor: pointScaleFactor(position.lat, position.lon, fips, datum),
+          convergence: gridConvergence(position.lat, position.lon, fips, datum)
+        };
+      } catch (error) {
+        return { index, zone, error: error.message };
+      }
+    });
+}
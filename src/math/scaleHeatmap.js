@@ -0,0 +1,138 @@
+/**
+ * Scale factor heatmaps
+ *
+ * A zone's point scale factor k is colored on a diverging ramp centered on
+ * k = 1: blue where the grid is shorter than the ellipsoid, red where it is
+ * longer, and near white along the lines of exact scale. Distortion is
+ * expressed in ppm, (k − 1)·10⁶, against a symmetric range chosen from
+ * HEATMAP_RANGES so the legend reads in round numbers.
+ *
+ * k varies smoothly, so images are sampled on a lattice every few pixels and
+ * interpolated between the samples rather than projected pixel by pixel.
+ */
+
+import { pointScaleFactor } from './spcs.js';
+import { samplePointsInGeometry } from './zoneDetection.js';
+
+// ColorBrewer RdBu, from −range (blue) through 0 ppm to +range (red)
+export const HEATMAP_RAMP = [
+  [33, 102, 172],
+  [103, 169, 207],
+  [247, 247, 247],
+  [239, 138, 98],
+  [178, 24, 43]
+];
+
+// Symmetric legend ranges in ppm
+export const HEATMAP_RANGES = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000];
+
+// Pixels between scale factor samples
+export const HEATMAP_SAMPLE_STEP = 8;
+
+/**
+ * Color of a distortion on the ramp
+ * @param {number} ppm - Distortion (k − 1)·10⁶
+ * @param {number} range - Distortion at either end of the ramp, in ppm
+ * @returns {Array<number>} [r, g, b]; distortions beyond the range take the end colors
+ */
+export function heatmapColor(ppm, range) {
+  const position = (Math.max(-1, Math.min(1, ppm / range)) + 1) / 2 * (HEATMAP_RAMP.length - 1);
+  const index = Math.min(Math.floor(position), HEATMAP_RAMP.length - 2);
+  const t = position - index;
+  const [from, to] = [HEATMAP_RAMP[index], HEATMAP_RAMP[index + 1]];
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+}
+
+/**
+ * Legend range covering a distortion
+ * @param {number} maxPpm - Largest distortion to show, in ppm, either sign
+ * @returns {number} Smallest of HEATMAP_RANGES at least that large (the
+ *   largest one for anything beyond)
+ */
+export function heatmapRange(maxPpm) {
+  const magnitude = Math.abs(maxPpm);
+  return HEATMAP_RANGES.find(range => range >= magnitude) ?? HEATMAP_RANGES[HEATMAP_RANGES.length - 1];
+}
+
+/**
+ * Largest distortion of a zone over its boundary, from a lattice of points
+ * across the boundary's extent
+ * @param {Object} zone - Processed zone with spcsParams, datum and originalFeature
+ * @param {number} [samples=24] - Lattice points along each side of the extent
+ * @returns {number} Largest |k − 1| in ppm at lattice points inside the
+ *   boundary, or 0 for a zone without parameters or boundary
+ */
+export function zoneDistortionExtent(zone, samples = 24) {
+  const geometry = zone.originalFeature && zone.originalFeature.geometry;
+  if (!zone.spcsParams || !geometry) return 0;
+
+  return samplePointsInGeometry(geometry, samples).reduce((extent, { lat, lon }) => {
+    const k = pointScaleFactor(lat, lon, zone.spcsParams.fips, zone.datum || 'NAD83');
+    return Math.max(extent, Math.abs(k - 1) * 1e6);
+  }, 0);
+}
+
+/**
+ * Fill an RGBA image with a scale factor heatmap
+ * @param {Uint8ClampedArray} pixels - RGBA data of a width × height image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Function} scaleAt - (x, y) => k at a pixel position; NaN, or
+ *   throwing, where the zone cannot be evaluated
+ * @param {Object} options - { range } in ppm, and { step } in pixels between
+ *   samples (HEATMAP_SAMPLE_STEP by default)
+ */
+export function renderScaleHeatmap(pixels, width, height, scaleAt, { range, step = HEATMAP_SAMPLE_STEP }) {
+  const columns = Math.ceil((width - 1) / step) + 1;
+  const rows = Math.ceil((height - 1) / step) + 1;
+
+  // Distortion at the lattice points, the last row and column on the far edge
+  const lattice = new Float64Array(columns * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let k;
+      try {
+        k = scaleAt(Math.min(column * step, width - 1), Math.min(row * step, height - 1));
+      } catch (error) {
+        k = NaN;
+      }
+      lattice[row * columns + column] = (k - 1) * 1e6;
+    }
+  }
+
+  // Linear interpolation that ignores a sample with no weight, so pixels on a
+  // valid sample stay colored next to samples that could not be evaluated
+  const mix = (a, b, t) => {
+    if (t === 0) return a;
+    if (t === 1) return b;
+    return a + (b - a) * t;
+  };
+
+  // Position of a pixel between lattice points along one axis
+  const locate = (pixel, size, count) => {
+    const cell = Math.min(Math.floor(pixel / step), count - 2);
+    const start = cell * step;
+    const end = Math.min((cell + 1) * step, size - 1);
+    return { cell, t: end > start ? (pixel - start) / (end - start) : 0 };
+  };
+
+  for (let y = 0; y < height; y++) {
+    const { cell: row, t: v } = rows > 1 ? locate(y, height, rows) : { cell: 0, t: 0 };
+    for (let x = 0; x < width; x++) {
+      const { cell: column, t: u } = columns > 1 ? locate(x, width, columns) : { cell: 0, t: 0 };
+      const at = (dr, dc) => lattice[Math.min(row + dr, rows - 1) * columns + Math.min(column + dc, columns - 1)];
+      const ppm = mix(mix(at(0, 0), at(0, 1), u), mix(at(1, 0), at(1, 1), u), v);
+
+      const offset = (y * width + x) * 4;
+      if (Number.isNaN(ppm)) {
+        pixels[offset + 3] = 0;
+        continue;
+      }
+      const [r, g, b] = heatmapColor(ppm, range);
+      pixels[offset] = r;
+      pixels[offset + 1] = g;
+      pixels[offset + 2] = b;
+      pixels[offset + 3] = 255;
+    }
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * Reading zipped ESRI shapefiles into GeoJSON
+ *
+ * Only what zone and project boundaries need: polygon shapes (with or without
+ * Z and M values) from the .shp, attributes from the .dbf, and the .prj to
+ * refuse projected coordinates, which would need a reprojection first.
+ */
+
+// Shape types with polygon geometry: Polygon, PolygonZ and PolygonM
+const POLYGON_SHAPES = [5, 15, 25];
+
+/**
+ * Read the files of a zip archive
+ * @param {ArrayBuffer|Uint8Array} buffer - Zip archive
+ * @param {Object} [options] - { inflateRaw } to decompress deflated entries,
+ *   taking and returning a Uint8Array (or a promise of one); defaults to the
+ *   DecompressionStream API
+ * @returns {Promise<Map<string, Uint8Array>>} Entry contents by path
+ */
+export async function readZip(buffer, { inflateRaw = inflateRawStream } = {}) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end of central directory record sits in the last 64 KiB (its comment included)
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entries = new Map();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decodeText(bytes.subarray(offset + 46, offset + 46 + nameLength), 'utf-8');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;  // Directory
+
+    // The local header repeats the name and has its own extra field
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, await inflateRaw(data));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Read the shapefiles in a zip archive
+ * @param {ArrayBuffer|Uint8Array} buffer - Zip archive holding at least a .shp
+ * @param {Object} [options] - Options for readZip
+ * @returns {Promise<Object>} { features, skipped }: a GeoJSON FeatureCollection
+ *   of the polygons of every shapefile in the archive, and the number of
+ *   shapes that were not polygons
+ */
+export async function readZippedShapefile(buffer, options) {
+  const entries = await readZip(buffer, options);
+
+  // Group the component files by their path without extension
+  const shapefiles = new Map();
+  entries.forEach((data, path) => {
+    if (path.startsWith('__MACOSX/')) return;
+    const match = path.match(/^(.*)\.(shp|dbf|prj|cpg)$/i);
+    if (!match) return;
+    const parts = shapefiles.get(match[1]) || {};
+    parts[match[2].toLowerCase()] = data;
+    shapefiles.set(match[1], parts);
+  });
+
+  const withShapes = Array.from(shapefiles.entries()).filter(([, parts]) => parts.shp);
+  if (withShapes.length === 0) {
+    throw new Error('No .shp file in the zip archive');
+  }
+
+  const features = [];
+  let skipped = 0;
+  withShapes.forEach(([path, parts]) => {
+    const result = readShapefile(parts, path);
+    features.push(...result.features);
+    skipped += result.skipped;
+  });
+
+  return { features: { type: 'FeatureCollection', features }, skipped };
+}
+
+/**
+ * Read the polygons of one shapefile
+ * @param {Object} parts - { shp, dbf, prj, cpg } file contents as Uint8Array;
+ *   only the .shp is required
+ * @param {string} [name='shapefile'] - Name used in error messages
+ * @returns {Object} { features, skipped }: GeoJSON Features of the polygon
+ *   shapes with their .dbf attributes, and the number of other shapes
+ */
+export function readShapefile({ shp, dbf, prj, cpg }, name = 'shapefile') {
+  if (prj) {
+    const wkt = decodeText(prj, 'utf-8').trim();
+    if (/^PROJ(CS|CRS)\[/i.test(wkt)) {
+      const crs = (wkt.match(/^\w+\["([^"]*)"/) || [])[1] || 'a projected coordinate system';
+      throw new Error(`${name} is in ${crs}; export it in geographic coordinates (longitude/latitude) first`);
+    }
+  }
+
+  const encoding = cpg && /utf-?8/i.test(decodeText(cpg, 'utf-8')) ? 'utf-8' : 'windows-1252';
+  const records = dbf ? readDbf(dbf, encoding) : [];
+
+  const view = new DataView(shp.buffer, shp.byteOffset, shp.byteLength);
+  if (shp.length < 100 || view.getInt32(0, false) !== 9994) {
+    throw new Error(`${name}.shp is not a shapefile`);
+  }
+
+  const features = [];
+  let skipped = 0;
+  let offset = 100;
+  let index = 0;
+
+  while (offset + 8 <= shp.length) {
+    const contentLength = view.getInt32(offset + 4, false) * 2;
+    const content = offset + 8;
+    const shapeType = view.getInt32(content, true);
+
+    if (POLYGON_SHAPES.includes(shapeType)) {
+      const partCount = view.getInt32(content + 36, true);
+      const pointCount = view.getInt32(content + 40, true);
+      const pointsStart = content + 44 + partCount * 4;
+
+      const rings = [];
+      for (let part = 0; part < partCount; part++) {
+        const first = view.getInt32(content + 44 + part * 4, true);
+        const last = part + 1 < partCount ? view.getInt32(content + 48 + part * 4, true) : pointCount;
+        const ring = [];
+        for (let point = first; point < last; point++) {
+          ring.push([
+            view.getFloat64(pointsStart + point * 16, true),
+            view.getFloat64(pointsStart + point * 16 + 8, true)
+          ]);
+        }
+        rings.push(ring);
+      }
+
+      features.push({
+        type: 'Feature',
+        properties: records[index] || {},
+        geometry: ringsToGeometry(rings)
+      });
+    } else {
+      skipped++;
+    }
+
+    offset = content + contentLength;
+    index++;
+  }
+
+  return { features, skipped };
+}
+
+/**
+ * Read the records of a dBASE table
+ * @param {Uint8Array} bytes - .dbf contents
+ * @param {string} encoding - Text encoding of character fields
+ * @returns {Array<Object>} One object of attributes per record, deleted
+ *   records included as empty objects so indices match the .shp
+ */
+function readDbf(bytes, encoding) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0d; offset += 32) {
+    const nameBytes = bytes.subarray(offset, offset + 11);
+    const nameEnd = nameBytes.indexOf(0);
+    fields.push({
+      name: decodeText(nameBytes.subarray(0, nameEnd < 0 ? 11 : nameEnd), encoding),
+      type: String.fromCharCode(bytes[offset + 11]),
+      length: bytes[offset + 16]
+    });
+  }
+
+  const records = [];
+  for (let record = 0; record < recordCount; record++) {
+    let offset = headerLength + record * recordLength;
+    const attributes = {};
+
+    // A leading '*' marks a deleted record
+    if (bytes[offset] !== 0x2a) {
+      offset++;
+      fields.forEach(field => {
+        const text = decodeText(bytes.subarray(offset, offset + field.length), encoding).trim();
+        offset += field.length;
+        attributes[field.name] = dbfValue(text, field.type);
+      });
+    }
+    records.push(attributes);
+  }
+
+  return records;
+}
+
+/**
+ * Value of a dBASE field
+ * @param {string} text - Trimmed field text
+ * @param {string} type - dBASE field type
+ * @returns {*} Number for numeric fields, boolean for logical fields, null
+ *   for blanks, otherwise the text
+ */
+function dbfValue(text, type) {
+  if (type === 'N' || type === 'F') {
+    return text === '' || isNaN(Number(text)) ? null : Number(text);
+  }
+  if (type === 'L') {
+    if (/^[YyTt]$/.test(text)) return true;
+    if (/^[NnFf]$/.test(text)) return false;
+    return null;
+  }
+  return text === '' ? null : text;
+}
+
+/**
+ * Polygon or MultiPolygon from shapefile rings. Outer rings run clockwise and
+ * holes counterclockwise; each hole joins the outer ring containing it.
+ * @param {Array} rings - Rings of [x, y] positions
+ * @returns {Object} GeoJSON geometry
+ */
+function ringsToGeometry(rings) {
+  const outers = rings.filter(ring => ringArea(ring) <= 0);
+
+  // Rings all wound the same way are separate polygons
+  if (outers.length === 0 || outers.length === rings.length) {
+    return rings.length === 1
+      ? { type: 'Polygon', coordinates: rings }
+      : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+  }
+
+  const polygons = outers.map(ring => [ring]);
+  rings.filter(ring => ringArea(ring) > 0).forEach(hole => {
+    const owner = polygons.find(([outer]) => pointInRing(hole[0], outer)) || polygons[polygons.length - 1];
+    owner.push(hole);
+  });
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Signed area of a ring, negative when it runs clockwise
+ * @param {Array} ring - [x, y] positions
+ * @returns {number}
+ */
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return area / 2;
+}
+
+/**
+ * Whether a point lies inside a ring (even-odd rule)
+ * @param {Array} point - [x, y]
+ * @param {Array} ring - [x, y] positions
+ * @returns {boolean}
+ */
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Decode text from bytes
+ * @param {Uint8Array} bytes
+ * @param {string} encoding - TextDecoder label
+ * @returns {string}
+ */
+function decodeText(bytes, encoding) {
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+/**
+ * Decompress raw deflate data with the DecompressionStream API
+ * @param {Uint8Array} data - Deflated bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRawStream(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Compressed zip archives cannot be read in this environment');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
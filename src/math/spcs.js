@@ -1,15 +1,56 @@
-import L from 'leaflet';
-import spcsZoneParameters from './spcsZoneParameters.json';
+import spcsZoneParameters from './spcsZoneParameters.json' with { type: 'json' };
+import { getDatumEllipsoid } from './ellipsoids.js';
+import { metersPerUnit } from './units.js';
+import { getUtmZoneParameters } from './utm.js';
+import { formatZoneIssue, validateZoneDatabase, validateZoneRecord } from './zoneValidation.js';
+import {
+  transverseMercatorForward,
+  transverseMercatorInverse,
+  transverseMercatorScaleAndConvergence
+} from './transverseMercator.js';
+import {
+  lambertConformalConicForward,
+  lambertConformalConicInverse,
+  lambertConformalConicScaleAndConvergence
+} from './lambertConformalConic.js';
+import {
+  obliqueMercatorForward,
+  obliqueMercatorInverse,
+  obliqueMercatorScaleAndConvergence
+} from './obliqueMercator.js';
 
-const SPCS_ZONES_URL = 'https://opendata.arcgis.com/datasets/23178a639bdc4d658816b3ea8ee6c3ae_0.geojson';
+// Zone layers a state's zones can belong to. SPCS27 and SPCS83 have only the
+// statewide layer; SPCS2022 (on NATRF2022) adds regional zones and
+// low-distortion projections (LDPs) covering parts of a state.
+export const ZONE_LAYERS = {
+  statewide: 'Statewide',
+  regional: 'Regional',
+  ldp: 'Low-Distortion Projection'
+};
+
+// Zone definitions added at run time (e.g. a published SPCS2022 catalog),
+// keyed by datum and then by 4-digit zone code
+const registeredZones = {};
+
+// The bundled database is checked against its schema once, when it loads
+const bundledZoneIssues = validateZoneDatabase(spcsZoneParameters);
 
 // Function to get SPCS zone parameters from our JSON database
 export function getSPCSZoneParameters(fipsCode, datum = 'NAD83') {
   if (!fipsCode) return null;
   
+  // UTM zones are defined the same way on every datum
+  const utmZone = getUtmZoneParameters(fipsCode);
+  if (utmZone) return utmZone;
+  
   // Format FIPS code to 4 digits for lookup
   const formattedFips = fipsCode.toString().padStart(4, '0');
   
+  // Zones registered at run time take precedence over the bundled database
+  if (registeredZones[datum] && registeredZones[datum][formattedFips]) {
+    return registeredZones[datum][formattedFips];
+  }
+  
   // Check if we have the zone in our database
   if (spcsZoneParameters[datum] && 
       spcsZoneParameters[datum].zones && 
@@ -20,87 +61,340 @@ export function getSPCSZoneParameters(fipsCode, datum = 'NAD83') {
   return null;
 }
 
-export async function loadSPCSZones() {
-  const response = await fetch(SPCS_ZONES_URL);
-  if (!response.ok) {
-    throw new Error('Failed to load SPCS zones');
-  }
-  return response.json();
+/**
+ * Layer a zone record belongs to
+ * @param {Object} zone - Zone record from the database
+ * @returns {string} Key of ZONE_LAYERS; records without a layer are statewide
+ */
+export function getZoneLayer(zone) {
+  return zone.layer || 'statewide';
 }
 
-export function processZoneData(data) {
-  return data.features.map(feature => {
-    const props = feature.properties;
-    let bounds;
-    
-    // Handle different geometry types for bounds creation
-    if (feature.geometry.type === 'Polygon') {
-      // For Polygon, use the first ring of coordinates
-      const coords = feature.geometry.coordinates[0];
-      bounds = L.latLngBounds(
-        coords.map(([lng, lat]) => [lat, lng])
-      );
-    } 
-    else if (feature.geometry.type === 'MultiPolygon') {
-      // For MultiPolygon, create bounds from all polygons
-      bounds = null;
-      
-      // Process each polygon in the MultiPolygon
-      feature.geometry.coordinates.forEach(polygon => {
-        // Use the first ring of each polygon (outer ring)
-        const coords = polygon[0];
-        const polygonBounds = L.latLngBounds(
-          coords.map(([lng, lat]) => [lat, lng])
-        );
-        
-        if (!bounds) {
-          // Initialize bounds with the first polygon
-          bounds = polygonBounds;
-        } else {
-          // Extend bounds with each additional polygon
-          bounds.extend(polygonBounds);
-        }
-      });
+/**
+ * State a zone record belongs to
+ * @param {Object} zone - Zone record from the database
+ * @returns {string} 2-digit SPCS state code; records without a `state` use
+ *   the first two digits of their zone code
+ */
+export function getZoneState(zone) {
+  return (zone.state || zone.fips.toString().padStart(4, '0').slice(0, 2)).toString().padStart(2, '0');
+}
+
+/**
+ * List the zone records of a datum, optionally for one state and/or layer
+ * @param {string} [datum='NAD83'] - Datum key
+ * @param {Object} [filter] - { state, layer }; `state` is an SPCS state code
+ * @returns {Array} Zone records ordered by zone code
+ */
+export function listZoneParameters(datum = 'NAD83', { state, layer } = {}) {
+  const bundled = spcsZoneParameters[datum] ? spcsZoneParameters[datum].zones : {};
+  const zones = { ...bundled, ...registeredZones[datum] };
+  const stateCode = state === undefined ? null : state.toString().padStart(2, '0');
+  
+  return Object.keys(zones)
+    .sort()
+    .map(code => zones[code])
+    .filter(zone => (!stateCode || getZoneState(zone) === stateCode) &&
+      (!layer || getZoneLayer(zone) === layer));
+}
+
+/**
+ * Problems found in the bundled zone database when it loaded
+ * @returns {Array<Object>} Issues as { datum, zone, path, message }; empty
+ *   when every record matches spcsZoneParameters.schema.json
+ */
+export function getBundledZoneIssues() {
+  return bundledZoneIssues;
+}
+
+/**
+ * Add zone definitions for a datum, in the same record shape as the bundled
+ * database. Every record is validated before any is added, so an invalid
+ * catalog leaves the existing definitions untouched.
+ * @param {string} datum - Datum key
+ * @param {Object|Array} zones - Records keyed by zone code, or an array of records
+ * @returns {number} Number of zones added or replaced
+ */
+export function registerZoneParameters(datum, zones) {
+  getDatumEllipsoid(datum);  // Reject unsupported datums
+  
+  const records = Array.isArray(zones) ? zones : Object.values(zones || {});
+  const keys = Array.isArray(zones) ? [] : Object.keys(zones || {});
+  records.forEach((zone, index) => {
+    if (!zone || !zone.fips || !zone.projectionType || !zone.params) {
+      throw new Error(`Invalid zone definition: ${zone && zone.name ? zone.name : JSON.stringify(zone)}`);
     }
-    else {
-      console.warn(`Unsupported geometry type: ${feature.geometry.type} for zone ${props.ZONENAME}`);
-      // Create an empty bounds as fallback
-      bounds = L.latLngBounds([]);
+    if (!ZONE_LAYERS[getZoneLayer(zone)]) {
+      throw new Error(`Unknown zone layer "${zone.layer}" for zone ${zone.fips}`);
     }
-    
-    // Get detailed zone parameters from our database
-    const zoneParams = getSPCSZoneParameters(props.FIPSZONE);
-    
-    return {
-      // Basic zone information
-      name: props.ZONENAME,
-      zoneCode: props.ZONE,
-      fipsZone: props.FIPSZONE,
-      objectId: props.OBJECTID,
-      squareMiles: props.SQMI,
-      colorMap: props.COLORMAP,
-      
-      // Traditional SPCS parameters (from external dataset)
-      projection: props.PROJECTION,
-      centralMeridian: props.CENTRAL_MERIDIAN,
-      latitudeOfOrigin: props.LATITUDE_OF_ORIGIN,
-      scaleFactor: props.SCALE_FACTOR,
-      falseEasting: props.FALSE_EASTING,
-      falseNorthing: props.FALSE_NORTHING,
-      standardParallel1: props.STANDARD_PARALLEL_1,
-      standardParallel2: props.STANDARD_PARALLEL_2,
-      
-      // Our detailed zone parameters
-      spcsParams: zoneParams,
-      
-      // Keep original data and bounds
-      bounds,
-      originalFeature: feature,
-      
-      // Store all original properties for future reference
-      allProperties: props
-    };
+    const issues = validateZoneRecord(zone, keys[index]);
+    if (issues.length > 0) {
+      throw new Error(`Invalid zone definition: ${zone.name || zone.fips}: ${issues.map(formatZoneIssue).join('; ')}`);
+    }
+  });
+  
+  registeredZones[datum] = registeredZones[datum] || {};
+  records.forEach(zone => {
+    registeredZones[datum][zone.fips.toString().padStart(4, '0')] = zone;
+  });
+  
+  return records.length;
+}
+
+/**
+ * Zones of another datum that a zone replaced. SPCS2022 records list the
+ * SPCS83 zones covering the same area as `predecessors`.
+ * @param {Object} zone - Zone record from the database
+ * @returns {Array} Predecessor zone codes
+ */
+export function getPredecessorZones(zone) {
+  return (zone.predecessors || []).map(code => code.toString().padStart(4, '0'));
+}
+
+/**
+ * Zones of a newer datum that replace a zone
+ * @param {string|number} fipsCode - Zone code of the predecessor
+ * @param {string} [datum='NATRF2022'] - Datum of the successor zones
+ * @returns {Array} Successor zone records
+ */
+export function getSuccessorZones(fipsCode, datum = 'NATRF2022') {
+  const code = fipsCode.toString().padStart(4, '0');
+  return listZoneParameters(datum).filter(zone => getPredecessorZones(zone).includes(code));
+}
+
+/**
+ * Boundaries for the SPCS2022 zones. Zone catalogs carry no boundaries, so
+ * each zone is drawn with the outlines of the SPCS83 zones it replaces.
+ * @param {Object} boundaries - FeatureCollection of SPCS83 zone boundaries
+ *   with FIPSZONE properties
+ * @returns {Object} FeatureCollection for processZoneData, with ZONENAME,
+ *   FIPSZONE, ZONESOURCE ('SPCS2022') and DATUM ('NATRF2022') properties;
+ *   zones none of whose predecessors has a boundary are left out
+ */
+export function createSpcs2022Boundaries(boundaries) {
+  const polygons = new Map();
+  boundaries.features.forEach(feature => {
+    const code = feature.properties && feature.properties.FIPSZONE;
+    if (!code || !feature.geometry) return;
+    const { type, coordinates } = feature.geometry;
+    const parts = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+    const key = code.toString().padStart(4, '0');
+    polygons.set(key, [...(polygons.get(key) || []), ...parts]);
+  });
+
+  const features = listZoneParameters('NATRF2022')
+    .map(zone => ({
+      type: 'Feature',
+      properties: { ZONENAME: zone.name, FIPSZONE: zone.fips, ZONESOURCE: 'SPCS2022', DATUM: 'NATRF2022' },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: getPredecessorZones(zone).flatMap(code => polygons.get(code) || [])
+      }
+    }))
+    .filter(feature => feature.geometry.coordinates.length > 0);
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Get the central scale factor for a zone from its parameters.
+ * The database stores k0 as the denominator d of 1 - 1/d; a missing or null
+ * denominator means the scale factor is exactly 1. Zones whose scale factor
+ * is defined as a decimal (SPCS2022 zones may exceed 1) give it as `scaleFactor`.
+ * @param {Object} params - The `params` object of a zone record
+ * @returns {number} Scale factor at the central meridian / origin
+ */
+export function getScaleFactor(params) {
+  if (params && typeof params.scaleFactor === 'number') return params.scaleFactor;
+  if (!params || !params.scaleFactorDenominator) return 1;
+  return 1 - (1 / params.scaleFactorDenominator);
+}
+
+/**
+ * Get the azimuth of the initial line of an Oblique Mercator zone
+ * @param {Object} params - The `params` object of a zone record
+ * @returns {number|null} Azimuth in decimal degrees, or null if not defined
+ */
+export function getSkewAzimuth(params) {
+  if (!params || typeof params.skewAzimuthTangent !== 'number') return null;
+  return Math.atan(params.skewAzimuthTangent) * 180 / Math.PI;
+}
+
+/**
+ * Build a numeric projection definition for a zone. Angles are converted to
+ * decimal degrees and false origins to meters so the projection modules
+ * never deal with DMS strings or zone units.
+ * @param {string|number} fipsCode - FIPS zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} Projection definition including `projectionType` and `units`
+ */
+export function getZoneProjection(fipsCode, datum = 'NAD83') {
+  const zone = getSPCSZoneParameters(fipsCode, datum);
+  if (!zone) {
+    throw new Error(`Unknown SPCS zone ${fipsCode} for datum ${datum}`);
+  }
+
+  const params = zone.params;
+  const toMeters = metersPerUnit(params.units);
+
+  const projection = {
+    projectionType: zone.projectionType,
+    ellipsoid: getDatumEllipsoid(datum),
+    centralMeridian: parseDDMMSS(params.centralMeridian || params.longitudeOfOrigin),
+    latitudeOfOrigin: parseDDMMSS(params.latitudeOfOrigin),
+    scaleFactor: getScaleFactor(params),
+    falseEasting: params.falseEasting * toMeters,
+    falseNorthing: params.falseNorthing * toMeters,
+    units: params.units,
+    toMeters
+  };
+
+  if (zone.projectionType === 'LCC' && !params.standardParallel1) {
+    // One-parallel form (SPCS2022): the cone touches the latitude of origin,
+    // where the scale factor is applied
+    projection.standardParallel1 = projection.latitudeOfOrigin;
+    projection.standardParallel2 = projection.latitudeOfOrigin;
+  } else if (zone.projectionType === 'LCC') {
+    projection.standardParallel1 = parseDDMMSS(params.standardParallel1);
+    projection.standardParallel2 = parseDDMMSS(params.standardParallel2);
+    if (params.ellipsoidScaleFactor) {
+      projection.ellipsoidScaleFactor = params.ellipsoidScaleFactor;
+    }
+  } else if (zone.projectionType === 'OM') {
+    // The skew azimuth is stored as its tangent (Alaska 1 uses tan⁻¹(-3/4)),
+    // and the rectified grid is rotated by the same angle
+    projection.skewAzimuth = getSkewAzimuth(params);
+    projection.rectifiedGridAngle = projection.skewAzimuth;
+  }
+
+  return projection;
+}
+
+/**
+ * Convert geodetic coordinates to SPCS grid coordinates
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees (east positive)
+ * @param {string|number} fipsCode - FIPS zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} { easting, northing, units } in the zone's units
+ */
+export function toGrid(lat, lon, fipsCode, datum = 'NAD83') {
+  const projection = getZoneProjection(fipsCode, datum);
+  let grid;
+
+  switch (projection.projectionType) {
+    case 'TM':
+      grid = transverseMercatorForward(lat, lon, projection);
+      break;
+    case 'LCC':
+      grid = lambertConformalConicForward(lat, lon, projection);
+      break;
+    case 'OM':
+      grid = obliqueMercatorForward(lat, lon, projection);
+      break;
+    default:
+      throw new Error(`Unsupported projection type for grid conversion: ${projection.projectionType}`);
+  }
+
+  return {
+    easting: grid.easting / projection.toMeters,
+    northing: grid.northing / projection.toMeters,
+    units: projection.units
+  };
+}
+
+/**
+ * Convert SPCS grid coordinates to geodetic coordinates
+ * @param {number} easting - Easting in the zone's units
+ * @param {number} northing - Northing in the zone's units
+ * @param {string|number} fipsCode - FIPS zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {Object} { lat, lon } in decimal degrees
+ */
+export function toGeographic(easting, northing, fipsCode, datum = 'NAD83') {
+  const projection = getZoneProjection(fipsCode, datum);
+  const x = easting * projection.toMeters;
+  const y = northing * projection.toMeters;
+
+  switch (projection.projectionType) {
+    case 'TM':
+      return transverseMercatorInverse(x, y, projection);
+    case 'LCC':
+      return lambertConformalConicInverse(x, y, projection);
+    case 'OM':
+      return obliqueMercatorInverse(x, y, projection);
+    default:
+      throw new Error(`Unsupported projection type for grid conversion: ${projection.projectionType}`);
+  }
+}
+
+/**
+ * Compute scale factor and convergence for a zone's projection
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {string|number} zone - FIPS zone code
+ * @param {string} datum - Datum key
+ * @returns {Object} { scaleFactor, convergence }
+ */
+function scaleAndConvergence(lat, lon, zone, datum) {
+  const projection = getZoneProjection(zone, datum);
+
+  switch (projection.projectionType) {
+    case 'TM':
+      return transverseMercatorScaleAndConvergence(lat, lon, projection);
+    case 'LCC':
+      return lambertConformalConicScaleAndConvergence(lat, lon, projection);
+    case 'OM':
+      return obliqueMercatorScaleAndConvergence(lat, lon, projection);
+    default:
+      throw new Error(`Unsupported projection type for grid conversion: ${projection.projectionType}`);
+  }
+}
+
+/**
+ * Point (grid) scale factor k at a geodetic position
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {string|number} zone - FIPS zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {number} Ratio of grid distance to ellipsoid distance
+ */
+export function pointScaleFactor(lat, lon, zone, datum = 'NAD83') {
+  return scaleAndConvergence(lat, lon, zone, datum).scaleFactor;
+}
+
+/**
+ * Grid convergence angle γ at a geodetic position: the angle from true
+ * north to grid north, positive when grid north lies east of true north
+ * (so geodetic azimuth ≈ grid azimuth + γ)
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {string|number} zone - FIPS zone code
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {number} Convergence in decimal degrees
+ */
+export function gridConvergence(lat, lon, zone, datum = 'NAD83') {
+  return scaleAndConvergence(lat, lon, zone, datum).convergence;
+}
+
+/**
+ * Switch processed zones to another datum. Boundaries are kept; each zone's
+ * parameters are replaced by the record with the same FIPS code in that
+ * datum (null where the datum has no such zone).
+ * @param {Array} zones - Processed zones from processZoneData
+ * @param {string} datum - Datum key
+ * @returns {Array} The same zones, updated in place
+ */
+export function applyDatum(zones, datum) {
+  getDatumEllipsoid(datum);  // Reject unsupported datums before touching the zones
+  
+  zones.forEach(zone => {
+    // Zones defined on one datum only (SPCS2022) keep it
+    zone.datum = zone.fixedDatum || datum;
+    zone.spcsParams = getSPCSZoneParameters(zone.fipsZone, zone.datum);
   });
+  
+  return zones;
 }
 
 export function createZoneBoundary(zone) {
@@ -188,4 +482,32 @@ export function formatDDMMSS(ddmmssString) {
     console.warn('Error formatting coordinate:', error);
     return ddmmssString; // Return original on error
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Parse a DDMMSS string (e.g. "85 50 W" or "122 19 45 W") to decimal degrees.
+ * South and West are returned as negative values. Plain decimal strings are
+ * accepted as-is.
+ * @param {string} ddmmssString - Angle in the database DDMMSS format
+ * @returns {number|null} Decimal degrees, or null if the string cannot be parsed
+ */
+export function parseDDMMSS(ddmmssString) {
+  if (typeof ddmmssString !== 'string') {
+    return null;
+  }
+
+  const matches = ddmmssString.match(/^\s*(\d+)\s+(\d+)(?:\s+(\d+(?:\.\d+)?))?\s*([NSEW])\s*$/i);
+
+  if (!matches) {
+    const decimal = Number(ddmmssString);
+    return ddmmssString.trim() !== '' && Number.isFinite(decimal) ? decimal : null;
+  }
+
+  const degrees = parseInt(matches[1], 10);
+  const minutes = parseInt(matches[2], 10);
+  const seconds = matches[3] ? parseFloat(matches[3]) : 0;
+  const direction = matches[4].toUpperCase();
+
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return direction === 'S' || direction === 'W' ? -value : value;
+}
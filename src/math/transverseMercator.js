@@ -0,0 +1,235 @@
+/**
+ * Transverse Mercator projection math
+ *
+ * Implements the Krüger series to sixth order in the third flattening n, as
+ * given by Karney (2011), "Transverse Mercator with an accuracy of a few
+ * nanometers". Within the extent of any SPCS zone the truncation error is
+ * far below a millimetre.
+ *
+ * A projection definition has the shape:
+ * {
+ *   ellipsoid,         // from ellipsoids.js
+ *   centralMeridian,   // decimal degrees, east positive
+ *   latitudeOfOrigin,  // decimal degrees
+ *   scaleFactor,       // scale factor on the central meridian (k0)
+ *   falseEasting,      // meters
+ *   falseNorthing      // meters
+ * }
+ */
+
+import { normalizeLongitude } from './coordinates.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Compute the series constants for an ellipsoid
+ * @param {Object} ellipsoid - Reference ellipsoid
+ * @returns {Object} Rectifying radius A and the alpha/beta coefficient arrays
+ */
+export function getKrugerCoefficients(ellipsoid) {
+  const { a, f } = ellipsoid;
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  const n5 = n4 * n;
+  const n6 = n5 * n;
+
+  // Radius of the rectifying sphere
+  const A = (a / (1 + n)) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+
+  // Conformal latitude -> rectifying latitude (forward)
+  const alpha = [
+    n / 2 - (2 / 3) * n2 + (5 / 16) * n3 + (41 / 180) * n4 - (127 / 288) * n5 + (7891 / 37800) * n6,
+    (13 / 48) * n2 - (3 / 5) * n3 + (557 / 1440) * n4 + (281 / 630) * n5 - (1983433 / 1935360) * n6,
+    (61 / 240) * n3 - (103 / 140) * n4 + (15061 / 26880) * n5 + (167603 / 181440) * n6,
+    (49561 / 161280) * n4 - (179 / 168) * n5 + (6601661 / 7257600) * n6,
+    (34729 / 80640) * n5 - (3418889 / 1995840) * n6,
+    (212378941 / 319334400) * n6
+  ];
+
+  // Rectifying latitude -> conformal latitude (inverse)
+  const beta = [
+    n / 2 - (2 / 3) * n2 + (37 / 96) * n3 - (1 / 360) * n4 - (81 / 512) * n5 + (96199 / 604800) * n6,
+    (1 / 48) * n2 + (1 / 15) * n3 - (437 / 1440) * n4 + (46 / 105) * n5 - (1118711 / 3870720) * n6,
+    (17 / 480) * n3 - (37 / 840) * n4 - (209 / 4480) * n5 + (5569 / 90720) * n6,
+    (4397 / 161280) * n4 - (11 / 504) * n5 - (830251 / 7257600) * n6,
+    (4583 / 161280) * n5 - (108847 / 3991680) * n6,
+    (20648693 / 638668800) * n6
+  ];
+
+  return { A, alpha, beta };
+}
+
+/**
+ * Tangent of the conformal latitude from the tangent of the geodetic latitude
+ * @param {number} tau - tan(φ)
+ * @param {number} e - First eccentricity
+ * @returns {number} tan(χ)
+ */
+function conformalTangent(tau, e) {
+  const sigma = Math.sinh(e * Math.atanh((e * tau) / Math.sqrt(1 + tau * tau)));
+  return tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+}
+
+/**
+ * Tangent of the geodetic latitude from the tangent of the conformal latitude,
+ * solved by Newton iteration
+ * @param {number} tauPrime - tan(χ)
+ * @param {Object} ellipsoid - Reference ellipsoid
+ * @returns {number} tan(φ)
+ */
+function geodeticTangent(tauPrime, ellipsoid) {
+  const { e, e2 } = ellipsoid;
+  let tau = tauPrime;
+
+  for (let i = 0; i < 10; i++) {
+    const tauI = conformalTangent(tau, e);
+    const delta = ((tauPrime - tauI) / Math.sqrt(1 + tauI * tauI)) *
+      ((1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau)));
+    tau += delta;
+    if (Math.abs(delta) < 1e-14) break;
+  }
+
+  return tau;
+}
+
+/**
+ * Distance along the central meridian from the equator to a latitude,
+ * scaled by k0 (the grid northing of that latitude before false northing)
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {Object} projection - Projection definition
+ * @returns {number} Northing in meters
+ */
+export function meridianNorthing(lat, projection) {
+  const { ellipsoid, scaleFactor } = projection;
+  const { A, alpha } = getKrugerCoefficients(ellipsoid);
+
+  // On the central meridian ξ' is simply the conformal latitude
+  const xiPrime = Math.atan(conformalTangent(Math.tan(lat * DEG_TO_RAD), ellipsoid.e));
+  let xi = xiPrime;
+  for (let j = 1; j <= 6; j++) {
+    xi += alpha[j - 1] * Math.sin(2 * j * xiPrime);
+  }
+
+  return scaleFactor * A * xi;
+}
+
+/**
+ * Project geodetic coordinates to Transverse Mercator grid coordinates
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { easting, northing } in meters
+ */
+export function transverseMercatorForward(lat, lon, projection) {
+  const { ellipsoid, centralMeridian, latitudeOfOrigin, scaleFactor, falseEasting, falseNorthing } = projection;
+  const { A, alpha } = getKrugerCoefficients(ellipsoid);
+
+  const lambda = normalizeLongitude(lon - centralMeridian) * DEG_TO_RAD;
+  const tau = Math.tan(lat * DEG_TO_RAD);
+  const tauPrime = conformalTangent(tau, ellipsoid.e);
+
+  // Gauss-Schreiber (spherical TM on the conformal sphere)
+  const cosLambda = Math.cos(lambda);
+  const xiPrime = Math.atan2(tauPrime, cosLambda);
+  const etaPrime = Math.asinh(Math.sin(lambda) / Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda));
+
+  // Krüger series to the rectifying sphere
+  let xi = xiPrime;
+  let eta = etaPrime;
+  for (let j = 1; j <= 6; j++) {
+    xi += alpha[j - 1] * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+    eta += alpha[j - 1] * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+  }
+
+  const northingOfOrigin = meridianNorthing(latitudeOfOrigin, projection);
+
+  return {
+    easting: falseEasting + scaleFactor * A * eta,
+    northing: falseNorthing + scaleFactor * A * xi - northingOfOrigin
+  };
+}
+
+/**
+ * Convert Transverse Mercator grid coordinates back to geodetic coordinates
+ * @param {number} easting - Easting in meters
+ * @param {number} northing - Northing in meters
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { lat, lon } in decimal degrees
+ */
+export function transverseMercatorInverse(easting, northing, projection) {
+  const { ellipsoid, centralMeridian, latitudeOfOrigin, scaleFactor, falseEasting, falseNorthing } = projection;
+  const { A, beta } = getKrugerCoefficients(ellipsoid);
+
+  const northingOfOrigin = meridianNorthing(latitudeOfOrigin, projection);
+  const xi = (northing - falseNorthing + northingOfOrigin) / (scaleFactor * A);
+  const eta = (easting - falseEasting) / (scaleFactor * A);
+
+  // Inverse Krüger series back to the conformal sphere
+  let xiPrime = xi;
+  let etaPrime = eta;
+  for (let j = 1; j <= 6; j++) {
+    xiPrime -= beta[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+    etaPrime -= beta[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+  }
+
+  const sinhEtaPrime = Math.sinh(etaPrime);
+  const cosXiPrime = Math.cos(xiPrime);
+  const tauPrime = Math.sin(xiPrime) / Math.sqrt(sinhEtaPrime * sinhEtaPrime + cosXiPrime * cosXiPrime);
+  const tau = geodeticTangent(tauPrime, ellipsoid);
+
+  const lambda = Math.atan2(sinhEtaPrime, cosXiPrime);
+
+  return {
+    lat: Math.atan(tau) * RAD_TO_DEG,
+    lon: normalizeLongitude(centralMeridian + lambda * RAD_TO_DEG)
+  };
+}
+
+/**
+ * Point scale factor and grid convergence at a geodetic position
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} projection - Projection definition
+ * @returns {Object} { scaleFactor, convergence } with convergence in decimal
+ *   degrees, positive when grid north lies east of true north
+ */
+export function transverseMercatorScaleAndConvergence(lat, lon, projection) {
+  const { ellipsoid, centralMeridian, scaleFactor } = projection;
+  const { a, e, e2 } = ellipsoid;
+  const { A, alpha } = getKrugerCoefficients(ellipsoid);
+
+  const phi = lat * DEG_TO_RAD;
+  const lambda = normalizeLongitude(lon - centralMeridian) * DEG_TO_RAD;
+  const tau = Math.tan(phi);
+  const tauPrime = conformalTangent(tau, e);
+
+  const cosLambda = Math.cos(lambda);
+  const xiPrime = Math.atan2(tauPrime, cosLambda);
+  const etaPrime = Math.asinh(Math.sin(lambda) / Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda));
+
+  // Derivatives of the Krüger series
+  let p = 1;
+  let q = 0;
+  for (let j = 1; j <= 6; j++) {
+    p += 2 * j * alpha[j - 1] * Math.cos(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+    q += 2 * j * alpha[j - 1] * Math.sin(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+  }
+
+  // Convergence and scale of the Gauss-Schreiber step, then of the series
+  const gammaPrime = Math.atan2(tauPrime * Math.sin(lambda), Math.sqrt(1 + tauPrime * tauPrime) * cosLambda);
+  const gammaDoublePrime = Math.atan2(q, p);
+
+  const sinPhi = Math.sin(phi);
+  const kPrime = (Math.sqrt(1 - e2 * sinPhi * sinPhi) * Math.sqrt(1 + tau * tau)) /
+    Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda);
+  const kDoublePrime = (A / a) * Math.sqrt(p * p + q * q);
+
+  return {
+    scaleFactor: scaleFactor * kPrime * kDoublePrime,
+    convergence: (gammaPrime + gammaDoublePrime) * RAD_TO_DEG
+  };
+}
+
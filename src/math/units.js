@@ -0,0 +1,152 @@
+/**
+ * Linear units used by the State Plane Coordinate Systems
+ *
+ * Each unit is stored as an exact ratio of meters (numerator / denominator),
+ * so conversions between the two feet do not accumulate rounding:
+ *   US survey foot     = 1200/3937 m
+ *   international foot = 0.3048 m = 381/1250 m
+ */
+
+import { isUtmZoneCode } from './utm.js';
+
+export const LINEAR_UNITS = {
+  meters: Object.freeze({ key: 'meters', name: 'Meters', abbreviation: 'm', numerator: 1, denominator: 1 }),
+  feet_us: Object.freeze({ key: 'feet_us', name: 'US Survey Feet', abbreviation: 'US ft', numerator: 1200, denominator: 3937 }),
+  feet_intl: Object.freeze({ key: 'feet_intl', name: 'International Feet', abbreviation: 'ft', numerator: 381, denominator: 1250 })
+};
+
+// Display preference meaning "each zone in the unit its state legislated"
+export const LEGISLATED_UNIT = 'legislated';
+
+// Foot legislated for SPCS83 in each state, keyed by the first two digits of
+// the FIPS zone code. States not listed defined SPCS83 in meters only.
+const SPCS83_LEGISLATED_FEET = {
+  '02': 'feet_intl', // Arizona
+  '04': 'feet_us',   // California
+  '05': 'feet_us',   // Colorado
+  '06': 'feet_us',   // Connecticut
+  '09': 'feet_us',   // Florida
+  '10': 'feet_us',   // Georgia
+  '11': 'feet_us',   // Idaho
+  '13': 'feet_us',   // Indiana
+  '16': 'feet_us',   // Kentucky
+  '19': 'feet_us',   // Maryland
+  '20': 'feet_us',   // Massachusetts
+  '21': 'feet_intl', // Michigan
+  '23': 'feet_us',   // Mississippi
+  '25': 'feet_intl', // Montana
+  '30': 'feet_us',   // New Mexico
+  '31': 'feet_us',   // New York
+  '32': 'feet_us',   // North Carolina
+  '33': 'feet_intl', // North Dakota
+  '35': 'feet_us',   // Oklahoma
+  '36': 'feet_intl', // Oregon
+  '37': 'feet_us',   // Pennsylvania
+  '39': 'feet_intl', // South Carolina
+  '41': 'feet_us',   // Tennessee
+  '42': 'feet_us',   // Texas
+  '45': 'feet_us',   // Virginia
+  '46': 'feet_us',   // Washington
+  '48': 'feet_us'    // Wisconsin
+};
+
+// Unit selected for display across the application
+let displayUnit = 'meters';
+
+/**
+ * Look up a linear unit by key
+ * @param {string} unit - Unit key (meters, feet_us or feet_intl)
+ * @returns {Object} Unit description from LINEAR_UNITS
+ */
+export function getLinearUnit(unit) {
+  const description = LINEAR_UNITS[unit];
+  if (!description) {
+    throw new Error(`Unsupported linear unit: ${unit}`);
+  }
+  return description;
+}
+
+/**
+ * Length of one unit in meters
+ * @param {string} unit - Unit key
+ * @returns {number} Meters per unit
+ */
+export function metersPerUnit(unit) {
+  const { numerator, denominator } = getLinearUnit(unit);
+  return numerator / denominator;
+}
+
+/**
+ * Convert a length between units.
+ * The ratio is applied as integers first, so e.g. converting a whole number
+ * of US survey feet to meters and back returns the original value exactly.
+ * @param {number} value - Length in `fromUnit`
+ * @param {string} fromUnit - Unit key of the input
+ * @param {string} toUnit - Unit key of the result
+ * @returns {number} Length in `toUnit`
+ */
+export function convertLength(value, fromUnit, toUnit) {
+  const from = getLinearUnit(fromUnit);
+  const to = getLinearUnit(toUnit);
+  if (from === to) return value;
+  return (value * from.numerator * to.denominator) / (from.denominator * to.numerator);
+}
+
+/**
+ * Format a length with its unit abbreviation
+ * @param {number} value - Length in `unit`
+ * @param {string} unit - Unit key
+ * @param {number} [decimals=3] - Number of decimal places
+ * @returns {string} e.g. "213,360.000 US ft"
+ */
+export function formatLength(value, unit, decimals = 3) {
+  const formatted = value.toLocaleString(undefined, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+  return `${formatted} ${getLinearUnit(unit).abbreviation}`;
+}
+
+/**
+ * Unit a state legislated for a zone's coordinates.
+ * All SPCS27 coordinates are in US survey feet; SPCS83 follows each state's
+ * legislation and falls back to meters where no foot was specified. UTM
+ * coordinates are in meters on every datum.
+ * @param {string|number} fipsCode - FIPS zone code (or UTM zone code)
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {string} Unit key
+ */
+export function getLegislatedUnit(fipsCode, datum = 'NAD83') {
+  if (isUtmZoneCode(fipsCode)) return 'meters';
+  if (datum === 'NAD27') return 'feet_us';
+  const stateCode = fipsCode.toString().padStart(4, '0').slice(0, 2);
+  return SPCS83_LEGISLATED_FEET[stateCode] || 'meters';
+}
+
+/**
+ * Get the display unit preference
+ * @returns {string} A unit key or LEGISLATED_UNIT
+ */
+export function getDisplayUnit() {
+  return displayUnit;
+}
+
+/**
+ * Set the display unit preference
+ * @param {string} unit - A unit key or LEGISLATED_UNIT
+ */
+export function setDisplayUnit(unit) {
+  if (unit !== LEGISLATED_UNIT) getLinearUnit(unit);
+  displayUnit = unit;
+}
+
+/**
+ * Resolve the display preference to a concrete unit for a zone
+ * @param {string|number} [fipsCode] - FIPS zone code, needed for LEGISLATED_UNIT
+ * @param {string} [datum='NAD83'] - Datum key
+ * @returns {string} Unit key
+ */
+export function resolveDisplayUnit(fipsCode, datum = 'NAD83') {
+  if (displayUnit !== LEGISLATED_UNIT) return displayUnit;
+  return fipsCode ? getLegislatedUnit(fipsCode, datum) : 'meters';
+}
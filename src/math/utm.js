@@ -0,0 +1,149 @@
+/**
+ * Universal Transverse Mercator zones
+ *
+ * UTM divides the Earth into 60 zones of 6° longitude, each a Transverse
+ * Mercator projection with k0 = 0.9996 on its central meridian, a false
+ * easting of 500 000 m and, in the southern hemisphere, a false northing of
+ * 10 000 000 m. Zones are described with the same record shape as the SPCS
+ * database so the rest of the application treats them like any other zone,
+ * on whichever datum is selected. Zone codes take the form "UTM12N".
+ *
+ * The irregular zones of the military grid around Norway and Svalbard are
+ * not applied; every zone is a regular strip from 80° S to 84° N.
+ */
+
+import { normalizeLongitude } from './coordinates.js';
+
+export const UTM_ZONE_COUNT = 60;
+const ZONE_WIDTH = 6;
+const SOUTH_LIMIT = -80;
+const NORTH_LIMIT = 84;
+
+/**
+ * Build the code of a UTM zone
+ * @param {number} number - Zone number, 1 to 60
+ * @param {string} hemisphere - 'N' or 'S'
+ * @returns {string} Zone code, e.g. "UTM12N"
+ */
+export function utmZoneCode(number, hemisphere) {
+  if (!Number.isInteger(number) || number < 1 || number > UTM_ZONE_COUNT) {
+    throw new Error(`Invalid UTM zone number: ${number}`);
+  }
+  if (hemisphere !== 'N' && hemisphere !== 'S') {
+    throw new Error(`Invalid UTM hemisphere: ${hemisphere}`);
+  }
+  return `UTM${number}${hemisphere}`;
+}
+
+/**
+ * Split a UTM zone code into its number and hemisphere
+ * @param {string} code - Zone code, e.g. "UTM12N"
+ * @returns {Object|null} { number, hemisphere }, or null if the code is not a UTM zone
+ */
+export function parseUtmZoneCode(code) {
+  const matches = /^UTM(\d{1,2})([NS])$/i.exec(String(code).trim());
+  if (!matches) return null;
+
+  const number = parseInt(matches[1], 10);
+  if (number < 1 || number > UTM_ZONE_COUNT) return null;
+
+  return { number, hemisphere: matches[2].toUpperCase() };
+}
+
+/**
+ * Whether a zone code refers to a UTM zone
+ * @param {string|number} code - Zone code
+ * @returns {boolean}
+ */
+export function isUtmZoneCode(code) {
+  return parseUtmZoneCode(code) !== null;
+}
+
+/**
+ * Central meridian of a UTM zone
+ * @param {number} number - Zone number, 1 to 60
+ * @returns {number} Longitude in decimal degrees
+ */
+export function getUtmCentralMeridian(number) {
+  return -180 + ZONE_WIDTH * number - ZONE_WIDTH / 2;
+}
+
+/**
+ * UTM zone containing a position
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @returns {string} Zone code; 180° is taken as −180° and falls in zone 1
+ */
+export function getUtmZoneForPoint(lat, lon) {
+  const number = Math.floor((normalizeLongitude(lon) + 180) / ZONE_WIDTH) + 1;
+  return utmZoneCode(number, lat < 0 ? 'S' : 'N');
+}
+
+/**
+ * Zone record for a UTM zone, in the shape of the SPCS database records
+ * @param {string} code - Zone code, e.g. "UTM12N"
+ * @returns {Object|null} Zone record, or null if the code is not a UTM zone
+ */
+export function getUtmZoneParameters(code) {
+  const zone = parseUtmZoneCode(code);
+  if (!zone) return null;
+
+  const centralMeridian = getUtmCentralMeridian(zone.number);
+
+  return {
+    name: `UTM Zone ${zone.number}${zone.hemisphere}`,
+    fips: utmZoneCode(zone.number, zone.hemisphere),
+    projectionType: 'TM',
+    params: {
+      centralMeridian: `${Math.abs(centralMeridian)} 00 ${centralMeridian < 0 ? 'W' : 'E'}`,
+      latitudeOfOrigin: '0 00 N',
+      // k0 = 0.9996 = 1 - 1/2500
+      scaleFactorDenominator: 2500,
+      falseEasting: 500000.0,
+      falseNorthing: zone.hemisphere === 'S' ? 10000000.0 : 0.0,
+      units: 'meters'
+    }
+  };
+}
+
+/**
+ * Boundaries of all UTM zones as GeoJSON, with the properties processZoneData
+ * reads from the SPCS boundary dataset. Zones are ordered by number, the
+ * northern strip before the southern.
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function createUtmZoneFeatures() {
+  const features = [];
+
+  for (let number = 1; number <= UTM_ZONE_COUNT; number++) {
+    const west = -180 + ZONE_WIDTH * (number - 1);
+    const east = west + ZONE_WIDTH;
+
+    ['N', 'S'].forEach(hemisphere => {
+      const code = utmZoneCode(number, hemisphere);
+      const [south, north] = hemisphere === 'N' ? [0, NORTH_LIMIT] : [SOUTH_LIMIT, 0];
+
+      features.push({
+        type: 'Feature',
+        properties: {
+          ZONENAME: `UTM Zone ${number}${hemisphere}`,
+          ZONE: code,
+          FIPSZONE: code,
+          ZONESOURCE: 'UTM',
+          PROJECTION: 'TM',
+          CENTRAL_MERIDIAN: getUtmCentralMeridian(number),
+          LATITUDE_OF_ORIGIN: 0,
+          SCALE_FACTOR: 0.9996,
+          FALSE_EASTING: 500000,
+          FALSE_NORTHING: hemisphere === 'S' ? 10000000 : 0
+        },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        }
+      });
+    });
+  }
+
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,108 @@
+/**
+ * Compare the distortion of a zone against the zone it replaced
+ *
+ * Linear distortion is the departure of the grid from the ground, in parts
+ * per million: (k − 1)·10⁶ on the ellipsoid, or (k·ef − 1)·10⁶ at the ground
+ * when an ellipsoid height is known. SPCS2022 zones are meant to reduce it
+ * relative to their SPCS83 predecessors, especially the low-distortion layer.
+ *
+ * The same geodetic position is evaluated in both zones. The NAD83 and
+ * NATRF2022 coordinates of a point differ by a meter or two, which changes
+ * the distortion by far less than the 0.1 ppm it is reported to.
+ */
+
+import { gridConvergence, pointScaleFactor } from './spcs.js';
+import { elevationFactor } from './combinedFactor.js';
+
+/**
+ * Distortion of a zone at a point
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {string|number} zone - Zone code
+ * @param {string} datum - Datum key
+ * @param {number|null} [ellipsoidHeight=null] - Ellipsoid height h in meters
+ * @returns {Object} { scaleFactor, convergence, combinedFactor, distortion } with
+ *   distortion in ppm (combinedFactor equals scaleFactor without a height)
+ */
+export function zoneDistortion(lat, lon, zone, datum, ellipsoidHeight = null) {
+  const scaleFactor = pointScaleFactor(lat, lon, zone, datum);
+  const factor = ellipsoidHeight === null
+    ? scaleFactor
+    : scaleFactor * elevationFactor(lat, ellipsoidHeight, datum);
+
+  return {
+    scaleFactor,
+    convergence: gridConvergence(lat, lon, zone, datum),
+    combinedFactor: factor,
+    distortion: (factor - 1) * 1e6
+  };
+}
+
+/**
+ * Compare a zone with its predecessor at a point
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {string|number} zone - Zone code of the new zone
+ * @param {string|number} predecessor - Zone code of the predecessor
+ * @param {Object} [options] - { datum = 'NATRF2022', predecessorDatum = 'NAD83', ellipsoidHeight = null }
+ * @returns {Object} { zone, predecessor, reduction } where zone and predecessor
+ *   come from zoneDistortion and reduction is the drop in absolute distortion
+ *   in ppm (positive when the new zone distorts less)
+ */
+export function compareZoneDistortion(lat, lon, zone, predecessor, options = {}) {
+  const { datum = 'NATRF2022', predecessorDatum = 'NAD83', ellipsoidHeight = null } = options;
+  const current = zoneDistortion(lat, lon, zone, datum, ellipsoidHeight);
+  const previous = zoneDistortion(lat, lon, predecessor, predecessorDatum, ellipsoidHeight);
+
+  return {
+    zone: current,
+    predecessor: previous,
+    reduction: Math.abs(previous.distortion) - Math.abs(current.distortion)
+  };
+}
+
+/**
+ * Compare a zone with its predecessor over a set of points, e.g. a sample
+ * grid over the new zone's area
+ * @param {Array} points - Points as { lat, lon, height }; height is optional
+ *   and, when present, is the ellipsoid height in meters
+ * @param {string|number} zone - Zone code of the new zone
+ * @param {string|number} predecessor - Zone code of the predecessor
+ * @param {Object} [options] - { datum = 'NATRF2022', predecessorDatum = 'NAD83' }
+ * @returns {Object} { zone, predecessor } distortion statistics, each
+ *   { count, min, max, maxAbs, rms } in ppm
+ */
+export function compareDistortionOverPoints(points, zone, predecessor, options = {}) {
+  if (!points.length) {
+    throw new Error('At least one point is needed to compare distortion');
+  }
+
+  const current = [];
+  const previous = [];
+
+  points.forEach(({ lat, lon, height = null }) => {
+    const comparison = compareZoneDistortion(lat, lon, zone, predecessor, { ...options, ellipsoidHeight: height });
+    current.push(comparison.zone.distortion);
+    previous.push(comparison.predecessor.distortion);
+  });
+
+  return {
+    zone: distortionStatistics(current),
+    predecessor: distortionStatistics(previous)
+  };
+}
+
+/**
+ * Summarize distortion values
+ * @param {Array<number>} values - Distortions in ppm
+ * @returns {Object} { count, min, max, maxAbs, rms }
+ */
+function distortionStatistics(values) {
+  return {
+    count: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    maxAbs: Math.max(...values.map(Math.abs)),
+    rms: Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length)
+  };
+}
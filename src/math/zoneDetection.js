@@ -0,0 +1,214 @@
+/**
+ * Find the SPCS zones that contain a geodetic position
+ *
+ * Zone boundaries are the GeoJSON geometries kept on processed zones
+ * (`zone.originalFeature.geometry`). Polygons follow GeoJSON: the first ring
+ * is the outer boundary, any further rings are holes, and coordinates are
+ * [longitude, latitude] pairs. Points close to a boundary are reported too,
+ * since the boundary dataset is generalized and a point a few hundred meters
+ * outside it may well belong to the zone.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Mean Earth radius used for boundary distances, which only need to be
+// good enough to compare against the near-boundary threshold
+const MEAN_EARTH_RADIUS = 6371008.8;
+
+// Points within this distance of a boundary count as near it, in meters
+export const DEFAULT_NEAR_DISTANCE = 10000;
+
+/**
+ * Test a point against a single ring with the even-odd (ray casting) rule
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Array} ring - Ring of [lon, lat] positions; closing the ring is optional
+ * @returns {boolean} True if the point is inside the ring
+ */
+export function pointInRing(lat, lon, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    // Edge crosses the horizontal line through the point, to the east of it
+    if ((yi > lat) !== (yj > lat) && lon < xj + ((lat - yj) / (yi - yj)) * (xi - xj)) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Test a point against a polygon: inside the outer ring and outside every hole
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Array} rings - GeoJSON Polygon coordinates
+ * @returns {boolean} True if the point is inside the polygon
+ */
+export function pointInPolygon(lat, lon, rings) {
+  if (!rings.length || !pointInRing(lat, lon, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(lat, lon, hole));
+}
+
+/**
+ * Test a point against a Polygon or MultiPolygon geometry
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if the point is inside the geometry
+ */
+export function pointInGeometry(lat, lon, geometry) {
+  return geometryPolygons(geometry).some(rings => pointInPolygon(lat, lon, rings));
+}
+
+/**
+ * Points of a regular lattice across a geometry's bounding box that fall
+ * inside the geometry, for sampling a quantity over a zone
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon geometry
+ * @param {number} [samples=24] - Lattice points along each side of the box
+ * @returns {Array<Object>} Points as { lat, lon }, south to north
+ */
+export function samplePointsInGeometry(geometry, samples = 24) {
+  const { south, west, north, east } = geometryBounds(geometry);
+  const points = [];
+
+  for (let i = 0; i <= samples; i++) {
+    for (let j = 0; j <= samples; j++) {
+      const lat = south + (north - south) * i / samples;
+      const lon = west + (east - west) * j / samples;
+      if (pointInGeometry(lat, lon, geometry)) points.push({ lat, lon });
+    }
+  }
+  return points;
+}
+
+/**
+ * Approximate distance from a point to the nearest edge of a geometry,
+ * including the edges of holes. Edges are measured in a local equirectangular
+ * plane around the point, which is accurate to well under a percent at the
+ * distances that matter for boundary proximity.
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {number} Distance in meters (Infinity for an empty geometry)
+ */
+export function distanceToBoundary(lat, lon, geometry) {
+  const metersPerDegreeLat = MEAN_EARTH_RADIUS * DEG_TO_RAD;
+  const metersPerDegreeLon = metersPerDegreeLat * Math.cos(lat * DEG_TO_RAD);
+  const toLocal = ([x, y]) => [(x - lon) * metersPerDegreeLon, (y - lat) * metersPerDegreeLat];
+
+  let minimum = Infinity;
+
+  geometryPolygons(geometry).forEach(rings => {
+    rings.forEach(ring => {
+      for (let i = 0; i < ring.length; i++) {
+        const start = toLocal(ring[i]);
+        const end = toLocal(ring[(i + 1) % ring.length]);
+        minimum = Math.min(minimum, distanceToSegment(start, end));
+      }
+    });
+  });
+
+  return minimum;
+}
+
+/**
+ * Find the zones that contain a point or lie within `nearDistance` of it
+ * @param {Array} zones - Processed zones from processZoneData
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @param {number} [nearDistance=DEFAULT_NEAR_DISTANCE] - Boundary proximity threshold in meters
+ * @returns {Array} Matches as { index, zone, contains, distance }, where
+ *   `index` is the zone's position in `zones` and `distance` is the distance
+ *   to the zone boundary in meters. Containing zones come first, then the
+ *   rest by distance.
+ */
+export function detectZones(zones, lat, lon, nearDistance = DEFAULT_NEAR_DISTANCE) {
+  // Bounding box of the search, padded by the threshold, to skip distant zones cheaply
+  const padLat = nearDistance / (MEAN_EARTH_RADIUS * DEG_TO_RAD);
+  const padLon = padLat / Math.max(Math.cos(lat * DEG_TO_RAD), 0.01);
+  const matches = [];
+
+  zones.forEach((zone, index) => {
+    const geometry = zone.originalFeature && zone.originalFeature.geometry;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) return;
+
+    const box = geometryBounds(geometry);
+    if (lat < box.south - padLat || lat > box.north + padLat ||
+        lon < box.west - padLon || lon > box.east + padLon) {
+      return;
+    }
+
+    const contains = pointInGeometry(lat, lon, geometry);
+    const distance = distanceToBoundary(lat, lon, geometry);
+
+    if (contains || distance <= nearDistance) {
+      matches.push({ index, zone, contains, distance });
+    }
+  });
+
+  return matches.sort((a, b) => (b.contains - a.contains) || (a.distance - b.distance));
+}
+
+/**
+ * List the polygons of a geometry as arrays of rings
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} Polygon coordinate arrays (empty for other geometry types)
+ */
+function geometryPolygons(geometry) {
+  switch (geometry.type) {
+    case 'Polygon':
+      return [geometry.coordinates];
+    case 'MultiPolygon':
+      return geometry.coordinates;
+    default:
+      return [];
+  }
+}
+
+// Bounding boxes are cached per geometry object, since zones are searched repeatedly
+const boundsCache = new WeakMap();
+
+/**
+ * Bounding box of a geometry's outer rings
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {Object} { south, west, north, east } in decimal degrees
+ */
+function geometryBounds(geometry) {
+  if (!boundsCache.has(geometry)) {
+    const box = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+
+    geometryPolygons(geometry).forEach(rings => {
+      (rings[0] || []).forEach(([x, y]) => {
+        box.south = Math.min(box.south, y);
+        box.north = Math.max(box.north, y);
+        box.west = Math.min(box.west, x);
+        box.east = Math.max(box.east, x);
+      });
+    });
+
+    boundsCache.set(geometry, box);
+  }
+
+  return boundsCache.get(geometry);
+}
+
+/**
+ * Distance from the origin to a segment in a local plane
+ * @param {Array} start - [x, y] of the segment start
+ * @param {Array} end - [x, y] of the segment end
+ * @returns {number} Distance in the plane's units
+ */
+function distanceToSegment([x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+
+  // Parameter of the closest point along the segment, clamped to its ends
+  const t = lengthSquared === 0 ? 0 : Math.min(Math.max(-(x1 * dx + y1 * dy) / lengthSquared, 0), 1);
+
+  return Math.hypot(x1 + t * dx, y1 + t * dy);
+}
@@ -0,0 +1,170 @@
+/**
+ * Importing user-supplied zones: boundaries as GeoJSON or zipped shapefiles,
+ * and zone definitions in the shape of spcsZoneParameters.json. Boundaries
+ * are normalized to the properties of the SPCS boundary catalog (ZONENAME,
+ * FIPSZONE) so processZoneData treats them like the built-in zones, and a
+ * boundary's FIPSZONE links it to an imported (or built-in) definition.
+ */
+
+import { readZippedShapefile } from './shapefile.js';
+
+// Source of imported zones in the zone list
+export const IMPORTED_ZONE_SOURCE = 'Imported';
+
+// Property names, compared without case, that hold a boundary's zone code and name
+const CODE_PROPERTIES = ['fipszone', 'zone_code', 'zonecode', 'fips', 'code', 'zone'];
+const NAME_PROPERTIES = ['zonename', 'zone_name', 'name', 'title', 'label'];
+
+const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+/**
+ * Read an imported file
+ * @param {string} fileName - File name; .zip is read as a zipped shapefile,
+ *   anything else as JSON
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @param {Object} [options] - { datum } for zone definitions that do not
+ *   name one, and readZip options
+ * @returns {Promise<Object>} { features, definitions, skipped }: a
+ *   FeatureCollection of normalized boundaries or null, definitions keyed
+ *   by datum or null, and the number of features that were not polygons
+ */
+export async function readZoneFile(fileName, buffer, { datum = 'NAD83', ...zipOptions } = {}) {
+  const baseName = fileName.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '');
+
+  if (/\.zip$/i.test(fileName)) {
+    const { features, skipped } = await readZippedShapefile(buffer, zipOptions);
+    const boundaries = normalizeBoundaries(features, baseName);
+    return { features: boundaries.features, definitions: null, skipped: skipped + boundaries.skipped };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(new TextDecoder('utf-8').decode(buffer));
+  } catch (error) {
+    throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+  }
+
+  if (json && GEOJSON_TYPES.includes(json.type)) {
+    return { ...normalizeBoundaries(json, baseName), definitions: null };
+  }
+  return { features: null, definitions: readZoneDefinitions(json, datum), skipped: 0 };
+}
+
+/**
+ * Normalize GeoJSON boundaries for processZoneData
+ * @param {Object} geojson - FeatureCollection, Feature or polygon geometry in
+ *   longitude/latitude
+ * @param {string} [baseName='Imported zone'] - Name for boundaries without one
+ * @returns {Object} { features, skipped }: a FeatureCollection of the polygon
+ *   features with ZONENAME, FIPSZONE and ZONESOURCE set, and the number of
+ *   features without polygon geometry
+ */
+export function normalizeBoundaries(geojson, baseName = 'Imported zone') {
+  let features = [{ type: 'Feature', properties: {}, geometry: geojson }];
+  if (geojson.type === 'FeatureCollection') features = geojson.features;
+  if (geojson.type === 'Feature') features = [geojson];
+
+  const polygons = features
+    .map(feature => ({ ...feature, geometry: polygonGeometry(feature.geometry) }))
+    .filter(feature => feature.geometry);
+
+  const normalized = polygons.map((feature, index) => {
+    const properties = feature.properties || {};
+    checkLongitudeLatitude(feature.geometry);
+
+    return {
+      ...feature,
+      properties: {
+        ...properties,
+        ZONENAME: findProperty(properties, NAME_PROPERTIES) ??
+          (polygons.length === 1 ? baseName : `${baseName} ${index + 1}`),
+        FIPSZONE: findProperty(properties, CODE_PROPERTIES)?.toString() ?? null,
+        ZONESOURCE: IMPORTED_ZONE_SOURCE
+      }
+    };
+  });
+
+  return {
+    features: { type: 'FeatureCollection', features: normalized },
+    skipped: features.length - polygons.length
+  };
+}
+
+/**
+ * Zone definitions from a file in the shape of spcsZoneParameters.json
+ * @param {Object|Array} json - The database shape ({ NAD83: { zones }, ... }),
+ *   { zones }, records keyed by zone code, or an array of records
+ * @param {string} [datum='NAD83'] - Datum of definitions that do not name one
+ * @returns {Object} Arrays of zone records keyed by datum, for registerZoneParameters
+ */
+export function readZoneDefinitions(json, datum = 'NAD83') {
+  if (!json || typeof json !== 'object') {
+    throw new Error('Zone definitions must be a JSON object or array');
+  }
+
+  let definitions;
+  if (Array.isArray(json)) {
+    definitions = { [datum]: json };
+  } else if (json.zones) {
+    definitions = { [datum]: Object.values(json.zones) };
+  } else {
+    // Datum sections hold their records under `zones`; metadata and the like do not
+    const datums = Object.keys(json).filter(key => json[key] && json[key].zones);
+    definitions = datums.length > 0
+      ? Object.fromEntries(datums.map(key => [key, Object.values(json[key].zones)]))
+      : { [datum]: Object.values(json) };
+  }
+
+  const count = Object.values(definitions).reduce((total, records) => total + records.length, 0);
+  if (count === 0) {
+    throw new Error('No zone definitions found');
+  }
+  return definitions;
+}
+
+/**
+ * Polygon or MultiPolygon geometry of a feature
+ * @param {Object|null} geometry - GeoJSON geometry
+ * @returns {Object|null} The geometry, the polygons of a GeometryCollection
+ *   merged into a MultiPolygon, or null without polygons
+ */
+function polygonGeometry(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') return geometry;
+  if (geometry.type !== 'GeometryCollection') return null;
+
+  const polygons = geometry.geometries.flatMap(part => {
+    const polygon = polygonGeometry(part);
+    if (!polygon) return [];
+    return polygon.type === 'Polygon' ? [polygon.coordinates] : polygon.coordinates;
+  });
+  return polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null;
+}
+
+/**
+ * Reject geometry whose coordinates cannot be longitude and latitude
+ * @param {Object} geometry - Polygon or MultiPolygon
+ */
+function checkLongitudeLatitude(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const outside = polygons.flat(2).find(([lon, lat]) => !(Math.abs(lon) <= 180 && Math.abs(lat) <= 90));
+  if (outside) {
+    throw new Error(`Coordinate ${outside.join(', ')} is not a longitude and latitude; ` +
+      'boundaries must be in geographic coordinates');
+  }
+}
+
+/**
+ * First non-empty property among candidate names, compared without case
+ * @param {Object} properties - Feature properties
+ * @param {string[]} names - Lower-case property names in order of preference
+ * @returns {*} The value, or undefined
+ */
+function findProperty(properties, names) {
+  const keys = Object.keys(properties);
+  for (const name of names) {
+    const key = keys.find(candidate => candidate.toLowerCase() === name);
+    if (key && properties[key] !== null && properties[key] !== '') return properties[key];
+  }
+  return undefined;
+}
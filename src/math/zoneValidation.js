@@ -0,0 +1,232 @@
+/**
+ * Validation of zone parameter records against spcsZoneParameters.schema.json,
+ * plus the integrity checks a schema cannot express: DMS angles in range,
+ * standard parallels in order, and zone records filed under their own code.
+ *
+ * The schema is checked by a small interpreter of the JSON Schema keywords it
+ * uses ($ref, type, enum, const, pattern, required, properties,
+ * additionalProperties, propertyNames, items, allOf, if/then, not,
+ * dependentRequired and the numeric bounds), so the app needs no schema
+ * library. Any JSON Schema validator can check the database with the same file.
+ */
+
+import zoneSchema from './spcsZoneParameters.schema.json' with { type: 'json' };
+
+// Angle parameters and the largest value each may take
+const ANGLE_LIMITS = {
+  centralMeridian: 180,
+  longitudeOfOrigin: 180,
+  latitudeOfOrigin: 90,
+  standardParallel1: 90,
+  standardParallel2: 90
+};
+
+/**
+ * Check one zone record
+ * @param {Object} zone - Zone record in the shape of the bundled database
+ * @param {string} [key] - Code the record is filed under, if any
+ * @returns {Array<Object>} Issues as { path, message }; empty for a valid record
+ */
+export function validateZoneRecord(zone, key) {
+  const issues = checkSchema(zone, zoneSchema.$defs.zone);
+  if (issues.length > 0) return issues;
+
+  if (key !== undefined && key !== zone.fips) {
+    issues.push({ path: 'fips', message: `is ${zone.fips} but the record is filed under ${key}` });
+  }
+
+  const params = zone.params;
+  Object.entries(ANGLE_LIMITS).forEach(([name, limit]) => {
+    if (params[name] === undefined) return;
+    const [degrees, minutes, seconds = 0] = params[name].split(' ').slice(0, -1).map(Number);
+    if (minutes >= 60 || seconds >= 60) {
+      issues.push({ path: `params.${name}`, message: `"${params[name]}" has minutes or seconds of 60 or more` });
+    } else if (degrees + minutes / 60 + seconds / 3600 > limit) {
+      issues.push({ path: `params.${name}`, message: `"${params[name]}" exceeds ${limit}°` });
+    }
+  });
+
+  // Parallels are listed south to north, as in NOS NGS 5
+  if (params.standardParallel1 && issues.length === 0 &&
+      signedAngle(params.standardParallel1) >= signedAngle(params.standardParallel2)) {
+    issues.push({
+      path: 'params.standardParallel2',
+      message: `"${params.standardParallel2}" must be north of standardParallel1 "${params.standardParallel1}"`
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check a zone parameter database
+ * @param {Object} database - Contents of spcsZoneParameters.json
+ * @returns {Array<Object>} Issues as { datum, zone, path, message }, where
+ *   datum and zone are null for issues outside a zone record
+ */
+export function validateZoneDatabase(database) {
+  // The outline of the database first; zone records are checked one by one
+  // below so their issues carry the datum and zone
+  const outline = { ...zoneSchema, $defs: { ...zoneSchema.$defs, zone: true } };
+  const issues = checkSchema(database, outline, outline).map(issue => ({ datum: null, zone: null, ...issue }));
+  if (!hasType(database, 'object')) return issues;
+
+  Object.entries(database).forEach(([datum, section]) => {
+    if (datum === 'metadata' || !hasType(section, 'object') || !hasType(section.zones, 'object')) return;
+    Object.entries(section.zones).forEach(([code, zone]) => {
+      validateZoneRecord(zone, code).forEach(issue => issues.push({ datum, zone: code, ...issue }));
+    });
+  });
+  return issues;
+}
+
+/**
+ * Boundary features whose zone code has no parameter record
+ * @param {Object} boundaries - FeatureCollection with FIPSZONE properties
+ * @param {Function} getZone - Looks up the record of a zone code
+ * @returns {Array<Object>} Issues as { zone, path, message }; features
+ *   without a zone code are not checked
+ */
+export function findUnknownBoundaryZones(boundaries, getZone) {
+  const codes = new Set(boundaries.features
+    .map(feature => feature.properties && feature.properties.FIPSZONE)
+    .filter(code => code !== null && code !== undefined && code !== '')
+    .map(code => code.toString().padStart(4, '0')));
+
+  return Array.from(codes)
+    .sort()
+    .filter(code => !getZone(code))
+    .map(code => ({ zone: code, path: 'FIPSZONE', message: 'has a boundary but no parameter record' }));
+}
+
+/**
+ * Describe an issue in one line
+ * @param {Object} issue - Issue from the functions above
+ * @returns {string} e.g. "NAD27 0401 params.units: must be one of meters, feet_us, feet_intl"
+ */
+export function formatZoneIssue({ datum, zone, path, message }) {
+  const location = [datum, zone, path].filter(Boolean).join(' ');
+  return location ? `${location}: ${message}` : message;
+}
+
+/**
+ * Signed decimal degrees of a DMS string that has passed the schema
+ * @param {string} dms - e.g. "34 08 30.5 N"
+ * @returns {number}
+ */
+function signedAngle(dms) {
+  const parts = dms.split(' ');
+  const hemisphere = parts.pop();
+  const [degrees, minutes, seconds = 0] = parts.map(Number);
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return hemisphere === 'S' || hemisphere === 'W' ? -value : value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object|boolean} schema - Schema or subschema
+ * @param {Object} [root=zoneSchema] - Document $refs resolve against
+ * @param {string} [path=''] - Dotted path of the value, for messages
+ * @returns {Array<Object>} Issues as { path, message }
+ */
+function checkSchema(value, schema, root = zoneSchema, path = '') {
+  if (schema === true) return [];
+  if (schema === false) return [{ path, message: 'is not allowed' }];
+  if (schema.$ref) {
+    return checkSchema(value, root.$defs[schema.$ref.replace('#/$defs/', '')], root, path);
+  }
+
+  const issue = message => [{ path, message }];
+  const child = key => (path ? `${path}.${key}` : key);
+
+  if (schema.type && ![].concat(schema.type).some(type => hasType(value, type))) {
+    return issue(`must be ${[].concat(schema.type).join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return issue(`must be one of ${schema.enum.join(', ')}`);
+  }
+  if ('const' in schema && value !== schema.const) {
+    return issue(`must be ${schema.const}`);
+  }
+
+  const issues = [];
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issues.push({ path, message: `"${value}" is not in the expected format` });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      issues.push({ path, message: 'must not be empty' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) {
+      issues.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && !(value < schema.exclusiveMaximum)) {
+      issues.push({ path, message: `must be less than ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => issues.push(...checkSchema(item, schema.items, root, child(index))));
+  }
+
+  if (hasType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) issues.push({ path: child(key), message: 'is required' });
+    });
+    Object.entries(schema.dependentRequired || {}).forEach(([key, dependencies]) => {
+      if (!(key in value)) return;
+      dependencies.filter(dependency => !(dependency in value))
+        .forEach(dependency => issues.push({ path: child(dependency), message: `is required with ${key}` }));
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (schema.propertyNames) {
+        checkSchema(key, schema.propertyNames, root, child(key))
+          .forEach(({ message }) => issues.push({ path: child(key), message: `key ${message}` }));
+      }
+      if (schema.properties && key in schema.properties) {
+        issues.push(...checkSchema(item, schema.properties[key], root, child(key)));
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: child(key), message: 'is not a known property' });
+      } else if (schema.additionalProperties !== undefined) {
+        issues.push(...checkSchema(item, schema.additionalProperties, root, child(key)));
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(part => issues.push(...checkSchema(value, part, root, path)));
+  if (schema.if && schema.then && checkSchema(value, schema.if, root, path).length === 0) {
+    issues.push(...checkSchema(value, schema.then, root, path));
+  }
+
+  if (schema.not && checkSchema(value, schema.not, root, path).length === 0) {
+    issues.push({
+      path,
+      message: schema.not.required
+        ? `must not have both ${schema.not.required.join(' and ')}`
+        : 'matches a disallowed schema'
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Whether a value has a JSON Schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
@@ -4,7 +4,8 @@
  */
 import * as THREE from 'three';
 import { ParametricGeometry } from 'three/addons/geometries/ParametricGeometry.js';
-import { latLonToPoint } from '../math/coordinates.js';
+import { geodeticToScene } from '../math/coordinates.js';
+import { ELLIPSOIDS } from '../math/ellipsoids.js';
 
 // Visual configuration for the graticule
 const GRATICULE_CONFIG = {
@@ -17,6 +18,10 @@ const GRATICULE_CONFIG = {
 
 /**
  * Represents a reference ellipsoid (datum) in the 3D scene
+ *
+ * All positions are computed from geodetic coordinates through ECEF, so the
+ * surface, graticule and anything placed with toScenePosition() sit at true
+ * geodetic latitude on the chosen ellipsoid.
  */
 export class DatumEllipsoid {
     constructor(scene, params = {}) {
@@ -27,9 +32,10 @@ export class DatumEllipsoid {
         }
         
         this.scene = scene;
-        this.a = params.a || 6378137;  // GRS80 semi-major axis (meters)
-        this.f = params.f || 1/298.257222101;  // GRS80 flattening
-        this.b = this.a * (1 - this.f);  // semi-minor axis
+        this.ellipsoid = params.ellipsoid || ELLIPSOIDS.GRS80;  // GRS80 unless a datum ellipsoid is given
+        this.a = this.ellipsoid.a;  // semi-major axis (meters)
+        this.f = this.ellipsoid.f;  // flattening
+        this.b = this.ellipsoid.b;  // semi-minor axis
 
         this.surface = null;
         this.graticule = null;
@@ -40,28 +46,29 @@ export class DatumEllipsoid {
     }
 
     createSurface() {
+        const ellipsoid = this.ellipsoid;
+        
         // Create parametric geometry for the ellipsoid
         const geometry = new ParametricGeometry((u, v, target) => {
-            // u goes from 0 to 1 (longitude: 0 to 2π)
-            // v goes from 0 to 1 (latitude: -π/2 to π/2)
-            const lon = u * 2 * Math.PI;
-            const lat = (v - 0.5) * Math.PI;
-            
-            // Convert to Cartesian coordinates on the ellipsoid
-            const cosLat = Math.cos(lat);
-            const sinLat = Math.sin(lat);
-            const cosLon = Math.cos(lon);
-            const sinLon = Math.sin(lon);
+            // u goes from 0 to 1 (longitude: 0° to 360°)
+            // v goes from 0 to 1 (geodetic latitude: -90° to 90°)
+            const lon = u * 360;
+            const lat = (v - 0.5) * 180;
             
-            // Ellipsoid surface point
-            target.x = this.a * cosLat * sinLon;  // toward 90°E
-            target.y = this.b * sinLat;           // toward North pole
-            target.z = this.a * cosLat * cosLon;  // toward prime meridian
+            // Ellipsoid surface point (x toward 90°E, y toward North pole, z toward prime meridian)
+            const point = geodeticToScene(lat, lon, 0, this.ellipsoid);
+            target.set(point.x, point.y, point.z);
         }, 64, 32);  // resolution: 64 segments around, 32 segments top to bottom
 
         // Load and apply the Earth texture
         const textureLoader = new THREE.TextureLoader();
         textureLoader.load('/assets/earth.jpg', (texture) => {
+            // Skip a surface whose ellipsoid was replaced while the texture loaded
+            if (this.ellipsoid !== ellipsoid) {
+                geometry.dispose();
+                return;
+            }
+            
             // The texture's coordinates need to match our coordinate system
             texture.wrapS = THREE.RepeatWrapping;
             texture.wrapT = THREE.ClampToEdgeWrapping;
@@ -88,9 +95,7 @@ export class DatumEllipsoid {
             
             // Generate points around this parallel
             for (let lon = 0; lon <= 360; lon += 2) {
-                const point = latLonToPoint(lat, lon, this.a);
-                // Adjust for ellipsoid shape
-                point.y *= (this.b / this.a);
+                const point = geodeticToScene(lat, lon, 0, this.ellipsoid);
                 linePoints.push(new THREE.Vector3(point.x, point.y, point.z));
             }
             
@@ -114,9 +119,7 @@ export class DatumEllipsoid {
             
             // Generate points along this meridian
             for (let lat = -90; lat <= 90; lat += 2) {
-                const point = latLonToPoint(lat, lon, this.a);
-                // Adjust for ellipsoid shape
-                point.y *= (this.b / this.a);
+                const point = geodeticToScene(lat, lon, 0, this.ellipsoid);
                 linePoints.push(new THREE.Vector3(point.x, point.y, point.z));
             }
             
@@ -137,6 +140,45 @@ export class DatumEllipsoid {
         this.scene.add(this.graticule);
     }
 
+    /**
+     * Get the scene position of a geodetic coordinate on this ellipsoid
+     * @param {number} lat - Geodetic latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} [height=0] - Ellipsoid height in meters
+     * @returns {THREE.Vector3} Scene position
+     */
+    toScenePosition(lat, lon, height = 0) {
+        const point = geodeticToScene(lat, lon, height, this.ellipsoid);
+        return new THREE.Vector3(point.x, point.y, point.z);
+    }
+
+    /**
+     * Rebuild the surface and graticule on another reference ellipsoid
+     * @param {Object} ellipsoid - Ellipsoid description from ellipsoids.js
+     */
+    setEllipsoid(ellipsoid) {
+        if (ellipsoid === this.ellipsoid) return;
+        
+        [this.surface, this.graticule].forEach(object => {
+            if (!object) return;
+            this.scene.remove(object);
+            object.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        });
+        
+        this.ellipsoid = ellipsoid;
+        this.a = ellipsoid.a;
+        this.f = ellipsoid.f;
+        this.b = ellipsoid.b;
+        this.surface = null;
+        this.graticule = null;
+        
+        this.createSurface();
+        this.createGraticule();
+    }
+
     setVisibility(showSurface = true, showGraticule = true) {
         if (this.surface) {
             this.surface.visible = showSurface;
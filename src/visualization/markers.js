@@ -0,0 +1,66 @@
+/**
+ * Point markers on the reference ellipsoid
+ *
+ * Markers are placed from geodetic coordinates through ECEF, so they sit at the
+ * true geodetic position (including ellipsoid height) on the chosen datum.
+ */
+
+import * as THREE from 'three';
+import { geodeticToScene } from '../math/coordinates.js';
+import { getDatumEllipsoid } from '../math/ellipsoids.js';
+
+// Visual configuration for point markers
+const MARKER_RADIUS = 40000;          // meters, large enough to see at globe scale
+const MARKER_COLOR = 0xff3333;
+const NORMAL_LENGTH = 600000;         // meters, length of the ellipsoid normal line
+const NORMAL_COLOR = 0xffffff;
+
+/**
+ * Create a marker for a geodetic position and add it to the scene
+ * 
+ * The marker is a small sphere with a line along the ellipsoid normal,
+ * which shows the geodetic vertical (it does not pass through the Earth's centre).
+ * 
+ * @param {Object} scene - Three.js scene to add the marker to
+ * @param {number} lat - Geodetic latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} [height=0] - Ellipsoid height in meters
+ * @param {Object} [ellipsoid] - Reference ellipsoid (defaults to GRS80)
+ * @returns {THREE.Group} - Group containing the marker objects
+ */
+export function createPointMarker(scene, lat, lon, height = 0, ellipsoid = getDatumEllipsoid('NAD83')) {
+  const markerGroup = new THREE.Group();
+  markerGroup.name = `pointMarker_${lat.toFixed(5)}_${lon.toFixed(5)}`;
+  
+  const position = toVector3(geodeticToScene(lat, lon, height, ellipsoid));
+  
+  const sphere = new THREE.Mesh(
+    new THREE.SphereGeometry(MARKER_RADIUS, 16, 16),
+    new THREE.MeshBasicMaterial({ color: MARKER_COLOR, depthTest: false })
+  );
+  sphere.position.copy(position);
+  sphere.renderOrder = 999;
+  markerGroup.add(sphere);
+  
+  // Ellipsoid normal through the point (the direction of geodetic latitude)
+  const normalEnd = toVector3(geodeticToScene(lat, lon, height + NORMAL_LENGTH, ellipsoid));
+  const normalLine = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([position, normalEnd]),
+    new THREE.LineBasicMaterial({ color: NORMAL_COLOR, depthTest: false })
+  );
+  normalLine.name = 'ellipsoidNormal';
+  markerGroup.add(normalLine);
+  
+  scene.add(markerGroup);
+  return markerGroup;
+}
+
+/**
+ * Convert a plain {x, y, z} object to a THREE.Vector3
+ * 
+ * @param {Object} point - Point with x, y, z
+ * @returns {THREE.Vector3}
+ */
+function toVector3({ x, y, z }) {
+  return new THREE.Vector3(x, y, z);
+}
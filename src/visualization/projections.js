@@ -8,6 +8,7 @@
  */
 
 import { createTransverseMercatorCylinder } from './transverseMercator.js';
+import { getDatumEllipsoid } from '../math/ellipsoids.js';
 
 /**
  * Executive function to dispatch to specific projection visualization logic
@@ -27,7 +28,7 @@ export function visualizeProjection(scene, zone) {
   // Call specific visualization functions based on projection type
   switch (projectionType) {
     case 'Transverse Mercator':
-      return createTransverseMercatorCylinder(scene, zone);
+      return createTransverseMercatorCylinder(scene, zone, getDatumEllipsoid(zone.datum || 'NAD83'));
     case 'Lambert Conformal Conic':
       // TODO: return visualizeLambertConformalConic(scene, zone);
       console.warn('Lambert Conformal Conic visualization not implemented yet');
@@ -6,7 +6,9 @@
  */
 
 import * as THREE from 'three';
-import { formatDDMMSS } from '../math/spcs.js';
+import { formatDDMMSS, parseDDMMSS, getScaleFactor } from '../math/spcs.js';
+import { geodeticToScene } from '../math/coordinates.js';
+import { getDatumEllipsoid } from '../math/ellipsoids.js';
 
 // Constants for visualization
 const CYLINDER_SEGMENTS = 64; // Number of segments around the cylinder
@@ -23,9 +25,10 @@ const LINE_OPACITY = 0.8;
  * 
  * @param {Object} scene - Three.js scene to add the cylinder to
  * @param {Object} zone - SPCS zone data
+ * @param {Object} [ellipsoid] - Reference ellipsoid the cylinder wraps (defaults to GRS80)
  * @returns {Object} - Object containing the cylinder and related objects
  */
-export function createTransverseMercatorCylinder(scene, zone) {
+export function createTransverseMercatorCylinder(scene, zone, ellipsoid = getDatumEllipsoid('NAD83')) {
   // Create a unique identifier for this zone
   const zoneId = zone.name.replace(/\s+/g, '_').toLowerCase();
   
@@ -68,82 +71,11 @@ export function createTransverseMercatorCylinder(scene, zone) {
   axesHelper.material.depthTest = false;
   cylinderGroup.add(axesHelper);
   
-  // Align cylinder with Earth's coordinate system:
-  cylinderGroup.rotateX(Math.PI / 2);
-  cylinderGroup.rotateZ(Math.PI / 2);
-  
-  // Apply SPCS zone-specific rotations
-  if (zone.spcsParams && zone.spcsParams.params) {
-    const params = zone.spcsParams.params;
-    
-    // 1. Rotate to Central Meridian (around Z-axis)
-    if (params.centralMeridian) {
-      // Parse the DMS string (e.g., "146 00 W" -> -146 degrees)
-      const matches = params.centralMeridian.match(/(\d+)\s+(\d+)\s+([WE])/);
-      if (matches) {
-        const degrees = parseInt(matches[1]);
-        const minutes = parseInt(matches[2]);
-        const direction = matches[3];
-        let angle = degrees + (minutes / 60);
-        if (direction === 'W') angle = -angle;
-        
-        // Convert to radians and rotate
-        cylinderGroup.rotateZ(-angle * Math.PI / 180);
-        console.log(`Rotated cylinder to Central Meridian: ${angle}°`);
-      }
-    }
-    
-    // 2. Rotate to Latitude of Origin (around Y-axis)
-    if (params.latitudeOfOrigin) {
-      // Parse the DMS string (e.g., "54 00 N" -> 54 degrees)
-      const matches = params.latitudeOfOrigin.match(/(\d+)\s+(\d+)\s+([NS])/);
-      if (matches) {
-        const degrees = parseInt(matches[1]);
-        const minutes = parseInt(matches[2]);
-        const direction = matches[3];
-        let angle = degrees + (minutes / 60);
-        if (direction === 'S') angle = -angle;
-        
-        // Convert to radians and rotate
-        cylinderGroup.rotateY(angle * Math.PI / 180);
-        console.log(`Rotated cylinder to Latitude of Origin: ${angle}°`);
-      }
-    }
-    
-    // 3. Apply scale factor
-    if (params.scaleFactor) {
-      // Extract the integer denominator (e.g. 10000 means 1 - 1/10000 = 0.9999)
-      let scaleFactorNumber;
-      
-      // Try parsing as a direct number first
-      if (typeof params.scaleFactor === 'number') {
-        scaleFactorNumber = params.scaleFactor;
-      } 
-      // Then try parsing as a string representation
-      else if (typeof params.scaleFactor === 'string') {
-        // Handle different possible formats
-        if (params.scaleFactor.includes('/')) {
-          // Format like "1/10000"
-          const parts = params.scaleFactor.split('/');
-          if (parts.length === 2) {
-            scaleFactorNumber = parseInt(parts[1]);
-          }
-        } else {
-          // Direct integer format
-          scaleFactorNumber = parseInt(params.scaleFactor);
-        }
-      }
-      
-      if (scaleFactorNumber && !isNaN(scaleFactorNumber)) {
-        // Calculate actual scale factor: 1 - 1/denominator
-        const actualScaleFactor = 1 - (1 / scaleFactorNumber);
-        
-        // Apply scale (scale the radius)
-        cylinderGroup.scale.set(actualScaleFactor, 1, actualScaleFactor);
-        console.log(`Applied scale factor: ${actualScaleFactor} (1 - 1/${scaleFactorNumber})`);
-      }
-    }
-  }
+  // Place the cylinder so it touches the ellipsoid along the zone's central meridian
+  const { centralMeridian, latitudeOfOrigin, scaleFactor } = getCylinderParameters(zone);
+  cylinderGroup.matrixAutoUpdate = false;
+  cylinderGroup.matrix.copy(createCylinderMatrix(centralMeridian, latitudeOfOrigin, scaleFactor, ellipsoid));
+  console.log(`Placed cylinder at Central Meridian ${centralMeridian.toFixed(4)}°, Latitude of Origin ${latitudeOfOrigin.toFixed(4)}°, scale factor ${scaleFactor}`);
   
   // Add the cylinder group to the scene
   scene.add(cylinderGroup);
@@ -157,6 +89,67 @@ export function createTransverseMercatorCylinder(scene, zone) {
   };
 }
 
+/**
+ * Get the central meridian, latitude of origin and scale factor of a zone,
+ * preferring our parameter database over the GeoJSON properties
+ * 
+ * @param {Object} zone - SPCS zone data
+ * @returns {Object} - Angles in decimal degrees and the central scale factor
+ */
+function getCylinderParameters(zone) {
+  if (zone.spcsParams && zone.spcsParams.params) {
+    const params = zone.spcsParams.params;
+    return {
+      centralMeridian: parseDDMMSS(params.centralMeridian) || 0,
+      latitudeOfOrigin: parseDDMMSS(params.latitudeOfOrigin) || 0,
+      scaleFactor: getScaleFactor(params)
+    };
+  }
+  
+  return {
+    centralMeridian: zone.centralMeridian || 0,
+    latitudeOfOrigin: zone.latitudeOfOrigin || 0,
+    scaleFactor: zone.scaleFactor || 1
+  };
+}
+
+/**
+ * Build the transform that places the cylinder geometry on the ellipsoid
+ * 
+ * The cylinder is modelled with radius CYLINDER_RADIUS around its local Y axis.
+ * Its cross-section is scaled to the meridian ellipse (k0·a across, k0·b toward
+ * the pole) so the surface follows the ellipsoid along the whole central
+ * meridian, and the angular basis line is turned to the latitude of origin.
+ * 
+ * @param {number} centralMeridian - Central meridian in decimal degrees
+ * @param {number} latitudeOfOrigin - Latitude of origin in decimal degrees
+ * @param {number} scaleFactor - Scale factor on the central meridian (k0)
+ * @param {Object} ellipsoid - Reference ellipsoid
+ * @returns {THREE.Matrix4} - Local-to-scene transform
+ */
+function createCylinderMatrix(centralMeridian, latitudeOfOrigin, scaleFactor, ellipsoid) {
+  const toVector = ({ x, y, z }) => new THREE.Vector3(x, y, z).normalize();
+  
+  // Local X points at the central meridian on the equator, local Y (the cylinder
+  // axis) 90° east of it along the equator, and local Z at the North Pole
+  const toMeridian = toVector(geodeticToScene(0, centralMeridian, 0, ellipsoid));
+  const axis = toVector(geodeticToScene(0, centralMeridian + 90, 0, ellipsoid));
+  const north = new THREE.Vector3(0, 1, 0);
+  const basis = new THREE.Matrix4().makeBasis(toMeridian, axis, north);
+  
+  const scale = new THREE.Matrix4().makeScale(
+    (scaleFactor * ellipsoid.a) / CYLINDER_RADIUS,
+    1,
+    (scaleFactor * ellipsoid.b) / CYLINDER_RADIUS
+  );
+  
+  // Around the meridian ellipse the angle is the reduced (parametric) latitude
+  const reducedLatitude = Math.atan((1 - ellipsoid.f) * Math.tan(latitudeOfOrigin * Math.PI / 180));
+  const spin = new THREE.Matrix4().makeRotationY(-reducedLatitude);
+  
+  return basis.multiply(scale).multiply(spin);
+}
+
 /**
  * Add baseline lines to the cylinder
  * - A vertical line at 0 degrees (angular basis)
@@ -0,0 +1,89 @@
+/**
+ * SPCS zone boundaries drawn on the reference ellipsoid
+ *
+ * Boundary rings are placed through ECEF like the point markers, and long
+ * edges are subdivided so the outline follows the curved surface instead of
+ * cutting a chord beneath it.
+ */
+
+import * as THREE from 'three';
+import { geodeticToScene } from '../math/coordinates.js';
+import { getDatumEllipsoid } from '../math/ellipsoids.js';
+
+// Visual configuration for zone outlines
+const OUTLINE_COLOR = 0xffcc00;
+const OUTLINE_HEIGHT = 2000;          // meters above the ellipsoid, keeps the line off the surface
+const MAX_EDGE_DEGREES = 0.25;        // longer edges are subdivided
+
+/**
+ * Create an outline of a zone boundary and add it to the scene
+ *
+ * @param {Object} scene - Three.js scene to add the outline to
+ * @param {Object} zone - Processed SPCS zone with `originalFeature.geometry`
+ * @param {Object} [ellipsoid] - Reference ellipsoid (defaults to GRS80)
+ * @param {number} [color=OUTLINE_COLOR] - Line color
+ * @returns {THREE.Group} - Group with one line loop per boundary ring
+ */
+export function createZoneOutline(scene, zone, ellipsoid = getDatumEllipsoid('NAD83'), color = OUTLINE_COLOR) {
+  const outlineGroup = new THREE.Group();
+  outlineGroup.name = `zoneOutline_${zone.name.replace(/\s+/g, '_').toLowerCase()}`;
+
+  const geometry = zone.originalFeature.geometry;
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  const material = new THREE.LineBasicMaterial({ color, depthTest: false });
+
+  polygons.forEach(rings => {
+    rings.forEach(ring => {
+      const points = densifyRing(ring).map(([lon, lat]) => {
+        const { x, y, z } = geodeticToScene(lat, lon, OUTLINE_HEIGHT, ellipsoid);
+        return new THREE.Vector3(x, y, z);
+      });
+
+      const line = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), material);
+      line.renderOrder = 998;
+      outlineGroup.add(line);
+    });
+  });
+
+  scene.add(outlineGroup);
+  return outlineGroup;
+}
+
+/**
+ * Remove an outline from the scene and release its GPU resources
+ *
+ * @param {Object} scene - Three.js scene
+ * @param {THREE.Group} outlineGroup - Group returned by createZoneOutline
+ */
+export function removeZoneOutline(scene, outlineGroup) {
+  scene.remove(outlineGroup);
+  outlineGroup.children.forEach(line => line.geometry.dispose());
+  if (outlineGroup.children.length) {
+    outlineGroup.children[0].material.dispose();
+  }
+}
+
+/**
+ * Insert intermediate vertices so no edge spans more than MAX_EDGE_DEGREES
+ *
+ * @param {Array} ring - Ring of [lon, lat] positions
+ * @returns {Array} Densified ring of [lon, lat] positions
+ */
+function densifyRing(ring) {
+  const densified = [];
+
+  ring.forEach(([lon, lat], i) => {
+    densified.push([lon, lat]);
+
+    const next = ring[i + 1];
+    if (!next) return;
+
+    const steps = Math.ceil(Math.max(Math.abs(next[0] - lon), Math.abs(next[1] - lat)) / MAX_EDGE_DEGREES);
+    for (let step = 1; step < steps; step++) {
+      const t = step / steps;
+      densified.push([lon + (next[0] - lon) * t, lat + (next[1] - lat) * t]);
+    }
+  });
+
+  return densified;
+}
@@ -0,0 +1,73 @@
+import { geodeticToGridAzimuth, gridToGeodeticAzimuth, lineAzimuths } from '../../src/math/azimuthReduction.js';
+import { geodesicInverse } from '../../src/math/geodesic.js';
+import { getZoneProjection, gridConvergence } from '../../src/math/spcs.js';
+
+// Mean radius used by the textbook arc-to-chord series
+const R = 6371000;
+
+describe('Line Azimuths', () => {
+  test('relate geodetic and grid azimuths through γ and δ', () => {
+    const line = lineAzimuths(33.4, -112.3, 33.6, -112.25, '0202');
+
+    expect(line.geodeticAzimuth).toBeCloseTo(geodesicInverse(33.4, -112.3, 33.6, -112.25).azimuth1, 12);
+    expect(line.convergence).toBeCloseTo(gridConvergence(33.4, -112.3, '0202'), 12);
+    expect(line.projectedAzimuth).toBeCloseTo(line.geodeticAzimuth - line.convergence, 12);
+    expect(line.gridAzimuth).toBeCloseTo(line.projectedAzimuth + line.arcToChord, 12);
+  });
+
+  test('matches the Transverse Mercator series for δ', () => {
+    // δ ≈ −ΔN (2E₁′ + E₂′) / (6 k₀² R²) with E′ measured from the central meridian
+    const line = lineAzimuths(33.4, -112.3, 33.6, -112.25, '0202');
+    const { falseEasting, scaleFactor } = getZoneProjection('0202');
+    const e1 = line.start.easting - falseEasting;
+    const e2 = line.end.easting - falseEasting;
+    const series = -(line.end.northing - line.start.northing) * (2 * e1 + e2) /
+      (6 * scaleFactor * scaleFactor * R * R) * 180 / Math.PI;
+
+    expect(line.arcToChord * 3600).toBeCloseTo(1.92, 2);
+    expect(line.arcToChord * 3600).toBeCloseTo(series * 3600, 2);
+  });
+
+  test('has no arc-to-chord correction along a TM central meridian', () => {
+    const line = lineAzimuths(33.0, -111 - 55 / 60, 34.0, -111 - 55 / 60, '0202');
+    expect(line.convergence).toBeCloseTo(0, 12);
+    expect(line.gridAzimuth).toBeCloseTo(0, 10);
+    expect(line.arcToChord).toBeCloseTo(0, 10);
+  });
+
+  test('grows with the length of the line', () => {
+    const short = geodeticToGridAzimuth(40.0, -105.0, 75, 10000, '0502');
+    const long = geodeticToGridAzimuth(40.0, -105.0, 75, 40000, '0502');
+    expect(Math.abs(long.arcToChord)).toBeGreaterThan(3 * Math.abs(short.arcToChord));
+  });
+
+  test('rejects coincident points', () => {
+    expect(() => lineAzimuths(33.4, -112.3, 33.4, -112.3, '0202')).toThrow('The two points coincide');
+  });
+});
+
+describe('Azimuth Reduction', () => {
+  test('reduces a geodetic azimuth and length to the grid', () => {
+    const line = geodeticToGridAzimuth(40.0, -105.0, 75, 40000, '0502');
+    expect(line.geodeticAzimuth).toBeCloseTo(75, 10);
+    expect(line.geodesicDistance).toBeCloseTo(40000, 6);
+    expect(line.endPoint.lat).toBeGreaterThan(40.0);
+  });
+
+  test('reduces a grid azimuth and length back to the same line', () => {
+    const forward = geodeticToGridAzimuth(33.4, -112.3, 10, 20000, '0202');
+    const back = gridToGeodeticAzimuth(33.4, -112.3, forward.gridAzimuth, forward.gridDistance, '0202');
+
+    expect(back.geodeticAzimuth).toBeCloseTo(10, 9);
+    expect(back.geodesicDistance).toBeCloseTo(20000, 5);
+    expect(back.endPoint.lat).toBeCloseTo(forward.endPoint.lat, 9);
+    expect(back.endPoint.lon).toBeCloseTo(forward.endPoint.lon, 9);
+  });
+
+  test('takes grid lengths in meters for zones defined in feet', () => {
+    // NAD27 Arizona Central is defined in US survey feet
+    const line = gridToGeodeticAzimuth(33.4, -112.3, 45, 1000, '0202', 'NAD27');
+    expect(line.gridDistance).toBeCloseTo(1000, 6);
+    expect(line.gridAzimuth).toBeCloseTo(45, 9);
+  });
+});
@@ -0,0 +1,148 @@
+import {
+  convertBatch,
+  formatBatchResults,
+  formatCsv,
+  guessColumnMapping,
+  parseCsv
+} from '../../src/math/batchConversion.js';
+import { gridConvergence, pointScaleFactor, toGrid } from '../../src/math/spcs.js';
+
+// A box standing in for the Arizona Central boundary, enough for auto-detection
+const ZONES = [
+  {
+    name: 'Arizona Central',
+    source: 'SPCS',
+    spcsParams: { fips: '0202' },
+    originalFeature: {
+      geometry: { type: 'Polygon', coordinates: [[[-113.4, 31.3], [-110.4, 31.3], [-110.4, 37], [-113.4, 37], [-113.4, 31.3]]] }
+    }
+  }
+];
+
+describe('CSV Parsing', () => {
+  test('reads headers and rows', () => {
+    const { headers, rows } = parseCsv('id,lat,lon\r\nP1,33.4,-112.0\r\nP2,33.5,-111.9\r\n');
+    expect(headers).toEqual(['id', 'lat', 'lon']);
+    expect(rows).toEqual([['P1', '33.4', '-112.0'], ['P2', '33.5', '-111.9']]);
+  });
+
+  test('handles quoted fields, a byte order mark and blank lines', () => {
+    const { headers, rows } = parseCsv('﻿name,note\n"Well, north","said ""hi""\nthere"\n\nB,\n');
+    expect(headers).toEqual(['name', 'note']);
+    expect(rows).toEqual([['Well, north', 'said "hi"\nthere'], ['B', '']]);
+  });
+
+  test('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('a;b\n1,5;2').rows).toEqual([['1,5', '2']]);
+    expect(parseCsv('a\tb\n1\t2').rows).toEqual([['1', '2']]);
+  });
+
+  test('rejects empty files and unterminated quotes', () => {
+    expect(() => parseCsv('\n\n')).toThrow('The CSV file is empty');
+    expect(() => parseCsv('a\n"open')).toThrow('Unterminated quoted field');
+  });
+
+  test('formats CSV with quoting where needed', () => {
+    expect(formatCsv(['a', 'b'], [['x,y', 'say "hi"'], [null, 2]]))
+      .toBe('a,b\r\n"x,y","say ""hi"""\r\n,2\r\n');
+  });
+
+  test('round-trips through parse and format', () => {
+    const text = formatCsv(['id', 'note'], [['1', 'line\nbreak'], ['2', 'comma, here']]);
+    expect(parseCsv(text).rows).toEqual([['1', 'line\nbreak'], ['2', 'comma, here']]);
+  });
+});
+
+describe('Column Mapping', () => {
+  test('guesses columns from common header names', () => {
+    expect(guessColumnMapping(['Point', 'Latitude', 'Longitude', 'Ellipsoid Height', 'Zone'])).toEqual({
+      id: 0, lat: 1, lon: 2, height: 3, easting: null, northing: null, zone: 4
+    });
+    expect(guessColumnMapping(['name', 'Northing', 'Easting'])).toMatchObject({ id: 0, northing: 1, easting: 2, lat: null });
+  });
+});
+
+describe('Batch Conversion', () => {
+  const { headers, rows } = parseCsv([
+    'id,lat,lon,h',
+    'P1,33.4,-112.0,340',
+    'P2,33.5,-111.9,',
+    'P3,abc,-111.9,',
+    'P4,,-111.9,',
+    'P5,45,-90,'
+  ].join('\n'));
+  const mapping = guessColumnMapping(headers);
+
+  test('converts forward in a chosen zone', () => {
+    const [result] = convertBatch(rows, mapping, { zone: '0202', unit: 'meters' });
+    const grid = toGrid(33.4, -112.0, '0202');
+
+    expect(result.id).toBe('P1');
+    expect(result.zone).toBe('0202');
+    expect(result.easting).toBeCloseTo(grid.easting, 6);
+    expect(result.northing).toBeCloseTo(grid.northing, 6);
+    expect(result.unit).toBe('meters');
+    expect(result.scaleFactor).toBeCloseTo(pointScaleFactor(33.4, -112.0, '0202'), 12);
+    expect(result.convergence).toBeCloseTo(gridConvergence(33.4, -112.0, '0202'), 12);
+    expect(result.combinedFactor).toBeLessThan(result.scaleFactor);
+    expect(result.error).toBeNull();
+  });
+
+  test('reports the legislated unit by default', () => {
+    const [result] = convertBatch(rows, mapping, { zone: '0202' });
+    expect(result.unit).toBe('feet_intl');
+    expect(result.easting).toBeCloseTo(toGrid(33.4, -112.0, '0202').easting / 0.3048, 5);
+  });
+
+  test('auto-detects the zone of each point', () => {
+    const results = convertBatch(rows, mapping, { zones: ZONES });
+    expect(results[0].zone).toBe('0202');
+    expect(results[1].zone).toBe('0202');
+    expect(results[1].combinedFactor).toBeNull();
+    expect(results[4].error).toBe('No zone found for this point');
+  });
+
+  test('reports bad rows without stopping the batch', () => {
+    const results = convertBatch(rows, mapping, { zone: '0202' });
+    expect(results.map(result => result.error)).toEqual([
+      null, null, 'Invalid lat: abc', 'Missing latitude', null
+    ]);
+  });
+
+  test('converts inverse, reading eastings in the given unit', () => {
+    const grid = toGrid(33.4, -112.0, '0202');
+    const feet = [['P1', String(grid.easting / 0.3048), String(grid.northing / 0.3048), '0202']];
+    const [result] = convertBatch(feet, { id: 0, easting: 1, northing: 2, zone: 3, lat: null, lon: null, height: null }, {
+      direction: 'inverse',
+      unit: 'feet_intl'
+    });
+
+    expect(result.lat).toBeCloseTo(33.4, 9);
+    expect(result.lon).toBeCloseTo(-112.0, 9);
+    expect(result.scaleFactor).toBeCloseTo(pointScaleFactor(33.4, -112.0, '0202'), 12);
+  });
+
+  test('requires a zone and the right columns', () => {
+    const inverseMapping = { id: 0, easting: 1, northing: 2, zone: null, lat: null, lon: null, height: null };
+    const [result] = convertBatch([['P1', '213360', '0']], inverseMapping, { direction: 'inverse' });
+    expect(result.error).toBe('No zone given for an inverse conversion');
+
+    expect(() => convertBatch(rows, { ...mapping, lat: null })).toThrow('No latitude/longitude columns given');
+    expect(() => convertBatch(rows, mapping, { direction: 'inverse' })).toThrow('No easting/northing columns given');
+    expect(() => convertBatch(rows, mapping, { direction: 'sideways' })).toThrow('Unknown conversion direction');
+  });
+
+  test('formats results after the original columns', () => {
+    const results = convertBatch(rows.slice(0, 3), mapping, { zone: '0202', unit: 'meters' });
+    const output = parseCsv(formatBatchResults(headers, rows.slice(0, 3), results));
+
+    expect(output.headers).toEqual([
+      'id', 'lat', 'lon', 'h', 'zone', 'easting', 'northing', 'unit',
+      'scale_factor', 'convergence_deg', 'combined_factor', 'error'
+    ]);
+    expect(output.rows[0].slice(0, 5)).toEqual(['P1', '33.4', '-112.0', '340', '0202']);
+    expect(Number(output.rows[0][5])).toBeCloseTo(results[0].easting, 4);
+    expect(output.rows[1][10]).toBe('');
+    expect(output.rows[2][11]).toBe('Invalid lat: abc');
+  });
+});
@@ -0,0 +1,169 @@
+import { readFileSync } from 'node:fs';
+import { jest } from '@jest/globals';
+import {
+  BUNDLED_ZONES_URL,
+  SPCS_ZONES_URL,
+  boundaryConfig,
+  createBoundaryCache,
+  loadSPCSZones,
+  loadZoneBoundaries
+} from '../../src/components/boundarySources.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { getSPCSZoneParameters } from '../../src/math/spcs.js';
+import { detectZones } from '../../src/math/zoneDetection.js';
+import { findUnknownBoundaryZones } from '../../src/math/zoneValidation.js';
+
+const onlineData = { type: 'FeatureCollection', features: [{ properties: { ZONENAME: 'Online' } }] };
+const bundledData = { type: 'FeatureCollection', features: [{ properties: { ZONENAME: 'Bundled' } }] };
+
+// In-memory stand-in for the IndexedDB cache
+function memoryCache(entries = {}) {
+  const store = new Map(Object.entries(entries));
+  return {
+    store,
+    get: async key => store.get(key) ?? null,
+    set: async (key, value) => { store.set(key, value); }
+  };
+}
+
+// Answer the bundled URL, and the online URL only when online
+function mockFetch({ online }) {
+  global.fetch = jest.fn(url => {
+    if (url === BUNDLED_ZONES_URL) {
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(bundledData) });
+    }
+    if (!online) return Promise.reject(new TypeError('Failed to fetch'));
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(onlineData) });
+  });
+}
+
+describe('Zone Boundary Sources', () => {
+  test('prefers the online source and caches what it returns', async () => {
+    mockFetch({ online: true });
+    const cache = memoryCache();
+
+    const result = await loadZoneBoundaries({ cache });
+    expect(result.source).toBe('remote');
+    expect(result.data).toEqual(onlineData);
+    expect(result.failures).toEqual([]);
+    expect(cache.store.get(SPCS_ZONES_URL).data).toEqual(onlineData);
+    expect(cache.store.get(SPCS_ZONES_URL).savedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('falls back to the cached copy when offline', async () => {
+    mockFetch({ online: false });
+    const cache = memoryCache({ [SPCS_ZONES_URL]: { data: onlineData, savedAt: '2026-10-01T12:00:00.000Z' } });
+
+    const result = await loadZoneBoundaries({ cache });
+    expect(result.source).toBe('cache');
+    expect(result.data).toEqual(onlineData);
+    expect(result.savedAt).toBe('2026-10-01T12:00:00.000Z');
+    expect(result.failures.map(failure => failure.source)).toEqual(['remote']);
+  });
+
+  test('falls back to the bundled copy with no network and no cache', async () => {
+    mockFetch({ online: false });
+
+    const result = await loadZoneBoundaries({ cache: memoryCache() });
+    expect(result.source).toBe('bundled');
+    expect(result.data).toEqual(bundledData);
+    expect(result.failures.map(failure => failure.source)).toEqual(['remote', 'cache']);
+
+    // Without a cache the cached source is passed over
+    expect((await loadZoneBoundaries()).source).toBe('bundled');
+  });
+
+  test('tries only the configured sources, in order', async () => {
+    mockFetch({ online: true });
+    const cache = memoryCache({ [SPCS_ZONES_URL]: { data: onlineData, savedAt: '2026-10-01T12:00:00.000Z' } });
+
+    const result = await loadZoneBoundaries({ sources: ['bundled', 'remote'], cache });
+    expect(result.source).toBe('bundled');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports every failure when no source succeeds', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false }));
+
+    await expect(loadZoneBoundaries({ cache: memoryCache() }))
+      .rejects.toThrow('No zone boundary source succeeded (remote: Failed to load SPCS zones; ' +
+        'cache: No cached boundaries; bundled: Failed to load SPCS zones)');
+  });
+
+  test('keeps the boundaries when caching them fails', async () => {
+    mockFetch({ online: true });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const cache = { get: async () => null, set: () => Promise.reject(new Error('Quota exceeded')) };
+
+    expect((await loadZoneBoundaries({ cache })).source).toBe('remote');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test('rejects responses that are not a FeatureCollection', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ error: 'Not found' }) }));
+    await expect(loadSPCSZones()).rejects.toThrow('not a GeoJSON FeatureCollection');
+  });
+
+  test('gives up on an online source that does not answer', async () => {
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+
+    await expect(loadSPCSZones(SPCS_ZONES_URL, { timeout: 10 })).rejects.toThrow('No response from');
+  });
+});
+
+describe('Bundled Zone Boundaries', () => {
+  // The file the app serves from public/boundaries
+  const bundledFile = new URL(`../../public${BUNDLED_ZONES_URL}`, import.meta.url);
+
+  test('load with no network and no cache', async () => {
+    global.fetch = jest.fn(url => {
+      if (url !== BUNDLED_ZONES_URL) return Promise.reject(new TypeError('Failed to fetch'));
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(JSON.parse(readFileSync(bundledFile, 'utf8'))) });
+    });
+
+    const result = await loadZoneBoundaries();
+    expect(result.source).toBe('bundled');
+    expect(result.failures.map(failure => failure.source)).toEqual(['remote', 'cache']);
+    expect(result.data.features).toHaveLength(119);
+    expect(findUnknownBoundaryZones(result.data, getSPCSZoneParameters)).toEqual([]);
+
+    const zones = processZoneData(result.data);
+    const containing = (lat, lon) => detectZones(zones, lat, lon, 0)
+      .filter(match => match.contains)
+      .map(match => match.zone.name);
+    expect(containing(33.45, -112.07)).toEqual(['Arizona Central']);
+    expect(containing(38.03, -78.48)).toEqual(['Virginia South']);
+    expect(containing(61.22, -149.9)).toEqual(['Alaska 4']);
+    expect(containing(21.31, -157.86)).toEqual(['Hawaii 3']);
+    expect(containing(38.25, -85.76).sort()).toEqual(['Kentucky North', 'Kentucky One']);
+  });
+});
+
+describe('Boundary Source Configuration', () => {
+  test('defaults to online, then cached, then bundled', () => {
+    expect(boundaryConfig()).toEqual({
+      sources: ['remote', 'cache', 'bundled'],
+      remoteUrl: SPCS_ZONES_URL,
+      bundledUrl: BUNDLED_ZONES_URL
+    });
+  });
+
+  test('reads the sources and URLs from the environment', () => {
+    const config = boundaryConfig({
+      VITE_BOUNDARY_SOURCES: 'bundled, cache',
+      VITE_BOUNDARY_URL: 'https://example.com/zones.geojson'
+    });
+    expect(config.sources).toEqual(['bundled', 'cache']);
+    expect(config.remoteUrl).toBe('https://example.com/zones.geojson');
+    expect(config.bundledUrl).toBe(BUNDLED_ZONES_URL);
+
+    expect(() => boundaryConfig({ VITE_BOUNDARY_SOURCES: 'remote,disk' })).toThrow('Unknown boundary source: disk');
+  });
+
+  test('has no cache where IndexedDB is unavailable', () => {
+    expect(createBoundaryCache()).toBeNull();
+  });
+});
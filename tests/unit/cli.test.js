@@ -0,0 +1,155 @@
+import { USAGE, runCli } from '../../src/cli/spcs.js';
+import { parseCsv } from '../../src/math/batchConversion.js';
+import { toGrid } from '../../src/math/spcs.js';
+
+// Run the command line against in-memory files and stdin
+async function run(args, { files = {}, stdin = '' } = {}) {
+  const output = { stdout: '', stderr: '' };
+  const code = await runCli(args, {
+    readFile: async path => {
+      if (!(path in files)) throw new Error(`ENOENT: no such file, open '${path}'`);
+      return files[path];
+    },
+    readStdin: async () => stdin,
+    stdout: text => { output.stdout += text; },
+    stderr: text => { output.stderr += text; }
+  });
+  return { code, ...output };
+}
+
+describe('Command Line: convert', () => {
+  const grid = toGrid(33.4, -112.0, '0202');
+
+  test('converts coordinates given as arguments', async () => {
+    const { code, stdout } = await run(['convert', '--zone', '0202', '--to', 'grid', '-u', 'meters', '33.4,-112.0,340']);
+    const { headers, rows } = parseCsv(stdout);
+
+    expect(code).toBe(0);
+    expect(headers.slice(0, 8)).toEqual(['lat', 'lon', 'height', 'zone', 'easting', 'northing', 'unit', 'scale_factor']);
+    expect(Number(rows[0][4])).toBeCloseTo(grid.easting, 4);
+    expect(Number(rows[0][5])).toBeCloseTo(grid.northing, 4);
+    expect(rows[0][6]).toBe('meters');
+  });
+
+  test('reads CSV from stdin and writes JSON', async () => {
+    const stdin = `name,E,N\nA,${grid.easting},${grid.northing}\n`;
+    const { code, stdout } = await run(['convert', '-z', '0202', '-t', 'geographic', '-u', 'meters', '-f', 'json'], { stdin });
+    const [result] = JSON.parse(stdout);
+
+    expect(code).toBe(0);
+    expect(result.id).toBe('A');
+    expect(result.lat).toBeCloseTo(33.4, 9);
+    expect(result.lon).toBeCloseTo(-112.0, 9);
+  });
+
+  test('reads files, taking the zone from a zone column', async () => {
+    const files = {
+      'a.csv': 'id,lat,lon,zone\nP1,33.4,-112.0,0202\n',
+      'b.csv': 'id,lat,lon,zone\nP2,33.4,-112.0,UTM12N\n'
+    };
+    const { code, stdout } = await run(['convert', '--to', 'grid', '-i', 'a.csv', '-i', 'b.csv', '-f', 'json'], { files });
+    const results = JSON.parse(stdout);
+
+    expect(code).toBe(0);
+    expect(results.map(result => [result.zone, result.unit])).toEqual([['0202', 'feet_intl'], ['UTM12N', 'meters']]);
+    expect(results[1].easting).toBeCloseTo(407006.0904, 3);
+  });
+
+  test('reports points that fail and exits with 1', async () => {
+    const { code, stdout, stderr } = await run(['convert', '-z', '0202', '-t', 'grid'], { stdin: '-33.4,-112\nx,y\n' });
+
+    expect(code).toBe(1);
+    expect(parseCsv(stdout).rows[1]).toContain('Invalid lat: x');
+    expect(stderr).toBe('1 of 2 points could not be converted\n');
+  });
+
+  test('rejects bad usage with exit code 2', async () => {
+    expect((await run(['convert', '-z', '0202', '33.4,-112'])).stderr).toBe('Choose --to grid or --to geographic\n');
+    expect((await run(['convert', '-t', 'grid', '33.4,-112'])).stderr).toMatch('Give a zone with --zone');
+    expect((await run(['convert', '-z', '0202', '-t', 'grid', '-u', 'yards', '1,2'])).stderr).toMatch('Unsupported linear unit');
+    expect((await run(['convert', '-z', '0202', '-t', 'grid', '-i', 'missing.csv'])).stderr).toMatch('ENOENT');
+    expect((await run(['convert', '--zonex', '1'])).code).toBe(2);
+    expect((await run(['bogus'])).stderr).toBe('Unknown command: bogus\n');
+  });
+
+  test('rejects malformed coordinate arguments with exit code 2', async () => {
+    const text = await run(['convert', '-z', '0202', '-t', 'grid', 'x,y']);
+    expect(text.code).toBe(2);
+    expect(text.stdout).toBe('');
+    expect(text.stderr).toBe('Invalid coordinates: x,y (give latitude,longitude[,height]; put -- before negative values)\n');
+
+    const single = await run(['convert', '-z', '0202', '-t', 'geographic', '--', '33.4,-112', '1000']);
+    expect(single.code).toBe(2);
+    expect(single.stderr).toMatch('Invalid coordinates: 1000 (give easting,northing[,height]');
+    expect((await run(['convert', '-z', '0202', '-t', 'grid', '33.4,,1'])).code).toBe(2);
+  });
+
+  test('rejects unknown zones with exit code 2', async () => {
+    const { code, stdout, stderr } = await run(['convert', '-z', '9999', '-t', 'grid', '33.4,-112']);
+    expect(code).toBe(2);
+    expect(stdout).toBe('');
+    expect(stderr).toBe('Unknown zone for --zone: 9999 (list the NAD83 zones with spcs zones)\n');
+    expect((await run(['convert', '-z', '0590', '-t', 'grid', '39,-105'])).code).toBe(2);
+    expect((await run(['convert', '-z', '0590', '-d', 'NATRF2022', '-t', 'grid', '39,-105'])).code).toBe(0);
+  });
+});
+
+describe('Command Line: zones', () => {
+  test('lists the zones of a state by name or code', async () => {
+    const byName = await run(['zones', '--state', 'arizona']);
+    const { headers, rows } = parseCsv(byName.stdout);
+
+    expect(headers).toEqual(['zone', 'name', 'state', 'layer', 'projection', 'unit']);
+    expect(rows).toEqual([
+      ['0201', 'Arizona East', '02', 'statewide', 'TM', 'feet_intl'],
+      ['0202', 'Arizona Central', '02', 'statewide', 'TM', 'feet_intl'],
+      ['0203', 'Arizona West', '02', 'statewide', 'TM', 'feet_intl']
+    ]);
+    expect((await run(['zones', '-s', '2'])).stdout).toBe(byName.stdout);
+  });
+
+  test('matches whole words of the state name', async () => {
+    const { stdout } = await run(['zones', '--state', 'Virginia', '--format', 'json']);
+    expect(JSON.parse(stdout).map(zone => zone.name)).toEqual(['Virginia North', 'Virginia South']);
+  });
+
+  test('uses the chosen datum', async () => {
+    const { stdout } = await run(['zones', '-s', 'Arizona', '-d', 'NAD27', '-f', 'json']);
+    expect(JSON.parse(stdout).map(zone => zone.fips)).toEqual(['0201', '0202', '0203']);
+    expect((await run(['zones', '-d', 'WGS84'])).stderr).toMatch('Unsupported datum');
+    expect((await run(['zones', '-s', 'Atlantis'])).stderr).toBe('No NAD83 zones found for Atlantis\n');
+  });
+
+  test('prints usage', async () => {
+    expect((await run(['--help'])).stdout).toBe(USAGE);
+    expect((await run([])).code).toBe(0);
+  });
+});
+
+describe('Command Line: verify', () => {
+  const grid = toGrid(33.4, -112.0, '0202');
+  const table = offset => 'id,zone,lat,lon,easting,northing\n' +
+    `P1,0202,33.4,-112,${grid.easting + offset},${grid.northing}\n`;
+
+  test('reports per-zone errors of test point files', async () => {
+    const { code, stdout, stderr } = await run(['verify', 'a.csv'], { files: { 'a.csv': table(0) } });
+    const { headers, rows } = parseCsv(stdout);
+
+    expect(code).toBe(0);
+    expect(headers[0]).toBe('zone');
+    expect(rows).toEqual([['0202', 'NAD83', '1', '0.000', '0.000', '0.000', 'ok']]);
+    expect(stderr).toMatch('1 points in 1 zones; worst forward 0.000 mm');
+  });
+
+  test('exits with 1 when points exceed the tolerance', async () => {
+    const stdin = table(0.002);
+    expect((await run(['verify'], { stdin })).code).toBe(1);
+    expect((await run(['verify'], { stdin })).stderr).toMatch('1 of 1 points exceed 1 mm');
+
+    const { code, stdout } = await run(['verify', '--tolerance', '5', '-f', 'json'], { stdin });
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).tolerance).toBe(0.005);
+
+    expect((await run(['verify', '--tolerance', '0'], { stdin })).code).toBe(2);
+  });
+});
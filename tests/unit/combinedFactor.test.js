@@ -0,0 +1,49 @@
+import {
+  gaussianMeanRadius,
+  ellipsoidHeightFromOrthometric,
+  elevationFactor,
+  combinedFactor,
+  groundToGrid,
+  gridToGround
+} from '../../src/math/combinedFactor.js';
+import { pointScaleFactor } from '../../src/math/spcs.js';
+import { ELLIPSOIDS } from '../../src/math/ellipsoids.js';
+
+describe('Grid-to-Ground Factors', () => {
+  test('Gaussian mean radius lies between the polar and equatorial radii', () => {
+    const radius = gaussianMeanRadius(40, ELLIPSOIDS.GRS80);
+    expect(radius).toBeGreaterThan(ELLIPSOIDS.GRS80.b);
+    expect(radius).toBeLessThan(ELLIPSOIDS.GRS80.a);
+    // About 6,371 km at mid-latitudes
+    expect(radius / 1000).toBeCloseTo(6371, -1);
+  });
+
+  test('ellipsoid height is the orthometric height plus the geoid separation', () => {
+    expect(ellipsoidHeightFromOrthometric(1609.3, -16.2)).toBeCloseTo(1593.1, 10);
+  });
+
+  test('elevation factor is one at the ellipsoid and decreases with height', () => {
+    expect(elevationFactor(39.7, 0)).toBe(1);
+    const ef = elevationFactor(39.7, 1600);
+    expect(ef).toBeLessThan(1);
+    // Roughly 1 - h/R: about 251 ppm at 1600 m
+    expect((1 - ef) * 1e6).toBeCloseTo(251, 0);
+  });
+
+  test('elevation factor uses the datum ellipsoid', () => {
+    expect(elevationFactor(39.7, 1600, 'NAD27')).not.toBe(elevationFactor(39.7, 1600, 'NAD83'));
+  });
+
+  test('combined factor is the product of scale and elevation factors', () => {
+    const result = combinedFactor(39.74, -104.99, 1593.1, '0502');
+    expect(result.scaleFactor).toBe(pointScaleFactor(39.74, -104.99, '0502'));
+    expect(result.elevationFactor).toBe(elevationFactor(39.74, 1593.1));
+    expect(result.combinedFactor).toBeCloseTo(result.scaleFactor * result.elevationFactor, 15);
+  });
+
+  test('ground and grid distances convert through the combined factor', () => {
+    const factor = 0.99975;
+    expect(groundToGrid(1000, factor)).toBeCloseTo(999.75, 10);
+    expect(gridToGround(groundToGrid(1234.567, factor), factor)).toBeCloseTo(1234.567, 10);
+  });
+});
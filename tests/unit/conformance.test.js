@@ -0,0 +1,125 @@
+import { readFileSync } from 'node:fs';
+import {
+  CONFORMANCE_TOLERANCE, formatConformanceReport, parseTestPoints, verifyTestPoints
+} from '../../src/math/conformance.js';
+import { parseCsv } from '../../src/math/batchConversion.js';
+import { ELLIPSOIDS } from '../../src/math/ellipsoids.js';
+import { lambertConformalConicForward } from '../../src/math/lambertConformalConic.js';
+import { obliqueMercatorForward } from '../../src/math/obliqueMercator.js';
+import { listZoneParameters, parseDDMMSS, toGrid } from '../../src/math/spcs.js';
+import { transverseMercatorForward } from '../../src/math/transverseMercator.js';
+
+const readFixture = name => readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('Published Test Points', () => {
+  const published = JSON.parse(readFixture('publishedPoints.json'));
+  const forward = { TM: transverseMercatorForward, LCC: lambertConformalConicForward, OM: obliqueMercatorForward };
+
+  // Ellipsoid of an example: a name from ellipsoids.js or { a, inverseFlattening }
+  const ellipsoidOf = ellipsoid => {
+    if (typeof ellipsoid === 'string') return ELLIPSOIDS[ellipsoid];
+    const f = 1 / ellipsoid.inverseFlattening;
+    const e2 = f * (2 - f);
+    return { name: ellipsoid.name, a: ellipsoid.a, f, b: ellipsoid.a * (1 - f), e2, e: Math.sqrt(e2) };
+  };
+
+  test('zone points convert within their published rounding both ways', () => {
+    const report = verifyTestPoints(parseTestPoints(readFixture('publishedPoints.json')),
+      { tolerance: published.metadata.tolerance });
+    const failures = report.points.filter(point => !point.passed)
+      .map(point => `${point.datum} ${point.zone} ${point.id}: ${point.error || point.forward}`);
+    expect(failures).toEqual([]);
+    expect(report.points).toHaveLength(published.points.length);
+  });
+
+  test.each(published.projectionExamples.map(example => [example.id, example]))('%s', (id, example) => {
+    const projection = { ellipsoid: ellipsoidOf(example.ellipsoid) };
+    Object.entries(example.projection).forEach(([key, value]) => {
+      projection[key] = typeof value === 'string' ? parseDDMMSS(value) : value;
+    });
+
+    const grid = forward[example.method](parseDDMMSS(example.lat), parseDDMMSS(example.lon), projection);
+    expect(grid.easting).toBeCloseTo(example.easting, example.decimals);
+    expect(grid.northing).toBeCloseTo(example.northing, example.decimals);
+  });
+});
+
+describe('Cross-check against proj4js', () => {
+  // Independent conversions of every zone from its EPSG definition, not
+  // published values; see the fixture's metadata
+  const points = parseTestPoints(readFixture('proj4CrossCheck.json'));
+  const report = verifyTestPoints(points);
+
+  test('every point converts within a millimeter both ways', () => {
+    const failures = report.points.filter(point => !point.passed)
+      .map(point => `${point.datum} ${point.zone} ${point.id}: ${point.error || point.forward}`);
+    expect(failures).toEqual([]);
+    expect(report.passed).toBe(true);
+    expect(report.tolerance).toBe(CONFORMANCE_TOLERANCE);
+  });
+
+  test('round trips close far below the tolerance', () => {
+    expect(Math.max(...report.zones.map(zone => zone.roundTrip))).toBeLessThan(1e-6);
+  });
+
+  test('cover every zone of the NAD83 and NAD27 databases', () => {
+    ['NAD83', 'NAD27'].forEach(datum => {
+      const covered = new Set(report.zones.filter(zone => zone.datum === datum).map(zone => zone.zone));
+      const missing = listZoneParameters(datum).map(zone => zone.fips).filter(fips => !covered.has(fips));
+      expect(missing).toEqual([]);
+    });
+    expect(report.zones.filter(zone => zone.zone.startsWith('UTM'))).toHaveLength(120);
+  });
+});
+
+describe('Conformance Harness', () => {
+  const grid = toGrid(33.4, -112.0, '0202');
+  const feet = 0.3048;
+
+  test('reads CSV with defaults for the datum and unit', () => {
+    const csv = 'ID,Zone,Lat,Lon,Easting,Northing,Unit\n' +
+      `P1,0202,33.4,-112,${grid.easting},${grid.northing},\n` +
+      `P2,0202,33.4,-112,${grid.easting / feet},${grid.northing / feet},feet_intl\n`;
+    const parsed = parseTestPoints(csv, { datum: 'NAD83' });
+
+    expect(parsed.map(point => [point.id, point.zone, point.datum, point.unit]))
+      .toEqual([['P1', '0202', 'NAD83', 'meters'], ['P2', '0202', 'NAD83', 'feet_intl']]);
+    expect(verifyTestPoints(parsed).passed).toBe(true);
+  });
+
+  test('rejects incomplete points', () => {
+    expect(() => parseTestPoints('zone,lat,lon,easting,northing\n0202,33.4,,1,2\n'))
+      .toThrow('Test point 1 has an invalid lon');
+    expect(() => parseTestPoints('[{ "lat": 1 }]')).toThrow('Test point 1 has no zone');
+    expect(() => parseTestPoints('{ "zones": [] }')).toThrow('must be an array of points');
+    expect(() => parseTestPoints('[{ "zone": "0202", "lat": 1, "lon": 2, "easting": 3, "northing": 4, "unit": "rods" }]'))
+      .toThrow('Unsupported linear unit');
+  });
+
+  test('reports points out of tolerance and points that fail to convert', () => {
+    const good = { id: 'A', zone: '0202', datum: 'NAD83', lat: 33.4, lon: -112, unit: 'meters', ...grid };
+    const report = verifyTestPoints([
+      good,
+      { ...good, id: 'B', easting: grid.easting + 0.003, northing: grid.northing + 0.004 },
+      { ...good, id: 'C', zone: '9999' }
+    ]);
+
+    expect(report.passed).toBe(false);
+    expect(report.points[1].forward).toBeCloseTo(0.005, 9);
+    // The inverse error is measured on the ellipsoid, so it differs by the scale factor
+    expect(report.points[1].inverse).toBeCloseTo(0.005, 5);
+    expect(report.points[2].error).toMatch('9999');
+
+    const [zone0202, zone9999] = report.zones;
+    expect(zone0202).toMatchObject({ points: 2, failures: 1, passed: false });
+    expect(zone9999).toMatchObject({ points: 1, failures: 1, forward: 0 });
+
+    const { headers, rows } = parseCsv(formatConformanceReport(report));
+    expect(headers).toEqual(['zone', 'datum', 'points', 'forward_mm', 'inverse_mm', 'round_trip_mm', 'status']);
+    expect(rows[0].slice(3)).toEqual(['5.000', '5.001', '0.000', '1 over tolerance']);
+    expect(rows[1][6]).toMatch(/^C: /);
+
+    // A looser tolerance passes the offset point
+    expect(verifyTestPoints([good, report.points[1]], { tolerance: 0.01 }).passed).toBe(true);
+  });
+});
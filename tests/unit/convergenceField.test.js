@@ -0,0 +1,121 @@
+import {
+  CONVERGENCE_ARROW_LENGTHS,
+  CONVERGENCE_COLORS,
+  arrowLattice,
+  arrowStyle,
+  formatConvergence,
+  zoneConvergenceExtent
+} from '../../src/math/convergenceField.js';
+import { getSPCSZoneParameters, gridConvergence } from '../../src/math/spcs.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { createConvergenceField } from '../../src/components/convergenceField.js';
+import L from 'leaflet';
+
+const ARIZONA_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[-113, 31], [-113, 37], [-110.5, 37], [-110.5, 31], [-113, 31]]]
+};
+
+describe('Arrow Layout', () => {
+  test('places arrows at cell centers anchored at the pixel origin', () => {
+    expect(arrowLattice({ x: -10, y: 0 }, { x: 128, y: 64 })).toEqual([{ x: 32, y: 32 }, { x: 96, y: 32 }]);
+    expect(arrowLattice({ x: 33, y: 33 }, { x: 95, y: 95 })).toEqual([]);
+    expect(arrowLattice({ x: 0, y: 0 }, { x: 20, y: 20 }, 10)).toEqual([
+      { x: 5, y: 5 }, { x: 15, y: 5 }, { x: 5, y: 15 }, { x: 15, y: 15 }
+    ]);
+  });
+
+  test('scales length by convergence and colors by side', () => {
+    const { min, max } = CONVERGENCE_ARROW_LENGTHS;
+    expect(arrowStyle(-1, 2)).toEqual({ length: (min + max) / 2, color: CONVERGENCE_COLORS.west });
+    expect(arrowStyle(2, 2)).toEqual({ length: max, color: CONVERGENCE_COLORS.east });
+    expect(arrowStyle(3, 2).length).toBe(max);
+    expect(arrowStyle(0, 2)).toEqual({ length: min, color: CONVERGENCE_COLORS.none });
+    expect(arrowStyle(0.5, 0).length).toBe(min);
+  });
+});
+
+describe('Convergence Tooltips', () => {
+  test('give γ in decimal degrees and DMS', () => {
+    expect(formatConvergence(-1.234567)).toBe('γ = −1.234567° (1°14′04.44″), grid north west of true north');
+    expect(formatConvergence(0.5)).toBe('γ = +0.500000° (0°30′00.00″), grid north east of true north');
+    expect(formatConvergence(1 - 1e-7)).toBe('γ = +1.000000° (1°00′00.00″), grid north east of true north');
+    expect(formatConvergence(1e-8)).toBe('γ = 0.000000°, grid north along true north');
+  });
+});
+
+describe('Zone Convergence Extent', () => {
+  const zone = {
+    datum: 'NAD83',
+    spcsParams: getSPCSZoneParameters('0202'),
+    originalFeature: { geometry: ARIZONA_BOUNDARY }
+  };
+
+  test('is the largest convergence inside the boundary', () => {
+    // Largest at the northeast corner, 1°25′ east of the central meridian
+    const extent = zoneConvergenceExtent(zone);
+    expect(extent).toBeGreaterThan(0.75);
+    expect(extent).toBeLessThanOrEqual(gridConvergence(37, -110.5, '0202'));
+  });
+
+  test('is zero without parameters', () => {
+    expect(zoneConvergenceExtent({ ...zone, spcsParams: null })).toBe(0);
+  });
+});
+
+describe('Convergence Overlay', () => {
+  const [arizona] = processZoneData({
+    features: [{
+      properties: { ZONENAME: 'Arizona Central', FIPSZONE: '0202' },
+      geometry: ARIZONA_BOUNDARY
+    }]
+  });
+
+  // jsdom does no layout; give the map a size
+  const createMap = () => {
+    const container = document.createElement('div');
+    Object.defineProperty(container, 'clientWidth', { value: 512 });
+    Object.defineProperty(container, 'clientHeight', { value: 384 });
+    document.body.appendChild(container);
+    return { container, map: L.map(container).setView([34, -112], 7) };
+  };
+
+  test('draws arrows across the zone in view and redraws them on zoom', () => {
+    const { container, map } = createMap();
+    const field = createConvergenceField(map);
+    const arrows = () => Array.from(container.querySelectorAll('.convergence-arrow'));
+
+    field.show(arizona);
+    const zoomedOut = arrows().length;
+    expect(zoomedOut).toBeGreaterThan(0);
+    expect(zoomedOut).toBeLessThanOrEqual(8 * 6);
+
+    // Arrows turn by γ: clockwise east of the central meridian
+    const turns = arrows().map(arrow => Number(arrow.querySelector('g').getAttribute('transform').match(/rotate\(([-\d.e]+)/)[1]));
+    expect(turns.some(turn => turn > 0)).toBe(true);
+    expect(turns.some(turn => turn < 0)).toBe(true);
+
+    // Zoomed in, the zone fills the view and the spacing on screen is kept
+    map.setZoom(10, { animate: false });
+    expect(arrows()).toHaveLength(8 * 6);
+
+    field.hide(arizona);
+    expect(arrows()).toHaveLength(0);
+    map.remove();
+  });
+
+  test('gives the exact γ in a tooltip', () => {
+    const { map } = createMap();
+    const field = createConvergenceField(map);
+    field.show(arizona);
+
+    let marker;
+    map.eachLayer(layer => {
+      if (layer instanceof L.Marker && !marker) marker = layer;
+    });
+    const { lat, lng } = marker.getLatLng();
+    expect(marker.getTooltip().getContent())
+      .toBe(`<strong>Arizona Central</strong><br>${formatConvergence(gridConvergence(lat, lng, '0202'))}`);
+    map.remove();
+  });
+});
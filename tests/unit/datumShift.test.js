@@ -0,0 +1,201 @@
+import fs from 'fs';
+import {
+  parseNadconGrid,
+  interpolateGrid,
+  createDatumShift,
+  nad27ToNad83,
+  nad83ToNad27,
+  positionOnDatum,
+  shiftVector,
+  isAsciiGridName
+} from '../../src/math/datumShift.js';
+
+// The bundled sample grids are synthetic: their shifts are the bilinear
+// functions below of x = lon + 113 and y = lat - 32.5, so interpolation
+// reproduces them exactly anywhere in the grid
+const readSample = name => fs.readFileSync(new URL(`../../public/grids/${name}`, import.meta.url), 'utf8');
+const sampleLatShift = (x, y) => 0.30 + 0.04 * x + 0.06 * y + 0.01 * x * y;
+const sampleLonShiftWest = (x, y) => 2.80 - 0.05 * x + 0.03 * y + 0.02 * x * y;
+
+/**
+ * Write a grid object in the NADCON binary layout
+ */
+function toBinaryGrid(grid) {
+  const recordLength = (grid.columns + 1) * 4;
+  const buffer = new ArrayBuffer(recordLength * (grid.rows + 1));
+  const view = new DataView(buffer);
+  const ident = grid.ident.padEnd(56).slice(0, 56) + 'NADCON  ';
+  for (let i = 0; i < ident.length; i++) view.setUint8(i, ident.charCodeAt(i));
+  view.setInt32(64, grid.columns, true);
+  view.setInt32(68, grid.rows, true);
+  view.setInt32(72, 1, true);
+  view.setFloat32(76, grid.lonMin, true);
+  view.setFloat32(80, grid.lonInterval, true);
+  view.setFloat32(84, grid.latMin, true);
+  view.setFloat32(88, grid.latInterval, true);
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.columns; col++) {
+      view.setFloat32((row + 1) * recordLength + 4 + col * 4, grid.values[row * grid.columns + col], true);
+    }
+  }
+  return buffer;
+}
+
+describe('NADCON Grid Parsing', () => {
+  const latGrid = parseNadconGrid(readSample('sample.laa'));
+
+  test('reads the ASCII header', () => {
+    expect(latGrid.ident).toMatch(/^SAMPLE LATITUDE SHIFTS/);
+    expect(latGrid.columns).toBe(9);
+    expect(latGrid.rows).toBe(9);
+    expect(latGrid.lonMin).toBe(-113);
+    expect(latGrid.latMin).toBe(32.5);
+    expect(latGrid.lonInterval).toBe(0.25);
+    expect(latGrid.latInterval).toBe(0.25);
+    expect(latGrid.values).toHaveLength(81);
+  });
+
+  test('stores rows from the south', () => {
+    expect(latGrid.values[0]).toBeCloseTo(sampleLatShift(0, 0), 6);
+    expect(latGrid.values[8]).toBeCloseTo(sampleLatShift(2, 0), 6);
+    expect(latGrid.values[80]).toBeCloseTo(sampleLatShift(2, 2), 6);
+  });
+
+  test('reads the binary layout', () => {
+    // Binary records must be long enough to hold the header, so use a wider grid
+    const wideGrid = {
+      ident: 'WIDE TEST GRID',
+      columns: 30,
+      rows: 3,
+      lonMin: -120,
+      lonInterval: 0.25,
+      latMin: 30,
+      latInterval: 0.25,
+      values: Float32Array.from({ length: 90 }, (_, i) => i / 8)
+    };
+    const binary = parseNadconGrid(toBinaryGrid(wideGrid));
+    expect(binary.ident).toBe('WIDE TEST GRID');
+    expect(binary.columns).toBe(30);
+    expect(binary.rows).toBe(3);
+    expect(binary.lonMin).toBe(-120);
+    expect(binary.latMin).toBe(30);
+    expect(Array.from(binary.values)).toEqual(Array.from(wideGrid.values));
+  });
+
+  test('rejects binary records too short for the header', () => {
+    expect(() => parseNadconGrid(toBinaryGrid(latGrid))).toThrow('Invalid NADCON grid header');
+  });
+
+  test('rejects a grid with missing values', () => {
+    const truncated = readSample('sample.laa').split('\n').slice(0, 10).join('\n');
+    expect(() => parseNadconGrid(truncated)).toThrow('expected 81');
+  });
+
+  test('recognises ASCII grid names', () => {
+    expect(isAsciiGridName('conus.laa')).toBe(true);
+    expect(isAsciiGridName('/grids/sample.LOA')).toBe(true);
+    expect(isAsciiGridName('conus.las')).toBe(false);
+  });
+});
+
+describe('Bilinear Interpolation', () => {
+  const latGrid = parseNadconGrid(readSample('sample.laa'));
+
+  test('returns node values at nodes', () => {
+    expect(interpolateGrid(latGrid, 33.0, -112.5)).toBeCloseTo(sampleLatShift(0.5, 0.5), 6);
+  });
+
+  test('interpolates inside a cell and on the outer edges', () => {
+    expect(interpolateGrid(latGrid, 33.1, -112.3)).toBeCloseTo(sampleLatShift(0.7, 0.6), 6);
+    expect(interpolateGrid(latGrid, 34.5, -111.0)).toBeCloseTo(sampleLatShift(2, 2), 6);
+  });
+
+  test('throws outside the grid', () => {
+    expect(() => interpolateGrid(latGrid, 35, -112)).toThrow('outside the datum shift grid');
+  });
+});
+
+describe('NAD27 / NAD83 Transformation', () => {
+  const shift = createDatumShift(
+    parseNadconGrid(readSample('sample.laa')),
+    parseNadconGrid(readSample('sample.loa'))
+  );
+
+  test('applies the latitude shift and the west-positive longitude shift', () => {
+    const result = nad27ToNad83(33.1, -112.3, shift);
+    expect(result.latShift).toBeCloseTo(sampleLatShift(0.7, 0.6), 6);
+    expect(result.lonShift).toBeCloseTo(-sampleLonShiftWest(0.7, 0.6), 6);
+    expect(result.lat).toBeCloseTo(33.1 + result.latShift / 3600, 12);
+    expect(result.lon).toBeCloseTo(-112.3 + result.lonShift / 3600, 12);
+    expect(result.lon).toBeLessThan(-112.3);
+  });
+
+  test('inverts the transformation', () => {
+    const nad83 = nad27ToNad83(33.1, -112.3, shift);
+    const nad27 = nad83ToNad27(nad83.lat, nad83.lon, shift);
+    expect(nad27.lat).toBeCloseTo(33.1, 11);
+    expect(nad27.lon).toBeCloseTo(-112.3, 11);
+  });
+
+  test('requires both grids to cover the same nodes', () => {
+    const latGrid = parseNadconGrid(readSample('sample.laa'));
+    const lonGrid = { ...parseNadconGrid(readSample('sample.loa')), lonMin: -114 };
+    expect(() => createDatumShift(latGrid, lonGrid)).toThrow('same nodes');
+  });
+});
+
+describe('Entered Positions', () => {
+  const shift = createDatumShift(
+    parseNadconGrid(readSample('sample.laa')),
+    parseNadconGrid(readSample('sample.loa'))
+  );
+
+  test('shift NAD27 entries and keep them for NAD27 zones', () => {
+    const nad83 = nad27ToNad83(33.1, -112.3, shift);
+    const toNad83 = positionOnDatum(33.1, -112.3, 'NAD27', 'NAD83', shift);
+    expect(toNad83.lat).toBe(nad83.lat);
+    expect(toNad83.lon).toBe(nad83.lon);
+    expect(toNad83.shiftDetails.nad27).toEqual({ lat: 33.1, lon: -112.3 });
+    expect(toNad83.shiftDetails.lonShift).toBe(nad83.lonShift);
+
+    const onNad27 = positionOnDatum(33.1, -112.3, 'NAD27', 'NAD27', shift);
+    expect(onNad27.lat).toBe(33.1);
+    expect(onNad27.lon).toBe(-112.3);
+    expect(onNad27.shiftDetails.nad83.lat).toBe(nad83.lat);
+  });
+
+  test('shift NAD83 entries only for NAD27 zones', () => {
+    expect(positionOnDatum(33.1, -112.3, 'NAD83', 'NAD83', null))
+      .toEqual({ lat: 33.1, lon: -112.3, shiftDetails: null });
+
+    const nad27 = nad83ToNad27(33.1, -112.3, shift);
+    const onNad27 = positionOnDatum(33.1, -112.3, 'NAD83', 'NAD27', shift);
+    expect(onNad27.lat).toBe(nad27.lat);
+    expect(onNad27.lon).toBe(nad27.lon);
+    expect(onNad27.shiftDetails).toBeNull();
+  });
+
+  test('refuse to shift without a grid or outside it', () => {
+    expect(() => positionOnDatum(33.1, -112.3, 'NAD83', 'NAD27', null))
+      .toThrow('Load a NADCON grid pair to shift the NAD83 coordinate');
+    expect(() => positionOnDatum(33.1, -112.3, 'NAD27', 'NAD83', null))
+      .toThrow('The datum shift grid is not loaded yet');
+    expect(() => positionOnDatum(40, -100, 'NAD83', 'NAD27', shift))
+      .toThrow('outside the datum shift grid');
+  });
+});
+
+describe('Shift Vector', () => {
+  test('converts arc seconds to meters on GRS80', () => {
+    // One arc second at the equator: M0·(π/648000) north, a·(π/648000) east
+    const vector = shiftVector(0, 1, 1);
+    expect(vector.north).toBeCloseTo(30.7151, 4);
+    expect(vector.east).toBeCloseTo(30.9221, 4);
+    expect(vector.distance).toBeCloseTo(Math.hypot(vector.north, vector.east), 10);
+  });
+
+  test('reports the azimuth clockwise from north', () => {
+    expect(shiftVector(33, 0, -2.8).azimuth).toBeCloseTo(270, 10);
+    expect(shiftVector(33, 0.3, 0).azimuth).toBeCloseTo(0, 10);
+  });
+});
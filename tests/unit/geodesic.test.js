@@ -0,0 +1,131 @@
+import { geodesicDirect, geodesicInverse, geodesicPath } from '../../src/math/geodesic.js';
+import { compareDistances, lineScaleFactor } from '../../src/math/distanceComparison.js';
+import { elevationFactor } from '../../src/math/combinedFactor.js';
+import { pointScaleFactor } from '../../src/math/spcs.js';
+
+// Reference values computed independently with GeographicLib (Geodesic.Inverse
+// and Geodesic.Direct on GRS80 and Clarke 1866). Its azimuths, in (-180, 180],
+// are given here in [0, 360).
+describe('Geodesic Inverse Problem', () => {
+  test('matches GeographicLib for short and long lines', () => {
+    const short = geodesicInverse(33.4, -112.0, 33.45, -111.9);
+    expect(short.distance).toBeCloseTo(10828.135341661, 6);
+    expect(short.azimuth1).toBeCloseTo(59.165489537597, 9);
+    expect(short.azimuth2).toBeCloseTo(59.220574048520, 9);
+    expect(short.backAzimuth).toBeCloseTo(239.220574048520, 9);
+
+    const long = geodesicInverse(40, -75, -33.9, 151.2);
+    expect(long.distance).toBeCloseTo(15899753.808587, 6);
+    expect(long.azimuth1).toBeCloseTo(360 - 95.317742563496, 9);
+    expect(long.azimuth2).toBeCloseTo(360 - 113.179816475156, 9);
+  });
+
+  test('converges for nearly antipodal points', () => {
+    const result = geodesicInverse(-41.32, 174.81, 40.96, -5.50);
+    expect(result.distance).toBeCloseTo(19959679.267200, 6);
+    expect(result.azimuth1).toBeCloseTo(161.067670029089, 9);
+    expect(result.azimuth2).toBeCloseTo(18.825195080582, 9);
+
+    const equatorial = geodesicInverse(0, 0, 0.5, 179.5);
+    expect(equatorial.distance).toBeCloseTo(19936288.578833, 6);
+    expect(equatorial.azimuth1).toBeCloseTo(25.671872805203, 9);
+  });
+
+  test('handles meridians, the equator, poles and coincident points', () => {
+    const overPole = geodesicInverse(89, 0, 89, 180);
+    expect(overPole.distance).toBeCloseTo(223387.729832082, 6);
+    expect(overPole.azimuth1).toBe(0);
+    expect(overPole.azimuth2).toBe(180);
+
+    // A quarter meridian and a degree of equator on GRS80
+    expect(geodesicInverse(0, 0, 90, 0).distance).toBeCloseTo(10001965.729230, 5);
+    expect(geodesicInverse(0, 0, 0, 1).distance).toBeCloseTo(111319.490793, 5);
+    expect(geodesicInverse(0, 0, 0, 1).azimuth1).toBe(90);
+
+    expect(geodesicInverse(10, 20, 10, 20).distance).toBe(0);
+    expect(geodesicInverse(0, -180, 0, 180).distance).toBe(0);
+  });
+
+  test('uses the datum ellipsoid', () => {
+    expect(geodesicInverse(33.4, -112.0, 33.45, -111.9, 'NAD27').distance).toBeCloseTo(10828.227191847, 6);
+    expect(() => geodesicInverse(0, 0, 1, 1, 'WGS72')).toThrow('Unsupported datum');
+  });
+});
+
+describe('Geodesic Direct Problem', () => {
+  test('matches GeographicLib', () => {
+    const result = geodesicDirect(0, 0, 45.188040230304, 1000000);
+    expect(result.lat).toBeCloseTo(6.360286728075, 10);
+    expect(result.lon).toBeCloseTo(6.399036353326, 10);
+    expect(result.azimuth2).toBeCloseTo(45.543951135337, 9);
+
+    const west = geodesicDirect(40, -75, 360 - 95.317742563496, 1000000);
+    expect(west.lat).toBeCloseTo(38.592478631043, 10);
+    expect(west.lon).toBeCloseTo(-86.458454521942, 10);
+    expect(west.backAzimuth).toBeCloseTo(77.410157973545, 9);
+  });
+
+  test('crosses a pole and the antimeridian', () => {
+    const result = geodesicDirect(89, 0, 0, 1000000);
+    expect(result.lat).toBeCloseTo(82.046450521586, 10);
+    expect(result.lon).toBe(180);
+    expect(result.azimuth2).toBe(180);
+
+    expect(geodesicDirect(0, 179.5, 90, 111319.490793).lon).toBeCloseTo(-179.5, 9);
+  });
+
+  test('inverts the inverse problem', () => {
+    const { distance, azimuth1 } = geodesicInverse(-33.45, -70.65, 51.5, -0.12);
+    const end = geodesicDirect(-33.45, -70.65, azimuth1, distance);
+    expect(end.lat).toBeCloseTo(51.5, 11);
+    expect(end.lon).toBeCloseTo(-0.12, 11);
+  });
+
+  test('samples points along the geodesic', () => {
+    const path = geodesicPath(40, -75, 38, -90, 4);
+    expect(path).toHaveLength(5);
+    expect(path[0]).toEqual([40, -75]);
+    expect(path[4]).toEqual([38, -90]);
+
+    const total = geodesicInverse(40, -75, 38, -90).distance;
+    expect(geodesicInverse(40, -75, ...path[1]).distance).toBeCloseTo(total / 4, 6);
+  });
+});
+
+describe('Distance Comparison', () => {
+  test('uses the line scale factor of the ends and midpoint', () => {
+    const k = lineScaleFactor(40.0, -105.0, 40.5, -104.0, '0502');
+    const ends = (pointScaleFactor(40.0, -105.0, '0502') + pointScaleFactor(40.5, -104.0, '0502')) / 2;
+    expect(k).not.toBeCloseTo(ends, 8);
+    expect(k).toBeCloseTo(1.0001407816, 10);
+  });
+
+  test('reduces the grid distance back to the geodesic on the ellipsoid', () => {
+    // 100 km across Colorado North (Lambert) and 10 km across Arizona Central (TM)
+    const lambert = compareDistances(40.0, -105.0, 40.5, -104.0, '0502');
+    expect(lambert.geodesic).toBeCloseTo(101592.817120, 6);
+    expect(lambert.grid).toBeGreaterThan(lambert.geodesic);
+    expect(Math.abs(lambert.ground - lambert.geodesic)).toBeLessThan(0.001);
+    expect(lambert.elevationFactor).toBe(1);
+
+    const tm = compareDistances(33.4, -112.0, 33.45, -111.9, '0202');
+    expect(tm.grid).toBeLessThan(tm.geodesic);
+    expect(Math.abs(tm.ground - tm.geodesic)).toBeLessThan(0.0001);
+  });
+
+  test('expands to the ground at the mean height', () => {
+    const result = compareDistances(33.4, -112.0, 33.45, -111.9, '0202', { ellipsoidHeight: 340 });
+    const ef = elevationFactor(33.425, 340);
+
+    expect(result.elevationFactor).toBeCloseTo(ef, 15);
+    expect(result.combinedFactor).toBeCloseTo(result.scaleFactor * ef, 15);
+    expect(result.ground).toBeCloseTo(result.geodesic / ef, 3);
+    expect(result.azimuth1).toBeCloseTo(59.165489537597, 9);
+  });
+
+  test('reports grid distances in meters for zones defined in feet', () => {
+    // NAD27 Arizona Central is defined in US survey feet
+    const result = compareDistances(33.4, -112.0, 33.45, -111.9, '0202', { datum: 'NAD27' });
+    expect(Math.abs(result.ground - result.geodesic)).toBeLessThan(0.0001);
+  });
+});
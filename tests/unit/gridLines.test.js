@@ -0,0 +1,178 @@
+import {
+  formatGridValue,
+  gridInterval,
+  gridLinePath,
+  gridLines,
+  lineCrossings,
+  projectRings
+} from '../../src/math/gridLines.js';
+import { getSPCSZoneParameters, toGrid } from '../../src/math/spcs.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { createGridLines } from '../../src/components/gridLines.js';
+import { setDisplayUnit } from '../../src/math/units.js';
+import L from 'leaflet';
+
+const ARIZONA_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[-113, 31], [-113, 37], [-110.5, 37], [-110.5, 31], [-113, 31]]]
+};
+
+// A 10 × 10 square with a 4 × 4 hole in the middle
+const SQUARE_WITH_HOLE = [
+  [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+  [[3, 3], [7, 3], [7, 7], [3, 7], [3, 3]]
+];
+
+describe('Grid Intervals', () => {
+  test('keep lines apart on screen in round steps', () => {
+    // 100 pixels between lines by default
+    expect(gridInterval(10)).toBe(1000);
+    expect(gridInterval(12)).toBe(2000);
+    expect(gridInterval(33)).toBe(5000);
+    expect(gridInterval(51)).toBe(10000);
+    expect(gridInterval(0.5)).toBe(50);
+    expect(gridInterval(10, 0, 250)).toBe(5000);
+  });
+
+  test('never go below the chosen interval', () => {
+    expect(gridInterval(1, 10000)).toBe(10000);
+    expect(gridInterval(150, 10000)).toBe(20000);
+    expect(gridInterval(150, 100000)).toBe(100000);
+  });
+
+  test('need a map scale', () => {
+    expect(() => gridInterval(0)).toThrow('Cannot choose a grid interval for 0 units per pixel');
+    expect(() => gridInterval(NaN)).toThrow('Cannot choose a grid interval');
+  });
+});
+
+describe('Grid Line Clipping', () => {
+  test('keeps the stretches inside the rings, around holes', () => {
+    expect(lineCrossings(SQUARE_WITH_HOLE, 'easting', 5)).toEqual([[0, 3], [7, 10]]);
+    expect(lineCrossings(SQUARE_WITH_HOLE, 'northing', 1)).toEqual([[0, 10]]);
+    expect(lineCrossings(SQUARE_WITH_HOLE, 'easting', 12)).toEqual([]);
+  });
+
+  test('draws lines at multiples of the interval', () => {
+    // Lines along the west and south edges count as inside
+    expect(gridLines(SQUARE_WITH_HOLE, 4)).toEqual([
+      { axis: 'easting', value: 0, segments: [[0, 10]] },
+      { axis: 'easting', value: 4, segments: [[0, 3], [7, 10]] },
+      { axis: 'easting', value: 8, segments: [[0, 10]] },
+      { axis: 'northing', value: 0, segments: [[0, 10]] },
+      { axis: 'northing', value: 4, segments: [[0, 3], [7, 10]] },
+      { axis: 'northing', value: 8, segments: [[0, 10]] }
+    ]);
+  });
+
+  test('cuts lines to the view', () => {
+    const view = [[[-5, 5], [5, 5], [5, 20], [-5, 20]]];
+    expect(gridLines(SQUARE_WITH_HOLE, 4, view)).toEqual([
+      { axis: 'easting', value: 0, segments: [[5, 10]] },
+      { axis: 'easting', value: 4, segments: [[7, 10]] },
+      { axis: 'northing', value: 8, segments: [[0, 5]] }
+    ]);
+  });
+});
+
+describe('Zone Grid Lines', () => {
+  const zone = {
+    datum: 'NAD83',
+    spcsParams: getSPCSZoneParameters('0202'),
+    originalFeature: { geometry: ARIZONA_BOUNDARY }
+  };
+
+  test('follow the zone grid in the unit asked for', () => {
+    const rings = projectRings(ARIZONA_BOUNDARY, zone, 'feet_intl');
+    const lines = gridLines(rings, 100000);
+    const line = lines.find(({ axis, value }) => axis === 'easting' && value === 700000);
+    expect(line.segments).toHaveLength(1);
+
+    // Every point of the path is on the line, between the boundary crossings
+    const path = gridLinePath(zone, 'feet_intl', line, line.segments[0], 100000);
+    expect(path.length).toBeGreaterThan(2);
+    path.forEach(([lat, lon]) => {
+      expect(toGrid(lat, lon, '0202').easting / 0.3048).toBeCloseTo(700000, 3);
+    });
+    expect(path[0][0]).toBeCloseTo(31, 4);
+    expect(path[path.length - 1][0]).toBeCloseTo(37, 4);
+  });
+
+  test('are labeled with their values', () => {
+    expect(formatGridValue({ axis: 'easting', value: 210000 }, 'meters')).toBe('E 210,000 m');
+    expect(formatGridValue({ axis: 'northing', value: 1200000 }, 'feet_us')).toBe('N 1,200,000 US ft');
+  });
+});
+
+describe('Grid Line Overlay', () => {
+  const [arizona] = processZoneData({
+    features: [{
+      properties: { ZONENAME: 'Arizona Central', FIPSZONE: '0202' },
+      geometry: ARIZONA_BOUNDARY
+    }]
+  });
+
+  afterEach(() => setDisplayUnit('meters'));
+
+  // jsdom does no layout, so the map is given a size, and has no SVG
+  // support Leaflet detects, so the SVG renderer is created directly
+  const createMap = () => {
+    const container = document.createElement('div');
+    Object.defineProperty(container, 'clientWidth', { value: 512 });
+    Object.defineProperty(container, 'clientHeight', { value: 384 });
+    document.body.appendChild(container);
+    return { container, map: L.map(container, { renderer: new L.SVG() }).setView([34, -112], 9) };
+  };
+  const labels = container => Array.from(container.querySelectorAll('.grid-line-label')).map(label => label.textContent);
+
+  test('labels the lines in view and coarsens them when zoomed out', () => {
+    const { container, map } = createMap();
+    const grid = createGridLines(map);
+
+    grid.show(arizona);
+    // About 25 km per 100 pixels, so lines every 50 km
+    const zoomedIn = labels(container);
+    expect(zoomedIn).toEqual(['E 150,000 m', 'E 200,000 m', 'E 250,000 m', 'N 300,000 m', 'N 350,000 m']);
+
+    map.setZoom(7, { animate: false });
+    const zoomedOut = labels(container);
+    expect(zoomedOut).toEqual(['E 200,000 m', 'N 200,000 m', 'N 400,000 m']);
+
+    // A finer interval than fits is not drawn
+    grid.setMinimumInterval(1000);
+    expect(labels(container)).toEqual(zoomedOut);
+    grid.setMinimumInterval(500000);
+    expect(labels(container)).toEqual(['N 500,000 m']);
+
+    grid.hide(arizona);
+    expect(labels(container)).toEqual([]);
+    map.remove();
+  });
+
+  test('follows the display unit', () => {
+    const { container, map } = createMap();
+    const grid = createGridLines(map);
+    grid.show(arizona);
+
+    setDisplayUnit('legislated');
+    grid.refresh();
+    expect(labels(container).length).toBeGreaterThan(0);
+    expect(labels(container).every(label => /^[EN] [\d,]+ ft$/.test(label))).toBe(true);
+    map.remove();
+  });
+
+  test('takes the interval in the zone unit under the legislated unit', () => {
+    const { container, map } = createMap();
+    const grid = createGridLines(map);
+    setDisplayUnit('legislated');
+    map.setZoom(7, { animate: false });
+    grid.setMinimumInterval(500000);
+    grid.show(arizona);
+
+    // Arizona Central is in international feet, so lines every 500,000 ft
+    const values = labels(container).map(label => label.match(/^[EN] ([\d,]+) ft$/)[1].replace(/,/g, ''));
+    expect(values.length).toBeGreaterThan(0);
+    expect(values.every(value => Number(value) % 500000 === 0)).toBe(true);
+    map.remove();
+  });
+});
@@ -0,0 +1,90 @@
+import { toGrid, toGeographic, getZoneProjection } from '../../src/math/spcs.js';
+import {
+  getLambertConstants,
+  lambertConformalConicForward,
+  lambertConformalConicInverse
+} from '../../src/math/lambertConformalConic.js';
+import { ELLIPSOIDS } from '../../src/math/ellipsoids.js';
+
+// Reference grid coordinates computed independently with PROJ's lcc
+// from the same zone constants
+const REFERENCE_POINTS = [
+  { fips: '0405', datum: 'NAD83', lat: 34.05, lon: -118.25, easting: 1976917.4507, northing: 561038.0445, units: 'meters' },
+  { fips: '0502', datum: 'NAD83', lat: 39.74, lon: -104.99, easting: 958117.1056, northing: 516584.4076, units: 'meters' },
+  { fips: '4203', datum: 'NAD83', lat: 30.27, lon: -97.74, easting: 949509.0243, northing: 3069792.3247, units: 'meters' },
+  { fips: '5010', datum: 'NAD83', lat: 52.0, lon: -176.5, easting: 965662.8529, northing: 111391.6118, units: 'meters' },
+  { fips: '0401', datum: 'NAD27', lat: 40.5, lon: -122.3, easting: 1916572.6449, northing: 425146.1621, units: 'feet_us' },
+  { fips: '0407', datum: 'NAD27', lat: 34.05, lon: -118.25, easting: 4211936.3378, northing: 4130611.3092, units: 'feet_us' },
+  { fips: '4203', datum: 'NAD27', lat: 30.27, lon: -97.74, easting: 2818614.1709, northing: 228969.2677, units: 'feet_us' },
+  // SPCS27 Michigan: cone computed on Clarke 1866 enlarged by 1.0000382
+  { fips: '2113', datum: 'NAD27', lat: 42.3, lon: -84.0, easting: 2090181.6691, northing: 291728.6880, units: 'feet_us' }
+];
+
+describe('Lambert Conformal Conic Projection', () => {
+  const projection = {
+    ellipsoid: ELLIPSOIDS.GRS80,
+    centralMeridian: -105.5,
+    latitudeOfOrigin: 37 + 50 / 60,
+    standardParallel1: 38 + 27 / 60,
+    standardParallel2: 39 + 45 / 60,
+    falseEasting: 914401.8289,
+    falseNorthing: 304800.6096
+  };
+
+  test('exposes the cone constants', () => {
+    const { n, F, rho0 } = getLambertConstants(projection);
+    expect(n).toBeCloseTo(0.6306895552, 9);
+    expect(F).toBeCloseTo(1.9626843765, 9);
+    expect(rho0).toBeCloseTo(7998699.7391, 3);
+  });
+
+  test('maps the projection origin to the false origin', () => {
+    const { easting, northing } = lambertConformalConicForward(projection.latitudeOfOrigin, -105.5, projection);
+    expect(easting).toBeCloseTo(914401.8289, 6);
+    expect(northing).toBeCloseTo(304800.6096, 6);
+  });
+
+  test('has unit scale along both standard parallels', () => {
+    // Equal longitude steps along a standard parallel have the same length as on the ellipsoid
+    const { a, e2 } = projection.ellipsoid;
+    const phi = projection.standardParallel1 * Math.PI / 180;
+    const parallelRadius = a * Math.cos(phi) / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const p1 = lambertConformalConicForward(projection.standardParallel1, -105.5, projection);
+    const p2 = lambertConformalConicForward(projection.standardParallel1, -105.499, projection);
+    const gridDistance = Math.hypot(p2.easting - p1.easting, p2.northing - p1.northing);
+    expect(gridDistance / (parallelRadius * 0.001 * Math.PI / 180)).toBeCloseTo(1, 8);
+  });
+
+  test('inverse recovers the geodetic position', () => {
+    const grid = lambertConformalConicForward(40.1, -103.2, projection);
+    const { lat, lon } = lambertConformalConicInverse(grid.easting, grid.northing, projection);
+    expect(lat).toBeCloseTo(40.1, 10);
+    expect(lon).toBeCloseTo(-103.2, 10);
+  });
+});
+
+describe('SPCS Lambert Conformal Conic Grid Conversion', () => {
+  test('adds standard parallels to LCC zone projections', () => {
+    const projection = getZoneProjection('0502');
+    expect(projection.standardParallel1).toBeCloseTo(38.45, 10);
+    expect(projection.standardParallel2).toBeCloseTo(39.75, 10);
+  });
+
+  test('carries the SPCS27 Michigan ellipsoid scale factor', () => {
+    expect(getZoneProjection('2113', 'NAD27').ellipsoidScaleFactor).toBe(1.0000382);
+    expect(getZoneProjection('2113').ellipsoidScaleFactor).toBeUndefined();
+  });
+
+  test.each(REFERENCE_POINTS)('toGrid matches reference values in $datum zone $fips', ({ fips, datum, lat, lon, easting, northing, units }) => {
+    const grid = toGrid(lat, lon, fips, datum);
+    expect(Math.abs(grid.easting - easting)).toBeLessThan(0.0005);
+    expect(Math.abs(grid.northing - northing)).toBeLessThan(0.0005);
+    expect(grid.units).toBe(units);
+  });
+
+  test.each(REFERENCE_POINTS)('toGeographic inverts reference values in $datum zone $fips', ({ fips, datum, lat, lon, easting, northing }) => {
+    const geographic = toGeographic(easting, northing, fips, datum);
+    expect(Math.abs(geographic.lat - lat)).toBeLessThan(1e-8);
+    expect(Math.abs(geographic.lon - lon)).toBeLessThan(1e-8);
+  });
+});
@@ -1,4 +1,13 @@
-import { latLonToPoint } from '../../src/math/coordinates.js';
+import {
+  latLonToPoint,
+  parseLatLon,
+  formatDMS,
+  geodeticToECEF,
+  ecefToGeodetic,
+  ecefToScene,
+  geodeticToScene
+} from '../../src/math/coordinates.js';
+import { ELLIPSOIDS } from '../../src/math/ellipsoids.js';
 
 describe('Coordinate Conversion', () => {
   test('converts Prime Meridian equator point (0°,0°)', () => {
@@ -42,4 +51,85 @@ describe('Coordinate Conversion', () => {
     expect(point.y).toBeCloseTo(0);     // Still on equator
     expect(point.z).toBeCloseTo(2);     // Double distance along prime meridian
   });
-}); 
\ No newline at end of file
+}); 
+
+describe('Coordinate Entry', () => {
+  test('parses lat,lon entries', () => {
+    expect(parseLatLon('42.2808,-83.7430')).toEqual([42.2808, -83.743]);
+    expect(parseLatLon(' -33.45 , -70.65 ')).toEqual([-33.45, -70.65]);
+  });
+
+  test('rejects incomplete or out-of-range entries', () => {
+    expect(parseLatLon('42.2808')).toBeNull();
+    expect(parseLatLon('42.2808,')).toBeNull();
+    expect(parseLatLon('1,2,3')).toBeNull();
+    expect(parseLatLon('north,west')).toBeNull();
+    expect(parseLatLon('91,0')).toBeNull();
+  });
+
+  test('formats degrees, minutes and seconds', () => {
+    expect(formatDMS(33.4)).toBe('33°24′00.00″');
+    expect(formatDMS(-112.0575, 4)).toBe('112°03′27.0000″');
+    expect(formatDMS(1 - 1e-7)).toBe('1°00′00.00″');
+    expect(formatDMS(0.5, 0)).toBe('0°30′00″');
+  });
+});
+
+describe('Geodetic / ECEF Conversion', () => {
+  const { GRS80, CLARKE1866 } = ELLIPSOIDS;
+
+  test('places the equator/prime meridian point at (a, 0, 0)', () => {
+    const point = geodeticToECEF(0, 0, 0, GRS80);
+    expect(point.x).toBeCloseTo(6378137, 6);
+    expect(point.y).toBeCloseTo(0, 6);
+    expect(point.z).toBeCloseTo(0, 6);
+  });
+
+  test('places the North Pole at the semi-minor axis', () => {
+    const point = geodeticToECEF(90, 0, 0, GRS80);
+    expect(Math.hypot(point.x, point.y)).toBeCloseTo(0, 6);
+    expect(point.z).toBeCloseTo(GRS80.b, 6);
+  });
+
+  test('matches reference ECEF values on GRS80 and Clarke 1866', () => {
+    // Computed independently with PROJ (+proj=geocent)
+    const grs80 = geodeticToECEF(33.4, -112.0, 350, GRS80);
+    expect(grs80.x).toBeCloseTo(-1996831.2196, 3);
+    expect(grs80.y).toBeCloseTo(-4942330.7000, 3);
+    expect(grs80.z).toBeCloseTo(3491272.7833, 3);
+
+    const clarke = geodeticToECEF(33.4, -112.0, 350, CLARKE1866);
+    expect(clarke.x).toBeCloseTo(-1996875.4635, 3);
+    expect(clarke.y).toBeCloseTo(-4942440.2077, 3);
+    expect(clarke.z).toBeCloseTo(3491089.0759, 3);
+  });
+
+  test('round-trips geodetic -> ECEF -> geodetic', () => {
+    const cases = [
+      [33.4, -112.0, 350],
+      [-45.25, 170.5, 4000],
+      [89.9, 10, -50],
+      [0, -179.9, 0]
+    ];
+    cases.forEach(([lat, lon, height]) => {
+      [GRS80, CLARKE1866].forEach(ellipsoid => {
+        const { x, y, z } = geodeticToECEF(lat, lon, height, ellipsoid);
+        const result = ecefToGeodetic(x, y, z, ellipsoid);
+        expect(result.lat).toBeCloseTo(lat, 10);
+        expect(result.lon).toBeCloseTo(lon, 10);
+        expect(result.height).toBeCloseTo(height, 6);
+      });
+    });
+  });
+
+  test('maps ECEF axes onto the scene axes used by latLonToPoint', () => {
+    expect(ecefToScene({ x: 1, y: 2, z: 3 })).toEqual({ x: 2, y: 3, z: 1 });
+
+    // On the equator the ellipsoid and a sphere of radius a coincide
+    const scenePoint = geodeticToScene(0, 90, 0, GRS80);
+    const spherePoint = latLonToPoint(0, 90, GRS80.a);
+    expect(scenePoint.x).toBeCloseTo(spherePoint.x, 6);
+    expect(scenePoint.y).toBeCloseTo(spherePoint.y, 6);
+    expect(scenePoint.z).toBeCloseTo(spherePoint.z, 6);
+  });
+});
\ No newline at end of file
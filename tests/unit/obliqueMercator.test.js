@@ -0,0 +1,46 @@
+import { toGrid, toGeographic, getZoneProjection, getSkewAzimuth } from '../../src/math/spcs.js';
+import { obliqueMercatorForward, obliqueMercatorInverse } from '../../src/math/obliqueMercator.js';
+
+// Reference grid coordinates computed independently with PROJ's omerc
+// (no_uoff, alpha = gamma = 360° + tan⁻¹(-3/4))
+const REFERENCE_POINTS = [
+  { lat: 57.0, lon: -133.6666666667, easting: 818676.7336, northing: 575097.6886 },
+  { lat: 58.3, lon: -134.4, easting: 775672.4612, northing: 720098.3293 },
+  { lat: 55.34, lon: -131.64, easting: 947260.2559, northing: 392179.8971 },
+  { lat: 59.45, lon: -135.3, easting: 725987.5315, northing: 849072.8392 }
+];
+
+describe('Hotine Oblique Mercator Projection', () => {
+  test('stores the Alaska Zone 1 skew azimuth as structured data', () => {
+    const projection = getZoneProjection('5001');
+    expect(projection.projectionType).toBe('OM');
+    expect(Math.tan(projection.skewAzimuth * Math.PI / 180)).toBeCloseTo(-0.75, 12);
+    expect(projection.rectifiedGridAngle).toBe(projection.skewAzimuth);
+  });
+
+  test('getSkewAzimuth returns null when no skew is defined', () => {
+    expect(getSkewAzimuth({ centralMeridian: '85 50 W' })).toBeNull();
+    expect(getSkewAzimuth(undefined)).toBeNull();
+  });
+
+  test('inverse recovers the geodetic position', () => {
+    const projection = getZoneProjection('5001');
+    const grid = obliqueMercatorForward(56.5, -133.1, projection);
+    const { lat, lon } = obliqueMercatorInverse(grid.easting, grid.northing, projection);
+    expect(lat).toBeCloseTo(56.5, 10);
+    expect(lon).toBeCloseTo(-133.1, 10);
+  });
+
+  test.each(REFERENCE_POINTS)('toGrid matches reference values at ($lat, $lon)', ({ lat, lon, easting, northing }) => {
+    const grid = toGrid(lat, lon, '5001');
+    expect(Math.abs(grid.easting - easting)).toBeLessThan(0.0005);
+    expect(Math.abs(grid.northing - northing)).toBeLessThan(0.0005);
+    expect(grid.units).toBe('meters');
+  });
+
+  test.each(REFERENCE_POINTS)('toGeographic inverts reference values at ($lat, $lon)', ({ lat, lon, easting, northing }) => {
+    const geographic = toGeographic(easting, northing, '5001');
+    expect(Math.abs(geographic.lat - lat)).toBeLessThan(1e-8);
+    expect(Math.abs(geographic.lon - lon)).toBeLessThan(1e-8);
+  });
+});
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import { jest } from '@jest/globals';
+import { createDatumShift, nad83ToNad27, parseNadconGrid } from '../../src/math/datumShift.js';
+import { inspectPoint } from '../../src/math/pointInspection.js';
+import { createPointInspector, initPointInspector } from '../../src/components/pointInspector.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { applyDatum, gridConvergence, pointScaleFactor, toGrid } from '../../src/math/spcs.js';
+import L from 'leaflet';
+
+const ARIZONA_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[-113, 31], [-113, 37], [-110.5, 37], [-110.5, 31], [-113, 31]]]
+};
+
+const ARIZONA_WEST_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[-115, 31], [-115, 37], [-112.5, 37], [-112.5, 31], [-115, 31]]]
+};
+
+// The synthetic sample grid bundled in public/grids, which covers central Arizona
+const readSample = name => fs.readFileSync(new URL(`../../public/grids/${name}`, import.meta.url), 'utf8');
+const sampleShift = () => createDatumShift(parseNadconGrid(readSample('sample.laa')), parseNadconGrid(readSample('sample.loa')));
+
+const createZones = () => processZoneData({
+  features: [
+    { properties: { ZONENAME: 'Arizona Central', FIPSZONE: '0202' }, geometry: ARIZONA_BOUNDARY },
+    { properties: { ZONENAME: 'Arizona West', FIPSZONE: '0203' }, geometry: ARIZONA_WEST_BOUNDARY }
+  ]
+});
+
+describe('Point Inspection', () => {
+  test('evaluates the point in each zone containing it', () => {
+    const zones = createZones();
+    const results = inspectPoint(zones, 33.4, -112.75);
+    expect(results.map(result => result.zone.name)).toEqual(['Arizona Central', 'Arizona West']);
+
+    const [central] = results;
+    const grid = toGrid(33.4, -112.75, '0202');
+    expect(central.index).toBe(0);
+    expect(central.unit).toBe('feet_intl');
+    expect(central.easting).toBeCloseTo(grid.easting / 0.3048, 6);
+    expect(central.northing).toBeCloseTo(grid.northing / 0.3048, 6);
+    expect(central.scaleFactor).toBe(pointScaleFactor(33.4, -112.75, '0202'));
+    expect(central.convergence).toBe(gridConvergence(33.4, -112.75, '0202'));
+
+    expect(inspectPoint(zones, 33.4, -111)).toHaveLength(1);
+    expect(inspectPoint(zones, 40, -111)).toEqual([]);
+  });
+
+  test('shifts the point to NAD27 for NAD27 zones in their legislated unit', () => {
+    const zones = createZones();
+    applyDatum(zones, 'NAD27');
+    const shift = sampleShift();
+    const [central] = inspectPoint(zones, 33.4, -112, shift);
+    const nad27 = nad83ToNad27(33.4, -112, shift);
+    expect(central.unit).toBe('feet_us');
+    expect(central.easting).toBeCloseTo(toGrid(nad27.lat, nad27.lon, '0202', 'NAD27').easting, 6);
+    expect(central.northing).toBeCloseTo(toGrid(nad27.lat, nad27.lon, '0202', 'NAD27').northing, 6);
+    expect(central.scaleFactor).toBe(pointScaleFactor(nad27.lat, nad27.lon, '0202', 'NAD27'));
+    expect(Math.abs(central.easting - toGrid(33.4, -112, '0202', 'NAD27').easting)).toBeGreaterThan(10);
+  });
+
+  test('gives no NAD27 grid values without a shift grid', () => {
+    const zones = createZones();
+    applyDatum(zones, 'NAD27');
+    const [central] = inspectPoint(zones, 33.4, -112);
+    expect(central.error).toBe('Load a NADCON grid pair to shift the NAD83 coordinate to the NAD27 zones');
+    expect(central.easting).toBeUndefined();
+
+    const element = createPointInspector(zones, 33.4, -112);
+    expect(element.textContent).toContain('Load a NADCON grid pair');
+    expect(element.querySelectorAll('[data-copy]')).toHaveLength(4);
+  });
+
+  test('reports zones without parameters', () => {
+    const [zone] = createZones();
+    const [result] = inspectPoint([{ ...zone, spcsParams: null }], 33.4, -111);
+    expect(result.error).toBe('No NAD83 projection parameters available');
+    expect(result.easting).toBeUndefined();
+  });
+});
+
+describe('Point Inspector', () => {
+  const copyButtons = element => Array.from(element.querySelectorAll('[data-copy]'));
+  const copied = element => copyButtons(element).map(button => button.dataset.copy);
+
+  test('shows the coordinates and grid values with copy buttons', () => {
+    const element = createPointInspector(createZones(), 33.4, -111.0575);
+    expect(element.classList.contains('point-inspector')).toBe(true);
+
+    const grid = toGrid(33.4, -111.0575, '0202');
+    expect(copied(element)).toEqual([
+      '33.4000000',
+      '-111.0575000',
+      '33°24′00.0000″ N',
+      '111°03′27.0000″ W',
+      (grid.easting / 0.3048).toFixed(3),
+      (grid.northing / 0.3048).toFixed(3),
+      pointScaleFactor(33.4, -111.0575, '0202').toFixed(8),
+      gridConvergence(33.4, -111.0575, '0202').toFixed(6)
+    ]);
+    expect(element.querySelector('h5').textContent).toBe('Arizona Central (0202, NAD83)');
+    expect(element.textContent).toContain(' ft');
+    expect(element.querySelector('[data-zone]').dataset.zone).toBe('0');
+  });
+
+  test('says when no zone contains the point', () => {
+    const element = createPointInspector(createZones(), 40, -111);
+    expect(copied(element)).toHaveLength(4);
+    expect(element.textContent).toContain('not within any loaded zone boundary');
+    expect(createPointInspector([], 40, -111).textContent).toContain('Load the SPCS zones');
+  });
+
+  describe('on the map', () => {
+    const originalClipboard = navigator.clipboard;
+    let map;
+
+    const setUp = () => {
+      const container = document.createElement('div');
+      Object.defineProperty(container, 'clientWidth', { value: 512 });
+      Object.defineProperty(container, 'clientHeight', { value: 384 });
+      document.body.appendChild(container);
+      map = L.map(container).setView([33.4, -111], 8);
+      initPointInspector(map, { getZones: createZones });
+      map.fire('click', { latlng: L.latLng(33.4, -111) });
+      return map.getContainer().querySelector('.point-inspector');
+    };
+
+    const setClipboard = clipboard => Object.defineProperty(navigator, 'clipboard', {
+      value: clipboard,
+      configurable: true
+    });
+
+    afterEach(() => {
+      setClipboard(originalClipboard);
+      map.remove();
+    });
+
+    test('opens on a click and copies values', async () => {
+      const writeText = jest.fn(() => Promise.resolve());
+      setClipboard({ writeText });
+      const inspector = setUp();
+      expect(inspector).not.toBeNull();
+
+      const [latitude] = copyButtons(inspector);
+      latitude.click();
+      await Promise.resolve();
+      expect(writeText).toHaveBeenCalledWith('33.4000000');
+      expect(latitude.textContent).toBe('Copied');
+    });
+
+    test('reports a refused copy', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      setClipboard({ writeText: () => Promise.reject(new Error('Denied')) });
+      const [latitude] = copyButtons(setUp());
+
+      latitude.click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(latitude.textContent).toBe('Copy failed');
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    test('opens the zone parameters', () => {
+      const inspector = setUp();
+      inspector.querySelector('[data-zone]').click();
+      const popup = map.getContainer().querySelector('.zone-popup');
+      expect(popup.classList.contains('point-inspector')).toBe(false);
+      expect(popup.querySelector('h4').textContent).toBe('Arizona Central');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { pointScaleFactor, gridConvergence, getZoneProjection } from '../../src/math/spcs.js';
+
+describe('Point Scale Factor and Grid Convergence', () => {
+  describe('Transverse Mercator zones', () => {
+    test('scale equals k0 and convergence is zero on the central meridian', () => {
+      // Alabama East: central meridian 85°50′W, k0 = 1 - 1/25000
+      expect(pointScaleFactor(32.5, -(85 + 50 / 60), '0101')).toBeCloseTo(1 - 1 / 25000, 12);
+      expect(gridConvergence(32.5, -(85 + 50 / 60), '0101')).toBeCloseTo(0, 12);
+    });
+
+    test('scale grows away from the central meridian', () => {
+      const near = pointScaleFactor(33, -86.0, '0101');
+      const far = pointScaleFactor(33, -87.0, '0101');
+      expect(far).toBeGreaterThan(near);
+    });
+
+    test('convergence is positive east and negative west of the central meridian', () => {
+      expect(gridConvergence(33, -85.0, '0101')).toBeGreaterThan(0);
+      expect(gridConvergence(33, -86.5, '0101')).toBeLessThan(0);
+    });
+
+    test('convergence matches the first-order approximation Δλ·sin φ', () => {
+      // Δλ sin φ is accurate to a few arc-seconds this close to the central meridian
+      const lat = 33;
+      const dLon = 1;
+      const approx = dLon * Math.sin(lat * Math.PI / 180);
+      expect(gridConvergence(lat, -(85 + 50 / 60) + dLon, '0101')).toBeCloseTo(approx, 3);
+    });
+  });
+
+  describe('Lambert Conformal Conic zones', () => {
+    test('scale is exactly one on both standard parallels', () => {
+      const { standardParallel1, standardParallel2 } = getZoneProjection('0502');
+      expect(pointScaleFactor(standardParallel1, -104.0, '0502')).toBeCloseTo(1, 12);
+      expect(pointScaleFactor(standardParallel2, -106.2, '0502')).toBeCloseTo(1, 12);
+    });
+
+    test('scale is below one between the standard parallels', () => {
+      expect(pointScaleFactor(39.1, -105.5, '0502')).toBeLessThan(1);
+    });
+
+    test('convergence is the cone constant times the longitude difference', () => {
+      const { standardParallel1, standardParallel2 } = getZoneProjection('0502');
+      const gamma = gridConvergence(39, -103.5, '0502');
+      // n lies between the sines of the two standard parallels
+      const ratio = gamma / 2;
+      expect(ratio).toBeGreaterThan(Math.sin(standardParallel1 * Math.PI / 180));
+      expect(ratio).toBeLessThan(Math.sin(standardParallel2 * Math.PI / 180));
+    });
+
+    test('returns the same convergence along a meridian', () => {
+      expect(gridConvergence(38.0, -104.0, '0502')).toBeCloseTo(gridConvergence(40.5, -104.0, '0502'), 12);
+    });
+  });
+
+  describe('Oblique Mercator zone', () => {
+    test('scale equals k0 and convergence vanishes at the projection centre', () => {
+      expect(pointScaleFactor(57, -(133 + 40 / 60), '5001')).toBeCloseTo(0.9999, 8);
+      expect(gridConvergence(57, -(133 + 40 / 60), '5001')).toBeCloseTo(0, 6);
+    });
+
+    test('scale grows away from the initial line', () => {
+      expect(pointScaleFactor(58.5, -131.0, '5001')).toBeGreaterThan(pointScaleFactor(57, -(133 + 40 / 60), '5001'));
+    });
+  });
+
+  test('throws for an unknown zone', () => {
+    expect(() => pointScaleFactor(33, -86, '9999')).toThrow('Unknown SPCS zone');
+    expect(() => gridConvergence(33, -86, '9999')).toThrow('Unknown SPCS zone');
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  HEATMAP_RAMP,
+  heatmapColor,
+  heatmapRange,
+  renderScaleHeatmap,
+  zoneDistortionExtent
+} from '../../src/math/scaleHeatmap.js';
+import { getSPCSZoneParameters } from '../../src/math/spcs.js';
+import { createUtmZoneFeatures } from '../../src/math/utm.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { createScaleHeatmap } from '../../src/components/scaleHeatmap.js';
+import { jest } from '@jest/globals';
+import L from 'leaflet';
+
+describe('Heatmap Colors', () => {
+  test('diverge from white at k = 1', () => {
+    expect(heatmapColor(0, 100)).toEqual(HEATMAP_RAMP[2]);
+    expect(heatmapColor(-100, 100)).toEqual(HEATMAP_RAMP[0]);
+    expect(heatmapColor(100, 100)).toEqual(HEATMAP_RAMP[4]);
+    expect(heatmapColor(50, 100)).toEqual(HEATMAP_RAMP[3]);
+    expect(heatmapColor(25, 100)).toEqual([243, 193, 173]);
+  });
+
+  test('clamp beyond the range', () => {
+    expect(heatmapColor(-250, 100)).toEqual(HEATMAP_RAMP[0]);
+    expect(heatmapColor(1e6, 100)).toEqual(HEATMAP_RAMP[4]);
+  });
+
+  test('use round legend ranges', () => {
+    expect(heatmapRange(0)).toBe(10);
+    expect(heatmapRange(-37)).toBe(50);
+    expect(heatmapRange(100)).toBe(100);
+    expect(heatmapRange(1e5)).toBe(5000);
+  });
+});
+
+describe('Heatmap Rendering', () => {
+  // Distortion growing 1 ppm per pixel to the right, 0 ppm at x = 50
+  const width = 101;
+  const height = 9;
+  const linear = (x) => 1 + (x - 50) * 1e-6;
+  const pixel = (pixels, x, y) => Array.from(pixels.slice((y * width + x) * 4, (y * width + x) * 4 + 4));
+
+  test('interpolates between samples', () => {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const calls = [];
+    renderScaleHeatmap(pixels, width, height, (x, y) => {
+      calls.push([x, y]);
+      return linear(x);
+    }, { range: 50 });
+
+    // A lattice every 8 pixels, with the far edges sampled too
+    expect(calls).toHaveLength(14 * 2);
+    expect(calls).toContainEqual([100, 8]);
+
+    expect(pixel(pixels, 50, 4)).toEqual([...HEATMAP_RAMP[2], 255]);
+    expect(pixel(pixels, 0, 0)).toEqual([...HEATMAP_RAMP[0], 255]);
+    expect(pixel(pixels, 100, 8)).toEqual([...HEATMAP_RAMP[4], 255]);
+    expect(pixel(pixels, 37, 3)).toEqual([...heatmapColor(-13, 50), 255]);
+  });
+
+  test('leaves pixels transparent where the zone cannot be evaluated', () => {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    renderScaleHeatmap(pixels, width, height, (x, y) => {
+      if (y > 0) throw new Error('outside the projection');
+      return linear(x);
+    }, { range: 50 });
+
+    expect(pixel(pixels, 60, 0)[3]).toBe(255);
+    expect(pixel(pixels, 60, 1)[3]).toBe(0);
+    expect(pixel(pixels, 60, 8)[3]).toBe(0);
+  });
+});
+
+describe('Zone Distortion Extent', () => {
+  const zone = {
+    name: 'Arizona Central',
+    datum: 'NAD83',
+    spcsParams: getSPCSZoneParameters('0202'),
+    originalFeature: {
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[-113, 31], [-113, 37], [-110.5, 37], [-110.5, 31], [-113, 31]]]
+      }
+    }
+  };
+
+  test('is the largest distortion inside the boundary', () => {
+    // k0 = 0.9999 on the central meridian, 111°55′ W
+    const extent = zoneDistortionExtent(zone);
+    expect(extent).toBeGreaterThan(99.5);
+    expect(extent).toBeLessThanOrEqual(100);
+    expect(heatmapRange(extent)).toBe(100);
+  });
+
+  test('is zero without parameters', () => {
+    expect(zoneDistortionExtent({ ...zone, spcsParams: null })).toBe(0);
+  });
+});
+
+describe('Heatmap Overlay', () => {
+  const [arizona] = processZoneData({
+    features: [{
+      properties: { ZONENAME: 'Arizona Central', FIPSZONE: '0202' },
+      geometry: { type: 'Polygon', coordinates: [[[-113, 31], [-113, 37], [-110.5, 37], [-110.5, 31], [-113, 31]]] }
+    }]
+  });
+  const utm12 = processZoneData(createUtmZoneFeatures()).find(zone => zone.name.includes('12N'));
+
+  // jsdom has no canvas; record what the tiles draw instead
+  const images = [];
+  const context = {
+    createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+    putImageData: image => images.push(image),
+    beginPath: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    closePath: jest.fn(),
+    clip: jest.fn(),
+    drawImage: jest.fn()
+  };
+  beforeAll(() => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => context);
+  });
+  afterAll(() => {
+    HTMLCanvasElement.prototype.getContext.mockRestore();
+  });
+
+  test('shares one legend range among the zones shown', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const map = L.map(container).setView([34, -112], 6);
+    const heatmap = createScaleHeatmap(map);
+    const legend = () => container.querySelector('.scale-heatmap-legend');
+    const labels = () => Array.from(legend().querySelectorAll('span')).map(span => span.textContent);
+
+    heatmap.show(arizona);
+    expect(labels()).toEqual(['−100', '0 (k = 1)', '+100']);
+
+    // Tiles are colored, then clipped to the boundary
+    expect(images.length).toBeGreaterThan(0);
+    expect(images.some(image => image.data.some((value, i) => i % 4 === 3 && value === 255))).toBe(true);
+    expect(context.clip).toHaveBeenCalledWith('evenodd');
+
+    // UTM zones reach about +1000 ppm at their edges near the equator
+    heatmap.show(utm12);
+    expect(labels()[2]).toBe('+1000');
+
+    heatmap.hide(utm12);
+    expect(labels()[2]).toBe('+100');
+
+    heatmap.hide(arizona);
+    expect(legend()).toBeNull();
+    map.remove();
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * @jest-environment node
+ */
+import { deflateRawSync, inflateRawSync } from 'node:zlib';
+import { readShapefile, readZip, readZippedShapefile } from '../../src/math/shapefile.js';
+import { readZoneFile } from '../../src/math/zoneImport.js';
+
+// Two polygons: a square with a square hole (outer ring clockwise, hole
+// counterclockwise, as shapefiles wind them) and a triangle
+const SQUARE = [[-105, 40], [-105, 41], [-104, 41], [-104, 40], [-105, 40]];
+const HOLE = [[-104.6, 40.4], [-104.4, 40.4], [-104.4, 40.6], [-104.6, 40.6], [-104.6, 40.4]];
+const TRIANGLE = [[-103, 40], [-103, 41], [-102, 40], [-103, 40]];
+
+/**
+ * Build a .shp holding polygon records
+ * @param {Array} shapes - Rings of each record, or null for a null shape
+ * @returns {Uint8Array}
+ */
+function buildShp(shapes) {
+  const records = shapes.map(rings => {
+    if (!rings) {
+      const view = new DataView(new ArrayBuffer(4));
+      view.setInt32(0, 0, true);
+      return view;
+    }
+    const points = rings.flat();
+    const view = new DataView(new ArrayBuffer(44 + rings.length * 4 + points.length * 16));
+    view.setInt32(0, 5, true);
+    view.setInt32(36, rings.length, true);
+    view.setInt32(40, points.length, true);
+    let start = 0;
+    rings.forEach((ring, i) => {
+      view.setInt32(44 + i * 4, start, true);
+      start += ring.length;
+    });
+    points.forEach(([x, y], i) => {
+      view.setFloat64(44 + rings.length * 4 + i * 16, x, true);
+      view.setFloat64(44 + rings.length * 4 + i * 16 + 8, y, true);
+    });
+    return view;
+  });
+
+  const length = 100 + records.reduce((total, record) => total + 8 + record.byteLength, 0);
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+  view.setInt32(0, 9994, false);
+  view.setInt32(24, length / 2, false);
+  view.setInt32(28, 1000, true);
+  view.setInt32(32, 5, true);
+
+  let offset = 100;
+  records.forEach((record, i) => {
+    view.setInt32(offset, i + 1, false);
+    view.setInt32(offset + 4, record.byteLength / 2, false);
+    bytes.set(new Uint8Array(record.buffer), offset + 8);
+    offset += 8 + record.byteLength;
+  });
+  return bytes;
+}
+
+/**
+ * Build a .dbf
+ * @param {Array} fields - [name, type, length]
+ * @param {Array} rows - { values, deleted } of each record, values as field texts
+ * @returns {Uint8Array}
+ */
+function buildDbf(fields, rows) {
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((total, [, , length]) => total + length, 0);
+  const bytes = new Uint8Array(headerLength + rows.length * recordLength + 1).fill(0x20, headerLength);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = 3;
+  view.setUint32(4, rows.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  fields.forEach(([name, type, length], i) => {
+    bytes.set(Buffer.from(name, 'latin1'), 32 + i * 32);
+    bytes[32 + i * 32 + 11] = type.charCodeAt(0);
+    bytes[32 + i * 32 + 16] = length;
+  });
+  bytes[headerLength - 1] = 0x0d;
+
+  rows.forEach((row, r) => {
+    let offset = headerLength + r * recordLength;
+    bytes[offset++] = row.deleted ? 0x2a : 0x20;
+    row.values.forEach((value, i) => {
+      bytes.set(Buffer.from(value, 'latin1').subarray(0, fields[i][2]), offset);
+      offset += fields[i][2];
+    });
+  });
+  bytes[bytes.length - 1] = 0x1a;
+  return bytes;
+}
+
+/**
+ * Build a zip archive
+ * @param {Object} files - Contents by path
+ * @param {boolean} [deflate=false] - Deflate the entries rather than store them
+ * @returns {Uint8Array}
+ */
+function buildZip(files, deflate = false) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = Buffer.from(name);
+    const data = deflate ? deflateRawSync(content) : Buffer.from(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+const shp = buildShp([[SQUARE, HOLE], null, [TRIANGLE]]);
+const dbf = buildDbf([['NAME', 'C', 20], ['FIPSZONE', 'C', 4], ['K0', 'N', 10]], [
+  { values: ['Weld County LDP', '9001', '1.00013'] },
+  { values: ['Unused', '', ''] },
+  { values: ['Logan County LDP', '', '1.0002'] }
+]);
+const prj = 'GEOGCS["GCS_North_American_1983",DATUM["D_North_American_1983",' +
+  'SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+describe('Shapefile Reading', () => {
+  test('reads polygons, holes and attributes', () => {
+    const { features, skipped } = readShapefile({ shp, dbf });
+    expect(skipped).toBe(1);
+    expect(features).toHaveLength(2);
+
+    expect(features[0].properties).toEqual({ NAME: 'Weld County LDP', FIPSZONE: '9001', K0: 1.00013 });
+    expect(features[0].geometry).toEqual({ type: 'Polygon', coordinates: [SQUARE, HOLE] });
+
+    expect(features[1].properties.FIPSZONE).toBeNull();
+    expect(features[1].geometry).toEqual({ type: 'Polygon', coordinates: [TRIANGLE] });
+  });
+
+  test('keeps separate outer rings as a MultiPolygon', () => {
+    const { features } = readShapefile({ shp: buildShp([[SQUARE, TRIANGLE]]) });
+    expect(features[0].geometry.type).toBe('MultiPolygon');
+    expect(features[0].geometry.coordinates).toEqual([[SQUARE], [TRIANGLE]]);
+    expect(features[0].properties).toEqual({});
+  });
+
+  test('skips deleted records without shifting the attributes', () => {
+    const deleted = buildDbf([['NAME', 'C', 10]], [{ values: ['Gone'], deleted: true }, { values: ['Kept'] }]);
+    const { features } = readShapefile({ shp: buildShp([[SQUARE], [TRIANGLE]]), dbf: deleted });
+    expect(features[0].properties).toEqual({});
+    expect(features[1].properties).toEqual({ NAME: 'Kept' });
+  });
+
+  test('refuses projected coordinates and other files', () => {
+    const projected = Buffer.from('PROJCS["NAD83 / Colorado North (ftUS)",GEOGCS["NAD83"]]');
+    expect(() => readShapefile({ shp, prj: projected }, 'counties'))
+      .toThrow('counties is in NAD83 / Colorado North (ftUS); export it in geographic coordinates');
+    expect(() => readShapefile({ shp: new Uint8Array(100) }, 'counties')).toThrow('counties.shp is not a shapefile');
+  });
+});
+
+describe('Zip Archives', () => {
+  test('reads stored and deflated entries', async () => {
+    const files = { 'a.txt': Buffer.from('stored'), 'dir/b.txt': Buffer.from('deflated '.repeat(20)) };
+
+    const stored = await readZip(buildZip(files));
+    expect(Buffer.from(stored.get('a.txt')).toString()).toBe('stored');
+
+    const deflated = await readZip(buildZip(files, true), { inflateRaw: data => inflateRawSync(data) });
+    expect(Buffer.from(deflated.get('dir/b.txt')).toString()).toBe('deflated '.repeat(20));
+
+    // Without an inflate function the DecompressionStream API is used
+    const streamed = await readZip(buildZip(files, true));
+    expect(Buffer.from(streamed.get('dir/b.txt')).toString()).toBe('deflated '.repeat(20));
+
+    await expect(readZip(new Uint8Array(64))).rejects.toThrow('Not a zip archive');
+  });
+
+  test('groups the files of each shapefile', async () => {
+    const zip = buildZip({
+      'ldp/counties.shp': shp,
+      'ldp/counties.dbf': dbf,
+      'ldp/counties.prj': Buffer.from(prj),
+      '__MACOSX/ldp/._counties.shp': Buffer.from('resource fork'),
+      'readme.txt': Buffer.from('LDP boundaries')
+    });
+
+    const { features, skipped } = await readZippedShapefile(zip);
+    expect(features.features.map(feature => feature.properties.NAME)).toEqual(['Weld County LDP', 'Logan County LDP']);
+    expect(skipped).toBe(1);
+
+    await expect(readZippedShapefile(buildZip({ 'readme.txt': Buffer.from('') }))).rejects.toThrow('No .shp file');
+  });
+});
+
+describe('Zone File Import', () => {
+  test('reads a zipped shapefile as imported boundaries', async () => {
+    const zip = buildZip({ 'counties.shp': shp, 'counties.dbf': dbf });
+    const { features, definitions, skipped } = await readZoneFile('counties.zip', zip);
+
+    expect(definitions).toBeNull();
+    expect(skipped).toBe(1);
+    expect(features.features[0].properties).toMatchObject({
+      ZONENAME: 'Weld County LDP', FIPSZONE: '9001', ZONESOURCE: 'Imported'
+    });
+    expect(features.features[1].properties.FIPSZONE).toBeNull();
+  });
+
+  test('tells GeoJSON from zone definitions', async () => {
+    const geojson = Buffer.from(JSON.stringify({
+      type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [SQUARE] }
+    }));
+    const boundaries = await readZoneFile('project.geojson', geojson);
+    expect(boundaries.features.features[0].properties.ZONENAME).toBe('project');
+
+    const catalog = Buffer.from(JSON.stringify({
+      zones: { 9001: { name: 'Weld County LDP', fips: '9001', projectionType: 'TM', params: {} } }
+    }));
+    const { features, definitions } = await readZoneFile('ldp.json', catalog, { datum: 'NATRF2022' });
+    expect(features).toBeNull();
+    expect(definitions.NATRF2022[0].name).toBe('Weld County LDP');
+
+    await expect(readZoneFile('broken.json', Buffer.from('{'))).rejects.toThrow('broken.json is not valid JSON');
+  });
+});
@@ -1,5 +1,7 @@
 import { jest } from '@jest/globals';
-import { loadSPCSZones, processZoneData, createZoneBoundary, getProjectionType, getSPCSZoneParameters, formatDDMMSS } from '../../src/math/spcs.js';
+import { applyDatum, createZoneBoundary, getProjectionType, getSPCSZoneParameters, formatDDMMSS, parseDDMMSS } from '../../src/math/spcs.js';
+import { loadSPCSZones } from '../../src/components/boundarySources.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
 
 // Mock the spcsZoneParameters.json import
 jest.mock('../../src/math/spcsZoneParameters.json', () => ({
@@ -210,6 +212,28 @@ describe('SPCS Zone Data Handling', () => {
     expect(boundary.geometry.coordinates).toHaveLength(2);
   });
 
+  test('attaches parameters for the requested datum', () => {
+    const nad83Zones = processZoneData(mockZoneData);
+    expect(nad83Zones[0].datum).toBe('NAD83');
+    
+    const nad27Zones = processZoneData(mockZoneData, 'NAD27');
+    expect(nad27Zones[0].datum).toBe('NAD27');
+  });
+
+  test('switches processed zones to another datum', () => {
+    const zones = [{ name: 'Alabama East', fipsZone: '0101', datum: 'NAD83', spcsParams: getSPCSZoneParameters('0101') }];
+    
+    applyDatum(zones, 'NAD27');
+    expect(zones[0].datum).toBe('NAD27');
+    expect(zones[0].spcsParams.params.units).toBe('feet_us');
+    
+    applyDatum(zones, 'NAD83');
+    expect(zones[0].spcsParams.params.units).toBe('meters');
+    
+    expect(() => applyDatum(zones, 'WGS84')).toThrow('Unsupported datum');
+    expect(zones[0].datum).toBe('NAD83');
+  });
+
   test('returns correct projection type', () => {
     const processedZones = processZoneData(mockZoneData);
     
@@ -257,6 +281,14 @@ describe('SPCS Zone Parameters Database Access', () => {
     expect(params.params.units).toBe('feet_us');
   });
 
+  test('provides the full SPCS27 zone set in US survey feet', () => {
+    ['0407', '2101', '2111', '2501', '3104', '3901', '5001', '5010', '5201'].forEach(fips => {
+      const params = getSPCSZoneParameters(fips, 'NAD27');
+      expect(params).not.toBeNull();
+      expect(params.params.units).toBe('feet_us');
+    });
+  });
+
   test('returns null for invalid datum', () => {
     const params = getSPCSZoneParameters('0101', 'INVALID');
     expect(params).toBeNull();
@@ -302,4 +334,30 @@ describe('DDMMSS Coordinate Formatting', () => {
     expect(formatDDMMSS(12345)).toBe('Not specified');
     expect(formatDDMMSS({})).toBe('Not specified');
   });
-}); 
\ No newline at end of file
+});
+
+describe('DDMMSS Coordinate Parsing', () => {
+  test('parses degrees and minutes to decimal degrees', () => {
+    expect(parseDDMMSS('30 30 N')).toBeCloseTo(30.5, 10);
+    expect(parseDDMMSS('144 45 E')).toBeCloseTo(144.75, 10);
+  });
+
+  test('returns negative values for south and west', () => {
+    expect(parseDDMMSS('85 50 W')).toBeCloseTo(-85.8333333333, 10);
+    expect(parseDDMMSS('14 16 s')).toBeCloseTo(-14.2666666667, 10);
+  });
+
+  test('includes seconds when present', () => {
+    expect(parseDDMMSS('122 19 45 W')).toBeCloseTo(-(122 + 19 / 60 + 45 / 3600), 10);
+  });
+
+  test('accepts decimal degree strings', () => {
+    expect(parseDDMMSS('-122.3264')).toBe(-122.3264);
+  });
+
+  test('returns null for unparseable input', () => {
+    expect(parseDDMMSS('Special')).toBeNull();
+    expect(parseDDMMSS(undefined)).toBeNull();
+    expect(parseDDMMSS('')).toBeNull();
+  });
+});
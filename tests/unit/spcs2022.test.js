@@ -0,0 +1,269 @@
+import {
+  ZONE_LAYERS,
+  applyDatum,
+  createSpcs2022Boundaries,
+  getPredecessorZones,
+  getSPCSZoneParameters,
+  getSuccessorZones,
+  getZoneLayer,
+  getZoneState,
+  listZoneParameters,
+  pointScaleFactor,
+  registerZoneParameters,
+  toGeographic,
+  toGrid
+} from '../../src/math/spcs.js';
+import {
+  compareDistortionOverPoints,
+  compareZoneDistortion,
+  zoneDistortion
+} from '../../src/math/zoneComparison.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+
+// Hypothetical SPCS2022-style zones for an Arizona catalog. The parameters
+// exercise the data model and the one-parallel LCC; they are not NGS values.
+const TEST_ZONES = {
+  '0201': {
+    name: 'Arizona Statewide (test)',
+    fips: '0201',
+    state: '02',
+    layer: 'statewide',
+    predecessors: ['0201', '0202', '0203'],
+    projectionType: 'LCC',
+    params: {
+      longitudeOfOrigin: '111 30 W',
+      latitudeOfOrigin: '34 30 N',
+      scaleFactor: 1.00012,
+      falseEasting: 300000.0,
+      falseNorthing: 200000.0,
+      units: 'meters'
+    }
+  },
+  '0211': {
+    name: 'Arizona Central Regional (test)',
+    fips: '0211',
+    state: '02',
+    layer: 'regional',
+    predecessors: ['0202'],
+    projectionType: 'TM',
+    params: {
+      centralMeridian: '111 45 W',
+      latitudeOfOrigin: '34 00 N',
+      scaleFactor: 1.0001,
+      falseEasting: 150000.0,
+      falseNorthing: 100000.0,
+      units: 'meters'
+    }
+  },
+  '0251': {
+    name: 'Phoenix LDP (test)',
+    fips: '0251',
+    state: '02',
+    layer: 'ldp',
+    predecessors: ['0202'],
+    projectionType: 'TM',
+    params: {
+      centralMeridian: '112 04 W',
+      latitudeOfOrigin: '33 00 N',
+      scaleFactor: 1.000053,
+      falseEasting: 50000.0,
+      falseNorthing: 10000.0,
+      units: 'meters'
+    }
+  }
+};
+
+registerZoneParameters('NATRF2022', TEST_ZONES);
+
+describe('SPCS2022 Zone Layers', () => {
+  test('defines the statewide, regional and low-distortion layers', () => {
+    expect(Object.keys(ZONE_LAYERS)).toEqual(['statewide', 'regional', 'ldp']);
+  });
+
+  test('treats bundled SPCS83 zones as statewide', () => {
+    const zone = getSPCSZoneParameters('0202', 'NAD83');
+    expect(getZoneLayer(zone)).toBe('statewide');
+    expect(getZoneState(zone)).toBe('02');
+  });
+
+  test('looks up registered zones by datum', () => {
+    expect(getSPCSZoneParameters('0251', 'NATRF2022').name).toBe('Phoenix LDP (test)');
+    expect(getSPCSZoneParameters('0251', 'NAD83')).toBeNull();
+    // Same code, different zone in each datum
+    expect(getSPCSZoneParameters('0201', 'NATRF2022').name).toBe('Arizona Statewide (test)');
+    expect(getSPCSZoneParameters('0201', 'NAD83').name).toBe('Arizona East');
+  });
+
+  test('lists the zones of a state, optionally by layer', () => {
+    expect(listZoneParameters('NATRF2022', { state: '02' }).map(zone => zone.fips)).toEqual(['0201', '0211', '0251']);
+    expect(listZoneParameters('NATRF2022', { state: 2, layer: 'ldp' }).map(zone => zone.fips)).toEqual(['0251']);
+    expect(listZoneParameters('NATRF2022', { state: '04' })).toEqual([]);
+    expect(listZoneParameters('NAD83', { state: '02' }).map(zone => zone.fips)).toEqual(['0201', '0202', '0203']);
+  });
+
+  test('links zones to their predecessors and successors', () => {
+    expect(getPredecessorZones(TEST_ZONES['0211'])).toEqual(['0202']);
+    expect(getPredecessorZones(getSPCSZoneParameters('0202', 'NAD83'))).toEqual([]);
+    expect(getSuccessorZones('0202').map(zone => zone.fips)).toEqual(['0201', '0211', '0251']);
+    expect(getSuccessorZones(203).map(zone => zone.fips)).toEqual(['0201']);
+  });
+
+  test('rejects invalid definitions without registering any', () => {
+    const before = listZoneParameters('NATRF2022').length;
+    expect(() => registerZoneParameters('NATRF2022', [
+      { ...TEST_ZONES['0251'], fips: '0252' },
+      { name: 'Broken', fips: '0253' }
+    ])).toThrow('Invalid zone definition: Broken');
+    expect(() => registerZoneParameters('NATRF2022', [{ ...TEST_ZONES['0251'], layer: 'county' }]))
+      .toThrow('Unknown zone layer "county"');
+    expect(() => registerZoneParameters('ITRF2020', TEST_ZONES)).toThrow('Unsupported datum');
+    expect(listZoneParameters('NATRF2022')).toHaveLength(before);
+  });
+});
+
+describe('Bundled SPCS2022 Sample', () => {
+  test('has one Colorado zone in each layer', () => {
+    expect(getSPCSZoneParameters('0590', 'NATRF2022')).toMatchObject({ layer: 'statewide', projectionType: 'LCC' });
+    expect(getSPCSZoneParameters('0591', 'NATRF2022')).toMatchObject({ layer: 'regional', projectionType: 'TM' });
+    expect(getSPCSZoneParameters('0592', 'NATRF2022')).toMatchObject({ layer: 'ldp', projectionType: 'OM' });
+    expect(getSPCSZoneParameters('0590', 'NAD83')).toBeNull();
+  });
+
+  test('filters the sample by state and layer', () => {
+    expect(listZoneParameters('NATRF2022', { state: '05' }).map(zone => zone.fips)).toEqual(['0590', '0591', '0592']);
+    expect(listZoneParameters('NATRF2022', { state: '05', layer: 'ldp' }).map(zone => zone.fips)).toEqual(['0592']);
+    expect(getSuccessorZones('0502').map(zone => zone.fips)).toEqual(['0590', '0591', '0592']);
+  });
+
+  test('uses a single standard parallel for the statewide zone', () => {
+    const { params } = getSPCSZoneParameters('0590', 'NATRF2022');
+    expect(params.standardParallel1).toBeUndefined();
+    expect(pointScaleFactor(39, -105.5, '0590', 'NATRF2022')).toBeCloseTo(0.9998, 12);
+  });
+
+  test.each(['0590', '0591', '0592'])('round trips zone %s', fips => {
+    const grid = toGrid(39.6, -105.9, fips, 'NATRF2022');
+    const { lat, lon } = toGeographic(grid.easting, grid.northing, fips, 'NATRF2022');
+    expect(lat).toBeCloseTo(39.6, 9);
+    expect(lon).toBeCloseTo(-105.9, 9);
+  });
+
+  test('draws SPCS2022 zones with the outlines of their predecessors', () => {
+    const square = (west, south) => [[[west, south], [west + 1, south], [west + 1, south + 1], [west, south + 1], [west, south]]];
+    const boundaries = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { FIPSZONE: '0501' }, geometry: { type: 'Polygon', coordinates: square(-105, 40) } },
+        { type: 'Feature', properties: { FIPSZONE: '0502' }, geometry: { type: 'MultiPolygon', coordinates: [square(-106, 39)] } }
+      ]
+    };
+
+    const { features } = createSpcs2022Boundaries(boundaries);
+    const colorado = features.filter(feature => feature.properties.FIPSZONE.startsWith('05'));
+    expect(colorado.map(feature => feature.properties.FIPSZONE)).toEqual(['0590', '0591', '0592']);
+    expect(colorado[0].properties).toMatchObject({ ZONESOURCE: 'SPCS2022', DATUM: 'NATRF2022' });
+    expect(colorado[0].geometry.coordinates).toEqual([square(-105, 40), square(-106, 39)]);
+    expect(colorado[2].geometry.coordinates).toEqual([square(-106, 39)]);
+    // The Arizona test zones have no predecessor boundary here
+    expect(features.some(feature => feature.properties.FIPSZONE.startsWith('02'))).toBe(false);
+  });
+
+  test('keeps SPCS2022 zones on NATRF2022 whichever datum is selected', () => {
+    const boundaries = {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: { FIPSZONE: '0502' },
+        geometry: { type: 'Polygon', coordinates: [[[-106, 39], [-105, 39], [-105, 40], [-106, 39]]] }
+      }]
+    };
+    const zones = processZoneData(createSpcs2022Boundaries(boundaries), 'NAD83');
+    expect(zones.map(zone => [zone.source, zone.datum, zone.spcsParams.name])).toEqual([
+      ['SPCS2022', 'NATRF2022', 'Colorado Statewide (sample)'],
+      ['SPCS2022', 'NATRF2022', 'Colorado Front Range (sample)'],
+      ['SPCS2022', 'NATRF2022', 'Colorado I-70 Mountain Corridor LDP (sample)']
+    ]);
+
+    applyDatum(zones, 'NAD27');
+    expect(zones.every(zone => zone.datum === 'NATRF2022' && zone.spcsParams)).toBe(true);
+  });
+});
+
+describe('SPCS2022 Projections', () => {
+  // Reference values computed independently with PROJ
+  // (+proj=lcc +lat_1=34.5 +lat_0=34.5 +lon_0=-111.5 +k_0=1.00012 +x_0=300000 +y_0=200000 +ellps=GRS80)
+  test('projects one-parallel Lambert zones', () => {
+    const origin = toGrid(34.5, -111.5, '0201', 'NATRF2022');
+    expect(origin.easting).toBeCloseTo(300000, 4);
+    expect(origin.northing).toBeCloseTo(200000, 4);
+
+    const grid = toGrid(35.2, -112.1, '0201', 'NATRF2022');
+    expect(grid.easting).toBeCloseTo(245350.3969, 3);
+    expect(grid.northing).toBeCloseTo(277829.8057, 3);
+
+    const south = toGrid(33.9, -110.8, '0201', 'NATRF2022');
+    expect(south.easting).toBeCloseTo(364755.8103, 3);
+    expect(south.northing).toBeCloseTo(133659.2546, 3);
+  });
+
+  test('inverts one-parallel Lambert zones', () => {
+    const { lat, lon } = toGeographic(245350.3969, 277829.8057, '0201', 'NATRF2022');
+    expect(lat).toBeCloseTo(35.2, 8);
+    expect(lon).toBeCloseTo(-112.1, 8);
+  });
+
+  test('applies the scale factor along the standard parallel', () => {
+    expect(pointScaleFactor(34.5, -111.5, '0201', 'NATRF2022')).toBeCloseTo(1.00012, 12);
+    expect(pointScaleFactor(34.5, -110.2, '0201', 'NATRF2022')).toBeCloseTo(1.00012, 12);
+    expect(pointScaleFactor(35.5, -111.5, '0201', 'NATRF2022')).toBeGreaterThan(1.00012);
+  });
+
+  // (+proj=tmerc +lat_0=34 +lon_0=-111.75 +k_0=1.0001 +x_0=150000 +y_0=100000 +ellps=GRS80)
+  test('projects Transverse Mercator zones with a scale factor above 1', () => {
+    const grid = toGrid(35.2, -112.1, '0211', 'NATRF2022');
+    expect(grid.easting).toBeCloseTo(118123.8234, 3);
+    expect(grid.northing).toBeCloseTo(233189.3750, 3);
+    expect(pointScaleFactor(34, -111.75, '0211', 'NATRF2022')).toBeCloseTo(1.0001, 12);
+  });
+});
+
+describe('Distortion Comparison', () => {
+  test('reports distortion in ppm', () => {
+    const atOrigin = zoneDistortion(34.5, -111.5, '0201', 'NATRF2022');
+    expect(atOrigin.distortion).toBeCloseTo(120, 6);
+    expect(atOrigin.combinedFactor).toBe(atOrigin.scaleFactor);
+    expect(atOrigin.convergence).toBeCloseTo(0, 12);
+
+    // At ground level the elevation factor offsets the scale factor
+    const atGround = zoneDistortion(34.5, -111.5, '0201', 'NATRF2022', 1000);
+    expect(atGround.distortion).toBeLessThan(atOrigin.distortion - 150);
+  });
+
+  test('compares a zone with its predecessor at a point', () => {
+    // Near Phoenix at about 340 m ellipsoid height
+    const comparison = compareZoneDistortion(33.45, -112.07, '0251', '0202', { ellipsoidHeight: 340 });
+    const expected = zoneDistortion(33.45, -112.07, '0202', 'NAD83', 340);
+
+    expect(comparison.predecessor.distortion).toBeCloseTo(expected.distortion, 9);
+    expect(Math.abs(comparison.zone.distortion)).toBeLessThan(5);
+    expect(comparison.reduction).toBeCloseTo(
+      Math.abs(comparison.predecessor.distortion) - Math.abs(comparison.zone.distortion), 9
+    );
+    expect(comparison.reduction).toBeGreaterThan(0);
+  });
+
+  test('summarizes distortion over a set of points', () => {
+    const points = [
+      { lat: 33.3, lon: -112.2, height: 330 },
+      { lat: 33.45, lon: -112.07, height: 340 },
+      { lat: 33.6, lon: -111.9, height: 420 }
+    ];
+    const summary = compareDistortionOverPoints(points, '0251', '0202');
+
+    expect(summary.zone.count).toBe(3);
+    expect(summary.zone.maxAbs).toBeLessThan(summary.predecessor.maxAbs);
+    expect(summary.zone.min).toBeLessThanOrEqual(summary.zone.max);
+    expect(summary.predecessor.rms).toBeLessThanOrEqual(summary.predecessor.maxAbs);
+    expect(() => compareDistortionOverPoints([], '0251', '0202')).toThrow('At least one point');
+  });
+});
@@ -0,0 +1,75 @@
+import { toGrid, toGeographic, getZoneProjection } from '../../src/math/spcs.js';
+import { transverseMercatorForward, transverseMercatorInverse } from '../../src/math/transverseMercator.js';
+import { ELLIPSOIDS } from '../../src/math/ellipsoids.js';
+
+// Reference grid coordinates computed independently with PROJ's etmerc
+// (Poder/Engsager Krüger series) from the same zone constants
+const REFERENCE_POINTS = [
+  { fips: '0101', lat: 33.0, lon: -86.0, easting: 184425.0782, northing: 277207.5596 },
+  { fips: '0202', lat: 33.4, lon: -112.0, easting: 205608.3370, northing: 266113.4183 },
+  { fips: '5003', lat: 61.2, lon: -149.9, easting: 290416.6420, northing: 808037.6744 },
+  { fips: '5400', lat: 13.47, lon: 144.75, easting: 100000.0000, northing: 196680.9596 },
+  { fips: '3101', lat: 40.78, lon: -73.97, easting: 194735.2083, northing: 216253.7595 }
+];
+
+describe('Transverse Mercator Projection', () => {
+  const projection = {
+    ellipsoid: ELLIPSOIDS.GRS80,
+    centralMeridian: -85.8333333333,
+    latitudeOfOrigin: 30.5,
+    scaleFactor: 0.99996,
+    falseEasting: 200000,
+    falseNorthing: 0
+  };
+
+  test('maps the projection origin to the false origin', () => {
+    const { easting, northing } = transverseMercatorForward(30.5, -85.8333333333, projection);
+    expect(easting).toBeCloseTo(200000, 6);
+    expect(northing).toBeCloseTo(0, 6);
+  });
+
+  test('is symmetric about the central meridian', () => {
+    const east = transverseMercatorForward(32, -84.8333333333, projection);
+    const west = transverseMercatorForward(32, -86.8333333333, projection);
+    expect(east.easting - 200000).toBeCloseTo(200000 - west.easting, 6);
+    expect(east.northing).toBeCloseTo(west.northing, 6);
+  });
+
+  test('inverse recovers the geodetic position', () => {
+    const grid = transverseMercatorForward(34.25, -87.1, projection);
+    const { lat, lon } = transverseMercatorInverse(grid.easting, grid.northing, projection);
+    expect(lat).toBeCloseTo(34.25, 10);
+    expect(lon).toBeCloseTo(-87.1, 10);
+  });
+});
+
+describe('SPCS Transverse Mercator Grid Conversion', () => {
+  test.each(REFERENCE_POINTS)('toGrid matches reference values in zone $fips', ({ fips, lat, lon, easting, northing }) => {
+    const grid = toGrid(lat, lon, fips);
+    expect(Math.abs(grid.easting - easting)).toBeLessThan(0.0005);
+    expect(Math.abs(grid.northing - northing)).toBeLessThan(0.0005);
+    expect(grid.units).toBe('meters');
+  });
+
+  test.each(REFERENCE_POINTS)('toGeographic inverts reference values in zone $fips', ({ fips, lat, lon, easting, northing }) => {
+    const geographic = toGeographic(easting, northing, fips);
+    // 1e-8 degrees is roughly a millimetre on the ground
+    expect(Math.abs(geographic.lat - lat)).toBeLessThan(1e-8);
+    expect(Math.abs(geographic.lon - lon)).toBeLessThan(1e-8);
+  });
+
+  test('returns NAD27 coordinates in US survey feet on Clarke 1866', () => {
+    const grid = toGrid(33.0, -86.0, '0101', 'NAD27');
+    expect(grid.units).toBe('feet_us');
+    expect(Math.abs(grid.easting - 448900.1574)).toBeLessThan(0.002);
+    expect(Math.abs(grid.northing - 909441.8071)).toBeLessThan(0.002);
+  });
+
+  test('treats a missing scale factor denominator as exact unity', () => {
+    expect(getZoneProjection('5400').scaleFactor).toBe(1);
+  });
+
+  test('throws for an unknown zone', () => {
+    expect(() => toGrid(33, -86, '9999')).toThrow('Unknown SPCS zone');
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  LEGISLATED_UNIT,
+  convertLength,
+  formatLength,
+  getLegislatedUnit,
+  getDisplayUnit,
+  metersPerUnit,
+  resolveDisplayUnit,
+  setDisplayUnit
+} from '../../src/math/units.js';
+
+describe('Linear Units', () => {
+  test('defines the exact lengths of both feet', () => {
+    expect(metersPerUnit('meters')).toBe(1);
+    expect(metersPerUnit('feet_us')).toBe(1200 / 3937);
+    expect(metersPerUnit('feet_intl')).toBe(0.3048);
+  });
+
+  test('converts between meters and feet', () => {
+    expect(convertLength(3937, 'feet_us', 'meters')).toBe(1200);
+    expect(convertLength(1200, 'meters', 'feet_us')).toBe(3937);
+    expect(convertLength(1250, 'feet_intl', 'meters')).toBe(381);
+    expect(convertLength(1, 'meters', 'meters')).toBe(1);
+  });
+
+  test('converts between the two feet (2 ppm apart)', () => {
+    // 1 US survey foot = 1.000002 international feet (to 7 significant figures)
+    expect(convertLength(1, 'feet_us', 'feet_intl')).toBeCloseTo(1.000002, 6);
+    const feetIntl = convertLength(2000000, 'feet_us', 'feet_intl');
+    expect(feetIntl - 2000000).toBeCloseTo(4.000008, 5);
+  });
+
+  test('round-trips typical false eastings', () => {
+    [2000000, 1640416.6667, 7000000].forEach(value => {
+      const meters = convertLength(value, 'feet_us', 'meters');
+      expect(convertLength(meters, 'meters', 'feet_us')).toBeCloseTo(value, 8);
+    });
+  });
+
+  test('rejects unknown units', () => {
+    expect(() => convertLength(1, 'furlongs', 'meters')).toThrow('Unsupported linear unit');
+  });
+
+  test('formats lengths with the unit abbreviation', () => {
+    expect(formatLength(1.5, 'meters')).toMatch(/^1\.500 m$/);
+    expect(formatLength(2, 'feet_us', 1)).toMatch(/^2\.0 US ft$/);
+    expect(formatLength(2, 'feet_intl', 0)).toMatch(/^2 ft$/);
+  });
+});
+
+describe('Legislated Units', () => {
+  test('returns the foot legislated for SPCS83 by state', () => {
+    expect(getLegislatedUnit('0202')).toBe('feet_intl'); // Arizona Central
+    expect(getLegislatedUnit('4203')).toBe('feet_us');   // Texas Central
+    expect(getLegislatedUnit(406)).toBe('feet_us');      // California VI, numeric code
+    expect(getLegislatedUnit('1501')).toBe('meters');    // Kansas North
+  });
+
+  test('uses US survey feet for every NAD27 zone', () => {
+    expect(getLegislatedUnit('0202', 'NAD27')).toBe('feet_us');
+  });
+});
+
+describe('Display Unit', () => {
+  afterEach(() => {
+    setDisplayUnit('meters');
+  });
+
+  test('defaults to meters', () => {
+    expect(getDisplayUnit()).toBe('meters');
+    expect(resolveDisplayUnit('0202')).toBe('meters');
+  });
+
+  test('resolves a fixed preference for every zone', () => {
+    setDisplayUnit('feet_us');
+    expect(resolveDisplayUnit('0202')).toBe('feet_us');
+    expect(resolveDisplayUnit()).toBe('feet_us');
+  });
+
+  test('resolves the legislated preference per zone', () => {
+    setDisplayUnit(LEGISLATED_UNIT);
+    expect(resolveDisplayUnit('0202')).toBe('feet_intl');
+    expect(resolveDisplayUnit('1501')).toBe('meters');
+    expect(resolveDisplayUnit()).toBe('meters');
+  });
+
+  test('rejects unknown preferences', () => {
+    expect(() => setDisplayUnit('yards')).toThrow('Unsupported linear unit');
+    expect(getDisplayUnit()).toBe('meters');
+  });
+});
@@ -0,0 +1,130 @@
+import {
+  UTM_ZONE_COUNT,
+  createUtmZoneFeatures,
+  getUtmCentralMeridian,
+  getUtmZoneForPoint,
+  getUtmZoneParameters,
+  isUtmZoneCode,
+  parseUtmZoneCode,
+  utmZoneCode
+} from '../../src/math/utm.js';
+import { getSPCSZoneParameters, pointScaleFactor, toGeographic, toGrid } from '../../src/math/spcs.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { getLegislatedUnit } from '../../src/math/units.js';
+
+describe('UTM Zone Codes', () => {
+  test('builds and parses zone codes', () => {
+    expect(utmZoneCode(12, 'N')).toBe('UTM12N');
+    expect(parseUtmZoneCode('UTM12N')).toEqual({ number: 12, hemisphere: 'N' });
+    expect(parseUtmZoneCode('utm7s')).toEqual({ number: 7, hemisphere: 'S' });
+    expect(parseUtmZoneCode('UTM61N')).toBeNull();
+    expect(parseUtmZoneCode('0202')).toBeNull();
+    expect(isUtmZoneCode('UTM60S')).toBe(true);
+    expect(isUtmZoneCode(202)).toBe(false);
+  });
+
+  test('rejects invalid zones', () => {
+    expect(() => utmZoneCode(0, 'N')).toThrow('Invalid UTM zone number');
+    expect(() => utmZoneCode(12, 'E')).toThrow('Invalid UTM hemisphere');
+  });
+
+  test('finds the zone containing a point', () => {
+    expect(getUtmZoneForPoint(33.4, -112.0)).toBe('UTM12N');
+    expect(getUtmZoneForPoint(-33.45, -70.65)).toBe('UTM19S');
+    expect(getUtmZoneForPoint(51.5, 0)).toBe('UTM31N');
+    expect(getUtmZoneForPoint(0, -180)).toBe('UTM1N');
+    expect(getUtmZoneForPoint(0, 179.9)).toBe('UTM60N');
+    expect(getUtmZoneForPoint(0, 180)).toBe('UTM1N');
+  });
+
+  test('places central meridians in the middle of each strip', () => {
+    expect(getUtmCentralMeridian(1)).toBe(-177);
+    expect(getUtmCentralMeridian(12)).toBe(-111);
+    expect(getUtmCentralMeridian(31)).toBe(3);
+    expect(getUtmCentralMeridian(60)).toBe(177);
+  });
+});
+
+describe('UTM Zone Parameters', () => {
+  test('describes zones in the SPCS record shape', () => {
+    expect(getUtmZoneParameters('UTM12N')).toEqual({
+      name: 'UTM Zone 12N',
+      fips: 'UTM12N',
+      projectionType: 'TM',
+      params: {
+        centralMeridian: '111 00 W',
+        latitudeOfOrigin: '0 00 N',
+        scaleFactorDenominator: 2500,
+        falseEasting: 500000.0,
+        falseNorthing: 0.0,
+        units: 'meters'
+      }
+    });
+    expect(getUtmZoneParameters('UTM31S').params.centralMeridian).toBe('3 00 E');
+    expect(getUtmZoneParameters('UTM31S').params.falseNorthing).toBe(10000000);
+    expect(getUtmZoneParameters('0202')).toBeNull();
+  });
+
+  test('is available through the zone lookup on every datum', () => {
+    expect(getSPCSZoneParameters('UTM12N', 'NAD83').name).toBe('UTM Zone 12N');
+    expect(getSPCSZoneParameters('UTM12N', 'NAD27').name).toBe('UTM Zone 12N');
+    expect(getLegislatedUnit('UTM12N', 'NAD27')).toBe('meters');
+  });
+
+  // Reference values computed independently with PROJ (+proj=utm)
+  test('converts with the Transverse Mercator engine', () => {
+    const north = toGrid(33.4, -112.0, 'UTM12N');
+    expect(north.easting).toBeCloseTo(407006.0904, 3);
+    expect(north.northing).toBeCloseTo(3696079.1640, 3);
+    expect(north.units).toBe('meters');
+
+    const south = toGrid(-33.45, -70.65, 'UTM19S');
+    expect(south.easting).toBeCloseTo(346642.6950, 3);
+    expect(south.northing).toBeCloseTo(6297606.8326, 3);
+
+    const east = toGrid(48.85, 2.35, 'UTM31N');
+    expect(east.easting).toBeCloseTo(452314.8912, 3);
+    expect(east.northing).toBeCloseTo(5410984.8875, 3);
+
+    // NAD27 UTM is on Clarke 1866
+    const nad27 = toGrid(33.4, -112.0, 'UTM12N', 'NAD27');
+    expect(nad27.easting).toBeCloseTo(407004.0296, 3);
+    expect(nad27.northing).toBeCloseTo(3695886.6875, 3);
+  });
+
+  test('inverts and reports k0 on the central meridian', () => {
+    const { lat, lon } = toGeographic(346642.6950, 6297606.8326, 'UTM19S');
+    expect(lat).toBeCloseTo(-33.45, 8);
+    expect(lon).toBeCloseTo(-70.65, 8);
+    expect(pointScaleFactor(40, -111, 'UTM12N')).toBeCloseTo(0.9996, 12);
+  });
+});
+
+describe('UTM Zone Boundaries', () => {
+  const collection = createUtmZoneFeatures();
+
+  test('covers every zone in both hemispheres', () => {
+    expect(collection.features).toHaveLength(UTM_ZONE_COUNT * 2);
+    expect(collection.features[0].properties.ZONE).toBe('UTM1N');
+    expect(collection.features[1].properties.ZONE).toBe('UTM1S');
+    expect(collection.features[119].properties.ZONE).toBe('UTM60S');
+  });
+
+  test('draws 6° strips from 80° S to 84° N', () => {
+    const [north, south] = collection.features.filter(feature => feature.properties.ZONE.startsWith('UTM12'));
+    expect(north.geometry.coordinates[0]).toEqual([[-114, 0], [-108, 0], [-108, 84], [-114, 84], [-114, 0]]);
+    expect(south.geometry.coordinates[0]).toEqual([[-114, -80], [-108, -80], [-108, 0], [-114, 0], [-114, -80]]);
+  });
+
+  test('processes into zones with UTM parameters', () => {
+    const zones = processZoneData(collection, 'NAD27');
+    const zone = zones.find(z => z.fipsZone === 'UTM12N');
+
+    expect(zone.source).toBe('UTM');
+    expect(zone.name).toBe('UTM Zone 12N');
+    expect(zone.datum).toBe('NAD27');
+    expect(zone.spcsParams.params.centralMeridian).toBe('111 00 W');
+    expect(zone.bounds.getWest()).toBe(-114);
+    expect(zone.bounds.getNorth()).toBe(84);
+  });
+});
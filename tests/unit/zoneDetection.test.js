@@ -0,0 +1,131 @@
+import {
+  DEFAULT_NEAR_DISTANCE,
+  detectZones,
+  distanceToBoundary,
+  pointInGeometry,
+  pointInPolygon,
+  pointInRing
+} from '../../src/math/zoneDetection.js';
+
+// Rectangle of [lon, lat] positions, closed as in GeoJSON
+function rectangle(west, south, east, north) {
+  return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+
+function zone(name, geometry) {
+  return { name, originalFeature: { type: 'Feature', geometry } };
+}
+
+describe('Point in Polygon', () => {
+  const square = rectangle(-112, 33, -111, 34);
+
+  test('tests a point against a ring', () => {
+    expect(pointInRing(33.5, -111.5, square)).toBe(true);
+    expect(pointInRing(34.5, -111.5, square)).toBe(false);
+    expect(pointInRing(33.5, -110.5, square)).toBe(false);
+  });
+
+  test('accepts rings that are not explicitly closed', () => {
+    expect(pointInRing(33.5, -111.5, square.slice(0, -1))).toBe(true);
+  });
+
+  test('excludes points inside a hole', () => {
+    const withHole = [square, rectangle(-111.75, 33.25, -111.25, 33.75)];
+    expect(pointInPolygon(33.5, -111.5, withHole)).toBe(false);
+    expect(pointInPolygon(33.1, -111.9, withHole)).toBe(true);
+  });
+
+  test('handles concave outlines', () => {
+    // U shape open to the north
+    const u = [[-112, 33], [-111, 33], [-111, 34], [-111.25, 34], [-111.25, 33.25],
+      [-111.75, 33.25], [-111.75, 34], [-112, 34], [-112, 33]];
+    expect(pointInRing(33.75, -111.5, u)).toBe(false);
+    expect(pointInRing(33.75, -111.9, u)).toBe(true);
+    expect(pointInRing(33.1, -111.5, u)).toBe(true);
+  });
+
+  test('tests Polygon and MultiPolygon geometries', () => {
+    const polygon = { type: 'Polygon', coordinates: [square] };
+    const multiPolygon = {
+      type: 'MultiPolygon',
+      coordinates: [[rectangle(-150, 55, -140, 60)], [square]]
+    };
+
+    expect(pointInGeometry(33.5, -111.5, polygon)).toBe(true);
+    expect(pointInGeometry(33.5, -111.5, multiPolygon)).toBe(true);
+    expect(pointInGeometry(57, -145, multiPolygon)).toBe(true);
+    expect(pointInGeometry(50, -145, multiPolygon)).toBe(false);
+    expect(pointInGeometry(33.5, -111.5, { type: 'Point', coordinates: [-111.5, 33.5] })).toBe(false);
+  });
+});
+
+describe('Boundary Distance', () => {
+  const polygon = { type: 'Polygon', coordinates: [rectangle(-1, -1, 0, 1)] };
+
+  test('measures the distance to the nearest edge', () => {
+    // 0.1° east of the meridian edge at the equator
+    const expected = 6371008.8 * 0.1 * Math.PI / 180;
+    expect(distanceToBoundary(0, 0.1, polygon)).toBeCloseTo(expected, 3);
+    expect(distanceToBoundary(0, -0.1, polygon)).toBeCloseTo(expected, 3);
+  });
+
+  test('measures to a corner when it is the closest point', () => {
+    const distance = distanceToBoundary(1.1, 0.1, polygon);
+    expect(distance).toBeGreaterThan(distanceToBoundary(1.1, -0.5, polygon));
+    expect(distance).toBeCloseTo(Math.hypot(0.1 * Math.cos(1.1 * Math.PI / 180), 0.1) * 6371008.8 * Math.PI / 180, 3);
+  });
+
+  test('includes hole edges', () => {
+    const withHole = { type: 'Polygon', coordinates: [rectangle(-2, -2, 2, 2), rectangle(-0.5, -0.5, 0.5, 0.5)] };
+    expect(distanceToBoundary(0, 0.6, withHole)).toBeCloseTo(6371008.8 * 0.1 * Math.PI / 180, 3);
+  });
+});
+
+describe('Zone Detection', () => {
+  const zones = [
+    zone('West', { type: 'Polygon', coordinates: [rectangle(-113, 33, -112, 34)] }),
+    zone('East', { type: 'Polygon', coordinates: [rectangle(-112, 33, -111, 34)] }),
+    zone('Far', { type: 'Polygon', coordinates: [rectangle(-100, 40, -99, 41)] }),
+    zone('Island', {
+      type: 'MultiPolygon',
+      coordinates: [[rectangle(-112.2, 35, -112.1, 35.1)], [rectangle(-111.5, 35, -111.4, 35.1)]]
+    }),
+    { name: 'No geometry' }
+  ];
+
+  test('finds the containing zone', () => {
+    const matches = detectZones(zones, 33.5, -112.5);
+    expect(matches.map(match => match.zone.name)).toEqual(['West']);
+    expect(matches[0].index).toBe(0);
+    expect(matches[0].contains).toBe(true);
+  });
+
+  test('reports zones near a boundary after the containing zone', () => {
+    // About 4.6 km east of the shared boundary
+    const matches = detectZones(zones, 33.5, -111.95);
+    expect(matches.map(match => match.zone.name)).toEqual(['East', 'West']);
+    expect(matches[1].contains).toBe(false);
+    expect(matches[1].distance).toBeLessThan(DEFAULT_NEAR_DISTANCE);
+  });
+
+  test('honors the near-boundary threshold', () => {
+    expect(detectZones(zones, 33.5, -111.95, 1000).map(match => match.zone.name)).toEqual(['East']);
+  });
+
+  test('finds zones from any part of a MultiPolygon', () => {
+    const matches = detectZones(zones, 35.05, -111.45);
+    expect(matches.map(match => match.zone.name)).toEqual(['Island']);
+  });
+
+  test('orders zones outside every boundary by distance', () => {
+    // North of the east zone's edge, a little farther from the west zone's corner
+    const matches = detectZones(zones, 34.05, -111.98);
+    expect(matches.every(match => !match.contains)).toBe(true);
+    expect(matches.map(match => match.zone.name)).toEqual(['East', 'West']);
+    expect(matches[0].distance).toBeLessThan(matches[1].distance);
+  });
+
+  test('returns no matches far from every zone', () => {
+    expect(detectZones(zones, 45, -90)).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+import { IMPORTED_ZONE_SOURCE, normalizeBoundaries, readZoneDefinitions } from '../../src/math/zoneImport.js';
+import { registerZoneParameters, toGeographic, toGrid } from '../../src/math/spcs.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+
+// A county low-distortion projection as a designer would define it
+const WELD_LDP = {
+  name: 'Weld County LDP',
+  fips: '9001',
+  projectionType: 'TM',
+  layer: 'ldp',
+  params: {
+    centralMeridian: '104 30 W',
+    latitudeOfOrigin: '40 00 N',
+    scaleFactor: 1.00013,
+    falseEasting: 100000,
+    falseNorthing: 0,
+    units: 'meters'
+  }
+};
+
+const square = (west, south, size = 1) =>
+  [[[west, south], [west, south + size], [west + size, south + size], [west + size, south], [west, south]]];
+
+const BOUNDARIES = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { Name: 'Weld County', zone_code: 9001 }, geometry: { type: 'Polygon', coordinates: square(-105, 40) } },
+    { type: 'Feature', properties: { PROJECT: 'Site A' }, geometry: { type: 'Polygon', coordinates: square(-104, 40, 0.1) } },
+    { type: 'Feature', properties: { label: 'Benchmark' }, geometry: { type: 'Point', coordinates: [-104.5, 40.5] } }
+  ]
+};
+
+Object.entries(readZoneDefinitions({ NAD83: { zones: { 9001: WELD_LDP } } }))
+  .forEach(([datum, records]) => registerZoneParameters(datum, records));
+
+describe('Boundary Normalization', () => {
+  test('maps names and zone codes onto the catalog properties', () => {
+    const { features, skipped } = normalizeBoundaries(BOUNDARIES, 'weld');
+
+    expect(skipped).toBe(1);
+    expect(features.features).toHaveLength(2);
+    expect(features.features[0].properties).toEqual({
+      Name: 'Weld County', zone_code: 9001, ZONENAME: 'Weld County', FIPSZONE: '9001', ZONESOURCE: IMPORTED_ZONE_SOURCE
+    });
+    expect(features.features[1].properties).toMatchObject({ ZONENAME: 'weld 2', FIPSZONE: null });
+  });
+
+  test('accepts a single feature or geometry', () => {
+    const polygon = { type: 'Polygon', coordinates: square(-105, 40) };
+    expect(normalizeBoundaries(polygon, 'site').features.features[0].properties.ZONENAME).toBe('site');
+
+    const collection = {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'GeometryCollection', geometries: [polygon, { type: 'Point', coordinates: [0, 0] }, polygon] }
+    };
+    const { geometry } = normalizeBoundaries(collection).features.features[0];
+    expect(geometry.type).toBe('MultiPolygon');
+    expect(geometry.coordinates).toHaveLength(2);
+  });
+
+  test('rejects projected coordinates', () => {
+    const projected = { type: 'Polygon', coordinates: square(3100000, 1400000, 1000) };
+    expect(() => normalizeBoundaries(projected)).toThrow('boundaries must be in geographic coordinates');
+  });
+});
+
+describe('Zone Definitions', () => {
+  test('reads every shape of the parameter database', () => {
+    expect(readZoneDefinitions({ metadata: {}, NAD83: { zones: { 9001: WELD_LDP } }, NATRF2022: { zones: {} } }))
+      .toEqual({ NAD83: [WELD_LDP], NATRF2022: [] });
+    expect(readZoneDefinitions({ zones: { 9001: WELD_LDP } }, 'NATRF2022')).toEqual({ NATRF2022: [WELD_LDP] });
+    expect(readZoneDefinitions({ 9001: WELD_LDP })).toEqual({ NAD83: [WELD_LDP] });
+    expect(readZoneDefinitions([WELD_LDP])).toEqual({ NAD83: [WELD_LDP] });
+  });
+
+  test('rejects files without definitions', () => {
+    expect(() => readZoneDefinitions([])).toThrow('No zone definitions found');
+    expect(() => readZoneDefinitions('9001')).toThrow('must be a JSON object or array');
+  });
+});
+
+describe('Imported Zones', () => {
+  test('are processed alongside the built-in catalog', () => {
+    const zones = processZoneData(normalizeBoundaries(BOUNDARIES, 'weld').features);
+    expect(zones[0].source).toBe('Imported');
+    expect(zones[0].name).toBe('Weld County');
+    expect(zones[0].spcsParams).toBe(WELD_LDP);
+    expect(zones[0].bounds.getWest()).toBe(-105);
+
+    // A project boundary without a definition is drawn but has no projection
+    expect(zones[1].spcsParams).toBeNull();
+  });
+
+  test('project with their imported definitions', () => {
+    const grid = toGrid(40, -104.5, '9001');
+    expect(grid.easting).toBeCloseTo(100000, 6);
+    expect(grid.northing).toBeCloseTo(0, 6);
+
+    const point = toGeographic(grid.easting + 1000, grid.northing + 1000, '9001');
+    expect(toGrid(point.lat, point.lon, '9001').easting).toBeCloseTo(101000, 6);
+  });
+});
@@ -0,0 +1,75 @@
+import { createPointPopup, createZonePopup } from '../../src/components/map.js';
+import { createPointInspector } from '../../src/components/pointInspector.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { normalizeBoundaries } from '../../src/math/zoneImport.js';
+import { getSPCSZoneParameters, registerZoneParameters } from '../../src/math/spcs.js';
+
+// A hypothetical SPCS2022 low-distortion zone; not NGS values
+registerZoneParameters('NATRF2022', {
+  '0251': {
+    name: 'Phoenix LDP (test)',
+    fips: '0251',
+    state: '02',
+    layer: 'ldp',
+    predecessors: ['0202'],
+    projectionType: 'TM',
+    params: {
+      centralMeridian: '112 04 W',
+      latitudeOfOrigin: '33 00 N',
+      scaleFactor: 1.000053,
+      falseEasting: 50000.0,
+      falseNorthing: 10000.0,
+      units: 'meters'
+    }
+  }
+});
+
+const createZone = (fips, datum) => ({
+  name: 'Test Zone',
+  datum,
+  spcsParams: getSPCSZoneParameters(fips, datum)
+});
+
+describe('Zone Popup', () => {
+  test('shows a scale factor defined by its denominator', () => {
+    expect(createZonePopup(createZone('0202', 'NAD83')))
+      .toContain('<strong>Scale Factor:</strong> 0.999900 (1 - 1/10000)');
+  });
+
+  test('shows a scale factor defined as a decimal', () => {
+    expect(createZonePopup(createZone('0251', 'NATRF2022')))
+      .toContain('<strong>Scale Factor:</strong> 1.000053</p>');
+  });
+});
+
+describe('Imported Zone Names', () => {
+  // Names come from the user's files and are shown as text, never as markup
+  const NAME = '<img src=x onerror="window.injected = true">';
+  const [zone] = processZoneData(normalizeBoundaries({
+    type: 'Feature',
+    properties: { NAME, FIPSZONE: '0202' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[-113, 31], [-113, 37], [-110.5, 37], [-110.5, 31], [-113, 31]]]
+    }
+  }).features);
+
+  const render = content => {
+    const element = document.createElement('div');
+    if (typeof content === 'string') element.innerHTML = content;
+    else element.appendChild(content);
+    return element;
+  };
+
+  test('are escaped in the zone and point popups', () => {
+    expect(zone.name).toBe(NAME);
+    [
+      createZonePopup(zone, { lat: 33.4, lng: -111.5 }),
+      createPointPopup(33.4, -111.5, [zone], null, null, [{ zone, contains: true }]),
+      createPointInspector([zone], 33.4, -111.5)
+    ].map(render).forEach(element => {
+      expect(element.querySelector('img')).toBeNull();
+      expect(element.textContent).toContain(NAME);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import spcsZoneParameters from '../../src/math/spcsZoneParameters.json' with { type: 'json' };
+import zoneSchema from '../../src/math/spcsZoneParameters.schema.json' with { type: 'json' };
+import {
+  findUnknownBoundaryZones,
+  formatZoneIssue,
+  validateZoneDatabase,
+  validateZoneRecord
+} from '../../src/math/zoneValidation.js';
+import { ZONE_LAYERS, getBundledZoneIssues, getSPCSZoneParameters, registerZoneParameters } from '../../src/math/spcs.js';
+import { LINEAR_UNITS } from '../../src/math/units.js';
+
+const ARIZONA_CENTRAL = spcsZoneParameters.NAD83.zones['0202'];
+const NORTH_CAROLINA = spcsZoneParameters.NAD83.zones['3200'];
+
+// A record with some parameters replaced
+const withParams = (zone, params) => ({ ...zone, params: { ...zone.params, ...params } });
+const messages = issues => issues.map(formatZoneIssue);
+
+describe('Zone Database Validation', () => {
+  test('the bundled database is valid', () => {
+    expect(messages(validateZoneDatabase(spcsZoneParameters))).toEqual([]);
+    expect(getBundledZoneIssues()).toEqual([]);
+  });
+
+  test('the schema lists the layers and units the code supports', () => {
+    expect(zoneSchema.$defs.zone.properties.layer.enum).toEqual(Object.keys(ZONE_LAYERS));
+    expect(zoneSchema.$defs.units.enum).toEqual(Object.keys(LINEAR_UNITS));
+  });
+
+  test('reports issues by datum and zone', () => {
+    const database = JSON.parse(JSON.stringify(spcsZoneParameters));
+    database.NAD83.zones['0201'].fips = '0203';
+    database.NAD27.zones['0401'].params.units = 'feet';
+    database.NAD27.zones['12'] = database.NAD27.zones['0402'];
+    database.NAD27.description = 7;
+
+    // Integer-like keys such as "12" come first in object order
+    expect(messages(validateZoneDatabase(database))).toEqual([
+      'NAD27.zones.12: key "12" is not in the expected format',
+      'NAD27.description: must be string',
+      'NAD83 0201 fips: is 0203 but the record is filed under 0201',
+      'NAD27 12 fips: is 0402 but the record is filed under 12',
+      'NAD27 0401 params.units: must be one of meters, feet_us, feet_intl'
+    ]);
+  });
+});
+
+describe('Zone Record Validation', () => {
+  test('each projection type has its own parameters', () => {
+    // A Transverse Mercator zone has a central meridian, not a longitude of origin
+    const mixed = { ...ARIZONA_CENTRAL, params: { ...ARIZONA_CENTRAL.params, longitudeOfOrigin: '111 55 W' } };
+    delete mixed.params.centralMeridian;
+    expect(messages(validateZoneRecord(mixed))).toEqual([
+      'params.centralMeridian: is required',
+      'params.longitudeOfOrigin: is not a known property'
+    ]);
+
+    expect(messages(validateZoneRecord({ ...ARIZONA_CENTRAL, projectionType: 'OM' })))
+      .toEqual(['params.skewAzimuthTangent: is required']);
+    expect(messages(validateZoneRecord({ ...ARIZONA_CENTRAL, projectionType: 'UTM' })))
+      .toEqual(['projectionType: must be one of TM, LCC, OM']);
+  });
+
+  test('rejects free-text fields', () => {
+    expect(messages(validateZoneRecord({ ...ARIZONA_CENTRAL, notes: 'k0 = 1:10,000' })))
+      .toEqual(['notes: is not a known property']);
+  });
+
+  test('checks DMS strings', () => {
+    expect(messages(validateZoneRecord(withParams(ARIZONA_CENTRAL, { centralMeridian: '-111.9167' }))))
+      .toEqual(['params.centralMeridian: "-111.9167" is not in the expected format']);
+    expect(messages(validateZoneRecord(withParams(ARIZONA_CENTRAL, { latitudeOfOrigin: '31 00 W' }))))
+      .toEqual(['params.latitudeOfOrigin: "31 00 W" is not in the expected format']);
+    expect(messages(validateZoneRecord(withParams(ARIZONA_CENTRAL, { centralMeridian: '111 60 W' }))))
+      .toEqual(['params.centralMeridian: "111 60 W" has minutes or seconds of 60 or more']);
+    expect(messages(validateZoneRecord(withParams(ARIZONA_CENTRAL, { latitudeOfOrigin: '91 00 N' }))))
+      .toEqual(['params.latitudeOfOrigin: "91 00 N" exceeds 90°']);
+    expect(validateZoneRecord(withParams(ARIZONA_CENTRAL, { latitudeOfOrigin: '31 00 30.25 N' }))).toEqual([]);
+  });
+
+  test('checks the standard parallels', () => {
+    expect(messages(validateZoneRecord(withParams(NORTH_CAROLINA, {
+      standardParallel1: '36 10 N', standardParallel2: '34 20 N'
+    })))).toEqual(['params.standardParallel2: "34 20 N" must be north of standardParallel1 "36 10 N"']);
+
+    const oneParallel = withParams(NORTH_CAROLINA, {});
+    delete oneParallel.params.standardParallel2;
+    expect(messages(validateZoneRecord(oneParallel)))
+      .toEqual(['params.standardParallel2: is required with standardParallel1']);
+    delete oneParallel.params.standardParallel1;
+    expect(validateZoneRecord(oneParallel)).toEqual([]);
+  });
+
+  test('checks scale factors and units', () => {
+    expect(messages(validateZoneRecord(withParams(ARIZONA_CENTRAL, { scaleFactor: 0.9999 }))))
+      .toEqual(['params: must not have both scaleFactorDenominator and scaleFactor']);
+    expect(messages(validateZoneRecord(withParams(ARIZONA_CENTRAL, { scaleFactorDenominator: 0.5 }))))
+      .toEqual(['params.scaleFactorDenominator: must be greater than 1']);
+    expect(messages(validateZoneRecord(withParams(ARIZONA_CENTRAL, { units: 'ft' }))))
+      .toEqual(['params.units: must be one of meters, feet_us, feet_intl']);
+  });
+
+  test('keeps invalid records out of the registry', () => {
+    const record = { ...withParams(ARIZONA_CENTRAL, { centralMeridian: '111 55' }), fips: '0299' };
+    expect(() => registerZoneParameters('NAD83', [record]))
+      .toThrow('Invalid zone definition: Arizona Central: params.centralMeridian: "111 55" is not in the expected format');
+    expect(() => registerZoneParameters('NAD83', { '0298': { ...ARIZONA_CENTRAL, fips: '0299' } }))
+      .toThrow('fips: is 0299 but the record is filed under 0298');
+    expect(getSPCSZoneParameters('0299')).toBeNull();
+  });
+});
+
+describe('Boundary Coverage', () => {
+  const boundaries = {
+    type: 'FeatureCollection',
+    features: ['0202', 2500, '0407', null, '0407'].map(code => ({
+      type: 'Feature', properties: { FIPSZONE: code }, geometry: null
+    }))
+  };
+
+  test('finds boundaries without a parameter record', () => {
+    expect(findUnknownBoundaryZones(boundaries, code => getSPCSZoneParameters(code, 'NAD83')))
+      .toEqual([{ zone: '0407', path: 'FIPSZONE', message: 'has a boundary but no parameter record' }]);
+    expect(findUnknownBoundaryZones(boundaries, code => getSPCSZoneParameters(code, 'NAD27')).map(issue => issue.zone))
+      .toEqual(['2500']);
+  });
+});
@@ -0,0 +1,177 @@
+import { ZONE_VIEW_RESOLUTION, createZoneCRS, initZoneView } from '../../src/components/zoneView.js';
+import { createConvergenceField } from '../../src/components/convergenceField.js';
+import { processZoneData } from '../../src/components/zoneBoundaries.js';
+import { applyDatum, gridConvergence, toGrid } from '../../src/math/spcs.js';
+import L from 'leaflet';
+
+const ARIZONA_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [[[-113, 31], [-113, 37], [-110.5, 37], [-110.5, 31], [-113, 31]]]
+};
+
+const createArizona = () => processZoneData({
+  features: [{
+    properties: { ZONENAME: 'Arizona Central', FIPSZONE: '0202' },
+    geometry: ARIZONA_BOUNDARY
+  }]
+})[0];
+
+describe('Zone CRS', () => {
+  const crs = createZoneCRS(createArizona());
+
+  test('projects to the zone grid in meters', () => {
+    const { easting, northing } = toGrid(33.4, -112.0, '0202');
+    const point = crs.project(L.latLng(33.4, -112.0));
+    expect(point.x).toBeCloseTo(easting, 6);
+    expect(point.y).toBeCloseTo(northing, 6);
+
+    const latlng = crs.unproject(point);
+    expect(latlng.lat).toBeCloseTo(33.4, 9);
+    expect(latlng.lng).toBeCloseTo(-112.0, 9);
+  });
+
+  test('puts grid north up at a fixed resolution per zoom level', () => {
+    const origin = crs.latLngToPoint(L.latLng(33.4, -112.0), 10);
+    const { easting, northing } = toGrid(33.4, -112.0, '0202');
+    expect(origin.x).toBeCloseTo(easting * 1024 / ZONE_VIEW_RESOLUTION, 6);
+    expect(origin.y).toBeCloseTo(-northing * 1024 / ZONE_VIEW_RESOLUTION, 6);
+    expect(crs.zoom(crs.scale(7.5))).toBeCloseTo(7.5, 12);
+
+    // Ground distances are the same as on the web map
+    expect(crs.distance(L.latLng(33, -112), L.latLng(34, -112)))
+      .toBe(L.CRS.EPSG3857.distance(L.latLng(33, -112), L.latLng(34, -112)));
+  });
+});
+
+describe('Zone View', () => {
+  // jsdom does no layout, so the map is given a size, and has no SVG
+  // support Leaflet detects, so the SVG renderer is created directly
+  const setUp = () => {
+    document.body.innerHTML = '<select id="zone-view"></select>';
+    const container = document.createElement('div');
+    Object.defineProperty(container, 'clientWidth', { value: 512 });
+    Object.defineProperty(container, 'clientHeight', { value: 384 });
+    document.body.appendChild(container);
+
+    const map = L.map(container, { renderer: new L.SVG() }).setView([39.8, -98.6], 4);
+    const tiles = L.tileLayer('https://tile.example/{z}/{x}/{y}.png').addTo(map);
+    const zone = createArizona();
+    const visible = [zone];
+    const zoneView = initZoneView(map, { getVisibleZones: () => visible });
+    const select = document.getElementById('zone-view');
+    const choose = value => {
+      select.value = value;
+      select.dispatchEvent(new Event('change'));
+    };
+    return { container, map, tiles, zone, visible, zoneView, select, choose };
+  };
+
+  test('lists the visible zones', () => {
+    const { select, map } = setUp();
+    expect(Array.from(select.options).map(option => option.text))
+      .toEqual(['Web map (Web Mercator)', 'Arizona Central']);
+    map.remove();
+  });
+
+  test('tells apart zones that share a code', () => {
+    const { map, visible, zoneView, select, choose } = setUp();
+    const nad27 = createArizona();
+    applyDatum([nad27], 'NAD27');
+    visible.push(nad27);
+    zoneView.update();
+
+    choose('1');
+    expect(document.querySelector('.zone-view-axis-title').textContent)
+      .toBe('Arizona Central (0202, NAD27): easting and northing in m');
+    // The option follows the zone when the zones before it are hidden
+    visible.shift();
+    zoneView.update();
+    expect(select.value).toBe('0');
+    expect(document.querySelector('.zone-view-axis-title').textContent)
+      .toBe('Arizona Central (0202, NAD27): easting and northing in m');
+    map.remove();
+  });
+
+  test('draws the map in the zone grid and back', () => {
+    const { container, map, tiles, zone, choose } = setUp();
+
+    choose('0');
+    expect(map.options.crs.code).toBe('SPCS:0202');
+    expect(map.hasLayer(tiles)).toBe(false);
+    expect(container.classList.contains('zone-view')).toBe(true);
+
+    // Fitted to the zone, whose center maps to the middle of the view
+    expect(map.getBounds().contains(zone.bounds.getCenter())).toBe(true);
+    const center = map.latLngToContainerPoint(zone.bounds.getCenter());
+    expect(center.x).toBeCloseTo(256, 0);
+    expect(center.y).toBeCloseTo(192, 0);
+
+    // Axes in the zone's grid, and a graticule
+    expect(container.querySelector('.zone-view-axis-title').textContent)
+      .toBe('Arizona Central (0202, NAD83): easting and northing in m');
+
+    // Ticks are placed to a tenth of a pixel
+    const metersPerPixel = ZONE_VIEW_RESOLUTION / 2 ** map.getZoom();
+    const eastings = Array.from(container.querySelectorAll('.zone-view-axis-easting'));
+    expect(eastings.length).toBeGreaterThan(1);
+    eastings.forEach(label => {
+      const { lat, lng } = map.containerPointToLatLng([parseFloat(label.style.left), 384]);
+      const value = Number(label.textContent.replace(/,/g, ''));
+      expect(Math.abs(toGrid(lat, lng, '0202').easting - value)).toBeLessThan(0.1 * metersPerPixel);
+    });
+    expect(container.querySelectorAll('.zone-view-axis-northing').length).toBeGreaterThan(1);
+    expect(container.querySelectorAll('path').length).toBeGreaterThan(2);
+
+    choose('');
+    expect(map.options.crs).toBe(L.CRS.EPSG3857);
+    expect(map.hasLayer(tiles)).toBe(true);
+    expect(map.getZoom()).toBe(4);
+    expect(container.querySelector('.zone-view-axes')).toBeNull();
+    expect(container.classList.contains('zone-view')).toBe(false);
+    map.remove();
+  });
+
+  test('follows the zone', () => {
+    const { map, zone, visible, zoneView, select, choose } = setUp();
+    choose('0');
+
+    // A new datum rebuilds the grid from the zone's new parameters
+    applyDatum([zone], 'NAD27');
+    zoneView.update();
+    expect(map.options.crs.code).toBe('SPCS:0202');
+    expect(document.querySelector('.zone-view-axis-title').textContent)
+      .toBe('Arizona Central (0202, NAD27): easting and northing in m');
+    expect(map.options.crs.project(L.latLng(33.4, -112)).x)
+      .toBeCloseTo(toGrid(33.4, -112, '0202', 'NAD27').easting * 1200 / 3937, 6);
+
+    // Hiding the zone returns to the web map
+    visible.pop();
+    zoneView.update();
+    expect(map.options.crs).toBe(L.CRS.EPSG3857);
+    expect(select.value).toBe('');
+    map.remove();
+  });
+
+  test('turns convergence arrows to grid north up', () => {
+    const { container, map, zone, choose } = setUp();
+    choose('0');
+    createConvergenceField(map).show(zone);
+
+    // Grid north is up, so each arrow points up and its true north tick is turned by −γ
+    const arrows = Array.from(container.querySelectorAll('.convergence-arrow'));
+    expect(arrows.length).toBeGreaterThan(0);
+    const angle = (element) => Number(element.getAttribute('transform').match(/rotate\(([-\d.e]+)/)[1]);
+    arrows.forEach(arrow => {
+      expect(angle(arrow.querySelector('g'))).toBeCloseTo(0, 2);
+    });
+
+    let marker;
+    map.eachLayer(layer => {
+      if (layer instanceof L.Marker && !marker) marker = layer;
+    });
+    const { lat, lng } = marker.getLatLng();
+    const tick = marker.getElement().querySelector('line');
+    expect(angle(tick)).toBeCloseTo(-gridConvergence(lat, lng, '0202'), 2);
+    map.remove();
+  });
+});